@@ -1,9 +1,22 @@
 const crypto = require('crypto');
-const { NexusAdapter } = require('../backend/nexusAdapter');
-const { validateReceipt } = require('../backend/receiptVerifier');
+const { NexusAdapter } = require('../../backend/nexusAdapter');
+const { validateReceipt } = require('../../backend/receiptVerifier');
+const x402 = require('../../backend/x402');
+const { computeRequestFingerprint } = require('../../backend/requestFingerprint');
+const { checkEvidenceSignature, requiresSignature } = require('../../backend/paymentEvidence');
+const { loadSplitPolicy } = require('../../backend/revenueSplits');
+const { createIntentStore, INTENT_STATUS } = require('../../backend/intentStore');
+const { SettlementOutbox } = require('../../backend/settlementOutbox');
 
 // Initialize Nexus adapter
 const nexusAdapter = new NexusAdapter();
+const splitPolicy = loadSplitPolicy();
+
+// Settlements that fail after the completion was produced are retried from the cron function (api/cron/sla-watchdog.js)
+const intentStore = createIntentStore();
+const settlementOutbox = new SettlementOutbox(intentStore, nexusAdapter, {
+  maxAttempts: parseInt(process.env.SETTLEMENT_MAX_ATTEMPTS) || undefined
+});
 
 module.exports = async (req, res) => {
   // Only allow POST requests
@@ -12,55 +25,67 @@ module.exports = async (req, res) => {
   }
 
   try {
-    const paymentEvidence = req.headers['payment-evidence'];
+    // Payer-signed evidence is bound to this exact prompt and model
+    const requestFingerprint = computeRequestFingerprint({
+      method: req.method,
+      path: '/api/ai/chat',
+      query: (req.url || '').split('?').slice(1).join('?'),
+      body: req.body,
+      model: req.body?.model
+    });
 
-    if (!paymentEvidence) {
+    if (!x402.hasPayment(req)) {
       // PHASE 1: Return HTTP 402 Payment Required
       const intentId = crypto.randomBytes(16).toString('hex');
 
-      // Estimate cost for AI chat (0.05 USDC max)
-      const priceEstimate = {
-        min: 0.001,
-        max: 0.05
-      };
-
-      const challenge = {
-        challengeType: 'x402',
+      // Max budget for AI chat: 0.05 USDC, 5 min expiry
+      const challenge = x402.buildChallenge({
         intentId,
-        maxBudget: `${priceEstimate.max}00000`, // USDC wei-equivalent
-        token: 'USDC',
-        expiresAt: Math.floor(Date.now() / 1000) + (5 * 60), // 5 min expiry
-        payWith: 'fluxpay:nexus-createIntent',
-        instructions: {
-          sdk: 'nexus.createIntent',
-          params: {
-            intentId,
-            payer: '<user_wallet>',
-            token: 'USDC',
-            amount: `${priceEstimate.max}00000`,
-            expiry: Math.floor(Date.now() / 1000) + (5 * 60)
-          }
-        },
-        retryWith: {
-          header: 'Payment-Evidence',
-          value: { intentId, nexusTx: '<transaction_hash>' }
-        }
-      };
+        maxBudget: x402.toBaseUnits('0.05'),
+        expirySeconds: 5 * 60,
+        requestFingerprint,
+        chain: nexusAdapter.chain // Intents are locked on the default chain
+      });
+
+      // The record names the chain the intent is locked on; the paid retry is checked and settled there
+      await intentStore.put(intentId, {
+        challenge,
+        status: INTENT_STATUS.CHALLENGED,
+        chain: nexusAdapter.chain.name,
+        endpoint: '/api/ai/chat',
+        requestFingerprint,
+        lockedAmount: Number(challenge.maxBudget),
+        expiresAt: challenge.expiresAt * 1000
+      });
 
       console.log('AI Chat payment challenge generated:', challenge);
-      return res.status(402).json(challenge);
+      return x402.sendChallenge(req, res, challenge, {
+        payTo: '0x742d35Cc7c6d21012B5991BcEFf26b5115Cf4C9f', // Mock provider
+        description: 'FluxPay AI chat'
+      });
     }
 
     // PHASE 2: Process payment evidence and provide AI response
-    const evidence = JSON.parse(paymentEvidence);
+    const { evidence } = x402.parsePaymentHeader(req);
     const { intentId, nexusTx } = evidence;
 
+    if (!intentId || !nexusTx) {
+      return res.status(400).json({ error: 'Invalid payment evidence', required: ['intentId', 'nexusTx'] });
+    }
+
     console.log(`Processing AI chat for intent: ${intentId}`);
 
+    const intentRecord = await intentStore.get(intentId);
+    if (!intentRecord) {
+      return res.status(400).json({ error: 'Invalid intent ID' });
+    }
+    const chain = nexusAdapter.chains.resolve(intentRecord.chain);
+
     // Validate intent exists and is locked
+    let intentStatus;
     try {
       await nexusAdapter.initialize();
-      const intentStatus = await nexusAdapter.getIntentStatus(intentId);
+      intentStatus = await nexusAdapter.getIntentStatus(intentId, chain.name);
 
       if (intentStatus.status !== 'LOCKED') {
         return res.status(402).json({ error: 'Intent not locked or invalid' });
@@ -69,13 +94,38 @@ module.exports = async (req, res) => {
       if (intentStatus.amount < 7500) { // Minimum 0.0075 USDC for AI response
         return res.status(402).json({ error: 'Insufficient locked amount' });
       }
+
+      // Only the payer who locked the intent can redeem it
+      if (requiresSignature(intentStatus, nexusAdapter.settlementBackendType)) {
+        const signatureError = checkEvidenceSignature(evidence, {
+          requestFingerprint,
+          payer: intentStatus.payer,
+          chain: intentRecord.challenge?.chain || x402.describeChain(chain)
+        });
+        if (signatureError) {
+          return res.status(402).json({ error: signatureError });
+        }
+      }
+
+      // Payers may lock the escrow themselves; make sure FluxPayAudit knows the intent before anything settles on it
+      await nexusAdapter.recordLockedIntent(intentId, intentStatus, chain.name);
     } catch (error) {
       console.error('Intent validation failed:', error);
       return res.status(500).json({ error: 'Failed to validate payment intent' });
     }
 
+    // Claim the intent so the same evidence cannot be redeemed twice; the SLA watchdog refunds it if this call dies
+    const claimed = await intentStore.transition(intentId, [INTENT_STATUS.CHALLENGED, INTENT_STATUS.LOCKED], INTENT_STATUS.PROCESSING, {
+      payer: intentStatus.payer,
+      evidence,
+      expiresAt: Date.now() + 90 * 1000
+    });
+    if (!claimed) {
+      return res.status(409).json({ error: 'Intent already processed' });
+    }
+
     // Generate AI response
-    const { prompt = "Explain FluxPay x402 payments", model = "gpt-4o-mini" } = req.body || {};
+    const { prompt = "Explain FluxPay x402 payments", model = "gpt-4o-mini", template = null } = req.body || {};
 
     // Mock AI response (in production, this would call OpenRouter)
     const aiResponse = {
@@ -119,7 +169,7 @@ Usage: 75 tokens (~$0.0075). Your locked funds were automatically settled.`,
       nonce: crypto.randomUUID(),
       timestamp: Math.floor(Date.now() / 1000),
       provider: '0x742d35Cc7c6d21012B5991BcEFf26b5115Cf4C9f', // Mock provider
-      payoutChain: 'ethereum',
+      payoutChain: chain.name, // Settled where the intent is locked
       model: model
     };
 
@@ -147,27 +197,37 @@ Usage: 75 tokens (~$0.0075). Your locked funds were automatically settled.`,
       return res.status(500).json({ error: 'Failed to validate receipt' });
     }
 
-    // Settle via Nexus
+    // Settle the used amount and refund the remainder via Nexus
+    const settlementJob = {
+      intentId,
+      recipient: mockReceipt.provider,
+      amount: mockReceipt.usedAmount,
+      targetChain: mockReceipt.payoutChain,
+      targetToken: 'USDC',
+      splits: splitPolicy.split(mockReceipt.usedAmount, mockReceipt.provider, splitPolicy.templateShares(template))
+    };
     try {
-      const settleResult = await nexusAdapter.settleIntent({
-        intentId,
-        recipient: mockReceipt.provider,
-        amount: mockReceipt.usedAmount,
-        targetChain: mockReceipt.payoutChain,
-        targetToken: 'USDC'
+      const settleResult = await nexusAdapter.settleAndRefund(settlementJob);
+      await intentStore.transition(intentId, INTENT_STATUS.PROCESSING, INTENT_STATUS.SETTLED, {
+        usedAmount: settleResult.usedAmount,
+        refundAmount: settleResult.refundAmount,
+        settlementTx: settleResult.settlementTx,
+        refundTx: settleResult.refundTx,
+        expiresAt: null
       });
 
-      const intentStatus = await nexusAdapter.getIntentStatus(intentId);
-      const refundAmount = intentStatus.amount - mockReceipt.usedAmount;
-
       const result = {
         ...aiResponse,
         receipt: mockReceipt,
         settlement: {
           intentId,
-          usedAmount: mockReceipt.usedAmount,
-          settledTx: settleResult,
-          refundAmount: Math.max(0, refundAmount),
+          usedAmount: x402.encodeAmount(settleResult.usedAmount),
+          splits: (settleResult.splits || [{ role: 'provider', recipient: mockReceipt.provider, amount: settleResult.usedAmount }])
+            .map(split => ({ ...split, amount: x402.encodeAmount(split.amount) })),
+          settledTx: settleResult.settlementTx,
+          refundAmount: x402.encodeAmount(settleResult.refundAmount),
+          refundTx: settleResult.refundTx,
+          auditStatus: settleResult.auditStatus,
           status: 'completed'
         }
       };
@@ -177,12 +237,27 @@ Usage: 75 tokens (~$0.0075). Your locked funds were automatically settled.`,
 
     } catch (settleError) {
       console.error('Settlement failed:', settleError);
-      // Attempt refund on settlement failure
+      // The completion was produced, so its usage is owed: the outbox retries the settlement and dead-letters it
+      // for an operator, who decides whether the payer is refunded
       try {
-        await nexusAdapter.refundIntent(intentId);
-        return res.status(500).json({ error: 'Service processed but settlement failed, funds refunded' });
-      } catch (refundError) {
-        return res.status(500).json({ error: 'Service processed but both settlement and refund failed' });
+        const deferred = await settlementOutbox.defer(intentId, settlementJob, settleError.message);
+
+        return res.json({
+          ...aiResponse,
+          receipt: mockReceipt,
+          settlement: {
+            intentId,
+            usedAmount: x402.encodeAmount(settlementJob.amount),
+            splits: settlementJob.splits.map(split => ({ ...split, amount: x402.encodeAmount(split.amount) })),
+            settledTx: null,
+            status: 'pending',
+            retryAt: deferred.expiresAt
+          }
+        });
+      } catch (deferError) {
+        console.error('Could not queue settlement:', deferError);
+        // Still PROCESSING, so the SLA watchdog refunds it once its deadline passes
+        return res.status(500).json({ error: 'Service processed but settlement could not be queued; the payment will be refunded' });
       }
     }
 
@@ -0,0 +1,40 @@
+/**
+ * @file api/cron/sla-watchdog.js
+ * @description Vercel cron function (see vercel.json) running the serverless gateway's background jobs
+ * Expires challenges, refunds intents past their SLA, retries pending settlements, indexes audit events and
+ * flushes abandoned audit records, one pass per call (see backend/cronJobs.js)
+ */
+
+const { NexusAdapter } = require('../../backend/nexusAdapter');
+const { createIntentStore } = require('../../backend/intentStore');
+const { CronJobs } = require('../../backend/cronJobs');
+
+let jobs = null; // Built on the first authorized call and reused while the instance is warm
+
+module.exports = async (req, res) => {
+  // Vercel sends CRON_SECRET as a bearer token; without one configured nobody may trigger refunds
+  if (!process.env.CRON_SECRET) {
+    return res.status(503).json({ error: 'CRON_SECRET is not configured' });
+  }
+  if (req.headers.authorization !== `Bearer ${process.env.CRON_SECRET}`) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  // A memory store only holds the intents of this instance, so sweeping it would miss every other instance's
+  if ((process.env.INTENT_STORE || 'memory') === 'memory') {
+    return res.status(503).json({ error: 'Background jobs need a shared intent store (INTENT_STORE=file on shared storage)' });
+  }
+
+  try {
+    if (!jobs) {
+      const nexusAdapter = new NexusAdapter();
+      await nexusAdapter.initialize();
+      jobs = new CronJobs(createIntentStore(), nexusAdapter);
+    }
+
+    return res.json(await jobs.run());
+  } catch (error) {
+    console.error('Cron jobs failed:', error.message);
+    return res.status(500).json({ error: error.message });
+  }
+};
@@ -10,6 +10,16 @@ const cors = require('cors');
 const { generateIntentId, validateSignature } = require('../backend/receiptVerifier');
 const { NexusAdapter } = require('../backend/nexusAdapter');
 const { OpenRouterProxy } = require('../backend/openRouterProxy');
+const { createIntentStore, INTENT_STATUS } = require('../backend/intentStore');
+const { PricingEngine } = require('../backend/pricingEngine');
+const { loadSplitPolicy } = require('../backend/revenueSplits');
+const x402 = require('../backend/x402');
+const { fingerprintRequest } = require('../backend/requestFingerprint');
+const { checkEvidenceSignature, requiresSignature } = require('../backend/paymentEvidence');
+const { SlaWatchdog } = require('../backend/slaWatchdog');
+const { pathError } = require('../backend/routeTable');
+const { SettlementOutbox } = require('../backend/settlementOutbox');
+const { PaymentLedger } = require('../backend/paymentLedger');
 const axios = require('axios');
 
 // Environment variables
@@ -17,79 +27,138 @@ const PORT = process.env.BACKEND_PORT || process.env.PORT || 3001;
 const PROVIDER_URL = process.env.PROVIDER_URL || 'http://localhost:4000';
 const OPENROUTER_API_KEY = process.env.OPENROUTER_API_KEY;
 const GATEWAY_PRIVATE_KEY = process.env.GATEWAY_PRIVATE_KEY; // For signing gateway operations
+const AI_PROVIDER_ADDRESS = process.env.AI_PROVIDER_ADDRESS || '0x742d35Cc6795C2c3A850473e17b10F75d08Cf10E8'; // Demo address
 
 // Create Express app
 const app = express();
-app.use(cors());
+app.use(cors({ exposedHeaders: ['PAYMENT-REQUIRED', 'X-PAYMENT-RESPONSE'] }));
 app.use(bodyParser.json({ limit: '10mb' })); // Support large requests
 
 // Initialize adapters
 const nexusAdapter = new NexusAdapter();
 const openRouterProxy = new OpenRouterProxy(OPENROUTER_API_KEY);
+const pricingEngine = new PricingEngine(nexusAdapter);
+const splitPolicy = loadSplitPolicy(); // Gateway fee taken from settled amounts
 
-// In-memory storage for MVP (use Redis/PostgreSQL in production)
-const activeIntents = new Map(); // intentId => { status, expiry, lockedAmount, provider }
+// Intent records survive restarts when INTENT_STORE=file
+const intentStore = createIntentStore(); // intentId => { status, expiry, lockedAmount, provider }
 const processedReceipts = new Set(); // nonce tracking for replay protection
 
+const PROVIDER_SLA_SECONDS = 90; // Provider timeout (30s) plus settlement
+
+// A serverless instance may be frozen between requests, so nothing here runs on an interval: the SLA watchdog,
+// settlement retries and audit event indexing run from the cron function in api/cron/sla-watchdog.js
+const slaWatchdog = new SlaWatchdog(intentStore, nexusAdapter); // Refund claims made here use its lease
+
+// Settlement jobs for served requests get their first attempt here; retries and dead-lettering happen from cron
+const settlementOutbox = new SettlementOutbox(intentStore, nexusAdapter, {
+  maxAttempts: parseInt(process.env.SETTLEMENT_MAX_ATTEMPTS) || undefined
+});
+
+// Settlement audit records are written in batches; queued entries are kept on the intent record until the
+// final status lands there, so the cron function can flush batches of instances frozen before they went out
+nexusAdapter.settlementQueue.on('queued', (entry) => {
+  intentStore.update(entry.intentId, { auditStatus: 'QUEUED', auditEntry: entry })
+    .catch(error => console.error('Failed to store queued settlement:', error.message));
+});
+nexusAdapter.settlementQueue.on('confirmed', ({ intentId, auditTx }) => {
+  intentStore.update(intentId, { auditStatus: 'CONFIRMED', auditTx, auditEntry: null })
+    .catch(error => console.error('Failed to store settlement status:', error.message));
+});
+nexusAdapter.settlementQueue.on('failed', ({ intentId, error }) => {
+  intentStore.update(intentId, { auditStatus: 'FAILED', auditError: error, auditEntry: null })
+    .catch(storeError => console.error('Failed to store settlement status:', storeError.message));
+});
+
+// Payments ledger the cron function indexes FluxPayAudit events into (PAYMENT_LEDGER_PATH on shared storage)
+const paymentLedger = new PaymentLedger({ path: process.env.PAYMENT_LEDGER_PATH });
+nexusAdapter.initialize()
+  .catch(error => console.error('⚠️ Nexus initialization failed:', error.message));
+
+// Chains settlements can target (registered before the catch-all handler below, like the ledger routes)
+app.get('/api/chains', (req, res) => {
+  res.json({ defaultChain: nexusAdapter.chain.name, chains: nexusAdapter.chains.describe() });
+});
+
+// Intents, settlements and refunds of a payer from the payments ledger, reloaded when the cron function saved it
+// (registered before the catch-all handler below, which would challenge them with a 402)
+app.get('/api/user/:address/intents', (req, res) => {
+  paymentLedger.reload();
+  res.json(paymentLedger.listIntents(req.params.address));
+});
+
+app.get('/api/user/:address/receipts', (req, res) => {
+  paymentLedger.reload();
+  res.json(paymentLedger.listReceipts(req.params.address));
+});
+
+app.get('/api/user/:address/refunds', (req, res) => {
+  paymentLedger.reload();
+  res.json(paymentLedger.listRefunds(req.params.address));
+});
+
 /**
  * Main request handler for all API endpoints
  * Implements x402 payment flow
  */
 app.all('/api/*', async (req, res) => {
-  try {
-    const paymentEvidence = req.headers['payment-evidence'];
+  // The path is forwarded to the provider, so it must stay under the provider's URL
+  const invalidPath = pathError(req.path);
+  if (invalidPath) {
+    return res.status(400).json({ error: invalidPath, endpoint: req.path });
+  }
 
-    if (!paymentEvidence) {
+  try {
+    if (!x402.hasPayment(req)) {
       // PHASE 1: Return HTTP 402 Payment Required
       const intentId = generateIntentId();
 
       // Estimate cost based on endpoint type
       const endpoint = req.path;
-      const priceEstimate = estimatePrice(endpoint, req.body);
+      const priceEstimate = await estimatePrice(endpoint, req.body);
+
+      // The payer signs evidence over this fingerprint
+      const requestFingerprint = fingerprintRequest(req);
 
-      const challenge = {
-        challengeType: 'x402',
+      // Intents are locked, settled and refunded on the default chain
+      const challenge = x402.buildChallenge({
         intentId,
-        maxBudget: formatUsdc(priceEstimate.max),
-        token: 'USDC',
-        expiresAt: Math.floor(Date.now() / 1000) + (5 * 60), // 5 min expiry
-        payWith: 'fluxpay:nexus-createIntent',
-        instructions: {
-          sdk: 'nexus.createIntent',
-          params: {
-            intentId,
-            payer: '<user_wallet>',
-            token: 'USDC',
-            amount: priceEstimate.max,
-            expiry: Math.floor(Date.now() / 1000) + (5 * 60)
-          }
-        },
-        retryWith: {
-          header: 'Payment-Evidence',
-          value: { intentId, nexusTx: '<transaction_hash>' }
-        }
-      };
-
-      // Store intent locally for validation
-      activeIntents.set(intentId, {
-        status: 'PENDING',
+        maxBudget: priceEstimate.max,
+        expirySeconds: priceEstimate.expirySeconds,
+        requestFingerprint,
+        chain: nexusAdapter.chain
+      });
+
+      // Store intent for validation
+      await intentStore.put(intentId, {
+        challenge,
+        status: INTENT_STATUS.CHALLENGED,
+        chain: nexusAdapter.chain.name,
         expiry: challenge.expiresAt,
+        expiresAt: challenge.expiresAt * 1000,
         lockedAmount: priceEstimate.max,
+        pricingRule: priceEstimate.rule,
         endpoint,
+        requestFingerprint,
         payload: req.body,
         headers: req.headers,
         timestamp: Date.now()
       });
 
-      return res.status(402).json(challenge);
+      // Legacy body by default; x402 clients get an `accepts` body (PAYMENT-REQUIRED header is always set)
+      return x402.sendChallenge(req, res, challenge, { payTo: AI_PROVIDER_ADDRESS });
     }
 
     // PHASE 2: Validate Payment Evidence & Process Request
-    const evidence = JSON.parse(paymentEvidence);
+    const { format, evidence } = x402.parsePaymentHeader(req);
     const { intentId, nexusTx } = evidence;
 
+    if (!intentId || !nexusTx) {
+      return res.status(400).json({ error: 'Invalid payment evidence', required: ['intentId', 'nexusTx'] });
+    }
+
     // Validate intent exists and not expired
-    const intentRecord = activeIntents.get(intentId);
+    const intentRecord = await intentStore.get(intentId);
     if (!intentRecord) {
       return res.status(400).json({ error: 'Invalid intent ID' });
     }
@@ -99,7 +168,7 @@ app.all('/api/*', async (req, res) => {
     }
 
     // Verify lock status via Nexus
-    const intentStatus = await nexusAdapter.getIntentStatus(intentId);
+    const intentStatus = await nexusAdapter.getIntentStatus(intentId, intentRecord.chain);
     if (intentStatus.status !== 'LOCKED') {
       return res.status(402).json({ error: 'Funds not locked' });
     }
@@ -108,8 +177,35 @@ app.all('/api/*', async (req, res) => {
       return res.status(402).json({ error: 'Insufficient locked amount' });
     }
 
-    // Mark intent as processing
-    intentRecord.status = 'PROCESSING';
+    // Only the payer who locked the intent can redeem it
+    if (requiresSignature(intentStatus, nexusAdapter.settlementBackendType)) {
+      const signatureError = checkEvidenceSignature(evidence, {
+        requestFingerprint: intentRecord.requestFingerprint,
+        payer: intentStatus.payer,
+        chain: intentRecord.challenge?.chain
+      });
+      if (signatureError) {
+        return res.status(402).json({ error: signatureError });
+      }
+    }
+
+    // Mark intent as processing (fails if another request already claimed it)
+    const claimed = await intentStore.transition(
+      intentId,
+      [INTENT_STATUS.CHALLENGED, INTENT_STATUS.LOCKED],
+      INTENT_STATUS.PROCESSING,
+      {
+        payer: intentStatus.payer,
+        nexusTx,
+        expiresAt: Date.now() + (intentRecord.pricingRule?.slaTimeout || PROVIDER_SLA_SECONDS) * 1000
+      }
+    );
+    if (!claimed) {
+      return res.status(409).json({ error: 'Intent already processed', status: intentRecord.status });
+    }
+
+    // Payers may lock the escrow themselves; make sure FluxPayAudit knows the intent before anything settles on it
+    await nexusAdapter.recordLockedIntent(intentId, intentStatus, intentRecord.chain);
 
     // Forward to provider with intent context
     const result = await processWithProvider(intentRecord.endpoint, intentRecord.payload, intentId);
@@ -117,21 +213,40 @@ app.all('/api/*', async (req, res) => {
     // Validate and settle
     const settlementResult = await handleSettlement(intentId, result, intentRecord);
 
-    // Clean up intent
-    activeIntents.delete(intentId);
+    if (format === 'x402') {
+      res.set('X-PAYMENT-RESPONSE', x402.encodePaymentResponse({
+        intentId,
+        status: settlementResult.settlement.status,
+        transaction: settlementResult.settlement.settledTx,
+        payer: intentStatus.payer,
+        chain: nexusAdapter.chains.resolve(intentRecord.chain)
+      }));
+    }
 
     return res.json(settlementResult);
 
   } catch (error) {
     console.error('Gateway error:', error);
 
-    // Attempt refund on errors
+    // Refund requests that failed before they were served; served ones settle through the outbox
     try {
-      if (req.headers['payment-evidence']) {
-        const evidence = JSON.parse(req.headers['payment-evidence']);
-        await nexusAdapter.refundIntent(evidence.intentId);
+      const { evidence } = x402.parsePaymentHeader(req);
+      const claimed = evidence.intentId && await intentStore.transition(
+        evidence.intentId,
+        INTENT_STATUS.PROCESSING,
+        INTENT_STATUS.REFUNDING,
+        { refundFrom: INTENT_STATUS.PROCESSING, expiresAt: Date.now() + slaWatchdog.lease }
+      );
+      if (claimed) {
+        const refundTx = await nexusAdapter.refundIntent(evidence.intentId, null, claimed.chain);
+        await intentStore.transition(evidence.intentId, INTENT_STATUS.REFUNDING, INTENT_STATUS.REFUNDED, {
+          refundTx,
+          refundReason: error.message,
+          expiresAt: null
+        });
       }
     } catch (refundError) {
+      // A claimed refund that failed is handed back to PROCESSING by the SLA watchdog once its lease runs out
       console.error('Refund failed:', refundError);
     }
 
@@ -177,28 +292,36 @@ async function handleSettlement(intentId, result, intentRecord) {
   }
   processedReceipts.add(receipt.nonce);
 
+  // Funds can only be paid out where they are locked
+  const chain = nexusAdapter.chains.resolve(intentRecord.chain).name;
+  if (receipt.payoutChain && nexusAdapter.chains.get(receipt.payoutChain)?.name !== chain) {
+    throw new Error(`Receipt payout chain ${receipt.payoutChain} is not ${chain}, where the intent is locked`);
+  }
+
   // Verify used amount matches expected consumption
   const verifiedAmount = await verifyUsageAmount(receipt, apiResult, intentRecord);
 
-  // Settle via Nexus
-  const settleTx = await nexusAdapter.settleIntent({
-    intentId,
+  // Settle the verified amount and refund the remainder through the outbox (retried if Nexus is unavailable)
+  const splits = splitPolicy.split(verifiedAmount, receipt.provider);
+  const settled = await settlementOutbox.enqueue(intentId, {
     recipient: receipt.provider,
     amount: verifiedAmount,
-    targetChain: receipt.payoutChain || 'ethereum',
-    targetToken: 'USDC'
+    targetChain: chain,
+    targetToken: 'USDC',
+    splits
   });
 
-  // Record on audit contract (pseudo - integration needed)
-  await recordToAuditContract(intentId, verifiedAmount, settleTx);
-
   return {
     result: apiResult,
     settlement: {
       intentId,
-      usedAmount: formatUsdc(verifiedAmount),
-      settledTx: settleTx,
-      refundAmount: formatUsdc(intentRecord.lockedAmount - verifiedAmount)
+      status: settled.status,
+      usedAmount: x402.encodeAmount(verifiedAmount),
+      splits: splits.map(split => ({ ...split, amount: x402.encodeAmount(split.amount) })),
+      settledTx: settled.settlementTx || null,
+      refundAmount: settled.refundAmount !== undefined ? x402.encodeAmount(settled.refundAmount) : null,
+      refundTx: settled.refundTx || null,
+      auditStatus: nexusAdapter.settlementQueue.getStatus(intentId)?.status || null
     }
   };
 }
@@ -209,7 +332,11 @@ async function handleSettlement(intentId, result, intentRecord) {
 async function verifyUsageAmount(receipt, apiResult, intentRecord) {
   let verifiedAmount;
 
-  if (intentRecord.endpoint.startsWith('/ai/')) {
+  if (intentRecord.pricingRule) {
+    // Registry pricing rule quoted in the challenge caps the provider's claim
+    const ruleAmount = pricingEngine.computeAmount(intentRecord.pricingRule, { tokens: parseInt(receipt.tokensUsed) || 0 });
+    verifiedAmount = Math.min(receipt.usedAmount, ruleAmount);
+  } else if (intentRecord.endpoint.startsWith('/ai/')) {
     // For AI endpoints, verify against OpenRouter usage
     verifiedAmount = await openRouterProxy.verifyUsage(apiResult, receipt);
   } else {
@@ -227,126 +354,31 @@ async function verifyUsageAmount(receipt, apiResult, intentRecord) {
 /**
  * Estimate price for different endpoints
  */
-function estimatePrice(endpoint, payload) {
-  if (endpoint.startsWith('/ai/chat')) {
-    return {
-      min: 0.001, // 1k satoshi-ish USDC
-      max: 0.05   // Max $0.05 for long chats
-    };
-  }
+async function estimatePrice(endpoint, payload) {
+  // Defaults in USDC smallest units, used when the endpoint has no registry pricing rule
+  let defaults = { maxBudget: 50000, expirySeconds: 5 * 60 }; // Max $0.05 for long chats
 
-  if (endpoint.startsWith('/api/')) {
-    return {
-      min: 0.0001,
-      max: 0.01
-    };
+  if (!endpoint.startsWith('/api/ai/')) {
+    defaults = { maxBudget: 10000, expirySeconds: 5 * 60 };
   }
 
-  return { min: 0.001, max: 0.05 }; // Default
-}
+  // Registry rules are per route: AI chat, other AI endpoints, and the single provider behind PROVIDER_URL
+  let pricingKey = '/api/*';
+  if (endpoint.startsWith('/api/ai/')) {
+    pricingKey = endpoint.startsWith('/api/ai/chat') ? '/api/ai/chat' : '/api/ai/*';
+  }
 
-/**
- * Format amount in USDC (from wei equivalent)
- */
-function formatUsdc(amount) {
-  return (amount / 1e6).toFixed(6); // USDC has 6 decimals
-}
+  // The challenge asks to lock max, which the quote keeps at or above the rule's minBudget
+  const quote = await pricingEngine.quote(pricingKey, defaults);
 
-/**
- * Pseudo-onchain audit recording
- */
-async function recordToAuditContract(intentId, amount, txHash) {
-  // In production: call smart contract
-  console.log(`Recording settlement: ${intentId} -> ${amount} via ${txHash}`);
-}
-
-/**
- * SLA monitoring and timeout refunds (run periodically)
- */
-async function checkTimeouts() {
-  const now = Date.now() / 1000;
-  for (const [intentId, intent] of activeIntents.entries()) {
-    if (intent.status === 'PROCESSING' && now > intent.expiry) {
-      console.log(`Timeout refund for intent ${intentId}`);
-      await nexusAdapter.refundIntent(intentId);
-      activeIntents.delete(intentId);
-
-      // Record refund on contract
-      await recordRefundToAuditContract(intentId);
-    }
-  }
+  return {
+    max: quote.maxBudget,
+    expirySeconds: quote.expirySeconds,
+    rule: quote.rule
+  };
 }
 
 // User data endpoints for dashboard (demo/mock data)
-app.get('/api/user/:address/intents', (req, res) => {
-  const userAddress = req.params.address.toLowerCase();
-
-  // Mock active intents for demo
-  const mockIntents = [
-    {
-      intentId: 'intent-demo-001',
-      status: 'LOCKED',
-      lockedAmount: 1000000, // 1 USDC in wei-equivalent
-      expiry: Math.floor(Date.now() / 1000) + 300, // 5 minutes from now
-      payer: userAddress
-    },
-    {
-      intentId: 'intent-demo-002',
-      status: 'SETTLED',
-      lockedAmount: 50000,
-      expiry: Math.floor(Date.now() / 1000) + (24 * 60 * 60), // 1 day from now
-      payer: userAddress
-    }
-  ];
-
-  res.json(mockIntents);
-});
-
-app.get('/api/user/:address/receipts', (req, res) => {
-  const userAddress = req.params.address.toLowerCase();
-
-  // Mock receipts for demo
-  const mockReceipts = [
-    {
-      intentId: 'intent-demo-001',
-      usedAmount: 50000, // 0.05 USDC
-      tokensUsed: 150,
-      provider: '0x742d35Cc7c6d21012B5991BcEFf26b5115Cf4C9f',
-      timestamp: Math.floor(Date.now() / 1000) - 3600, // 1 hour ago
-      model: 'openai/gpt-4o-mini',
-      completion: 'The user asked about integrating AI payments...'
-    },
-    {
-      intentId: 'intent-demo-002',
-      usedAmount: 80000, // 0.08 USDC
-      tokensUsed: 200,
-      provider: '0x742d35Cc7c6d21012B5991BcEFf26b5115Cf4C9f',
-      timestamp: Math.floor(Date.now() / 1000) - 1800, // 30 minutes ago
-      model: 'openai/gpt-4o',
-      completion: 'Here is the comprehensive guide for FluxPay integration...'
-    }
-  ];
-
-  res.json(mockReceipts);
-});
-
-app.get('/api/user/:address/refunds', (req, res) => {
-  const userAddress = req.params.address.toLowerCase();
-
-  // Mock refunds for demo
-  const mockRefunds = [
-    {
-      intentId: 'intent-demo-timeout-001',
-      amount: 25000, // 0.025 USDC
-      reason: 'Service timeout',
-      nexusTx: '0x123456789abcdef123456789abcdef123456789abcdef',
-      timestamp: Math.floor(Date.now() / 1000) - (2 * 60 * 60) // 2 hours ago
-    }
-  ];
-
-  res.json(mockRefunds);
-});
-
 app.get('/api/user/:address/balance', (req, res) => {
   const userAddress = req.params.address.toLowerCase();
 
@@ -371,16 +403,15 @@ app.post('/api/user/:address/create-intent', async (req, res) => {
 
   try {
     // In demo mode, just store locally and return success
-    const intentRecord = {
-      intentId,
-      status: 'LOCKED',
+    const expiry = Math.floor(Date.now() / 1000) + (5 * 60); // 5 minutes
+    const intentRecord = await intentStore.put(intentId, {
+      status: INTENT_STATUS.LOCKED,
       lockedAmount: amount,
-      expiry: Math.floor(Date.now() / 1000) + (5 * 60), // 5 minutes
+      expiry,
+      expiresAt: expiry * 1000,
       payer: userAddress,
       timestamp: Date.now()
-    };
-
-    activeIntents.set(intentId, intentRecord);
+    });
 
     res.json({
       success: true,
@@ -394,34 +425,16 @@ app.post('/api/user/:address/create-intent', async (req, res) => {
 
 // Demo AI endpoint that requires payment
 app.post('/api/ai/chat', async (req, res) => {
-  const paymentEvidence = req.headers['payment-evidence'];
-
-  if (!paymentEvidence) {
+  if (!x402.hasPayment(req)) {
     // Return HTTP 402 challenge
     const intentId = generateIntentId();
-    const challenge = {
-      challengeType: 'x402',
-      intentId,
-      maxBudget: '0.050000',
-      token: 'USDC',
-      expiresAt: Math.floor(Date.now() / 1000) + (5 * 60),
-      payWith: 'nexus.createIntent',
-      instructions: {
-        intentId,
-        payer: '<user_wallet>',
-        token: 'USDC',
-        amount: 50000, // 0.05 USDC in wei-equivalent
-        expiry: Math.floor(Date.now() / 1000) + (5 * 60)
-      },
-      retryWith: {
-        header: 'Payment-Evidence',
-        value: { intentId, nexusTx: '<transaction_hash>' }
-      }
-    };
+    const challenge = x402.buildChallenge({ intentId, maxBudget: 50000, expirySeconds: 5 * 60, chain: nexusAdapter.chain }); // 0.05 USDC
 
-    activeIntents.set(intentId, {
-      status: 'PENDING',
+    await intentStore.put(intentId, {
+      status: INTENT_STATUS.CHALLENGED,
+      chain: nexusAdapter.chain.name,
       expiry: challenge.expiresAt,
+      expiresAt: challenge.expiresAt * 1000,
       lockedAmount: 50000,
       endpoint: '/api/ai/chat',
       payload: req.body,
@@ -429,17 +442,16 @@ app.post('/api/ai/chat', async (req, res) => {
       timestamp: Date.now()
     });
 
-    return res.status(402).json(challenge);
+    return x402.sendChallenge(req, res, challenge, { payTo: AI_PROVIDER_ADDRESS });
   }
 
   try {
     // Process payment and generate AI response
-    const evidence = JSON.parse(paymentEvidence);
-    const { intentId } = evidence;
+    const { intentId } = x402.parsePaymentHeader(req).evidence;
 
     // Verify intent
-    const intentRecord = activeIntents.get(intentId);
-    if (!intentRecord || intentRecord.status !== 'PENDING') {
+    const intentRecord = await intentStore.transition(intentId, INTENT_STATUS.CHALLENGED, INTENT_STATUS.PROCESSING);
+    if (!intentRecord) {
       return res.status(400).json({ error: 'Invalid intent' });
     }
 
@@ -514,8 +526,9 @@ This used approximately 150 tokens at GPT-4o-mini pricing. Your remaining balanc
 
     const settlementData = await handleSettlement(intentId, result, intentRecord);
 
-    // Clean up
-    activeIntents.delete(intentId);
+    await intentStore.transition(intentId, INTENT_STATUS.PROCESSING, INTENT_STATUS.SETTLED, {
+      settlement: settlementData.settlement
+    });
 
     res.json(settlementData);
 
@@ -1,4 +1,5 @@
 const crypto = require('crypto');
+const x402 = require('../backend/x402');
 
 module.exports = async (req, res) => {
   // Only allow POST requests
@@ -10,36 +11,23 @@ module.exports = async (req, res) => {
     // Generate a unique intent ID
     const intentId = crypto.randomBytes(16).toString('hex');
 
-    // Simulate an amount from body or default
-    const amount = req.body?.amount || 0.01; // Default 1 cent test
+    // Simulate an amount from body (decimal USDC) or default
+    let maxBudget;
+    try {
+      maxBudget = x402.toBaseUnits(req.body?.amount ?? '0.01'); // Default 1 cent test
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
 
     // Create HTTP 402 challenge
-    const challenge = {
-      challengeType: 'x402',
-      intentId,
-      maxBudget: `${amount}00000`, // Convert to USDC wei-equivalent (multiply by 100000)
-      token: 'USDC',
-      expiresAt: Math.floor(Date.now() / 1000) + (5 * 60), // 5 min expiry
-      payWith: 'fluxpay:nexus-createIntent',
-      instructions: {
-        sdk: 'nexus.createIntent',
-        params: {
-          intentId,
-          payer: '<user_wallet>',
-          token: 'USDC',
-          amount: `${amount}00000`, // 0.01 USDC in wei
-          expiry: Math.floor(Date.now() / 1000) + (5 * 60)
-        }
-      },
-      retryWith: {
-        header: 'Payment-Evidence',
-        value: { intentId, nexusTx: '<transaction_hash>' }
-      }
-    };
+    const challenge = x402.buildChallenge({ intentId, maxBudget, expirySeconds: 5 * 60 });
 
     console.log('Test payment challenge generated:', challenge);
 
-    return res.status(402).json(challenge);
+    return x402.sendChallenge(req, res, challenge, {
+      payTo: process.env.AI_PROVIDER_ADDRESS,
+      description: 'FluxPay test payment'
+    });
 
   } catch (error) {
     console.error('Test payment error:', error);
@@ -0,0 +1,319 @@
+/**
+ * @file balanceService.js
+ * @description Payer token balances on every chain of the chain registry, behind NexusAdapter.getUnifiedBalance and the balance API
+ * Chains are queried in parallel, each under its own timeout; reads for the same chain that arrive together share one
+ * Multicall3 call, and answers are cached for a short TTL. A chain that fails reports its error rather than a zero balance,
+ * and is not queried again until its retry delay has passed
+ */
+
+const ethers = require('ethers');
+
+const DEFAULT_TIMEOUT = 3000; // ms per chain, connecting included
+const DEFAULT_TTL = 15000; // ms
+const DEFAULT_RETRY_AFTER = 5000; // ms a failed chain is reported as unavailable without querying it
+const MAX_BATCH_SIZE = 100; // Reads per multicall
+const MAX_CACHE_ENTRIES = 10000; // Expired entries are pruned past this
+
+const NATIVE_TOKEN = 'ETH';
+const TOKEN_DECIMALS = { ETH: 18, USDC: 6, USDT: 6 };
+
+const BALANCE_STATUS = {
+  OK: 'ok',
+  ERROR: 'error', // The chain did not answer in time or the read failed
+  UNSUPPORTED: 'unsupported' // The registry has no address for the token on the chain
+};
+
+const erc20 = new ethers.Interface(['function balanceOf(address) view returns (uint256)']);
+const multicall3 = new ethers.Interface([
+  'function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)',
+  'function getEthBalance(address addr) view returns (uint256 balance)'
+]);
+
+class BalanceService {
+  /**
+   * @param {ChainRegistry} chains - Chains balances are read on, with their token and Multicall3 addresses
+   * @param {Function} connectProvider - (chain entry) => Promise of an ethers provider, e.g. NexusAdapter.connectProvider
+   * @param {Object} options
+   * @param {number} options.timeout - ms each chain has to answer, connecting included (default 3000)
+   * @param {number} options.ttl - ms a balance is served from cache (default 15000, 0 disables the cache)
+   * @param {number} options.retryAfter - ms before a chain that timed out or could not be reached is queried again (default 5000)
+   */
+  constructor(chains, connectProvider, options = {}) {
+    this.chains = chains;
+    this.connectProvider = connectProvider;
+    this.timeout = options.timeout || DEFAULT_TIMEOUT;
+    this.ttl = Number.isInteger(options.ttl) ? options.ttl : DEFAULT_TTL;
+    this.retryAfter = Number.isInteger(options.retryAfter) ? options.retryAfter : DEFAULT_RETRY_AFTER;
+    this.providers = new Map(); // chain name => Promise of its provider
+    this.batches = new Map(); // chain name => reads waiting for the next multicall
+    this.withoutMulticall = new Set(); // Chains where Multicall3 failed but direct calls worked
+    this.cache = new Map(); // 'chain:token:address' => { balance, expiresAt }
+    this.inFlight = new Map(); // 'chain:token:address' => Promise of the balance
+    this.unavailable = new Map(); // chain name => { error, until } after a timeout or connection failure
+  }
+
+  /**
+   * Balance of an address on every chain
+   * @param {string} address
+   * @param {string} token - Token symbol, ETH for the native balance
+   * @returns {Promise<Object>} { address, token, decimals, total, chains: { name => { status, balance, error } }, complete }
+   *   Balances are strings in token smallest units; total only counts chains that answered, complete is false if any failed
+   */
+  async getBalances(address, token = 'USDC') {
+    const decimals = tokenDecimals(token);
+    const results = await Promise.all(this.chains.list().map(async chain =>
+      [chain.name, await this.getChainBalance(chain.name, address, token)]
+    ));
+
+    const total = results
+      .filter(([, result]) => result.status === BALANCE_STATUS.OK)
+      .reduce((sum, [, result]) => sum + BigInt(result.balance), 0n);
+
+    return {
+      address,
+      token,
+      decimals,
+      total: total.toString(),
+      chains: Object.fromEntries(results),
+      complete: results.every(([, result]) => result.status !== BALANCE_STATUS.ERROR)
+    };
+  }
+
+  /**
+   * Balance of an address on one chain; never throws for chain failures
+   * @param {string|number} chain - Chain name, network name or id
+   * @param {string} address
+   * @param {string} token - Token symbol, ETH for the native balance
+   * @returns {Promise<Object>} { status: 'ok', balance } or { status: 'error'|'unsupported', error }
+   */
+  async getChainBalance(chain, address, token = 'USDC') {
+    const entry = this.chains.resolve(chain);
+    tokenDecimals(token);
+    if (!ethers.isAddress(address)) {
+      throw new Error(`Invalid address: ${address}`);
+    }
+
+    const tokenAddress = token === NATIVE_TOKEN ? null : entry.tokens[token];
+    if (token !== NATIVE_TOKEN && !tokenAddress) {
+      return { status: BALANCE_STATUS.UNSUPPORTED, error: `No ${token} address on ${entry.name}` };
+    }
+
+    const key = `${entry.name}:${token}:${address.toLowerCase()}`;
+    const cached = this.cache.get(key);
+    if (cached && cached.expiresAt > Date.now()) {
+      return { status: BALANCE_STATUS.OK, balance: cached.balance };
+    }
+
+    const down = this.unavailable.get(entry.name);
+    if (down && down.until > Date.now()) {
+      return { status: BALANCE_STATUS.ERROR, error: down.error };
+    }
+
+    // Concurrent requests for the same balance share one read
+    if (!this.inFlight.has(key)) {
+      const timedOut = `${entry.name} did not answer within ${this.timeout}ms`;
+      const reading = withTimeout(this._read(entry, { address, tokenAddress }), this.timeout, timedOut)
+        .catch(error => {
+          if (error.message === timedOut) this._markUnavailable(entry.name, error);
+          throw error;
+        })
+        .then(balance => {
+          this._remember(key, balance.toString());
+          return balance.toString();
+        })
+        .finally(() => this.inFlight.delete(key));
+      this.inFlight.set(key, reading);
+    }
+
+    try {
+      return { status: BALANCE_STATUS.OK, balance: await this.inFlight.get(key) };
+    } catch (error) {
+      console.warn(`⚠️ ${token} balance on ${entry.name} unavailable: ${error.message}`);
+      return { status: BALANCE_STATUS.ERROR, error: error.message };
+    }
+  }
+
+  /**
+   * Drop cached balances, e.g. after funds moved
+   * @param {string} address - Only this address's (all if unset)
+   */
+  invalidate(address = null) {
+    if (!address) {
+      this.cache.clear();
+      return;
+    }
+
+    const suffix = `:${address.toLowerCase()}`;
+    for (const key of this.cache.keys()) {
+      if (key.endsWith(suffix)) this.cache.delete(key);
+    }
+  }
+
+  /**
+   * Close every provider and forget cached balances and failed chains
+   */
+  destroy() {
+    for (const name of Array.from(this.providers.keys())) {
+      this._dropProvider(name);
+    }
+    this.cache.clear();
+    this.unavailable.clear();
+  }
+
+  // Queue a read; reads queued for a chain in the same tick, or while it is connecting, go out together
+  _read(chain, read) {
+    return new Promise((resolve, reject) => {
+      let batch = this.batches.get(chain.name);
+      if (!batch) {
+        batch = [];
+        this.batches.set(chain.name, batch);
+        setImmediate(() => this._flush(chain));
+      }
+      batch.push({ ...read, resolve, reject });
+    });
+  }
+
+  async _flush(chain) {
+    let reads = [];
+    try {
+      const provider = await this._provider(chain);
+      reads = this._takeBatch(chain.name);
+      const chunks = [];
+      for (let i = 0; i < reads.length; i += MAX_BATCH_SIZE) {
+        chunks.push(reads.slice(i, i + MAX_BATCH_SIZE));
+      }
+
+      await Promise.all(chunks.map(async chunk => {
+        const balances = await this._call(chain, provider, chunk);
+        chunk.forEach((read, i) => balances[i] instanceof Error ? read.reject(balances[i]) : read.resolve(balances[i]));
+      }));
+    } catch (error) {
+      // Reconnect on the next read, possibly to a fallback RPC
+      this._dropProvider(chain.name);
+      this._markUnavailable(chain.name, error);
+      if (this.batches.has(chain.name)) reads = this._takeBatch(chain.name);
+      reads.forEach(read => read.reject(error));
+    }
+  }
+
+  _takeBatch(name) {
+    const reads = this.batches.get(name) || [];
+    this.batches.delete(name);
+    return reads;
+  }
+
+  _markUnavailable(name, error) {
+    if (this.retryAfter > 0) {
+      this.unavailable.set(name, { error: error.message, until: Date.now() + this.retryAfter });
+    }
+  }
+
+  /**
+   * Balances for a batch of reads: one Multicall3 call, or direct calls for single reads and chains without Multicall3
+   * @returns {Promise<Array<bigint|Error>>} In the order of the reads
+   */
+  async _call(chain, provider, reads) {
+    if (reads.length > 1 && chain.multicall && !this.withoutMulticall.has(chain.name)) {
+      try {
+        const data = multicall3.encodeFunctionData('aggregate3', [reads.map(read => multicallRead(chain.multicall, read))]);
+        const [results] = multicall3.decodeFunctionResult('aggregate3', await provider.call({ to: chain.multicall, data }));
+        return results.map(([success, returnData]) => success ? decodeBalance(returnData) : new Error('Balance call reverted'));
+      } catch (error) {
+        console.warn(`⚠️ Multicall on ${chain.name} failed, reading balances one by one: ${error.message}`);
+        const balances = await this._callEach(provider, reads);
+        this.withoutMulticall.add(chain.name);
+        return balances;
+      }
+    }
+
+    return this._callEach(provider, reads);
+  }
+
+  async _callEach(provider, reads) {
+    const balances = await Promise.all(reads.map(read => directRead(provider, read).catch(error => error)));
+    // Nothing answered: treat it as the connection failing rather than every token reverting
+    if (balances.every(balance => balance instanceof Error)) throw balances[0];
+    return balances;
+  }
+
+  _provider(chain) {
+    if (!this.providers.has(chain.name)) {
+      const connecting = this.connectProvider(chain);
+      connecting.catch(() => {
+        if (this.providers.get(chain.name) === connecting) this.providers.delete(chain.name);
+      });
+      this.providers.set(chain.name, connecting);
+    }
+    return this.providers.get(chain.name);
+  }
+
+  _dropProvider(name) {
+    const connecting = this.providers.get(name);
+    this.providers.delete(name);
+    if (connecting) connecting.then(provider => provider.destroy?.(), () => {});
+  }
+
+  _remember(key, balance) {
+    if (this.ttl <= 0) return;
+
+    if (this.cache.size >= MAX_CACHE_ENTRIES) {
+      const now = Date.now();
+      for (const [cachedKey, entry] of this.cache) {
+        if (entry.expiresAt <= now) this.cache.delete(cachedKey);
+      }
+    }
+    this.cache.set(key, { balance, expiresAt: Date.now() + this.ttl });
+  }
+}
+
+/**
+ * Decimals of a token the service can read
+ * @param {string} token - Token symbol
+ * @returns {number}
+ */
+function tokenDecimals(token) {
+  if (!(token in TOKEN_DECIMALS)) {
+    throw new Error(`Unsupported token: ${token}`);
+  }
+  return TOKEN_DECIMALS[token];
+}
+
+function multicallRead(multicall, { address, tokenAddress }) {
+  return tokenAddress
+    ? { target: tokenAddress, allowFailure: true, callData: erc20.encodeFunctionData('balanceOf', [address]) }
+    : { target: multicall, allowFailure: true, callData: multicall3.encodeFunctionData('getEthBalance', [address]) };
+}
+
+async function directRead(provider, { address, tokenAddress }) {
+  if (!tokenAddress) {
+    return provider.getBalance(address);
+  }
+
+  const result = decodeBalance(await provider.call({ to: tokenAddress, data: erc20.encodeFunctionData('balanceOf', [address]) }));
+  if (result instanceof Error) throw result;
+  return result;
+}
+
+// balanceOf and getEthBalance both return one uint256; anything else (e.g. '0x' from an address without code) is an error
+function decodeBalance(returnData) {
+  try {
+    return erc20.decodeFunctionResult('balanceOf', returnData)[0];
+  } catch (error) {
+    return new Error(`Unexpected balance call result: ${returnData}`);
+  }
+}
+
+function withTimeout(promise, ms, message) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+module.exports = {
+  BALANCE_STATUS,
+  BalanceService,
+  TOKEN_DECIMALS,
+  tokenDecimals
+};
@@ -0,0 +1,209 @@
+/**
+ * @file chainRegistry.js
+ * @description Chains the gateway can settle on: chain id, RPC endpoints, token addresses, FluxPay contracts and confirmations
+ * Built-in entries cover the supported testnets and read their RPCs and the home chain's contracts from the environment;
+ * a JSON file (FLUXPAY_CHAINS_CONFIG) can add chains or override any field, e.g. contract addresses on other chains
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'config', 'chains.json');
+const DEFAULT_CONFIRMATIONS = 5;
+const MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11'; // Same address on every chain it is deployed on
+
+/**
+ * Built-in chains, keyed by the name settlements and balances use
+ * `network` is the hardhat network (and x402 network) name of the chain; a local node can be added in the config file
+ * @returns {Object} name => chain entry
+ */
+function builtInChains() {
+  return {
+    ethereum: {
+      network: 'sepolia',
+      chainId: 11155111,
+      rpcUrls: [process.env.SEPOLIA_RPC_URL, process.env.ETHEREUM_RPC, 'https://rpc.sepolia.org'],
+      tokens: { USDC: '0x1c7D4B196Cb0C7B01d743Fbc6116a902379C7238' },
+      confirmations: 5
+    },
+    polygon: {
+      network: 'polygon-mumbai',
+      chainId: 80001,
+      rpcUrls: [process.env.POLYGON_MUMBAI_RPC_URL, process.env.POLYGON_RPC, 'https://rpc-mumbai.maticvigil.com'],
+      tokens: { USDC: '0x0FA8781a83E46826621b3BC094Ea2A0212e71B23' },
+      confirmations: 10
+    },
+    arbitrum: {
+      network: 'arbitrum-goerli',
+      chainId: 421613,
+      rpcUrls: [process.env.ARBITRUM_GOERLI_RPC_URL, process.env.ARBITRUM_RPC, 'https://goerli-rollup.arbitrum.io/rpc'],
+      tokens: { USDC: '0x8fb1e3fc51f3b789577ed7557e680551d93a0aa8' },
+      confirmations: 5
+    },
+    avalanche: {
+      network: 'avalanche-fuji',
+      chainId: 43113,
+      rpcUrls: [process.env.AVALANCHE_RPC, 'https://api.avax-test.network/ext/bc/C/rpc'],
+      tokens: { USDC: '0x5425890298aed601595a70AB815c96711a31Bc65' },
+      confirmations: 5
+    },
+    base: {
+      network: 'base-sepolia',
+      chainId: 84532,
+      rpcUrls: [process.env.BASE_SEPOLIA_RPC_URL, 'https://sepolia.base.org'],
+      tokens: { USDC: '0x036CbD53842c5426634e7929541eC2318f3dCF7e' },
+      confirmations: 5
+    }
+  };
+}
+
+class ChainRegistry {
+  /**
+   * @param {Object} chains - name => { network, chainId, rpcUrls, tokens, contracts: { audit, registry, escrow }, confirmations, multicall }
+   *   multicall is the Multicall3 address balance reads are batched through (canonical address if unset, false for none)
+   * @param {string} defaultChain - Chain used when a settlement names none (the home chain of the legacy env settings)
+   */
+  constructor(chains = builtInChains(), defaultChain = 'ethereum') {
+    this.chains = new Map();
+    for (const [name, entry] of Object.entries(chains)) {
+      validateEntry(name, entry);
+      this.chains.set(name, {
+        name,
+        network: entry.network || name,
+        chainId: Number(entry.chainId),
+        rpcUrls: (entry.rpcUrls || []).filter(Boolean),
+        tokens: { ...entry.tokens },
+        contracts: { ...entry.contracts },
+        confirmations: Number.isInteger(entry.confirmations) ? entry.confirmations : DEFAULT_CONFIRMATIONS,
+        multicall: entry.multicall === undefined ? MULTICALL3_ADDRESS : entry.multicall || null
+      });
+    }
+
+    if (!this.chains.has(defaultChain)) {
+      throw new Error(`Default chain ${defaultChain} is not in the chain registry`);
+    }
+    this.defaultChain = defaultChain;
+  }
+
+  /**
+   * Find a chain by name, network name or chain id
+   * @param {string|number} chain - e.g. 'ethereum', 'sepolia' or 11155111
+   * @returns {Object|null} Chain entry
+   */
+  get(chain) {
+    if (chain === null || chain === undefined || chain === '') return null;
+    if (this.chains.has(chain)) return this.chains.get(chain);
+
+    const key = String(chain).toLowerCase();
+    for (const entry of this.chains.values()) {
+      if (entry.name === key || entry.network === key || String(entry.chainId) === key) return entry;
+    }
+    return null;
+  }
+
+  /**
+   * Chain entry, the default chain if none is named
+   * @param {string|number} chain
+   * @returns {Object} Chain entry
+   */
+  resolve(chain = null) {
+    if (chain === null || chain === undefined || chain === '') {
+      return this.chains.get(this.defaultChain);
+    }
+
+    const entry = this.get(chain);
+    if (!entry) {
+      throw new Error(`Unknown chain: ${chain}`);
+    }
+    return entry;
+  }
+
+  /**
+   * Every chain, the default chain first
+   * @returns {Array<Object>}
+   */
+  list() {
+    const entries = Array.from(this.chains.values());
+    return [this.chains.get(this.defaultChain), ...entries.filter(entry => entry.name !== this.defaultChain)];
+  }
+
+  /**
+   * Address of a token on a chain
+   * @param {string|number} chain
+   * @param {string} token - Token symbol
+   * @returns {string|null}
+   */
+  tokenAddress(chain, token) {
+    return this.resolve(chain).tokens[token] || null;
+  }
+
+  /**
+   * Public view of the registry (no RPC URLs, which may carry API keys)
+   * @returns {Array<Object>} { name, network, chainId, tokens, contracts, confirmations, isDefault }
+   */
+  describe() {
+    return this.list().map(({ rpcUrls, ...entry }) => ({ ...entry, isDefault: entry.name === this.defaultChain }));
+  }
+}
+
+/**
+ * Load the chain registry: built-in chains merged with FLUXPAY_CHAINS_CONFIG
+ * The default chain (FLUXPAY_DEFAULT_CHAIN or the file's defaultChain, else 'ethereum') takes FLUXPAY_AUDIT_CONTRACT,
+ * PROVIDER_REGISTRY_CONTRACT and FLUXPAY_ESCROW_CONTRACT unless the file sets its contracts, and USDC_TOKEN_ADDRESS if set
+ * @param {string} filePath - Defaults to FLUXPAY_CHAINS_CONFIG env, then config/chains.json
+ * @returns {ChainRegistry} Built-in chains alone if the file does not exist
+ */
+function loadChainRegistry(filePath = process.env.FLUXPAY_CHAINS_CONFIG || DEFAULT_CONFIG_PATH) {
+  const chains = builtInChains();
+  let defaultChain = 'ethereum';
+
+  if (fs.existsSync(filePath)) {
+    const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    for (const [name, entry] of Object.entries(config.chains || {})) {
+      const base = chains[name] || {};
+      chains[name] = {
+        ...base,
+        ...entry,
+        // Configured RPCs are tried before the built-in ones
+        rpcUrls: [...(entry.rpcUrls || []), ...(base.rpcUrls || [])],
+        tokens: { ...base.tokens, ...entry.tokens },
+        contracts: { ...base.contracts, ...entry.contracts }
+      };
+    }
+    defaultChain = config.defaultChain || defaultChain;
+    console.log(`✅ Loaded ${Object.keys(config.chains || {}).length} chain settings from ${filePath}`);
+  }
+
+  defaultChain = process.env.FLUXPAY_DEFAULT_CHAIN || defaultChain;
+  if (chains[defaultChain]) {
+    if (process.env.USDC_TOKEN_ADDRESS) {
+      chains[defaultChain].tokens = { ...chains[defaultChain].tokens, USDC: process.env.USDC_TOKEN_ADDRESS };
+    }
+    chains[defaultChain].contracts = {
+      audit: process.env.FLUXPAY_AUDIT_CONTRACT,
+      registry: process.env.PROVIDER_REGISTRY_CONTRACT,
+      escrow: process.env.FLUXPAY_ESCROW_CONTRACT,
+      ...withoutEmpty(chains[defaultChain].contracts)
+    };
+  }
+
+  return new ChainRegistry(chains, defaultChain);
+}
+
+function validateEntry(name, entry) {
+  if (!Number.isInteger(Number(entry.chainId)) || Number(entry.chainId) <= 0) {
+    throw new Error(`Chain ${name}: chainId must be a positive integer`);
+  }
+  if (entry.rpcUrls !== undefined && !Array.isArray(entry.rpcUrls)) {
+    throw new Error(`Chain ${name}: rpcUrls must be an array`);
+  }
+}
+
+function withoutEmpty(object = {}) {
+  return Object.fromEntries(Object.entries(object).filter(([, value]) => value));
+}
+
+module.exports = {
+  ChainRegistry,
+  loadChainRegistry
+};
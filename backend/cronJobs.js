@@ -0,0 +1,105 @@
+/**
+ * @file cronJobs.js
+ * @description Background work of the serverless gateway, run one pass per call from the Vercel cron route
+ * A serverless instance is frozen between requests, so none of this can run on an interval there: each cron call
+ * sweeps the SLA watchdog and the settlement outbox, indexes new FluxPayAudit events and flushes audit records
+ * left queued by instances that were frozen or recycled before their batch went out
+ */
+
+const { INTENT_STATUS } = require('./intentStore.js');
+const { SlaWatchdog } = require('./slaWatchdog.js');
+const { SettlementOutbox } = require('./settlementOutbox.js');
+const { PaymentLedger } = require('./paymentLedger.js');
+const { EventIndexer } = require('./eventIndexer.js');
+
+const ABANDONED_AUDIT_MS = 60 * 1000; // A warm instance flushes its audit batch within seconds
+
+class CronJobs {
+  /**
+   * @param {Object} intentStore - Intent store shared with the gateway instances (see intentStore.js)
+   * @param {NexusAdapter} nexusAdapter - Adapter used to refund, settle and read audit events
+   * @param {Object} options
+   * @param {PaymentLedger} options.paymentLedger - Ledger the events are indexed into (PAYMENT_LEDGER_PATH if unset)
+   * @param {number} options.abandonedAfter - Age at which a queued audit record is taken over from its instance (ms)
+   */
+  constructor(intentStore, nexusAdapter, options = {}) {
+    this.intentStore = intentStore;
+    this.nexusAdapter = nexusAdapter;
+    this.abandonedAfter = options.abandonedAfter || ABANDONED_AUDIT_MS;
+    this.slaWatchdog = new SlaWatchdog(intentStore, nexusAdapter, {
+      processingGrace: parseInt(process.env.SLA_PROCESSING_GRACE) || undefined
+    });
+    this.settlementOutbox = new SettlementOutbox(intentStore, nexusAdapter, {
+      maxAttempts: parseInt(process.env.SETTLEMENT_MAX_ATTEMPTS) || undefined
+    });
+    this.paymentLedger = options.paymentLedger || new PaymentLedger({ path: process.env.PAYMENT_LEDGER_PATH });
+    this.eventIndexer = new EventIndexer(nexusAdapter, this.paymentLedger, intentStore, {
+      confirmations: parseInt(process.env.EVENT_INDEXER_CONFIRMATIONS),
+      startBlock: parseInt(process.env.AUDIT_START_BLOCK)
+    });
+
+    // Outbox retries queue audit records too; their status is kept on the intent record like the gateway's
+    const { settlementQueue } = nexusAdapter;
+    settlementQueue.on('queued', (entry) => {
+      intentStore.update(entry.intentId, { auditStatus: 'QUEUED', auditEntry: entry })
+        .catch(error => console.error('Failed to store queued settlement:', error.message));
+    });
+    settlementQueue.on('confirmed', ({ intentId, auditTx }) => {
+      intentStore.update(intentId, { auditStatus: 'CONFIRMED', auditTx, auditEntry: null })
+        .catch(error => console.error('Failed to store settlement status:', error.message));
+    });
+    settlementQueue.on('failed', ({ intentId, error }) => {
+      intentStore.update(intentId, { auditStatus: 'FAILED', auditError: error, auditEntry: null })
+        .catch(storeError => console.error('Failed to store settlement status:', storeError.message));
+    });
+  }
+
+  /**
+   * Run one pass of every job; a job that throws is reported without stopping the others
+   * @returns {Promise<Object>} { sla, settlements, events, audit } results per job
+   */
+  async run() {
+    const now = Date.now();
+    return {
+      sla: await this.report('SLA watchdog sweep', () => this.slaWatchdog.sweep()),
+      settlements: await this.report('Settlement outbox sweep', () => this.settlementOutbox.sweep()),
+      events: await this.report('Event indexer poll', () => {
+        this.paymentLedger.reload(); // Pick up what an overlapping cron run indexed
+        return this.eventIndexer.poll();
+      }),
+      audit: await this.report('Settlement audit flush', () => this.flushAbandonedAudits(now))
+    };
+  }
+
+  /**
+   * Queue audit records whose instance did not flush them and submit everything queued here
+   * @param {number} now - Timestamp in ms
+   * @returns {Promise<number>} Abandoned records taken over
+   */
+  async flushAbandonedAudits(now) {
+    const records = await this.intentStore.listByStatus([INTENT_STATUS.SETTLING, INTENT_STATUS.SETTLED]);
+    const entries = records
+      .filter(record => record.auditStatus === 'QUEUED' && record.auditEntry)
+      .filter(record => now - (record.auditEntry.queuedAt || 0) >= this.abandonedAfter)
+      .map(record => record.auditEntry);
+
+    const restored = this.nexusAdapter.settlementQueue.restore(entries);
+    if (restored > 0) {
+      console.log(`📦 Took over ${restored} abandoned settlement audit records`);
+    }
+
+    await this.nexusAdapter.settlementQueue.drain();
+    return restored;
+  }
+
+  async report(name, job) {
+    try {
+      return await job();
+    } catch (error) {
+      console.error(`${name} failed:`, error.message);
+      return { error: error.message };
+    }
+  }
+}
+
+module.exports = { CronJobs };
@@ -0,0 +1,124 @@
+/**
+ * @file eventIndexer.js
+ * @description Follows FluxPayAudit events into the payments ledger
+ * Blocks are read in ranges up to `confirmations` behind the chain head, so reorged events are never indexed,
+ * and the ledger saves the last indexed block with the events so a restart resumes from its checkpoint
+ */
+
+const ethers = require('ethers');
+
+const DEFAULT_INTERVAL = 15 * 1000; // Poll for new blocks every 15 seconds
+const DEFAULT_CONFIRMATIONS = 5; // Blocks an event must be buried under before it is indexed
+const DEFAULT_BLOCK_RANGE = 2000; // Blocks per log query, within common RPC limits
+
+const AUDIT_EVENTS = ['IntentLocked', 'IntentSettled', 'RemainderRefunded', 'IntentRefunded', 'SettlementSplit'];
+
+class EventIndexer {
+  /**
+   * @param {NexusAdapter} nexusAdapter - Adapter the audit events are read through
+   * @param {PaymentLedger} paymentLedger - Ledger the events are applied to (see paymentLedger.js)
+   * @param {Object} intentStore - Intent store used to name indexed intents (events only carry their hash)
+   * @param {Object} options
+   * @param {number} options.interval - Time between polls (ms)
+   * @param {number} options.confirmations - Blocks behind the head the indexer stays (default: the default chain's registry entry)
+   * @param {number} options.blockRange - Most blocks read per log query
+   * @param {number} options.startBlock - First block to index when the ledger has no checkpoint (the audit deployment block)
+   */
+  constructor(nexusAdapter, paymentLedger, intentStore, options = {}) {
+    this.nexusAdapter = nexusAdapter;
+    this.paymentLedger = paymentLedger;
+    this.intentStore = intentStore;
+    this.interval = options.interval || DEFAULT_INTERVAL;
+    this.confirmations = Number.isInteger(options.confirmations)
+      ? options.confirmations
+      : nexusAdapter.chain?.confirmations ?? DEFAULT_CONFIRMATIONS;
+    this.blockRange = options.blockRange || DEFAULT_BLOCK_RANGE;
+    this.startBlock = Number.isInteger(options.startBlock) ? options.startBlock : null;
+    this.timer = null;
+    this.polling = false;
+  }
+
+  /**
+   * Start polling on an interval (does not keep the process alive)
+   */
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.poll().catch(error => console.error('Event indexer poll failed:', error.message));
+    }, this.interval);
+    this.timer.unref();
+
+    console.log(`✅ Event indexer running every ${this.interval / 1000}s`);
+  }
+
+  /**
+   * Stop polling
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Index confirmed blocks since the ledger checkpoint
+   * @returns {Promise<number>} Number of events applied
+   */
+  async poll() {
+    if (this.polling) return 0;
+    this.polling = true;
+
+    try {
+      const head = await this.nexusAdapter.getBlockNumber();
+      if (head === null) return 0; // No audit contract to follow
+
+      const safeHead = head - this.confirmations;
+      let fromBlock = this.paymentLedger.checkpoint + 1;
+      if (fromBlock === 0) {
+        if (this.startBlock === null) {
+          console.warn(`⚠️ No audit start block configured, indexing FluxPayAudit events from block ${safeHead}`);
+        }
+        fromBlock = this.startBlock ?? safeHead;
+      }
+
+      let applied = 0;
+      while (fromBlock <= safeHead) {
+        const toBlock = Math.min(fromBlock + this.blockRange - 1, safeHead);
+        const events = await this.nexusAdapter.getAuditEvents(fromBlock, toBlock, AUDIT_EVENTS);
+
+        for (const event of events) {
+          if (event.name === 'IntentLocked') {
+            event.intentId = await this.resolveIntentId(event.args.intentId, event.args.payer);
+          }
+        }
+
+        this.paymentLedger.apply(events, toBlock);
+        applied += events.length;
+        fromBlock = toBlock + 1;
+      }
+
+      if (applied > 0) {
+        console.log(`🔄 Indexed ${applied} audit events up to block ${safeHead}`);
+      }
+      return applied;
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * Gateway intent id for an audit intent hash, looked up among the payer's intents
+   * @param {string} intentHash - bytes32 id from the event
+   * @param {string} payer - Payer address from the event
+   * @returns {Promise<string|null>} Intent id, or null if this gateway does not know the intent
+   */
+  async resolveIntentId(intentHash, payer) {
+    const records = await this.intentStore.listByPayer(payer);
+    const record = records.find(candidate => ethers.id(candidate.intentId) === intentHash);
+    return record ? record.intentId : null;
+  }
+}
+
+module.exports = { EventIndexer, AUDIT_EVENTS };
@@ -5,11 +5,32 @@ const ethers = require('ethers');
 const { NexusAdapter } = require('./nexusAdapter.js');
 const { ReceiptVerifier } = require('./receiptVerifier.js');
 const { OpenRouterProxy } = require('./openRouterProxy.js');
+const { createIntentStore, INTENT_STATUS } = require('./intentStore.js');
+const { DEFAULT_MAX_RESPONSE_BYTES, loadRouteTable, pathError } = require('./routeTable.js');
+const { PricingEngine } = require('./pricingEngine.js');
+const { loadSplitPolicy, toReceiptSplits } = require('./revenueSplits.js');
+const { RoutePlanner, loadFeeModel } = require('./routePlanner.js');
+const { BALANCE_STATUS, TOKEN_DECIMALS } = require('./balanceService.js');
+const { fingerprintRequest } = require('./requestFingerprint.js');
+const { IdempotencyManager } = require('./idempotency.js');
+const x402 = require('./x402.js');
+const { checkEvidenceSignature, requiresSignature } = require('./paymentEvidence.js');
+const { SlaWatchdog } = require('./slaWatchdog.js');
+const { SettlementOutbox } = require('./settlementOutbox.js');
+const { SessionManager, summarize: summarizeSession } = require('./sessionManager.js');
+const { PaymentLedger } = require('./paymentLedger.js');
+const { EventIndexer } = require('./eventIndexer.js');
+const { Reconciler } = require('./reconciler.js');
 
 // Environment variables
 const PORT = process.env.PORT || 3002;
 const OPENROUTER_API_KEY = process.env.OPENROUTER_API_KEY;
 const GATEWAY_PRIVATE_KEY = process.env.GATEWAY_PRIVATE_KEY;
+const AI_PROVIDER_ADDRESS = process.env.AI_PROVIDER_ADDRESS || '0x742d35Cc6795C2c3A850473e17b10F75d08Cf10E8'; // Demo address
+const AI_PROVIDER_CHAIN = process.env.AI_PROVIDER_CHAIN; // Chain the AI provider is paid on (default chain if unset)
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY; // Operator endpoints are disabled without it
+const DEFAULT_SESSION_BUDGET = 1000000; // 1 USDC
+const MAX_SESSION_BUDGET = parseInt(process.env.SESSION_MAX_BUDGET) || 10000000; // 10 USDC
 
 const app = express();
 app.use(express.json());
@@ -17,16 +38,94 @@ app.use(express.json());
 // Initialize services
 const nexusAdapter = new NexusAdapter();
 const receiptVerifier = require('./receiptVerifier.js');
-const openRouter = new OpenRouterProxy({ apiKey: OPENROUTER_API_KEY });
+const openRouter = new OpenRouterProxy(OPENROUTER_API_KEY);
 
-// Store active payments (in production, use Redis)
-const activePayments = new Map();
+// Durable intent store (INTENT_STORE=file to persist across restarts and instances)
+const intentStore = createIntentStore();
+
+// Paid upstream APIs served by handleGenericAPI (FLUXPAY_ROUTES_CONFIG)
+const routeTable = loadRouteTable();
+// Fail at startup rather than on the first settlement if a route names a chain the registry does not know
+routeTable.routes.forEach(route => nexusAdapter.chains.resolve(route.chain));
+
+// Challenge budgets and settled amounts from ProviderRegistry pricing rules
+const pricingEngine = new PricingEngine(nexusAdapter);
+
+// Gateway fee and template author shares taken from settled amounts (FLUXPAY_SPLITS_CONFIG)
+const splitPolicy = loadSplitPolicy();
+
+// Chains payers fund intents from, ranked by bridge and gas fees (FLUXPAY_FEES_CONFIG)
+const routePlanner = new RoutePlanner(nexusAdapter.chains, loadFeeModel());
+
+// Expires unpaid challenges and refunds intents past their SLA deadline (SLA_WATCHDOG_INTERVAL ms)
+const slaWatchdog = new SlaWatchdog(intentStore, nexusAdapter, {
+  interval: parseInt(process.env.SLA_WATCHDOG_INTERVAL) || undefined,
+  processingGrace: parseInt(process.env.SLA_PROCESSING_GRACE) || undefined
+});
+
+// Settlement jobs for served requests, retried with backoff and dead-lettered for operators
+const settlementOutbox = new SettlementOutbox(intentStore, nexusAdapter, {
+  interval: parseInt(process.env.SETTLEMENT_RETRY_INTERVAL) || undefined,
+  maxAttempts: parseInt(process.env.SETTLEMENT_MAX_ATTEMPTS) || undefined
+});
+
+// Prepaid sessions: one locked intent drawn down by many requests, settled on close or expiry
+const sessionManager = new SessionManager(intentStore, nexusAdapter, settlementOutbox, {
+  interval: parseInt(process.env.SESSION_SWEEP_INTERVAL) || undefined,
+  maxTtl: parseInt(process.env.SESSION_MAX_TTL) || undefined,
+  settlementMargin: parseInt(process.env.SESSION_SETTLEMENT_MARGIN) || undefined
+});
+
+// Payments ledger built from FluxPayAudit events, checkpointed to PAYMENT_LEDGER_PATH if set
+const paymentLedger = new PaymentLedger({ path: process.env.PAYMENT_LEDGER_PATH });
+const eventIndexer = new EventIndexer(nexusAdapter, paymentLedger, intentStore, {
+  interval: parseInt(process.env.EVENT_INDEXER_INTERVAL) || undefined,
+  confirmations: parseInt(process.env.EVENT_INDEXER_CONFIRMATIONS),
+  startBlock: parseInt(process.env.AUDIT_START_BLOCK)
+});
+
+// Compares intent records with FluxPayAudit (RECONCILE_INTERVAL ms, RECONCILE_AUTO_REPAIR=true to repair)
+const reconciler = new Reconciler(intentStore, nexusAdapter, paymentLedger, {
+  interval: parseInt(process.env.RECONCILE_INTERVAL) || undefined,
+  repair: process.env.RECONCILE_AUTO_REPAIR === 'true'
+});
+
+// Stored responses for retries carrying the same Idempotency-Key
+const idempotency = new IdempotencyManager(intentStore, {
+  maxBodyBytes: parseInt(process.env.IDEMPOTENCY_MAX_BODY_BYTES) || undefined
+});
+
+// Settlement audit records are written in batches; queued entries are kept on the intent record until the
+// final status lands there, so a restart queues them again
+nexusAdapter.settlementQueue.on('queued', (entry) => {
+  intentStore.update(entry.intentId, { auditStatus: 'QUEUED', auditEntry: entry })
+    .catch(error => console.error('Failed to store queued settlement:', error.message));
+});
+nexusAdapter.settlementQueue.on('confirmed', ({ intentId, auditTx }) => {
+  intentStore.update(intentId, { auditStatus: 'CONFIRMED', auditTx, auditEntry: null })
+    .catch(error => console.error('Failed to store settlement status:', error.message));
+});
+nexusAdapter.settlementQueue.on('failed', ({ intentId, error }) => {
+  intentStore.update(intentId, { auditStatus: 'FAILED', auditError: error, auditEntry: null })
+    .catch(storeError => console.error('Failed to store settlement status:', storeError.message));
+});
+
+// Audit records that were still queued when the gateway last stopped
+async function restoreSettlementQueue() {
+  const records = await intentStore.listByStatus([INTENT_STATUS.SETTLING, INTENT_STATUS.SETTLED]);
+  const entries = records.filter(record => record.auditStatus === 'QUEUED' && record.auditEntry).map(record => record.auditEntry);
+  const restored = nexusAdapter.settlementQueue.restore(entries);
+  if (restored > 0) {
+    console.log(`📦 Restored ${restored} queued settlement audit records`);
+  }
+}
 
 // Middleware for CORS
 app.use((req, res, next) => {
   res.header('Access-Control-Allow-Origin', '*');
   res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Content-Type, Payment-Evidence, Authorization');
+  res.header('Access-Control-Allow-Headers', 'Content-Type, Payment-Evidence, X-PAYMENT, X-FluxPay-Session, Idempotency-Key, Authorization');
+  res.header('Access-Control-Expose-Headers', 'X-FluxPay-Settlement, X-FluxPay-Refunded, Idempotent-Replayed, PAYMENT-REQUIRED, X-PAYMENT-RESPONSE');
 
   if (req.method === 'OPTIONS') {
     res.sendStatus(200);
@@ -40,8 +139,16 @@ app.use((req, res, next) => {
   try {
     await nexusAdapter.initialize();
     console.log('✅ Nexus adapter initialized');
+    await restoreSettlementQueue();
+    await pricingEngine.watch();
+    slaWatchdog.start();
+    settlementOutbox.start();
+    sessionManager.start();
+    eventIndexer.start();
+    reconciler.start();
   } catch (error) {
     console.error('⚠️ Nexus initialization failed:', error.message);
+    if (nexusAdapter.backend.name === 'evm') process.exit(1);
   }
 })();
 
@@ -64,9 +171,12 @@ app.get('/api/user/:address/balance', async (req, res) => {
     if (!address || !ethers.isAddress(address)) {
       return res.status(400).json({ error: 'Invalid Ethereum address' });
     }
+    if (!(token in TOKEN_DECIMALS)) {
+      return res.status(400).json({ error: `Unsupported token: ${token}`, supported: Object.keys(TOKEN_DECIMALS) });
+    }
 
-    const balances = await fetchRealBalances(address, token);
-    res.json(balances);
+    const balances = await nexusAdapter.balances.getBalances(address, token);
+    res.json(formatBalances(balances));
 
   } catch (error) {
     console.error('Balance fetch error:', error);
@@ -74,16 +184,229 @@ app.get('/api/user/:address/balance', async (req, res) => {
   }
 });
 
+// Chains settlements can target (no RPC URLs, which may carry API keys)
+app.get('/api/chains', (req, res) => {
+  res.json({ defaultChain: nexusAdapter.chain.name, chains: nexusAdapter.chains.describe() });
+});
+
+// Ranked ways for a payer to fund an amount (USDC smallest units) on a payout chain (default chain if unset)
+app.get('/api/user/:address/funding-routes', async (req, res) => {
+  const { address } = req.params;
+  const amount = Number(req.query.amount);
+
+  if (!ethers.isAddress(address)) {
+    return res.status(400).json({ error: 'Invalid Ethereum address' });
+  }
+  if (!Number.isSafeInteger(amount) || amount <= 0) {
+    return res.status(400).json({ error: 'amount must be a positive integer (USDC smallest units)' });
+  }
+
+  let targetChain;
+  try {
+    targetChain = nexusAdapter.chains.resolve(req.query.chain).name;
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    const breakdown = await fetchBreakdown(address);
+    res.json({ address, amount, targetChain, breakdown, routes: routePlanner.plan(breakdown, { amount, payoutChain: targetChain }) });
+  } catch (error) {
+    console.error('Funding route planning error:', error);
+    res.status(500).json({ error: 'Failed to plan funding routes' });
+  }
+});
+
+// Intents, settlements and refunds of a payer from the payments ledger
+app.get('/api/user/:address/intents', (req, res) => {
+  res.json(paymentLedger.listIntents(req.params.address));
+});
+
+app.get('/api/user/:address/receipts', (req, res) => {
+  res.json(paymentLedger.listReceipts(req.params.address));
+});
+
+app.get('/api/user/:address/refunds', (req, res) => {
+  res.json(paymentLedger.listRefunds(req.params.address));
+});
+
+// Settlement and audit status for an intent
+app.get('/api/settlements/:intentId', async (req, res) => {
+  const { intentId } = req.params;
+  const record = await intentStore.get(intentId);
+  if (!record) {
+    return res.status(404).json({ error: 'Unknown intent', intentId });
+  }
+
+  const audit = nexusAdapter.settlementQueue.getStatus(intentId);
+  res.json({
+    intentId,
+    status: record.status,
+    usedAmount: record.usedAmount !== undefined ? x402.encodeAmount(record.usedAmount) : null,
+    refundAmount: record.refundAmount !== undefined ? x402.encodeAmount(record.refundAmount) : null,
+    splits: record.settlementJob ? formatSplits(record.settlementJob) : null,
+    settlementTx: record.settlementTx || null,
+    refundTx: record.refundTx || null,
+    auditStatus: audit?.status || record.auditStatus || null,
+    auditTx: audit?.auditTx || record.auditTx || null,
+    auditError: audit?.error || record.auditError || null,
+    settlementAttempts: record.settlementAttempts || 0,
+    settlementError: record.lastSettlementError || null
+  });
+});
+
+// Dead-lettered settlements waiting for an operator
+app.get('/api/admin/settlements/dead-letter', requireAdmin, async (req, res) => {
+  const records = await settlementOutbox.listDeadLetters();
+
+  res.json({
+    count: records.length,
+    settlements: records.map(record => ({
+      intentId: record.intentId,
+      payer: record.payer,
+      provider: record.settlementJob?.recipient,
+      usedAmount: x402.encodeAmount(record.settlementJob?.amount || 0),
+      attempts: record.settlementAttempts,
+      lastError: record.lastSettlementError,
+      lastRefundError: record.lastRefundError || null,
+      deadLetteredAt: record.deadLetteredAt
+    }))
+  });
+});
+
+// Resolve a dead-lettered settlement: { action: 'retry' | 'refund' | 'settled', settlementTx, note }
+app.post('/api/admin/settlements/:intentId/resolve', requireAdmin, async (req, res) => {
+  const { intentId } = req.params;
+  const { action, settlementTx, note } = req.body || {};
+
+  if (!['retry', 'refund', 'settled'].includes(action)) {
+    return res.status(400).json({ error: 'Invalid action', allowed: ['retry', 'refund', 'settled'] });
+  }
+
+  if (action === 'settled' && !settlementTx) {
+    return res.status(400).json({ error: 'settlementTx is required for action settled' });
+  }
+
+  const record = await intentStore.get(intentId);
+  if (!record) {
+    return res.status(404).json({ error: 'Unknown intent', intentId });
+  }
+
+  if (record.status !== INTENT_STATUS.DEAD_LETTER) {
+    return res.status(409).json({ error: 'Settlement is not in dead letter', intentId, status: record.status });
+  }
+
+  try {
+    const resolved = await settlementOutbox.resolve(intentId, { action, settlementTx, note });
+    res.json({
+      intentId,
+      status: resolved.status,
+      settlementTx: resolved.settlementTx || null,
+      refundTx: resolved.refundTx || null,
+      lastError: resolved.lastSettlementError || null
+    });
+  } catch (error) {
+    console.error('Settlement resolution failed:', error);
+    res.status(502).json({ error: 'Settlement resolution failed', message: error.message, intentId });
+  }
+});
+
+// Gateway wallet transactions waiting to be mined (nonce, fees, replacements)
+app.get('/api/admin/transactions', requireAdmin, (req, res) => {
+  const transactions = nexusAdapter.listPendingTransactions();
+  res.json({ count: transactions.length, transactions });
+});
+
+// Latest reconciliation report
+app.get('/api/admin/reconciliation', requireAdmin, (req, res) => {
+  if (!reconciler.lastReport) {
+    return res.status(404).json({ error: 'No reconciliation has run yet' });
+  }
+
+  res.json(reconciler.lastReport);
+});
+
+// Reconcile now: { repair } writes missing audit records and refreshes stale audit statuses
+app.post('/api/admin/reconciliation', requireAdmin, async (req, res) => {
+  try {
+    await eventIndexer.poll();
+    const report = await reconciler.run({ repair: Boolean(req.body?.repair) });
+    if (!report) {
+      return res.status(409).json({ error: 'Reconciliation already running' });
+    }
+
+    res.json(report);
+  } catch (error) {
+    console.error('Reconciliation error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Open a prepaid session: { budget, ttlSeconds } is challenged with a 402, the paid retry returns a session token
+app.post('/api/sessions', async (req, res) => {
+  try {
+    if (x402.hasPayment(req)) {
+      await openSession(req, res);
+    } else {
+      await handleSessionChallenge(req, res);
+    }
+  } catch (error) {
+    console.error('Session error:', error);
+    res.status(500).json({ error: 'Internal server error', message: error.message });
+  }
+});
+
+// Balance of the session in X-FluxPay-Session
+app.get('/api/sessions/current', async (req, res) => {
+  const session = await sessionManager.authenticate(req.headers['x-fluxpay-session']);
+  if (!session) {
+    return res.status(401).json({ error: 'Invalid session token' });
+  }
+
+  res.json(formatSession(session));
+});
+
+// Close the session in X-FluxPay-Session: settles what was spent and refunds the rest
+app.delete('/api/sessions/current', async (req, res) => {
+  const session = await sessionManager.authenticate(req.headers['x-fluxpay-session']);
+  if (!session) {
+    return res.status(401).json({ error: 'Invalid session token' });
+  }
+
+  try {
+    const closed = await sessionManager.close(session.intentId);
+    if (!closed) {
+      return res.status(409).json({ error: 'Session already closed', ...formatSession(session) });
+    }
+
+    res.json({
+      ...formatSession(closed),
+      settlement: closed.settlementJob ? describeSettlement(closed) : null,
+      refundTx: closed.status === INTENT_STATUS.REFUNDED ? closed.refundTx : null
+    });
+  } catch (error) {
+    console.error('Session close failed:', error);
+    res.status(502).json({ error: 'Session close failed', message: error.message, sessionId: session.intentId });
+  }
+});
+
 // Main x402 gateway endpoint
 app.all('/api/*', async (req, res) => {
   const path = req.path;
   const method = req.method;
 
-  try {
-    // Check if request has payment evidence
-    const paymentEvidence = req.headers['payment-evidence'];
+  // Paid paths are forwarded upstream, so they must stay under the route's or provider's URL
+  const invalidPath = pathError(path);
+  if (invalidPath) {
+    return res.status(400).json({ error: invalidPath, endpoint: path });
+  }
 
-    if (paymentEvidence) {
+  try {
+    if (req.headers['x-fluxpay-session']) {
+      // Drawn from a prepaid session instead of a per-request payment
+      await handleSessionRequest(req, res);
+    } else if (x402.hasPayment(req)) {
+      // Check if request has payment evidence (legacy Payment-Evidence or x402 X-PAYMENT)
       // Process paid request
       await handlePaidRequest(req, res);
     } else {
@@ -104,46 +427,284 @@ async function handlePaymentChallenge(req, res) {
   const path = req.path;
   const intentId = `fluxpay:${crypto.randomUUID()}`;
 
-  // Determine pricing based on endpoint
-  let maxBudget, expiryTime;
+  const quoted = await quoteRequest(path);
+  if (!quoted) {
+    return res.status(404).json({ error: 'No paid route configured for endpoint', endpoint: path });
+  }
+  const { quote, payTo, payoutChain, slaSeconds } = quoted;
+  // The intent is locked, settled and refunded on the chain the payee is paid on
+  const chain = nexusAdapter.chains.resolve(payoutChain);
+
+  // The paid retry must carry the same method, path, query, body and model
+  const requestFingerprint = fingerprintRequest(req);
+
+  const challenge = x402.buildChallenge({
+    intentId,
+    maxBudget: quote.maxBudget,
+    expirySeconds: quote.expirySeconds,
+    requestFingerprint,
+    fundingRoute: await suggestFundingRoute(req, quote.maxBudget, chain.name),
+    chain
+  });
+
+  // Store challenge for verification
+  await intentStore.put(intentId, {
+    challenge,
+    status: INTENT_STATUS.CHALLENGED,
+    chain: chain.name,
+    endpoint: path,
+    requestFingerprint,
+    lockedAmount: quote.maxBudget,
+    slaSeconds,
+    pricing: quotePricing(quote),
+    expiresAt: challenge.expiresAt * 1000
+  });
+
+  x402.sendChallenge(req, res, challenge, { payTo });
+}
+
+// Budget, timing, payee and payout chain of a paid endpoint, or null if nothing is served there
+async function quoteRequest(path) {
+  // Default pricing by endpoint type (USDC smallest units), used when no registry rule exists
+  let defaults;
+  let payTo;
+  let payoutChain = null; // Default chain
+  let pricingKey; // Registry rules are per route, so every sub-path of a route shares one rule
 
   if (path.startsWith('/api/ai/')) {
     // AI endpoints: estimate based on expected usage
-    maxBudget = '0.05'; // Max 0.05 USDC for AI calls
-    expiryTime = 5 * 60; // 5 minutes
+    defaults = { maxBudget: 50000, expirySeconds: 5 * 60, slaSeconds: 5 * 60 }; // Max 0.05 USDC, 5 minutes
+    payTo = AI_PROVIDER_ADDRESS;
+    payoutChain = AI_PROVIDER_CHAIN;
+    pricingKey = path.startsWith('/api/ai/chat') ? '/api/ai/chat' : '/api/ai/*';
+  } else if (path.startsWith('/api/provider/')) {
+    // Registered provider endpoints
+    defaults = { maxBudget: 10000, expirySeconds: 2 * 60, slaSeconds: 60 }; // Max 0.01 USDC, 2 minutes
+    payTo = path.split('/')[3];
+    pricingKey = `/api/provider/${payTo.toLowerCase()}`;
   } else {
-    // Generic API endpoints
-    maxBudget = '0.01'; // Max 0.01 USDC
-    expiryTime = 2 * 60; // 2 minutes
+    // Generic API endpoints: budget comes from the route table
+    const matched = routeTable.match(path);
+    if (!matched) {
+      return null;
+    }
+
+    defaults = {
+      maxBudget: matched.route.maxBudget,
+      expirySeconds: 2 * 60 + Math.ceil(matched.route.timeout / 1000), // 2 minutes plus upstream timeout
+      slaSeconds: 60 + Math.ceil(matched.route.timeout / 1000)
+    };
+    payTo = matched.route.recipient;
+    payoutChain = matched.route.chain;
+    pricingKey = matched.route.path;
   }
 
-  const challenge = {
-    challengeType: 'x402',
-    intentId,
-    maxBudget,
-    token: 'USDC',
-    expiresAt: Math.floor(Date.now() / 1000) + expiryTime,
-    instructions: {
-      sdk: 'avail-nexus',
-      method: 'intent.create',
-      params: {
-        intentId,
-        token: 'USDC',
-        amount: maxBudget,
-        expiry: Math.floor(Date.now() / 1000) + expiryTime
-      }
-    }
+  // ProviderRegistry pricing rule (by endpointHash of the route) overrides the defaults
+  const quote = await pricingEngine.quote(pricingKey, defaults);
+  return { quote, payTo, payoutChain, slaSeconds: quote.rule?.slaTimeout || defaults.slaSeconds };
+}
+
+// Cheapest funding route for the payer named in X-FluxPay-Payer, or null if unnamed or unfundable
+// A challenge is never failed over it: balances that cannot be read just leave the suggestion out
+async function suggestFundingRoute(req, amount, payoutChain) {
+  const payer = req.headers['x-fluxpay-payer'];
+  if (!payer || !ethers.isAddress(payer)) return null;
+
+  try {
+    const [cheapest] = routePlanner.plan(await fetchBreakdown(payer), { amount, payoutChain });
+    return cheapest || null;
+  } catch (error) {
+    console.warn(`⚠️ Funding route for ${payer} unavailable: ${error.message}`);
+    return null;
+  }
+}
+
+// Payer's USDC per chain in smallest units, as the route planner takes it; chains that did not answer cannot fund a route
+async function fetchBreakdown(address) {
+  const { chains } = await nexusAdapter.balances.getBalances(address, 'USDC');
+  return Object.fromEntries(Object.entries(chains)
+    .filter(([, result]) => result.status === BALANCE_STATUS.OK)
+    .map(([chain, result]) => [chain, Number(result.balance)]));
+}
+
+// Pricing stored on an intent record, metered against when the request is served
+function quotePricing(quote) {
+  return {
+    endpointHash: quote.endpointHash,
+    source: quote.source,
+    minBudget: quote.minBudget,
+    rule: quote.rule
   };
+}
 
-  // Store challenge for verification
-  activePayments.set(intentId, {
+// Challenge the budget of a new session (HTTP 402)
+async function handleSessionChallenge(req, res) {
+  const budget = parseInt(req.body?.budget ?? DEFAULT_SESSION_BUDGET);
+  if (!Number.isInteger(budget) || budget <= 0 || budget > MAX_SESSION_BUDGET) {
+    return res.status(400).json({
+      error: 'Invalid session budget',
+      max: String(MAX_SESSION_BUDGET) // USDC smallest units
+    });
+  }
+
+  const intentId = `fluxpay:${crypto.randomUUID()}`;
+  const requestFingerprint = fingerprintRequest(req);
+
+  // The lock has to outlive the session and its settlement, plus the time the payer takes to lock it
+  const challenge = x402.buildChallenge({
+    intentId,
+    maxBudget: budget,
+    expirySeconds: 5 * 60 + sessionManager.ttl(req.body?.ttlSeconds) + sessionManager.settlementMargin,
+    requestFingerprint,
+    fundingRoute: await suggestFundingRoute(req, budget, null), // Sessions settle on the default chain
+    chain: nexusAdapter.chain
+  });
+
+  await intentStore.put(intentId, {
     challenge,
-    status: 'CHALLENGED',
-    createdAt: Date.now(),
+    status: INTENT_STATUS.CHALLENGED,
+    chain: nexusAdapter.chain.name,
+    mode: 'session',
+    endpoint: req.path,
+    requestFingerprint,
+    lockedAmount: budget,
     expiresAt: challenge.expiresAt * 1000
   });
 
-  res.status(402).json(challenge);
+  // Session funds stay locked until the session settles, then go to the providers it used
+  x402.sendChallenge(req, res, challenge, {
+    payTo: nexusAdapter.contracts.escrow || AI_PROVIDER_ADDRESS,
+    description: 'FluxPay prepaid session'
+  });
+}
+
+// Open a session on a locked session intent
+async function openSession(req, res) {
+  const { evidence } = x402.parsePaymentHeader(req);
+  const { intentId, nexusTx } = evidence;
+
+  if (!intentId || !nexusTx) {
+    return res.status(400).json({ error: 'Invalid payment evidence', required: ['intentId', 'nexusTx'] });
+  }
+
+  const record = await intentStore.get(intentId);
+  if (!record || record.mode !== 'session') {
+    return res.status(402).json({ error: 'Unknown session intent, request a new payment challenge', intentId });
+  }
+
+  if (record.requestFingerprint !== fingerprintRequest(req)) {
+    return res.status(402).json({ error: 'Payment evidence does not match the challenged request', intentId });
+  }
+
+  const intentStatus = await nexusAdapter.getIntentStatus(intentId, record.chain);
+  if (intentStatus.status !== 'LOCKED') {
+    return res.status(402).json({ error: 'Intent not locked or invalid', intentId, status: intentStatus.status });
+  }
+
+  // Only the payer who locked the intent can open the session
+  if (requiresSignature(intentStatus, nexusAdapter.settlementBackendType)) {
+    const signatureError = checkEvidenceSignature(evidence, {
+      requestFingerprint: record.requestFingerprint,
+      payer: intentStatus.payer,
+      chain: record.challenge?.chain
+    });
+    if (signatureError) {
+      return res.status(402).json({ error: signatureError, intentId });
+    }
+  }
+
+  if (sessionManager.deadline(req.body?.ttlSeconds, intentStatus.expiry) === null) {
+    return res.status(402).json({ error: 'Intent lock expires too soon to open a session', intentId });
+  }
+
+  const opened = await sessionManager.open(intentId, {
+    payer: intentStatus.payer,
+    budget: Math.min(Number(intentStatus.amount), record.lockedAmount),
+    ttlSeconds: req.body?.ttlSeconds,
+    lockExpiry: intentStatus.expiry
+  }, { evidence, processedAt: Date.now() });
+
+  if (!opened) {
+    const existing = await intentStore.get(intentId);
+    return res.status(409).json({ error: 'Intent already processed', intentId, status: existing.status });
+  }
+
+  // Payers may lock the escrow themselves; make sure FluxPayAudit knows the intent before anything settles on it
+  await nexusAdapter.recordLockedIntent(intentId, intentStatus, record.chain);
+
+  res.status(201).json({
+    sessionToken: opened.sessionToken,
+    header: 'X-FluxPay-Session',
+    ...formatSession(opened.record)
+  });
+}
+
+// Serve a request drawn from a prepaid session
+async function handleSessionRequest(req, res) {
+  const session = await sessionManager.authenticate(req.headers['x-fluxpay-session']);
+  if (!session) {
+    return res.status(401).json({ error: 'Invalid session token' });
+  }
+
+  if (session.status !== INTENT_STATUS.SESSION_OPEN || session.expiresAt <= Date.now()) {
+    return res.status(410).json({ error: 'Session closed', ...formatSession(session) });
+  }
+
+  const quoted = await quoteRequest(req.path);
+  if (!quoted) {
+    return res.status(404).json({ error: 'No paid route configured for endpoint', endpoint: req.path });
+  }
+
+  // Reserve the most this call may cost; the metered amount is charged once it is served
+  const call = await sessionManager.reserve(session.intentId, quoted.quote.maxBudget, {
+    endpoint: req.path,
+    pricing: quotePricing(quoted.quote),
+    slaSeconds: quoted.slaSeconds
+  });
+
+  if (!call) {
+    const current = await intentStore.get(session.intentId);
+    return res.status(402).json({
+      error: 'Session budget too low for this request',
+      required: x402.encodeAmount(quoted.quote.maxBudget),
+      ...formatSession(current)
+    });
+  }
+
+  res.locals.payment = { format: 'session', payer: session.payer };
+
+  try {
+    if (req.path.startsWith('/api/ai/chat')) {
+      await handleAIChat(req, res, call.intentId);
+    } else if (req.path.startsWith('/api/provider/')) {
+      await handleProviderProxy(req, res, call.intentId);
+    } else {
+      await handleGenericAPI(req, res, call.intentId);
+    }
+  } catch (error) {
+    console.error('Session request processing error:', error);
+    res.status(500).json({
+      error: 'Service processing failed',
+      funds: 'returned to session',
+      sessionId: session.intentId,
+      callId: call.intentId
+    });
+  }
+}
+
+// Session balance for a response, amounts in USDC base units
+function formatSession(record) {
+  return formatSessionSummary(summarizeSession(record));
+}
+
+function formatSessionSummary(summary) {
+  return {
+    ...summary,
+    budget: x402.encodeAmount(summary.budget),
+    spent: x402.encodeAmount(summary.spent),
+    reserved: x402.encodeAmount(summary.reserved),
+    remaining: x402.encodeAmount(summary.remaining)
+  };
 }
 
 // Handle paid request with evidence
@@ -151,8 +712,9 @@ async function handlePaidRequest(req, res) {
   try {
     const path = req.path;
     const method = req.method;
-    const paymentEvidence = JSON.parse(req.headers['payment-evidence'] || '{}');
+    const { format, evidence: paymentEvidence } = x402.parsePaymentHeader(req);
     const { intentId, nexusTx } = paymentEvidence;
+    const idempotencyKey = req.headers['idempotency-key'];
 
     if (!intentId || !nexusTx) {
       return res.status(400).json({
@@ -161,8 +723,45 @@ async function handlePaidRequest(req, res) {
       });
     }
 
-    // Verify intent status with Nexus
-    const intentStatus = await nexusAdapter.getIntentStatus(intentId);
+    if (idempotencyKey !== undefined && !idempotency.isValidKey(idempotencyKey)) {
+      return res.status(400).json({
+        error: 'Invalid Idempotency-Key',
+        maxLength: 255
+      });
+    }
+
+    // Evidence is only valid for the exact request the challenge was issued for
+    const record = await intentStore.get(intentId);
+    if (!record) {
+      return res.status(402).json({
+        error: 'Unknown intent, request a new payment challenge',
+        intentId
+      });
+    }
+
+    if (record.requestFingerprint !== fingerprintRequest(req)) {
+      return res.status(402).json({
+        error: 'Payment evidence does not match the challenged request',
+        intentId,
+        required: ['method', 'path', 'query', 'body', 'model']
+      });
+    }
+
+    // A retry with the same key gets the original response instead of a second run (payer-signed too)
+    if (idempotencyKey && record.idempotencyKey === idempotencyKey) {
+      const signatureError = requiresSignature(record, nexusAdapter.settlementBackendType) && checkEvidenceSignature(paymentEvidence, {
+        requestFingerprint: record.requestFingerprint,
+        payer: record.payer,
+        chain: record.challenge?.chain
+      });
+      if (signatureError) {
+        return res.status(402).json({ error: signatureError, intentId });
+      }
+      return replayIdempotent(res, intentId, idempotencyKey);
+    }
+
+    // Verify intent status with Nexus, on the chain the challenge asked for the lock on
+    const intentStatus = await nexusAdapter.getIntentStatus(intentId, record.chain);
     if (intentStatus.status !== 'LOCKED') {
       return res.status(402).json({
         error: 'Intent not locked or invalid',
@@ -171,13 +770,63 @@ async function handlePaidRequest(req, res) {
       });
     }
 
-    // Update local payment status
-    activePayments.set(intentId, {
-      ...activePayments.get(intentId),
-      status: 'PROCESSING',
-      evidence: paymentEvidence,
-      processedAt: Date.now()
-    });
+    // The route's pricing rule sets the least a payer may lock
+    const minBudget = record.pricing?.minBudget || 0;
+    if (Number(intentStatus.amount) < minBudget) {
+      return res.status(402).json({
+        error: 'Locked amount is below the minimum budget of this endpoint',
+        intentId,
+        minBudget: x402.encodeAmount(minBudget)
+      });
+    }
+
+    // Only the payer who locked the intent can redeem it
+    if (requiresSignature(intentStatus, nexusAdapter.settlementBackendType)) {
+      const signatureError = checkEvidenceSignature(paymentEvidence, {
+        requestFingerprint: record.requestFingerprint,
+        payer: intentStatus.payer,
+        chain: record.challenge?.chain
+      });
+      if (signatureError) {
+        return res.status(402).json({ error: signatureError, intentId });
+      }
+    }
+
+    // Claim the intent so the same evidence cannot be processed twice
+    const claimed = await intentStore.transition(
+      intentId,
+      [INTENT_STATUS.CHALLENGED, INTENT_STATUS.LOCKED],
+      INTENT_STATUS.PROCESSING,
+      {
+        payer: intentStatus.payer,
+        evidence: paymentEvidence,
+        idempotencyKey: idempotencyKey || null,
+        processedAt: Date.now(),
+        expiresAt: Date.now() + record.slaSeconds * 1000 // SLA deadline enforced by slaWatchdog
+      }
+    );
+
+    if (!claimed) {
+      const existing = await intentStore.get(intentId);
+      // Lost the claim to a concurrent request with the same key: wait for its response
+      if (idempotencyKey && existing.idempotencyKey === idempotencyKey) {
+        return replayIdempotent(res, intentId, idempotencyKey);
+      }
+      return res.status(409).json({
+        error: 'Intent already processed',
+        intentId,
+        status: existing.status
+      });
+    }
+
+    // Payers may lock the escrow themselves; make sure FluxPayAudit knows the intent before anything settles on it
+    await nexusAdapter.recordLockedIntent(intentId, intentStatus, record.chain);
+
+    res.locals.payment = { format, payer: intentStatus.payer, chain: nexusAdapter.chains.resolve(record.chain) };
+
+    if (idempotencyKey) {
+      idempotency.begin(intentId, idempotencyKey, res);
+    }
 
     // Route based on endpoint type
     if (path.startsWith('/api/ai/chat')) {
@@ -193,20 +842,43 @@ async function handlePaidRequest(req, res) {
     res.status(500).json({
       error: 'Service processing failed',
       funds: 'automatically refunded',
-      intentId: req.headers['payment-evidence'] ? JSON.parse(req.headers['payment-evidence']).intentId : null
+      intentId: x402.parsePaymentHeader(req).evidence.intentId || null
     });
   }
 }
 
+// Answer a retry from the response stored for its Idempotency-Key
+async function replayIdempotent(res, intentId, idempotencyKey) {
+  const stored = await idempotency.waitForResponse(intentId, idempotencyKey);
+  if (stored) {
+    return idempotency.replay(res, stored);
+  }
+
+  // The first request may still be running, or its response could not be stored
+  const record = await intentStore.get(intentId);
+  res.status(409).json({
+    error: 'No stored response for this Idempotency-Key',
+    intentId,
+    status: record?.status
+  });
+}
+
 // Handle AI chat requests
 async function handleAIChat(req, res, intentId) {
-  try {
-    const { prompt, model = 'openai/gpt-4o-mini' } = req.body;
+  const { prompt, model = 'openai/gpt-4o-mini', stream = false, template = null } = req.body;
 
-    if (!prompt) {
-      return res.status(400).json({ error: 'Prompt required' });
-    }
+  if (!prompt) {
+    return res.status(400).json({ error: 'Prompt required' });
+  }
+
+  if (stream) {
+    return handleAIChatStream(req, res, intentId, { prompt, model, template });
+  }
+
+  const record = await intentStore.get(intentId);
+  let served = null; // Completion and what it owes, once the AI call has been delivered
 
+  try {
     // Call OpenRouter
     const aiResponse = await openRouter.callCompletion({
       model,
@@ -219,166 +891,603 @@ async function handleAIChat(req, res, intentId) {
       throw new Error('AI service failed');
     }
 
-    // Calculate actual cost
+    // Calculate actual cost, never more than was locked for the call
     const usage = aiResponse.usage;
-    const cost = openRouter.calculateCost(usage, model);
+    const usedAmount = Math.min(meterAICost(record, usage, model), getLockedBudget(record));
+    served = {
+      result: { completion: aiResponse.data.choices[0].message.content, model, usage },
+      job: aiSettlementJob(record, usedAmount, template)
+    };
 
-    // Create provider receipt
-    const providerAddress = process.env.AI_PROVIDER_ADDRESS || '0x742d35Cc6795C2c3A850473e17b10F75d08Cf10E8'; // Demo address
-    const nonce = crypto.randomInt(1000000);
-    const timestamp = Math.floor(Date.now() / 1000);
+    const { receipt, settlement } = await settleAIUsage({ intentId, prompt, model, template, usage, usedAmount });
+    setPaymentResponse(res, intentId, settlement);
 
-    const receipt = {
-      intentId,
-      usedAmount: Math.floor(cost * 1e6), // Convert to USDC smallest units
-      tokensUsed: usage.total_tokens,
-      model,
-      provider: providerAddress,
-      nonce,
-      timestamp,
-      signature: receiptVerifier.signReceipt({
-        intentId,
-        usedAmount: Math.floor(cost * 1e6),
-        tokensUsed: usage.total_tokens,
-        provider: providerAddress,
-        nonce,
-        timestamp,
-        promptHash: crypto.createHash('sha256').update(prompt).digest('hex')
-      }, GATEWAY_PRIVATE_KEY)
-    };
+    // Return response with settlement info
+    res.json({
+      result: served.result,
+      receipt,
+      settlement
+    });
 
-    // Verify receipt locally
-    const isValid = receiptVerifier.verifyReceipt(receipt);
-    if (!isValid) {
-      throw new Error('Receipt verification failed');
+  } catch (error) {
+    // Once the completion exists its usage is owed: settle it later rather than refunding the whole lock
+    const deferred = served && !res.headersSent && await deferSettlement(intentId, served.job, error);
+    if (!deferred) {
+      await refundAfterFailure(intentId, error);
+      throw error;
     }
 
-    // Settle payment via Nexus
-    const settlementTx = await nexusAdapter.settleIntent({
-      intentId,
-      recipient: providerAddress,
-      amount: receipt.usedAmount,
-      targetChain: 'arbitrum',
-      targetToken: 'USDC'
+    setPaymentResponse(res, intentId, deferred);
+    res.json({ result: served.result, receipt: null, settlement: describeSettlement(deferred) });
+  }
+}
+
+// Stream AI chat tokens as Server-Sent Events, metering cost as they arrive
+async function handleAIChatStream(req, res, intentId, { prompt, model, template }) {
+  const messages = [{ role: 'user', content: prompt }];
+  const record = await intentStore.get(intentId);
+  const lockedBudget = getLockedBudget(record);
+  const promptTokens = openRouter.estimateTokenUsage(messages, model);
+  const controller = new AbortController();
+
+  let relayedContent = '';
+  let completionTokens = 0;
+  let budgetExhausted = false;
+  let settlingJob = null; // Set once settlement of the relayed tokens has started
+
+  // Charge what was relayed to the client and refund the rest of the lock
+  const settleRelayed = async (usage, finishReason) => {
+    const usedAmount = Math.min(meterAICost(record, usage, model), lockedBudget);
+    settlingJob = aiSettlementJob(record, usedAmount, template);
+    const { receipt, settlement } = await settleAIUsage({ intentId, prompt, model, template, usage, usedAmount });
+
+    sendEvent(res, 'settlement', {
+      result: { completion: relayedContent, model, usage, finishReason },
+      receipt,
+      settlement
     });
+  };
+  const relayedUsage = () => ({
+    prompt_tokens: promptTokens,
+    completion_tokens: completionTokens,
+    total_tokens: promptTokens + completionTokens
+  });
 
-    // Record settlement on chain
-    await nexusAdapter.recordSettlementOnChain(intentId, providerAddress, receipt.usedAmount, settlementTx);
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  res.flushHeaders();
 
-    // Return response with settlement info
-    res.json({
-      result: {
-        completion: aiResponse.choices[0].message.content,
-        model,
-        usage
-      },
-      settlement: {
-        usedAmount: cost.toFixed(6),
-        refundAmount: (0.05 - cost).toFixed(6), // 0.05 max budget
-        provider: providerAddress,
-        settlementTx,
-        intentId
+  // Stop the upstream call if the client goes away
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  try {
+    const streamResult = await openRouter.streamCompletion({
+      model,
+      messages,
+      max_tokens: 1000,
+      temperature: 0.7
+    }, {
+      signal: controller.signal,
+      onToken: (delta, content) => {
+        const tokens = openRouter.estimateTokenUsage([{ content }], model);
+        const runningCost = meterAICost(record, {
+          prompt_tokens: promptTokens,
+          completion_tokens: tokens,
+          total_tokens: promptTokens + tokens
+        }, model);
+
+        // Locked budget used up: stop relaying and cut the upstream call
+        if (runningCost > lockedBudget) {
+          budgetExhausted = true;
+          controller.abort();
+          return;
+        }
+
+        relayedContent = content;
+        completionTokens = tokens;
+        sendEvent(res, 'token', { content: delta, cost: x402.encodeAmount(runningCost) });
       }
     });
 
+    // Prefer exact usage from OpenRouter when the stream completed normally
+    const usage = (!streamResult.aborted && streamResult.usage) || relayedUsage();
+    await settleRelayed(usage, budgetExhausted ? 'budget_exhausted' : streamResult.finishReason);
   } catch (error) {
-    // Refund on error
+    console.error('AI stream processing error:', error);
+
+    // The stream broke off after tokens reached the client: settle those like a stream that ended, refund the rest
+    if (!settlingJob && completionTokens > 0) {
+      try {
+        await settleRelayed(relayedUsage(), 'error');
+        res.end();
+        return;
+      } catch (settleError) {
+        console.error('Settling interrupted AI stream failed:', settleError);
+        error = settleError;
+      }
+    }
+
+    // Relayed tokens are owed even if their settlement failed: the outbox retries it instead of refunding the lock
+    const deferred = settlingJob && await deferSettlement(intentId, settlingJob, error);
+    if (deferred) {
+      sendEvent(res, 'error', {
+        error: 'Settlement failed, retrying',
+        funds: 'settlement pending',
+        settlement: describeSettlement(deferred),
+        intentId
+      });
+    } else {
+      const refunded = await refundAfterFailure(intentId, error);
+      sendEvent(res, 'error', {
+        error: 'Service processing failed',
+        funds: refunded ? 'automatically refunded' : 'refund pending',
+        intentId
+      });
+    }
+  }
+
+  res.end();
+}
+
+// Build, sign and settle the receipt for a completed AI call
+async function settleAIUsage({ intentId, prompt, model, template, usage, usedAmount }) {
+  const providerAddress = AI_PROVIDER_ADDRESS;
+  const record = await intentStore.get(intentId);
+  const job = aiSettlementJob(record, usedAmount, template);
+
+  // Create provider receipt
+  const receiptData = {
+    intentId,
+    usedAmount,
+    tokensUsed: usage.total_tokens,
+    model,
+    provider: providerAddress,
+    nonce: crypto.randomInt(1000000),
+    timestamp: Math.floor(Date.now() / 1000),
+    promptHash: crypto.createHash('sha256').update(prompt).digest('hex'),
+    payoutChain: job.targetChain, // Where the intent is locked
+    splits: toReceiptSplits(job.splits)
+  };
+
+  const receipt = {
+    ...receiptData,
+    signature: await receiptVerifier.signReceipt(receiptData, GATEWAY_PRIVATE_KEY)
+  };
+
+  // Verify receipt locally
+  const isValid = receiptVerifier.verifyReceipt(receipt, new ethers.Wallet(GATEWAY_PRIVATE_KEY).address);
+  if (!isValid) {
+    throw new Error('Receipt verification failed');
+  }
+
+  // Settle the used amount and refund the remainder through the outbox (retried if Nexus is unavailable)
+  const settled = await settleUsage(intentId, job);
+
+  return { receipt, settlement: describeSettlement(settled) };
+}
+
+// Settlement job paying the AI provider, and the template's revenue shares, for a served AI call
+function aiSettlementJob(record, usedAmount, template) {
+  return {
+    recipient: AI_PROVIDER_ADDRESS,
+    amount: usedAmount,
+    targetChain: nexusAdapter.chains.resolve(record?.chain).name, // Where the intent is locked
+    targetToken: 'USDC',
+    splits: splitPolicy.split(usedAmount, AI_PROVIDER_ADDRESS, splitPolicy.templateShares(template))
+  };
+}
+
+// Hand the settlement of a served request that failed to settle to the outbox, which retries it and dead-letters
+// it for an operator; the payer is only refunded if an operator gives up on it
+// Returns null for session calls, whose failed charge goes back to the session instead
+async function deferSettlement(intentId, job, error) {
+  if (await sessionManager.getCall(intentId)) return null;
+
+  const deferred = await settlementOutbox.defer(intentId, job, error.message);
+  if (deferred) return deferred;
+
+  // Failed after the outbox already had the job
+  const current = await intentStore.get(intentId);
+  return current?.settlementJob ? current : null;
+}
+
+// Settle a served request: session calls are charged to their session, others go through the outbox
+async function settleUsage(intentId, job, patch) {
+  if (await sessionManager.getCall(intentId)) {
+    const charged = await sessionManager.charge(intentId, job, patch);
+    if (charged.status !== INTENT_STATUS.DRAWN) {
+      throw new Error(`Session call ${intentId} is ${charged.status}`);
+    }
+
+    const receipt = await signSessionReceipt(charged);
+    await intentStore.update(intentId, { receipt });
+    return { ...charged, receipt };
+  }
+
+  return settlementOutbox.enqueue(intentId, job, patch);
+}
+
+// Gateway-signed receipt for one call drawn from a session
+async function signSessionReceipt(call) {
+  const job = call.settlementJob;
+  const receiptData = {
+    intentId: call.sessionId,
+    callId: call.intentId,
+    sequence: call.sequence,
+    endpoint: call.endpoint,
+    usedAmount: call.usedAmount,
+    provider: job.recipient,
+    splits: toReceiptSplits(job.splits || [{ role: 'provider', recipient: job.recipient, amount: job.amount }]),
+    sessionSpent: call.session.spent,
+    timestamp: Math.floor(Date.now() / 1000)
+  };
+
+  return {
+    ...receiptData,
+    signature: GATEWAY_PRIVATE_KEY ? await receiptVerifier.signReceipt(receiptData, GATEWAY_PRIVATE_KEY) : null
+  };
+}
+
+// Most a paid request may be charged: its on-chain lock, or the reservation of a session call
+async function getLockedAmount(intentId) {
+  const call = await sessionManager.getCall(intentId);
+  if (call) {
+    return call.lockedAmount;
+  }
+
+  const record = await intentStore.get(intentId);
+  const intentStatus = await nexusAdapter.getIntentStatus(intentId, record?.chain);
+  return Number(intentStatus.amount);
+}
+
+// Settlement details for a response; a job still in the outbox has no transactions yet
+function describeSettlement(record) {
+  const job = record.settlementJob;
+
+  // Session calls are paid when their session settles
+  if (record.sessionId) {
+    return {
+      status: record.status,
+      usedAmount: x402.encodeAmount(job.amount),
+      provider: job.recipient,
+      splits: formatSplits(job),
+      sessionId: record.sessionId,
+      sequence: record.sequence,
+      session: formatSessionSummary(record.session),
+      receipt: record.receipt,
+      intentId: record.intentId
+    };
+  }
+
+  return {
+    status: record.status,
+    usedAmount: x402.encodeAmount(job.amount),
+    refundAmount: record.refundAmount !== undefined ? x402.encodeAmount(record.refundAmount) : null,
+    provider: job.recipient,
+    splits: formatSplits(job),
+    settlementTx: record.settlementTx || null,
+    refundTx: record.refundTx || null,
+    auditStatus: nexusAdapter.settlementQueue.getStatus(record.intentId)?.status || record.auditStatus || null,
+    intentId: record.intentId
+  };
+}
+
+// Who receives what of a settlement job; jobs without splits pay the provider everything
+function formatSplits(job) {
+  const splits = job.splits || [{ role: 'provider', recipient: job.recipient, amount: job.amount }];
+  return splits.map(split => ({ ...split, amount: x402.encodeAmount(split.amount) }));
+}
+
+// Operator endpoints require Authorization: Bearer ADMIN_API_KEY
+function requireAdmin(req, res, next) {
+  if (!ADMIN_API_KEY) {
+    return res.status(503).json({ error: 'Admin API disabled, set ADMIN_API_KEY' });
+  }
+
+  const token = Buffer.from((req.headers.authorization || '').replace(/^Bearer /, ''));
+  const expected = Buffer.from(ADMIN_API_KEY);
+  if (token.length !== expected.length || !crypto.timingSafeEqual(token, expected)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  next();
+}
+
+// Refund the payer after a failed paid request
+// Only a request still PROCESSING is refunded; once served, its settlement belongs to the outbox
+// Returns true if the payer has the funds back (refunded, or returned to the session), false if the refund is pending
+async function refundAfterFailure(intentId, error) {
+  try {
+    // A failed session call only returns its reservation to the session
+    if (await sessionManager.getCall(intentId)) {
+      return Boolean(await sessionManager.release(intentId, error.message));
+    }
+
+    const claimed = await intentStore.transition(intentId, INTENT_STATUS.PROCESSING, INTENT_STATUS.REFUNDING, {
+      refundFrom: INTENT_STATUS.PROCESSING,
+      expiresAt: Date.now() + slaWatchdog.lease
+    });
+    if (!claimed) return false;
+
     try {
-      await nexusAdapter.refundIntent(intentId);
+      const refundTx = await nexusAdapter.refundIntent(intentId, null, claimed.chain);
+      await intentStore.transition(intentId, INTENT_STATUS.REFUNDING, INTENT_STATUS.REFUNDED, {
+        refundTx,
+        refundReason: error.message,
+        refundedAt: Date.now(),
+        expiresAt: null
+      });
+      return true;
     } catch (refundError) {
       console.error('Refund failed:', refundError);
+      // Hand it to the SLA watchdog, which retries on its next sweep
+      await intentStore.transition(intentId, INTENT_STATUS.REFUNDING, INTENT_STATUS.PROCESSING, { expiresAt: Date.now() });
+      return false;
     }
+  } catch (storeError) {
+    console.error('Refund failed:', storeError);
+    return false;
+  }
+}
 
-    throw error;
+// Locked budget for an intent record in USDC base units
+function getLockedBudget(record) {
+  return Number(record?.lockedAmount || 0);
+}
+
+// Cost of an AI call in USDC base units: the registry pricing rule quoted in the challenge, else OpenRouter model pricing
+function meterAICost(record, usage, model) {
+  const rule = record?.pricing?.rule;
+  if (rule) {
+    return pricingEngine.computeAmount(rule, { tokens: usage.total_tokens || 0 });
   }
+
+  return openRouter.calculateCostBaseUnits(usage, model);
 }
 
-// Handle provider proxy requests
-async function handleProviderProxy(req, res, intentId) {
-  // This would proxy to registered providers
-  // For now, return mock response
-  res.status(501).json({
-    error: 'Provider proxy not implemented yet',
+// x402 clients get the settlement in X-PAYMENT-RESPONSE, with success false while it is still pending
+function setPaymentResponse(res, intentId, settled) {
+  if (res.locals.payment?.format !== 'x402') return;
+
+  res.set('X-PAYMENT-RESPONSE', x402.encodePaymentResponse({
     intentId,
-    endpoint: req.path
-  });
+    status: settled.status,
+    transaction: settled.settlementTx,
+    payer: res.locals.payment.payer,
+    chain: res.locals.payment.chain
+  }));
 }
 
-// Handle generic API requests
-async function handleGenericAPI(req, res, intentId) {
-  // For future API endpoints
-  res.status(501).json({
-    error: 'Generic API proxy not implemented yet',
-    intentId,
-    endpoint: req.path
-  });
+// Write a single Server-Sent Event
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
 }
 
-// Function to fetch real testnet balances
-async function fetchRealBalances(address, selectedToken = 'USDC') {
-  const networks = [
-    { name: 'ethereum', rpc: process.env.ETHEREUM_RPC || 'https://rpc.sepolia.org', chainId: 11155111 },
-    { name: 'polygon', rpc: process.env.POLYGON_RPC || 'https://rpc-mumbai.maticvigil.com', chainId: 80001 },
-    { name: 'arbitrum', rpc: process.env.ARBITRUM_RPC || 'https://goerli-rollup.arbitrum.io/rpc', chainId: 421613 },
-    { name: 'avalanche', rpc: process.env.AVALANCHE_RPC || 'https://api.avax-test.network/ext/bc/C/rpc', chainId: 43113 }
-  ];
-
-  const tokenAddresses = {
-    USDC: {
-      ethereum: '0x07865c6e87b9F70255377e024ace6630C1Eaa37F', // Sepolia USDC
-      polygon: '0x0FA8781a83E46826621b3BC094Ea2A0212e71B23', // Mumbai USDC
-      arbitrum: '0x8FB1E3fC51F3b789577Ed7557E680551d93a0aA8', // Arbitrum Goerli USDC
-      avalanche: '0x5425890298aed601595a70AB815c96711a31Bc650' // Fuji USDC
-    },
-    USDT: {
-      ethereum: '0x7169D38820dfd117C3FA1f812bABA40966F532f70', // Sepolia USDT
-      polygon: '0xA02f6adc7926efeBBd56...', // Mumbai USDT (placeholder)
-      arbitrum: '0x8FB1E3fC51F3b789D...', // Arbitrum Goerli USDT (placeholder)
-      avalanche: '0xAb231A5744C8Eennio...' // Fuji USDT (placeholder)
-    },
-    ETH: null // Native ETH doesn't need contract address
-  };
+// Handle provider proxy requests: /api/provider/:address/*
+async function handleProviderProxy(req, res, intentId) {
+  const match = req.path.match(/^\/api\/provider\/(0x[0-9a-fA-F]{40})(\/.*)?$/);
+  if (!match) {
+    await refundAfterFailure(intentId, new Error('Invalid provider path'));
+    return res.status(400).json({
+      error: 'Invalid provider path',
+      expected: '/api/provider/:address/*',
+      intentId
+    });
+  }
 
-  const balances = {};
+  const providerAddress = ethers.getAddress(match[1]);
+  const upstreamPath = match[2] || '/';
 
-  for (const network of networks) {
-    try {
-      const provider = new ethers.JsonRpcProvider(network.rpc);
-
-      if (selectedToken === 'ETH') {
-        // Get native ETH balance
-        const balance = await provider.getBalance(address);
-        balances[network.name] = ethers.formatEther(balance);
-      } else {
-        // Get ERC20 token balance
-        const tokenAddress = tokenAddresses[selectedToken]?.[network.name];
-        if (!tokenAddress) {
-          balances[network.name] = '0.00';
-          continue;
-        }
+  try {
+    // Only active providers in ProviderRegistry may receive paid traffic
+    const isActive = await nexusAdapter.isProviderRegistered(providerAddress);
+    const provider = isActive ? await nexusAdapter.getProvider(providerAddress) : null;
 
-        // ERC20 ABI for balanceOf
-        const erc20Abi = ['function balanceOf(address) view returns (uint256)'];
-        const contract = new ethers.Contract(tokenAddress, erc20Abi, provider);
+    if (!provider || !provider.isActive || !/^https?:\/\//.test(provider.endpoint || '')) {
+      await refundAfterFailure(intentId, new Error('Provider not registered or inactive'));
+      return res.status(403).json({
+        error: 'Provider not registered or inactive',
+        provider: providerAddress,
+        funds: 'automatically refunded',
+        intentId
+      });
+    }
 
-        const balance = await contract.balanceOf(address);
-        const decimals = selectedToken === 'USDC' ? 6 : 6; // USDC/USDT have 6 decimals
-        balances[network.name] = ethers.formatUnits(balance, decimals);
+    // Forward the paid request to the provider's registered endpoint
+    const upstream = await axios({
+      method: req.method,
+      url: provider.endpoint.replace(/\/+$/, '') + upstreamPath,
+      params: req.query,
+      data: req.body,
+      timeout: 30000, // 30s timeout
+      maxContentLength: DEFAULT_MAX_RESPONSE_BYTES,
+      headers: {
+        'Content-Type': 'application/json',
+        'X-FluxPay-Intent': intentId
       }
+    });
+
+    const { result, receipt } = upstream.data || {};
+    if (!receipt) {
+      throw new Error('Provider did not return a usage receipt');
+    }
+
+    // Receipt must be for this intent and signed by the provider we routed to
+    if (receipt.intentId !== intentId) {
+      throw new Error('Receipt intent does not match payment');
+    }
+
+    if (String(receipt.provider).toLowerCase() !== providerAddress.toLowerCase()) {
+      throw new Error('Receipt not issued by routed provider');
+    }
+
+    if (!receiptVerifier.validateReceipt(receipt, { providerKey: providerAddress })) {
+      throw new Error('Invalid provider receipt');
+    }
+
+    // Funds can only be paid out where they are locked
+    const record = await intentStore.get(intentId);
+    const chain = nexusAdapter.chains.resolve(record?.chain).name;
+    if (receipt.payoutChain && nexusAdapter.chains.get(receipt.payoutChain)?.name !== chain) {
+      throw new Error(`Receipt payout chain ${receipt.payoutChain} is not ${chain}, where the intent is locked`);
+    }
+
+    // Provider claims are capped by the pricing rule quoted in the challenge
+    const rule = record?.pricing?.rule;
+    const claimedAmount = parseInt(receipt.usedAmount);
+    const usedAmount = rule
+      ? Math.min(claimedAmount, pricingEngine.computeAmount(rule, { tokens: parseInt(receipt.tokensUsed) || 0 }))
+      : claimedAmount;
+
+    const lockedAmount = await getLockedAmount(intentId);
+    if (usedAmount > lockedAmount) {
+      throw new Error('Claimed usage exceeds locked amount');
+    }
+
+    // Settle the used amount and refund the remainder through the outbox (retried if Nexus is unavailable)
+    // Provider receipts are signed by the provider, so the gateway fee only shows in the settlement
+    const settled = await settleUsage(intentId, {
+      recipient: providerAddress,
+      amount: usedAmount,
+      targetChain: chain,
+      targetToken: 'USDC',
+      splits: splitPolicy.split(usedAmount, providerAddress)
+    });
+
+    setPaymentResponse(res, intentId, settled);
+    res.status(upstream.status).json({
+      result,
+      receipt,
+      settlement: describeSettlement(settled)
+    });
+
+  } catch (error) {
+    await refundAfterFailure(intentId, error);
+    throw error;
+  }
+}
+
+// Handle generic API requests through the configured route table
+async function handleGenericAPI(req, res, intentId) {
+  const matched = routeTable.match(req.path);
+  if (!matched) {
+    await refundAfterFailure(intentId, new Error('No paid route configured'));
+    return res.status(404).json({
+      error: 'No paid route configured for endpoint',
+      funds: 'automatically refunded',
+      intentId,
+      endpoint: req.path
+    });
+  }
+
+  const { route } = matched;
+
+  try {
+    // Forward the paid request upstream and measure what comes back
+    const upstream = await axios({
+      method: req.method,
+      url: route.upstreamUrl(matched),
+      params: req.query,
+      data: ['GET', 'HEAD'].includes(req.method) ? undefined : req.body,
+      timeout: route.timeout,
+      maxContentLength: route.maxResponseBytes,
+      responseType: 'arraybuffer',
+      validateStatus: () => true,
+      headers: {
+        'Content-Type': req.headers['content-type'] || 'application/json',
+        'X-FluxPay-Intent': intentId
+      }
+    });
+
+    const body = Buffer.from(upstream.data);
+    const contentType = upstream.headers['content-type'] || 'application/octet-stream';
+
+    // Only successful upstream responses are billed
+    if (upstream.status >= 400) {
+      await refundAfterFailure(intentId, new Error(`Upstream responded ${upstream.status}`));
+      return res.status(upstream.status)
+        .set('Content-Type', contentType)
+        .set('X-FluxPay-Refunded', intentId)
+        .send(body);
+    }
+
+    const usage = { bytes: body.length, tokens: extractTokenUsage(upstream.headers, body, contentType) };
+    const lockedAmount = await getLockedAmount(intentId);
+
+    // Registry pricing rule quoted in the challenge takes precedence over the route's pricing
+    const record = await intentStore.get(intentId);
+    const rule = record?.pricing?.rule;
+    const meteredAmount = rule ? pricingEngine.computeAmount(rule, usage) : route.computeAmount(usage);
+    const usedAmount = Math.min(meteredAmount, lockedAmount);
+
+    // Settle the used amount and refund the remainder through the outbox (retried if Nexus is unavailable)
+    const settled = await settleUsage(intentId, {
+      recipient: route.recipient,
+      amount: usedAmount,
+      targetChain: record?.chain || route.chain,
+      targetToken: 'USDC',
+      splits: splitPolicy.split(usedAmount, route.recipient, route.splits)
+    }, { usage, route: route.name });
+
+    setPaymentResponse(res, intentId, settled);
+
+    // Relay the upstream body untouched; settlement details travel in a header
+    res.status(upstream.status)
+      .set('Content-Type', contentType)
+      .set('X-FluxPay-Settlement', JSON.stringify({
+        ...describeSettlement(settled),
+        pricingMode: rule ? 'registry' : route.pricing.mode,
+        usage
+      }))
+      .send(body);
+
+  } catch (error) {
+    await refundAfterFailure(intentId, error);
+    throw error;
+  }
+}
+
+// Token usage reported by an upstream API (X-Usage-Tokens header or OpenAI-style usage body)
+function extractTokenUsage(headers, body, contentType) {
+  if (headers['x-usage-tokens']) {
+    return parseInt(headers['x-usage-tokens']) || 0;
+  }
+
+  if (contentType.includes('application/json')) {
+    try {
+      const usage = JSON.parse(body.toString('utf8')).usage;
+      return usage?.total_tokens || 0;
     } catch (error) {
-      console.error(`Failed to fetch ${selectedToken} balance on ${network.name}:`, error.message);
-      balances[network.name] = '0.00';
+      return 0;
     }
   }
 
-  // Calculate total
-  const total = Object.values(balances).reduce((sum, balance) => sum + parseFloat(balance), 0);
+  return 0;
+}
+
+// Balance service result in token units for the dashboard: breakdown lists the chains that answered,
+// chains the state of every chain (a failed chain carries its error, not a zero)
+function formatBalances({ address, token, decimals, total, chains, complete }) {
+  const format = balance => ethers.formatUnits(balance, decimals);
+  const entries = Object.entries(chains);
 
   return {
-    totalAmount: total.toFixed(selectedToken === 'ETH' ? 4 : 2),
-    breakdown: balances,
-    token: selectedToken,
-    address: address,
+    totalAmount: format(total),
+    breakdown: Object.fromEntries(entries
+      .filter(([, result]) => result.status === BALANCE_STATUS.OK)
+      .map(([chain, result]) => [chain, format(result.balance)])),
+    chains: Object.fromEntries(entries.map(([chain, { status, balance, error }]) => [
+      chain,
+      status === BALANCE_STATUS.OK ? { status, balance: format(balance) } : { status, error }
+    ])),
+    complete,
+    token,
+    address,
     lastUpdated: new Date().toISOString()
   };
 }
@@ -386,28 +1495,18 @@ async function fetchRealBalances(address, selectedToken = 'USDC') {
 // Legacy test endpoint
 app.post('/api/test-payment', (req, res) => {
   const intentId = `fluxpay:test-${crypto.randomUUID()}`;
+  const challenge = x402.buildChallenge({ intentId, maxBudget: 50000, expirySeconds: 5 * 60 }); // 0.05 USDC
 
-  res.status(402).json({
-    challengeType: 'x402',
-    intentId,
-    maxBudget: '0.050000',
-    token: 'USDC',
-    expiresAt: Math.floor(Date.now() / 1000) + (5 * 60),
-    instructions: {
-      intentId,
-      token: 'USDC',
-      amount: 0.05,
-      expiry: Math.floor(Date.now() / 1000) + (5 * 60)
-    },
-    retryWith: {
-      header: 'Payment-Evidence',
-      value: { intentId, nexusTx: '<transaction_hash>' }
-    }
-  });
+  x402.sendChallenge(req, res, challenge, { payTo: AI_PROVIDER_ADDRESS, description: 'FluxPay test payment' });
 });
 
 // Error handling middleware
 app.use((error, req, res, next) => {
+  // Rejected by Express itself, e.g. a path that is not valid percent-encoding
+  if (error.status >= 400 && error.status < 500) {
+    return res.status(error.status).json({ error: error.message });
+  }
+
   console.error('Unhandled error:', error);
   res.status(500).json({
     error: 'Internal server error',
@@ -0,0 +1,187 @@
+/**
+ * @file idempotency.js
+ * @description Idempotent paid retries: responses are stored on the intent record under the
+ * client's Idempotency-Key so a repeated request is answered without re-running the service or settlement
+ * Bodies over maxBodyBytes are recorded by size and sha256 only, so large responses do not bloat the intent
+ * store; retries of those, and of streamed (SSE) responses, which are never recorded, get a 409 instead of a replay
+ */
+
+const crypto = require('crypto');
+
+const MAX_KEY_LENGTH = 255;
+const DEFAULT_WAIT_TIMEOUT = 60 * 1000; // Longest a duplicate waits for the first request
+const DEFAULT_MAX_BODY_BYTES = 64 * 1024; // Largest body kept on the intent record for replay
+const POLL_INTERVAL = 100;
+
+class IdempotencyManager {
+  /**
+   * @param {Object} intentStore - Store holding intent records (see intentStore.js)
+   * @param {Object} options
+   * @param {number} options.waitTimeout - Max time a concurrent duplicate waits (ms)
+   * @param {number} options.maxBodyBytes - Largest response body stored for replay (default 64 KB)
+   */
+  constructor(intentStore, options = {}) {
+    this.intentStore = intentStore;
+    this.waitTimeout = options.waitTimeout || DEFAULT_WAIT_TIMEOUT;
+    this.maxBodyBytes = options.maxBodyBytes || DEFAULT_MAX_BODY_BYTES;
+    this.pending = new Map(); // `${intentId}:${key}` => Promise resolved when the response is stored
+  }
+
+  /**
+   * Validate an Idempotency-Key header value
+   * @param {string} key
+   * @returns {boolean}
+   */
+  isValidKey(key) {
+    return typeof key === 'string' && key.length > 0 && key.length <= MAX_KEY_LENGTH;
+  }
+
+  /**
+   * Get the stored response for an intent and key
+   * @param {Object} record - Intent record
+   * @param {string} key - Idempotency-Key
+   * @returns {Object|null} Stored response, or null if none has been recorded yet
+   */
+  storedResponse(record, key) {
+    if (!record || record.idempotencyKey !== key) return null;
+    return record.idempotentResponse || null;
+  }
+
+  /**
+   * Whether a request with this key is still being served by this or another instance
+   * @param {Object} record - Intent record
+   * @param {string} key
+   * @returns {boolean}
+   */
+  isInFlight(record, key) {
+    return record?.idempotencyKey === key && !record.idempotentResponse;
+  }
+
+  /**
+   * Capture the response of the first request so later duplicates can replay it
+   * @param {string} intentId
+   * @param {string} key
+   * @param {Object} res - Express response
+   */
+  begin(intentId, key, res) {
+    const pendingKey = `${intentId}:${key}`;
+    let resolve;
+    this.pending.set(pendingKey, new Promise(r => { resolve = r; }));
+
+    let sent = false;
+    const done = () => {
+      this.pending.delete(pendingKey);
+      resolve();
+    };
+    const store = (stored) => {
+      this.intentStore.update(intentId, { idempotentResponse: stored })
+        .catch(error => console.error('Failed to store idempotent response:', error))
+        .finally(done);
+    };
+
+    const send = res.send.bind(res);
+    res.send = (body) => {
+      res.send = send; // Only the first send is the response
+      sent = true;
+      store(this.captureResponse(res, body));
+      return send(body);
+    };
+
+    res.on('close', () => {
+      if (sent) return;
+      // Streams write without send and are not recorded; mark them so duplicates stop waiting
+      if (res.headersSent) {
+        store({ ...captureHeaders(res), streamed: true, storedAt: Date.now() });
+      } else {
+        done(); // Aborted before any response
+      }
+    });
+  }
+
+  /**
+   * Response to store for replay; the body is left out, keeping its size and hash, if over maxBodyBytes
+   * @param {Object} res - Express response
+   * @param {string|Buffer|Object} body - Body passed to res.send
+   * @returns {Object} { statusCode, contentType, settlementHeader, paymentResponseHeader, bodyBytes, bodySha256, encoding, body, storedAt }
+   */
+  captureResponse(res, body) {
+    const isBuffer = Buffer.isBuffer(body);
+    const text = isBuffer || typeof body === 'string' ? body : body === undefined ? '' : JSON.stringify(body);
+    const bytes = isBuffer ? body : Buffer.from(text, 'utf8');
+
+    const stored = {
+      ...captureHeaders(res),
+      bodyBytes: bytes.length,
+      bodySha256: crypto.createHash('sha256').update(bytes).digest('hex'),
+      storedAt: Date.now()
+    };
+    if (bytes.length <= this.maxBodyBytes) {
+      stored.encoding = isBuffer ? 'base64' : 'utf8';
+      stored.body = isBuffer ? body.toString('base64') : text;
+    }
+    return stored;
+  }
+
+  /**
+   * Wait for the first request with this key to finish, then return its stored response
+   * @param {string} intentId
+   * @param {string} key
+   * @returns {Promise<Object|null>} Stored response, or null on timeout or if it could not be stored
+   */
+  async waitForResponse(intentId, key) {
+    const local = this.pending.get(`${intentId}:${key}`);
+    if (local) {
+      await local;
+      return this.storedResponse(await this.intentStore.get(intentId), key);
+    }
+
+    // The first request may be running on another instance sharing the store
+    const deadline = Date.now() + this.waitTimeout;
+    while (Date.now() < deadline) {
+      const record = await this.intentStore.get(intentId);
+      if (!this.isInFlight(record, key)) {
+        return this.storedResponse(record, key);
+      }
+      await new Promise(r => setTimeout(r, POLL_INTERVAL));
+    }
+
+    return null;
+  }
+
+  /**
+   * Send a stored response, or a 409 with the settlement headers if its body was not stored
+   * @param {Object} res - Express response
+   * @param {Object} stored - Result of storedResponse()
+   */
+  replay(res, stored) {
+    if (stored.settlementHeader) res.set('X-FluxPay-Settlement', stored.settlementHeader);
+    if (stored.paymentResponseHeader) res.set('X-PAYMENT-RESPONSE', stored.paymentResponseHeader);
+
+    if (stored.streamed) {
+      return res.status(409).json({ error: 'Streamed responses are not stored and cannot be replayed' });
+    }
+    if (stored.body === undefined) {
+      return res.status(409).json({
+        error: 'Response was too large to store and cannot be replayed',
+        bodyBytes: stored.bodyBytes,
+        bodySha256: stored.bodySha256
+      });
+    }
+
+    res.status(stored.statusCode).set('Idempotent-Replayed', 'true');
+    if (stored.contentType) res.set('Content-Type', stored.contentType);
+    res.send(stored.encoding === 'base64' ? Buffer.from(stored.body, 'base64') : stored.body);
+  }
+}
+
+// Headers a replay sends back
+function captureHeaders(res) {
+  return {
+    statusCode: res.statusCode,
+    contentType: res.get('Content-Type') || null,
+    settlementHeader: res.get('X-FluxPay-Settlement') || null,
+    paymentResponseHeader: res.get('X-PAYMENT-RESPONSE') || null
+  };
+}
+
+module.exports = { IdempotencyManager };
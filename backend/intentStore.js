@@ -0,0 +1,556 @@
+/**
+ * @file intentStore.js
+ * @description Durable storage for x402 payment intents shared by the gateways
+ * Provides an in-memory store for development and a file-backed store that survives restarts
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+
+// Lifecycle states an intent record moves through
+// A record's expiresAt is the deadline for its current state: challenge expiry, SLA deadline,
+// next settlement retry, or settlement/refund lease
+const INTENT_STATUS = {
+  CHALLENGED: 'CHALLENGED', // 402 issued, waiting for the payer to lock funds
+  LOCKED: 'LOCKED',         // Funds locked, request not yet served
+  PROCESSING: 'PROCESSING', // Paid request is being served
+  SETTLING: 'SETTLING',     // Request served, settlement claimed by an outbox instance
+  SETTLEMENT_PENDING: 'SETTLEMENT_PENDING', // Settlement failed, waiting for its next retry
+  DEAD_LETTER: 'DEAD_LETTER', // Settlement retries exhausted, waiting for an operator
+  REFUNDING: 'REFUNDING',   // Refund claimed by a watchdog instance or an operator
+  SESSION_OPEN: 'SESSION_OPEN',       // Prepaid session accepting calls until it is closed or expires
+  SESSION_CLOSING: 'SESSION_CLOSING', // Session closed, settled once its in-flight calls finish
+  DRAWING: 'DRAWING',       // Session call being served against an amount reserved from the session
+  DRAWN: 'DRAWN',           // Session call charged to its session (settled when the session settles)
+  RELEASED: 'RELEASED',     // Session call failed, its reservation went back to the session
+  SETTLED: 'SETTLED',
+  REFUNDED: 'REFUNDED',
+  EXPIRED: 'EXPIRED',
+  FAILED: 'FAILED'
+};
+
+const LOCK_STALE_MS = 10 * 1000; // Lock files older than this are considered abandoned
+const LOCK_RETRY_MS = 10;
+const DEFAULT_RETENTION_MS = 24 * 60 * 60 * 1000; // Expired and never-paid records are kept this long
+const EVICT_INTERVAL_MS = 60 * 1000;
+const MAX_HISTORY = 50; // Transitions kept per record
+const COMPACT_MIN_LINES = 1000; // The journal is rewritten once it has this many lines and twice the live records
+
+/**
+ * In-memory intent store (single process, lost on restart)
+ */
+class MemoryIntentStore {
+  /**
+   * @param {Object} options
+   * @param {number} options.retention - ms EXPIRED records, and CHALLENGED records past their expiry, are kept (default 24h)
+   */
+  constructor(options = {}) {
+    this.records = new Map(); // intentId => record
+    this.retention = Number.isInteger(options.retention) ? options.retention : DEFAULT_RETENTION_MS;
+    this.lastEviction = 0;
+  }
+
+  /**
+   * Get an intent record
+   * @param {string} intentId
+   * @returns {Promise<Object|null>} Record copy or null if unknown
+   */
+  async get(intentId) {
+    return this._read(records => clone(records.get(intentId)));
+  }
+
+  /**
+   * Insert or replace an intent record
+   * @param {string} intentId
+   * @param {Object} record - Record fields; `status` and `expiresAt` (ms) are used for queries
+   * @returns {Promise<Object>} Stored record
+   */
+  async put(intentId, record) {
+    return this._mutate(records => {
+      const now = Date.now();
+      const existing = records.get(intentId);
+      const stored = {
+        ...record,
+        intentId,
+        payer: normalizeAddress(record.payer),
+        createdAt: existing?.createdAt || record.createdAt || now,
+        updatedAt: now
+      };
+
+      records.set(intentId, clone(stored));
+      // Every 402 adds a record, so this is where abandoned ones are dropped
+      if (now - this.lastEviction >= EVICT_INTERVAL_MS) {
+        this._evict(records, now);
+      }
+      return clone(stored);
+    });
+  }
+
+  /**
+   * Atomically move an intent between states (compare-and-set on status)
+   * @param {string} intentId
+   * @param {string|Array<string>} fromStatus - Allowed current state(s)
+   * @param {string} toStatus - New state
+   * @param {Object} patch - Extra fields to merge into the record
+   * @returns {Promise<Object|null>} Updated record, or null if the intent is unknown or in another state
+   */
+  async transition(intentId, fromStatus, toStatus, patch = {}) {
+    const allowed = Array.isArray(fromStatus) ? fromStatus : [fromStatus];
+
+    return this._mutate(records => {
+      const existing = records.get(intentId);
+      if (!existing || !allowed.includes(existing.status)) {
+        return null;
+      }
+
+      const updated = {
+        ...existing,
+        ...patch,
+        payer: normalizeAddress(patch.payer || existing.payer),
+        status: toStatus,
+        updatedAt: Date.now(),
+        history: appendHistory(existing.history, { from: existing.status, to: toStatus, at: Date.now() })
+      };
+
+      records.set(intentId, clone(updated));
+      return clone(updated);
+    });
+  }
+
+  /**
+   * Atomically read, check and update an intent record (compare-and-set on status plus any fields fn checks)
+   * @param {string} intentId
+   * @param {string|Array<string>} fromStatus - Allowed current state(s)
+   * @param {Function} fn - (record) => fields to merge (a `status` field moves the record), or null to leave it unchanged
+   * @returns {Promise<Object|null>} Updated record, or null if the intent is unknown, in another state or fn returned null
+   */
+  async modify(intentId, fromStatus, fn) {
+    const allowed = Array.isArray(fromStatus) ? fromStatus : [fromStatus];
+
+    return this._mutate(records => {
+      const existing = records.get(intentId);
+      if (!existing || !allowed.includes(existing.status)) {
+        return null;
+      }
+
+      const patch = fn(clone(existing));
+      if (!patch) return null;
+
+      const status = patch.status || existing.status;
+      const updated = {
+        ...existing,
+        ...patch,
+        payer: normalizeAddress(patch.payer || existing.payer),
+        status,
+        updatedAt: Date.now(),
+        history: status === existing.status
+          ? existing.history
+          : appendHistory(existing.history, { from: existing.status, to: status, at: Date.now() })
+      };
+
+      records.set(intentId, clone(updated));
+      return clone(updated);
+    });
+  }
+
+  /**
+   * Merge fields into an intent record without changing its status
+   * @param {string} intentId
+   * @param {Object} patch - Fields to merge
+   * @returns {Promise<Object|null>} Updated record, or null if the intent is unknown
+   */
+  async update(intentId, patch) {
+    return this._mutate(records => {
+      const existing = records.get(intentId);
+      if (!existing) return null;
+
+      const updated = { ...existing, ...patch, status: existing.status, updatedAt: Date.now() };
+      records.set(intentId, clone(updated));
+      return clone(updated);
+    });
+  }
+
+  /**
+   * List intents paid by an address, newest first
+   * @param {string} payer - Payer wallet address
+   * @param {Object} options
+   * @param {Array<string>} options.statuses - Optional status filter
+   * @returns {Promise<Array<Object>>}
+   */
+  async listByPayer(payer, { statuses } = {}) {
+    const address = normalizeAddress(payer);
+
+    return this._read(records => Array.from(records.values())
+      .filter(record => record.payer === address)
+      .filter(record => !statuses || statuses.includes(record.status))
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .map(clone));
+  }
+
+  /**
+   * List intents whose expiry is at or before a point in time, oldest first
+   * @param {number} before - Timestamp in ms
+   * @param {Object} options
+   * @param {Array<string>} options.statuses - Optional status filter
+   * @returns {Promise<Array<Object>>}
+   */
+  async listExpiring(before, { statuses } = {}) {
+    return this._read(records => Array.from(records.values())
+      .filter(record => record.expiresAt && record.expiresAt <= before)
+      .filter(record => !statuses || statuses.includes(record.status))
+      .sort((a, b) => a.expiresAt - b.expiresAt)
+      .map(clone));
+  }
+
+  /**
+   * List intents in the given states, least recently updated first
+   * @param {Array<string>} statuses - States to include
+   * @returns {Promise<Array<Object>>}
+   */
+  async listByStatus(statuses) {
+    return this._read(records => Array.from(records.values())
+      .filter(record => statuses.includes(record.status))
+      .sort((a, b) => a.updatedAt - b.updatedAt)
+      .map(clone));
+  }
+
+  /**
+   * Remove an intent record
+   * @param {string} intentId
+   * @returns {Promise<boolean>} True if a record was removed
+   */
+  async delete(intentId) {
+    return this._mutate(records => records.delete(intentId));
+  }
+
+  /**
+   * Drop EXPIRED records, and CHALLENGED records past their expiry, older than the retention period
+   * put() does this at most once a minute; nothing else needs to call it
+   * @param {number} now - Timestamp in ms
+   * @returns {Promise<number>} Number of records removed
+   */
+  async evict(now = Date.now()) {
+    return this._mutate(records => this._evict(records, now));
+  }
+
+  _evict(records, now) {
+    this.lastEviction = now;
+    const cutoff = now - this.retention;
+
+    let evicted = 0;
+    for (const [intentId, record] of records) {
+      const abandoned = record.status === INTENT_STATUS.CHALLENGED && record.expiresAt && record.expiresAt <= cutoff;
+      const expired = record.status === INTENT_STATUS.EXPIRED && record.updatedAt <= cutoff;
+      if (abandoned || expired) {
+        records.delete(intentId);
+        evicted++;
+      }
+    }
+    return evicted;
+  }
+
+  async _read(fn) {
+    return fn(this.records);
+  }
+
+  async _mutate(fn) {
+    return fn(this.records);
+  }
+}
+
+/**
+ * File-backed intent store
+ * The file is an append-only journal, one JSON line per changed record ({ id, record } or { id, deleted }), replayed
+ * into memory: each operation only reads the lines other processes appended since the last one, and each change only
+ * appends its own records. Writers hold an exclusive lock file, so several gateway processes can share one store path;
+ * the journal is compacted into one line per live record once it is mostly superseded lines.
+ */
+class FileIntentStore extends MemoryIntentStore {
+  /**
+   * @param {string} filePath
+   * @param {Object} options - See MemoryIntentStore
+   */
+  constructor(filePath, options = {}) {
+    super(options);
+    this.filePath = path.resolve(filePath);
+    this.lockPath = `${this.filePath}.lock`;
+    this.records = new ChangeTrackingMap();
+    this.fileId = null; // Inode of the journal replayed so far; compaction replaces the file
+    this.offset = 0; // Bytes of the journal replayed so far
+    this.partialTail = false; // The journal ends in a line cut off by a crash
+    this.journalLines = 0;
+    this.queue = Promise.resolve(); // Operations of this process run one at a time
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+  }
+
+  // Appends are whole lines and compaction is an atomic rename, so reads need no lock
+  async _read(fn) {
+    return this._serial(async () => {
+      await this._sync();
+      return fn(this.records);
+    });
+  }
+
+  async _mutate(fn) {
+    return this._serial(() => this._withLock(async () => {
+      await this._sync();
+      if (this.partialTail) {
+        await fsp.truncate(this.filePath, this.offset);
+        this.partialTail = false;
+      }
+
+      let result;
+      try {
+        result = fn(this.records);
+      } catch (error) {
+        // The in-memory records may be half changed: replay the journal from the start next time
+        this.fileId = null;
+        throw error;
+      }
+
+      await this._append();
+      return result;
+    }));
+  }
+
+  _serial(fn) {
+    const run = this.queue.then(() => fn());
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  // Replay the lines appended since the last sync, or the whole journal if it was replaced
+  async _sync() {
+    let handle;
+    try {
+      handle = await fsp.open(this.filePath, 'r');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      this._reset(null);
+      return;
+    }
+
+    try {
+      // Stat the open file, not the path, so a compaction in between cannot mix two journals
+      const { ino, size } = await handle.stat();
+      if (ino !== this.fileId || size < this.offset) {
+        this._reset(ino);
+      }
+
+      if (size > this.offset) {
+        const buffer = Buffer.alloc(size - this.offset);
+        await handle.read(buffer, 0, buffer.length, this.offset);
+
+        // A last line without its newline is still being written, or was cut off by a crash
+        const end = buffer.lastIndexOf(0x0a) + 1;
+        for (const line of buffer.subarray(0, end).toString('utf8').split('\n')) {
+          if (!line) continue;
+          const entry = JSON.parse(line);
+          if (entry.deleted) this.records.delete(entry.id);
+          else this.records.set(entry.id, entry.record);
+          this.journalLines++;
+        }
+        this.offset += end;
+        this.partialTail = end < buffer.length;
+      }
+    } finally {
+      await handle.close();
+    }
+
+    this.records.changed.clear();
+  }
+
+  _reset(fileId) {
+    this.records = new ChangeTrackingMap();
+    this.fileId = fileId;
+    this.offset = 0;
+    this.partialTail = false;
+    this.journalLines = 0;
+  }
+
+  async _append() {
+    const changed = Array.from(this.records.changed);
+    this.records.changed.clear();
+    if (changed.length === 0) return;
+
+    const lines = changed.map(id => this.records.has(id)
+      ? JSON.stringify({ id, record: this.records.get(id) }, jsonReplacer)
+      : JSON.stringify({ id, deleted: true }));
+    const contents = lines.join('\n') + '\n';
+
+    await fsp.appendFile(this.filePath, contents);
+    this.offset += Buffer.byteLength(contents);
+    this.journalLines += lines.length;
+    if (this.fileId === null) {
+      this.fileId = (await fsp.stat(this.filePath)).ino;
+    }
+
+    if (this.journalLines >= COMPACT_MIN_LINES && this.journalLines >= 2 * this.records.size) {
+      await this._compact();
+    }
+  }
+
+  async _compact() {
+    // Write to a temp file and rename so readers never see a partial journal
+    const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+    const contents = Array.from(this.records, ([id, record]) => JSON.stringify({ id, record }, jsonReplacer) + '\n').join('');
+    await fsp.writeFile(tmpPath, contents);
+    await fsp.rename(tmpPath, this.filePath);
+
+    this.fileId = (await fsp.stat(this.filePath)).ino;
+    this.offset = Buffer.byteLength(contents);
+    this.journalLines = this.records.size;
+  }
+
+  async _withLock(fn) {
+    const token = await this._acquireLock();
+    try {
+      return await fn();
+    } finally {
+      await this._releaseLock(token);
+    }
+  }
+
+  async _acquireLock() {
+    const token = `${process.pid}:${crypto.randomUUID()}`;
+
+    for (;;) {
+      try {
+        await fsp.writeFile(this.lockPath, token, { flag: 'wx' });
+        return token;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+
+        // Break locks left behind by a crashed process
+        try {
+          const { mtimeMs } = await fsp.stat(this.lockPath);
+          if (Date.now() - mtimeMs > LOCK_STALE_MS) {
+            await this._breakStaleLock();
+            continue;
+          }
+        } catch (statError) {
+          if (statError.code !== 'ENOENT') throw statError;
+          continue;
+        }
+
+        await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS));
+      }
+    }
+  }
+
+  // Several processes can find the same stale lock; the one holding the exclusive takeover file breaks it, after
+  // checking it is still stale: by then another process may have broken it and taken a fresh one
+  async _breakStaleLock() {
+    const takeoverPath = `${this.lockPath}.takeover`;
+
+    try {
+      await fsp.writeFile(takeoverPath, String(process.pid), { flag: 'wx' });
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+
+      // Another process is breaking the lock; a takeover file this old was left by one that crashed doing so
+      try {
+        const { mtimeMs } = await fsp.stat(takeoverPath);
+        if (Date.now() - mtimeMs > LOCK_STALE_MS) await fsp.rm(takeoverPath, { force: true });
+      } catch (statError) {
+        if (statError.code !== 'ENOENT') throw statError;
+      }
+      await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS));
+      return;
+    }
+
+    try {
+      const { mtimeMs } = await fsp.stat(this.lockPath);
+      if (Date.now() - mtimeMs > LOCK_STALE_MS) {
+        await fsp.rm(this.lockPath, { force: true });
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    } finally {
+      await fsp.rm(takeoverPath, { force: true });
+    }
+  }
+
+  // Only remove the lock if it is still ours: another process may have broken it as stale and taken it
+  async _releaseLock(token) {
+    try {
+      if (await fsp.readFile(this.lockPath, 'utf8') === token) {
+        await fsp.rm(this.lockPath, { force: true });
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+}
+
+/**
+ * Map that remembers which keys were set or deleted, so the file store appends only changed records
+ */
+class ChangeTrackingMap extends Map {
+  constructor() {
+    super();
+    this.changed = new Set();
+  }
+
+  set(key, value) {
+    this.changed?.add(key);
+    return super.set(key, value);
+  }
+
+  delete(key) {
+    this.changed.add(key);
+    return super.delete(key);
+  }
+}
+
+/**
+ * Create the intent store selected by configuration
+ * @param {Object} options
+ * @param {string} options.type - 'memory' or 'file' (default: INTENT_STORE env, then 'memory')
+ * @param {string} options.path - File path for the file store (default: INTENT_STORE_PATH env)
+ * @param {number} options.retention - ms expired and never-paid records are kept (default: INTENT_STORE_RETENTION env, then 24h)
+ * @returns {MemoryIntentStore|FileIntentStore}
+ */
+function createIntentStore(options = {}) {
+  const type = options.type || process.env.INTENT_STORE || 'memory';
+  const storeOptions = { retention: options.retention ?? parseInt(process.env.INTENT_STORE_RETENTION) };
+
+  if (type === 'file') {
+    const filePath = options.path || process.env.INTENT_STORE_PATH || path.join(__dirname, '..', 'data', 'intents.jsonl');
+    console.log(`📦 Using file intent store at ${filePath}`);
+    return new FileIntentStore(filePath, storeOptions);
+  }
+
+  if (type !== 'memory') {
+    throw new Error(`Unknown intent store type: ${type}`);
+  }
+
+  return new MemoryIntentStore(storeOptions);
+}
+
+function appendHistory(history = [], entry) {
+  return [...history, entry].slice(-MAX_HISTORY);
+}
+
+function normalizeAddress(address) {
+  return typeof address === 'string' ? address.toLowerCase() : address || null;
+}
+
+// BigInt amounts from ethers are stored as decimal strings
+function jsonReplacer(key, value) {
+  return typeof value === 'bigint' ? value.toString() : value;
+}
+
+function clone(record) {
+  return record === undefined ? null : JSON.parse(JSON.stringify(record, jsonReplacer));
+}
+
+module.exports = {
+  INTENT_STATUS,
+  MemoryIntentStore,
+  FileIntentStore,
+  createIntentStore
+};
@@ -0,0 +1,288 @@
+/**
+ * @file mockChain.js
+ * @description In-memory stand-in for FluxPayEscrow and FluxPayAudit, behind the mock settlement backend
+ * Intents go through the same lifecycle and revert with the same messages as the contracts, payer balances are
+ * debited on lock and credited on payout and refund, and failures can be injected per method to exercise error handling offline
+ */
+
+const crypto = require('crypto');
+
+const DEFAULT_BALANCE = 1000 * 1e6; // Every address starts with 1000 USDC (6 decimals)
+const DEMO_PAYER = 'demo';
+const DEMO_AMOUNT = 100000; // 0.1 USDC, locked for intents mock mode has not seen before
+const DEMO_TTL = 2 * 60 * 60; // Long enough for a session of the longest TTL (SESSION_MAX_TTL) to open on it
+
+const MOCK_STATUS = {
+  LOCKED: 'LOCKED',
+  SETTLED: 'SETTLED',
+  REFUNDED: 'REFUNDED'
+};
+
+// Methods failures can be injected into
+const FAILABLE_METHODS = ['lock', 'getIntentStatus', 'settle', 'refund', 'recordBatch'];
+
+class MockChain {
+  /**
+   * @param {Object} options
+   * @param {number} options.initialBalance - USDC balance (smallest units) every address starts with
+   * @param {boolean} options.autoLock - Lock a demo intent for intent ids never locked here (default true,
+   *   since in mock mode the payer's lock happens nowhere the gateway can see)
+   * @param {string} options.failures - Failures to inject, as "method[:times],..." (see MOCK_CHAIN_FAILURES)
+   */
+  constructor(options = {}) {
+    this.initialBalance = Number.isInteger(options.initialBalance) ? options.initialBalance : DEFAULT_BALANCE;
+    this.autoLock = options.autoLock ?? true;
+    this.intents = new Map(); // intentId => { payer, lockedAmount, expiry, status, usedAmount, refundedAmount, payouts, ... }
+    this.balances = new Map(); // lowercased address => balance
+    this.failures = new Map(); // method => [{ times, message }]
+    this.timeOffset = 0; // Seconds added by advanceTime()
+
+    for (const { method, times } of parseFailures(options.failures)) {
+      this.failNext(method, { times });
+    }
+  }
+
+  /**
+   * Current chain time in seconds
+   * @returns {number}
+   */
+  now() {
+    return Math.floor(Date.now() / 1000) + this.timeOffset;
+  }
+
+  /**
+   * Move chain time forward, e.g. past an intent's expiry
+   * @param {number} seconds
+   */
+  advanceTime(seconds) {
+    this.timeOffset += seconds;
+  }
+
+  /**
+   * Make the next calls of a method throw
+   * @param {string} method - One of lock, getIntentStatus, settle, refund, recordBatch
+   * @param {Object} options
+   * @param {number} options.times - Number of calls that fail (default 1)
+   * @param {string} options.message - Error message (default "Mock chain <method> failure")
+   */
+  failNext(method, { times = 1, message } = {}) {
+    if (!FAILABLE_METHODS.includes(method)) {
+      throw new Error(`Cannot inject failures into ${method}, expected one of ${FAILABLE_METHODS.join(', ')}`);
+    }
+
+    const queue = this.failures.get(method) || [];
+    queue.push({ times, message: message || `Mock chain ${method} failure` });
+    this.failures.set(method, queue);
+  }
+
+  /**
+   * Drop injected failures that have not fired yet
+   * @param {string} method - Only this method's (all if unset)
+   */
+  clearFailures(method = null) {
+    if (method) this.failures.delete(method);
+    else this.failures.clear();
+  }
+
+  /**
+   * Balance of an address
+   * @param {string} address
+   * @returns {number} USDC in smallest units
+   */
+  balanceOf(address) {
+    const key = String(address).toLowerCase();
+    return this.balances.has(key) ? this.balances.get(key) : this.initialBalance;
+  }
+
+  /**
+   * Credit an address
+   * @param {string} address
+   * @param {number} amount - USDC in smallest units
+   */
+  mint(address, amount) {
+    this._credit(address, Number(amount));
+  }
+
+  /**
+   * Lock a payer's funds for an intent (FluxPayEscrow.lock and FluxPayAudit.recordIntent)
+   * @param {string} intentId
+   * @param {string} payer - Payer address
+   * @param {number} amount - USDC in smallest units
+   * @param {number} expiry - Expiry timestamp in seconds
+   * @returns {string} Transaction hash
+   */
+  lock(intentId, payer, amount, expiry) {
+    this._maybeFail('lock');
+    return this._lock(intentId, payer, amount, expiry);
+  }
+
+  /**
+   * Intent state in the shape NexusAdapter.getIntentStatus returns
+   * @param {string} intentId
+   * @returns {Object} { status: 'PENDING'|'LOCKED'|'EXPIRED'|'SETTLED'|'REFUNDED', amount, expiry, payer, usedAmount, refundedAmount }
+   */
+  getIntentStatus(intentId) {
+    this._maybeFail('getIntentStatus');
+
+    const intent = this._find(intentId);
+    if (!intent) {
+      return { status: 'PENDING', amount: 0, expiry: 0, payer: null, usedAmount: 0, refundedAmount: 0 };
+    }
+
+    let status = intent.status;
+    if (status === MOCK_STATUS.LOCKED && this.now() > intent.expiry) status = 'EXPIRED';
+
+    return {
+      status,
+      amount: intent.lockedAmount,
+      expiry: intent.expiry,
+      payer: intent.payer,
+      usedAmount: intent.usedAmount,
+      refundedAmount: intent.refundedAmount
+    };
+  }
+
+  /**
+   * Pay out a locked intent and return the remainder to the payer (FluxPayEscrow.settleSplit)
+   * @param {string} intentId
+   * @param {Array<Object>} payouts - [{ recipient, amount }], provider first
+   * @returns {string} Transaction hash
+   */
+  settle(intentId, payouts) {
+    this._maybeFail('settle');
+
+    const intent = this._find(intentId);
+    if (!intent) throw new Error('Unknown intent');
+    if (intent.status === MOCK_STATUS.SETTLED) throw new Error('Already settled');
+    if (intent.status === MOCK_STATUS.REFUNDED) throw new Error('Already refunded');
+    if (payouts.some(payout => !payout.recipient)) throw new Error('Invalid provider');
+
+    const usedAmount = payouts.reduce((sum, payout) => sum + Number(payout.amount), 0);
+    if (usedAmount > intent.lockedAmount) throw new Error('Used more than locked');
+
+    const settleTx = randomHash();
+    for (const payout of payouts) {
+      this._credit(payout.recipient, Number(payout.amount));
+    }
+    const refundedAmount = intent.lockedAmount - usedAmount;
+    this._credit(intent.payer, refundedAmount);
+
+    Object.assign(intent, {
+      status: MOCK_STATUS.SETTLED,
+      usedAmount,
+      refundedAmount,
+      payouts: payouts.map(payout => ({ recipient: payout.recipient, amount: Number(payout.amount) })),
+      settleTx
+    });
+    return settleTx;
+  }
+
+  /**
+   * Return a locked intent's funds to the payer (FluxPayEscrow.refund, called by the gateway so expiry is not required)
+   * @param {string} intentId
+   * @returns {string} Transaction hash
+   */
+  refund(intentId) {
+    this._maybeFail('refund');
+
+    const intent = this._find(intentId);
+    if (!intent) throw new Error('Unknown intent');
+    if (intent.status === MOCK_STATUS.SETTLED) throw new Error('Cannot refund settled intent');
+    if (intent.status === MOCK_STATUS.REFUNDED) throw new Error('Already refunded');
+
+    const refundTx = randomHash();
+    this._credit(intent.payer, intent.lockedAmount);
+    Object.assign(intent, {
+      status: MOCK_STATUS.REFUNDED,
+      refundedAmount: intent.lockedAmount,
+      refundTx
+    });
+    return refundTx;
+  }
+
+  /**
+   * Record a batch of settlements on the audit side (FluxPayAudit.batchRecordSettlementsWithRefund)
+   * @param {Array<Object>} entries - Queued settlements { intentId, ... }, already paid out by settle()
+   * @returns {string} Transaction hash covering the batch
+   */
+  recordBatch(entries) {
+    this._maybeFail('recordBatch');
+
+    const auditTx = randomHash();
+    for (const entry of entries) {
+      const intent = this._find(entry.intentId);
+      if (intent) intent.auditTx = auditTx;
+    }
+    return auditTx;
+  }
+
+  _lock(intentId, payer, amount, expiry) {
+    amount = Number(amount);
+    expiry = Number(expiry);
+    if (this.intents.has(intentId)) throw new Error('Intent already exists');
+    if (!payer) throw new Error('Invalid payer');
+    if (!(amount > 0)) throw new Error('Amount must be positive');
+    if (expiry <= this.now()) throw new Error('Expiry in the past');
+    if (this.balanceOf(payer) < amount) throw new Error('Insufficient balance');
+
+    const lockTx = randomHash();
+    this._credit(payer, -amount);
+    this.intents.set(intentId, {
+      payer,
+      lockedAmount: amount,
+      expiry,
+      status: MOCK_STATUS.LOCKED,
+      usedAmount: 0,
+      refundedAmount: 0,
+      payouts: [],
+      lockTx
+    });
+    return lockTx;
+  }
+
+  _find(intentId) {
+    if (!this.intents.has(intentId) && this.autoLock) {
+      // Fund the demo payer so auto-locked intents never run it dry
+      this.mint(DEMO_PAYER, DEMO_AMOUNT);
+      this._lock(intentId, DEMO_PAYER, DEMO_AMOUNT, this.now() + DEMO_TTL);
+    }
+    return this.intents.get(intentId) || null;
+  }
+
+  _credit(address, amount) {
+    const key = String(address).toLowerCase();
+    this.balances.set(key, this.balanceOf(key) + amount);
+  }
+
+  _maybeFail(method) {
+    const queue = this.failures.get(method);
+    if (!queue || queue.length === 0) return;
+
+    const failure = queue[0];
+    failure.times--;
+    if (failure.times <= 0) queue.shift();
+    throw new Error(failure.message);
+  }
+}
+
+// "settle:2,refund" => [{ method: 'settle', times: 2 }, { method: 'refund', times: 1 }]
+function parseFailures(spec) {
+  if (!spec) return [];
+
+  return String(spec).split(',')
+    .map(part => part.trim())
+    .filter(Boolean)
+    .map(part => {
+      const [method, times] = part.split(':');
+      return { method, times: parseInt(times) || 1 };
+    });
+}
+
+function randomHash() {
+  return '0x' + crypto.randomBytes(32).toString('hex');
+}
+
+module.exports = {
+  MOCK_STATUS,
+  MockChain
+};
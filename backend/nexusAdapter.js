@@ -1,137 +1,252 @@
 /**
  * @file nexusAdapter.js
- * @description Direct blockchain adapter for testnet transactions using ethers.js
- * Replaces Nexus SDK with direct contract interactions on Ethereum testnets
+ * @description Payment adapter for the gateways: intents, settlement and FluxPayAudit records
+ * Funds move through the settlement backend chosen by configuration (see settlementBackend.js); the audit,
+ * registry and event reads go to the testnet contracts directly using ethers.js
+ * The adapter holds a provider and gateway signer per chain of the chain registry (see chainRegistry.js): the default
+ * chain is connected by initialize(), other chains on the first settlement that targets them
  */
 
 const crypto = require('crypto');
 const ethers = require('ethers');
+const { SettlementQueue } = require('./settlementQueue.js');
+const { TransactionManager } = require('./txManager.js');
+const { createSettlementBackend } = require('./settlementBackend.js');
+const { loadChainRegistry } = require('./chainRegistry.js');
+const { BalanceService } = require('./balanceService.js');
 
 // Import contract ABIs (try catch for missing artifacts)
-let FluxPayAuditABI, ProviderRegistryABI;
+let FluxPayAuditABI, ProviderRegistryABI, FluxPayEscrowABI;
 try {
   FluxPayAuditABI = require('../artifacts/contracts/FluxPayAudit.sol/FluxPayAudit.json');
   ProviderRegistryABI = require('../artifacts/contracts/ProviderRegistry.sol/ProviderRegistry.json');
+  FluxPayEscrowABI = require('../artifacts/contracts/FluxPayEscrow.sol/FluxPayEscrow.json');
 } catch (e) {
   console.warn('⚠️ Contract artifacts not found, using mock mode');
-  FluxPayAuditABI = ProviderRegistryABI = null;
+  FluxPayAuditABI = ProviderRegistryABI = FluxPayEscrowABI = null;
 }
 
+// Registry entry reported in mock mode, when no ProviderRegistry contract is connected
+const MOCK_PROVIDER = {
+  isActive: true,
+  name: 'Mock Provider',
+  endpoint: 'http://localhost:4000'
+};
+
 class NexusAdapter {
   constructor(config = {}) {
-    this.contracts = { // Addresses of deployed contracts
-      audit: process.env.FLUXPAY_AUDIT_CONTRACT,
-      registry: process.env.PROVIDER_REGISTRY_CONTRACT
-    };
+    // Chains settlements can target (FLUXPAY_CHAINS_CONFIG, FLUXPAY_DEFAULT_CHAIN)
+    this.chains = config.chainRegistry || loadChainRegistry();
+    this.chain = this.chains.resolve(); // Default chain: the audit trail, provider registry and event index live here
+
+    // Addresses of deployed contracts on the default chain; the evm settlement backend needs the escrow
+    this.contracts = { ...this.chain.contracts };
 
     this.config = config;
     this.initialized = false;
     this.isRealMode = false;
+    this.connections = new Map(); // name => Promise of the connection to a non-default chain
+    this.txManagers = new Map(); // name => TransactionManager of the gateway wallet on that chain
+
+    // Payer balances on every chain, read in parallel and cached (BALANCE_RPC_TIMEOUT ms per chain, BALANCE_CACHE_TTL ms)
+    this.balances = new BalanceService(this.chains, chain => this.connectProvider(chain), {
+      timeout: config.balanceTimeout || parseInt(process.env.BALANCE_RPC_TIMEOUT) || undefined,
+      ttl: config.balanceCacheTtl ?? parseInt(process.env.BALANCE_CACHE_TTL)
+    });
+
+    // Settlements are recorded on FluxPayAudit in batches (SETTLEMENT_BATCH_SIZE, SETTLEMENT_BATCH_MAX_AGE ms);
+    // entries that fail are retried with backoff (SETTLEMENT_AUDIT_MAX_ATTEMPTS, SETTLEMENT_AUDIT_RETRY_DELAY ms)
+    this.settlementQueue = new SettlementQueue(entries => this.submitSettlementBatch(entries), {
+      maxBatchSize: config.settlementBatchSize || parseInt(process.env.SETTLEMENT_BATCH_SIZE) || undefined,
+      maxAge: config.settlementBatchMaxAge || parseInt(process.env.SETTLEMENT_BATCH_MAX_AGE) || undefined,
+      maxAttempts: config.settlementAuditMaxAttempts || parseInt(process.env.SETTLEMENT_AUDIT_MAX_ATTEMPTS) || undefined,
+      retryDelay: config.settlementAuditRetryDelay || parseInt(process.env.SETTLEMENT_AUDIT_RETRY_DELAY) || undefined
+    });
+
+    // Moves the funds: 'evm' contracts, Avail 'nexus' or the in-memory 'mock' chain (SETTLEMENT_BACKEND)
+    this.settlementBackendType = config.settlementBackend || process.env.SETTLEMENT_BACKEND || null;
+    this.backend = createSettlementBackend(this, {
+      type: this.settlementBackendType,
+      nexusSdk: config.nexusSdk,
+      mockChain: config.mockChain
+    });
   }
 
   /**
-   * Initialize ethers provider and contracts for testnet transactions
+   * Initialize ethers provider and contracts on the default chain
+   * The provider, signer, txManager and contract fields always refer to the default chain
    */
   async initialize(walletProvider = null) {
     if (this.initialized) return;
 
     try {
-      // Set up ethers provider for testnet
-      const networkName = process.env.NODE_ENV === 'production' ? 'mainnet' : 'sepolia'; // Default to Sepolia testnet
-      const rpcUrl = process.env.SEPOLIA_RPC_URL || "https://rpc.sepolia.org";
-
-      this.provider = new ethers.JsonRpcProvider(rpcUrl);
-
-      // Use private key for signing (gateway wallet)
-      const privateKey = process.env.PRIVATE_KEY || process.env.GATEWAY_PRIVATE_KEY;
-      if (privateKey) {
-        this.signer = new ethers.Wallet(privateKey, this.provider);
+      // Real transactions are signed by the gateway wallet
+      if (process.env.PRIVATE_KEY || process.env.GATEWAY_PRIVATE_KEY) {
         this.isRealMode = true;
-      } else if (walletProvider) {
-        // Use external wallet provider (for frontend)
-        this.signer = new ethers.BrowserProvider(walletProvider).getSigner();
-      } else {
-        throw new Error('No private key or wallet provider available for testnet transactions');
       }
 
-      // Initialize contract instances
-      if (this.contracts.audit) {
-        this.auditContract = new ethers.Contract(this.contracts.audit, FluxPayAuditABI.abi, this.signer);
-      }
+      const { provider, signer, txManager, auditContract, registryContract, escrowContract } = await this.connect(this.chain, walletProvider);
+      Object.assign(this, { provider, signer, txManager, auditContract, registryContract, escrowContract });
 
-      if (this.contracts.registry) {
-        this.registryContract = new ethers.Contract(this.contracts.registry, ProviderRegistryABI.abi, this.signer);
+      if (this.backend.name === 'evm' && !escrowContract) {
+        // Nothing would move the payers' funds, and there would be no transaction to report
+        throw new Error(`The evm settlement backend needs FluxPayEscrow on ${this.chain.name} (FLUXPAY_ESCROW_CONTRACT)`);
       }
 
-      // Verify we're on testnet
-      const network = await this.provider.getNetwork();
-      console.log(`✅ Connected to ${network.name} testnet (chainId: ${network.chainId}) with ${this.isRealMode ? 'real' : 'mock'} transactions`);
+      console.log(`✅ Connected to ${this.chain.network} (chainId: ${this.chain.chainId}) with ${this.isRealMode ? 'real' : 'mock'} transactions (${this.backend.name} settlement backend)`);
       this.initialized = true;
 
     } catch (error) {
-      console.warn('⚠️ Testnet initialization failed, using mock mode:', error.message);
-      this._useMockSdk();
+      console.warn('⚠️ Testnet initialization failed:', error.message);
+
+      if (this.backend.name === 'evm') {
+        // A configured evm backend that cannot move funds must not take payments
+        if (this.settlementBackendType) throw error;
+
+        // evm was only picked because a key and contracts are configured
+        console.warn('⚠️ Using the mock settlement backend');
+        this.backend = createSettlementBackend(this, { type: 'mock', mockChain: this.config.mockChain });
+      }
     }
   }
 
-  _useMockSdk() {
-    this.sdk = {
-      intent: {
-        create: async () => ({ transactionHash: 'mock_tx_' + Math.random().toString(36).substr(2, 9) }),
-        status: async () => ({ state: 'LOCKED', lockedAmount: '1000000', expiry: Date.now() + 3600, payerAddress: 'demo' }),
-        settle: async () => ({ transactionHash: 'mock_settle_' + Math.random().toString(36).substr(2, 9) }),
-        refund: async () => ({ transactionHash: 'mock_refund_' + Math.random().toString(36).substr(2, 9) })
-      },
-      contract: {
-        call: async () => ({ isActive: true })
-      },
-      balance: {
-        unified: async () => ({ totalAmount: '0' })
-      },
-      swap: {
-        getQuote: async () => ({ success: true, gasEstimate: '50000', route: 'direct' })
-      },
-      dataAvailability: {
-        anchor: async () => ({ anchorId: 'mock_anchor_' + Math.random().toString(36).substr(2, 9) })
-      }
+  /**
+   * Connect the gateway wallet to a chain: the first of its RPC URLs that answers with the registry's chain id
+   * @param {Object} chain - Chain registry entry
+   * @param {Object} walletProvider - External wallet provider (for frontend), used without a gateway key
+   * @returns {Promise<Object>} { chain, provider, signer, txManager, auditContract, registryContract, escrowContract }
+   */
+  async connect(chain, walletProvider = null) {
+    const privateKey = process.env.PRIVATE_KEY || process.env.GATEWAY_PRIVATE_KEY;
+    if (!privateKey && !walletProvider) {
+      throw new Error('No private key or wallet provider available for testnet transactions');
+    }
+
+    const provider = await this.connectProvider(chain);
+
+    let signer;
+    let txManager = null;
+    if (privateKey) {
+      signer = new ethers.Wallet(privateKey, provider);
+
+      // Gateway wallet transactions get local nonces and fee-bumped replacements (TX_STUCK_AFTER ms, TX_FEE_BUMP %)
+      txManager = new TransactionManager(signer, {
+        stuckAfter: this.config.txStuckAfter || parseInt(process.env.TX_STUCK_AFTER) || undefined,
+        feeBump: this.config.txFeeBump || parseInt(process.env.TX_FEE_BUMP) || undefined
+      });
+      this.txManagers.set(chain.name, txManager);
+    } else {
+      // Use external wallet provider (for frontend)
+      signer = new ethers.BrowserProvider(walletProvider).getSigner();
+    }
+
+    const { audit, registry, escrow } = chain.contracts;
+    return {
+      chain,
+      provider,
+      signer,
+      txManager,
+      auditContract: audit ? new ethers.Contract(audit, FluxPayAuditABI.abi, signer) : null,
+      registryContract: registry ? new ethers.Contract(registry, ProviderRegistryABI.abi, signer) : null,
+      escrowContract: escrow ? new ethers.Contract(escrow, FluxPayEscrowABI.abi, signer) : null
     };
   }
 
   /**
-   * Create an intent - simulate with real blockchain transaction recording
+   * Provider for the first RPC URL of a chain that is reachable and on the expected chain id
+   * @param {Object} chain - Chain registry entry
+   * @returns {Promise<ethers.JsonRpcProvider>}
+   */
+  async connectProvider(chain) {
+    const errors = [];
+
+    for (const rpcUrl of chain.rpcUrls) {
+      const provider = new ethers.JsonRpcProvider(rpcUrl);
+      try {
+        const network = await provider.getNetwork();
+        if (Number(network.chainId) !== chain.chainId) {
+          throw new Error(`chain id ${network.chainId}, expected ${chain.chainId}`);
+        }
+        return provider;
+      } catch (error) {
+        provider.destroy();
+        errors.push(`${new URL(rpcUrl).host}: ${error.message}`);
+      }
+    }
+
+    throw new Error(`No RPC endpoint of ${chain.name} is reachable (${errors.join('; ') || 'none configured'})`);
+  }
+
+  /**
+   * Connection to a chain, opened on first use
+   * The default chain's is the one initialize() opened; other chains are only connected in real mode
+   * @param {string|number} chain - Chain name, network name or id (default chain if unset)
+   * @returns {Promise<Object>} { chain, provider, signer, txManager, auditContract, registryContract, escrowContract }
+   */
+  async connection(chain = null) {
+    const entry = this.chains.resolve(chain);
+    if (entry.name === this.chain.name) {
+      const { provider, signer, txManager, auditContract, registryContract, escrowContract } = this;
+      return { chain: entry, provider, signer, txManager, auditContract, registryContract, escrowContract };
+    }
+
+    if (!this.isRealMode) {
+      return { chain: entry };
+    }
+
+    if (!this.connections.has(entry.name)) {
+      const connecting = this.connect(entry);
+      // A failed connection is attempted again by the next settlement on that chain
+      connecting.catch(() => this.connections.delete(entry.name));
+      this.connections.set(entry.name, connecting);
+      console.log(`🔄 Connecting to ${entry.network} (chainId: ${entry.chainId})`);
+    }
+
+    return this.connections.get(entry.name);
+  }
+
+  /**
+   * FluxPayAudit on a chain, if the gateway can record there
+   * @param {string|number} chain - Chain name, network name or id (default chain if unset)
+   * @returns {Promise<ethers.Contract|null>}
+   */
+  async auditContractOn(chain = null) {
+    if (!this.isRealMode) return null;
+
+    const { auditContract } = await this.connection(chain);
+    return auditContract || null;
+  }
+
+  /**
+   * Create an intent - with the escrow contract the payer's USDC is pulled into escrow
+   * (the payer must have approved FluxPayEscrow for the amount)
    * @param {string} intentId - Unique intent identifier
    * @param {string} payer - Payer wallet address
    * @param {string} token - Token symbol (USDC)
    * @param {number} amount - Amount in token smallest units
    * @param {number} expiry - Expiry timestamp
-   * @returns {Promise<string>} Testnet transaction hash
+   * @param {string} chain - Chain the funds are locked on (default chain if unset)
+   * @returns {Promise<string>} Transaction hash (the backend's lock if it holds the funds, else the audit record)
    */
-  async createIntent(intentId, payer, token, amount, expiry) {
+  async createIntent(intentId, payer, token, amount, expiry, chain = null) {
     try {
-      if (this.isRealMode && this.auditContract) {
-        // Record intent on testnet contract
-        const intentBytes32 = ethers.id(intentId); // Convert to bytes32
+      chain = this.chains.resolve(chain).name;
+      const lockTx = await this.backend.createIntent(intentId, payer, token, amount, expiry, chain);
 
-        const tx = await this.auditContract.recordIntent(
-          intentBytes32,
+      const auditContract = await this.auditContractOn(chain);
+      if (auditContract) {
+        const receipt = await this.sendTransaction(auditContract, 'recordIntent', [
+          ethers.id(intentId),
           payer,
           amount,
           expiry
-        );
-
-        const receipt = await tx.wait();
+        ], { intentId, chain });
         console.log(`✅ Intent ${intentId} recorded on testnet: ${receipt.hash}`);
 
-        return receipt.hash;
-      } else {
-        // Mock mode - generate fake transaction hash
-        const mockHash = '0x' + crypto.randomBytes(32).toString('hex');
-        console.log(`⚠️ Mock intent created: ${intentId} -> ${mockHash}`);
-
-        // Still record locally for audit
-        await this.recordIntentOnChain(intentId, payer, amount, expiry);
-        return mockHash;
+        return lockTx || receipt.hash;
       }
+
+      return lockTx;
     } catch (error) {
       console.error('Create intent failed:', error);
       throw new Error(`Failed to create intent: ${error.message}`);
@@ -139,39 +254,46 @@ class NexusAdapter {
   }
 
   /**
-   * Get intent status from testnet contract
+   * Record an intent the payer locked themselves on FluxPayAudit, so its settlement or refund can be recorded too
+   * Called by the gateway when it first sees the intent locked; intents already recorded are skipped. Failures are
+   * logged rather than thrown, since reconciliation records missing intents
    * @param {string} intentId
-   * @returns {Promise<Object>} { status: 'LOCKED'|'PENDING'|'SETTLED'|'REFUNDED', amount, expiry }
+   * @param {Object} intentStatus - Result of getIntentStatus { payer, amount, expiry }
+   * @param {string} chain - Chain the intent is locked on (default chain if unset)
+   * @returns {Promise<string|null>} Audit transaction hash, or null if nothing was recorded
    */
-  async getIntentStatus(intentId) {
+  async recordLockedIntent(intentId, intentStatus, chain = null) {
     try {
-      if (this.isRealMode && this.auditContract) {
-        // Query real contract
-        const intentBytes32 = ethers.id(intentId);
-        const intentData = await this.auditContract.getIntent(intentBytes32);
-
-        const [payer, lockedAmount, expiry, settled, refunded] = intentData;
-
-        let status = 'LOCKED';
-        if (settled) status = 'SETTLED';
-        else if (refunded) status = 'REFUNDED';
-        else if (Date.now() / 1000 > parseInt(expiry)) status = 'EXPIRED';
-
-        return {
-          status: status,
-          amount: lockedAmount,
-          expiry: parseInt(expiry),
-          payer: payer
-        };
-      } else {
-        // Mock status for demo
-        return {
-          status: 'LOCKED',
-          amount: 100000, // 0.1 USDC in smallest units
-          expiry: Math.floor(Date.now() / 1000) + 300, // 5 min from now
-          payer: 'demo'
-        };
-      }
+      chain = this.chains.resolve(chain).name;
+      const auditContract = await this.auditContractOn(chain);
+      if (!auditContract) return null;
+
+      const [recordedPayer] = await auditContract.getIntent(ethers.id(intentId));
+      if (recordedPayer !== ethers.ZeroAddress) return null;
+
+      const receipt = await this.sendTransaction(auditContract, 'recordIntent', [
+        ethers.id(intentId),
+        intentStatus.payer,
+        intentStatus.amount,
+        intentStatus.expiry
+      ], { intentId, chain });
+      console.log(`✅ Intent ${intentId} recorded on testnet: ${receipt.hash}`);
+      return receipt.hash;
+    } catch (error) {
+      console.warn(`⚠️ Could not record locked intent ${intentId} on FluxPayAudit: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Get intent status from the settlement backend
+   * @param {string} intentId
+   * @param {string} chain - Chain the intent is locked on (default chain if unset)
+   * @returns {Promise<Object>} { status: 'LOCKED'|'PENDING'|'EXPIRED'|'SETTLED'|'REFUNDED', amount, expiry, payer, usedAmount, refundedAmount }
+   */
+  async getIntentStatus(intentId, chain = null) {
+    try {
+      return await this.backend.getIntentStatus(intentId, this.chains.resolve(chain).name);
     } catch (error) {
       console.error('Get intent status failed:', error);
       throw new Error(`Failed to get intent status: ${error.message}`);
@@ -180,89 +302,176 @@ class NexusAdapter {
 
   /**
    * Settle intent with real blockchain transaction
+   * Without the escrow contract any unused remainder stays locked; gateways use settleAndRefund to return it
+   * to the payer. With escrow the contract always returns the remainder in the payout transaction
    * @param {Object} params - Settlement parameters
    * @param {string} params.intentId
    * @param {string} params.recipient - Provider wallet address
    * @param {number} params.amount - Actual used amount
-   * @param {string} params.targetChain - Target chain for payout
+   * @param {string} params.targetChain - Chain the intent is settled and recorded on (default chain if unset)
    * @param {string} params.targetToken - Target token
    * @returns {Promise<string>} Testnet settlement transaction hash
    */
   async settleIntent({ intentId, recipient, amount, targetChain, targetToken = 'USDC' }) {
     try {
+      const chain = this.chains.resolve(targetChain).name;
+
       // Check intent balance
-      const status = await this.getIntentStatus(intentId);
+      const status = await this.getIntentStatus(intentId, chain);
       if (status.amount < amount) {
         throw new Error('Insufficient locked amount for settlement');
       }
 
-      if (this.isRealMode && this.auditContract) {
-        // Record real settlement on testnet
-        const intentBytes32 = ethers.id(intentId);
-        // Simulate transaction hash for settlement (in real impl this would transfer tokens)
-        const mockSettlementTx = '0x' + crypto.randomBytes(32).toString('hex');
+      const { settleTx } = await this.backend.settle(intentId, [{ recipient, amount }], { targetChain: chain, targetToken });
 
-        const tx = await this.auditContract.recordSettlement(
-          intentBytes32,
+      const auditContract = await this.auditContractOn(chain);
+      if (auditContract) {
+        const receipt = await this.sendTransaction(auditContract, 'recordSettlement', [
+          ethers.id(intentId),
           recipient,
           amount,
-          mockSettlementTx // This would be real transfer tx hash
-        );
-
-        const receipt = await tx.wait();
+          settleTx
+        ], { intentId, chain });
         console.log(`✅ Settlement recorded on testnet: ${receipt.hash}`);
 
         return receipt.hash;
-      } else {
-        // Mock settlement
-        const mockHash = '0x' + crypto.randomBytes(32).toString('hex');
-        console.log(`⚠️ Mock settlement: ${intentId} -> ${recipient}`);
-
-        // Record locally
-        await this.recordSettlementOnChain(intentId, recipient, amount, mockHash);
-        return mockHash;
       }
+
+      return settleTx;
     } catch (error) {
       console.error('Settle intent failed:', error);
       throw new Error(`Failed to settle intent: ${error.message}`);
     }
   }
 
+  /**
+   * Pay the provider for what was used and refund the unused remainder to the payer
+   * Both legs are recorded on FluxPayAudit by the settlement queue, batched with other settlements;
+   * the returned auditStatus is QUEUED and the final status comes from settlementQueue
+   * @param {Object} params - Settlement parameters
+   * @param {string} params.intentId
+   * @param {string} params.recipient - Provider wallet address
+   * @param {number} params.amount - Used amount in USDC smallest units
+   * @param {string} params.targetChain - Chain the intent is settled and recorded on (default chain if unset)
+   * @param {string} params.targetToken - Target token
+   * @param {Array<Object>} params.splits - Optional revenue splits [{ role, recipient, amount }] summing to amount (see revenueSplits.js)
+   * @returns {Promise<Object>} { settlementTx, refundTx, usedAmount, refundAmount, splits, auditStatus } (refundTx is null if nothing is left)
+   */
+  async settleAndRefund({ intentId, recipient, amount, targetChain, targetToken = 'USDC', splits = null }) {
+    try {
+      const chain = this.chains.resolve(targetChain).name;
+      const status = await this.getIntentStatus(intentId, chain);
+      const lockedAmount = Number(status.amount);
+      const usedAmount = Number(amount);
+
+      if (usedAmount > lockedAmount) {
+        throw new Error('Insufficient locked amount for settlement');
+      }
+
+      if (splits && splits.reduce((sum, split) => sum + Number(split.amount), 0) !== usedAmount) {
+        throw new Error('Revenue splits do not add up to the used amount');
+      }
+
+      const refundAmount = lockedAmount - usedAmount;
+      // A provider-only split settles like an unsplit payment
+      const payouts = splits && splits.length > 1 ? splits : null;
+
+      const { settleTx: settlementTx, refundTx } = await this.backend.settle(
+        intentId,
+        payouts || [{ recipient, amount: usedAmount }],
+        { refundAmount, targetChain: chain, targetToken }
+      );
+
+      const queued = this.settlementQueue.enqueue({
+        intentId,
+        chain,
+        provider: recipient,
+        usedAmount,
+        refundAmount,
+        settleTx: settlementTx,
+        refundTx,
+        splits: payouts
+      });
+
+      return { settlementTx, refundTx, usedAmount, refundAmount, splits, auditStatus: queued.status };
+    } catch (error) {
+      console.error('Settle and refund failed:', error);
+      throw new Error(`Failed to settle intent: ${error.message}`);
+    }
+  }
+
+  /**
+   * Record a batch of settlements and remainder refunds on FluxPayAudit (called by settlementQueue)
+   * Revenue splits of the batch follow in a second transaction, once their settlements are recorded
+   * @param {Array<Object>} entries - Queued settlements { intentId, chain, provider, usedAmount, settleTx, refundTx, splits },
+   *   all settled on the same chain
+   * @returns {Promise<string>} Audit transaction hash covering the whole batch
+   */
+  async submitSettlementBatch(entries) {
+    const chain = entries[0].chain;
+    const auditContract = await this.auditContractOn(chain);
+    if (!auditContract) {
+      // Nothing to record on: the backend's own record, or null
+      return this.backend.recordSettlements(entries);
+    }
+
+    const splitParams = [[], [], [], []];
+    for (const entry of entries) {
+      for (const split of entry.splits || []) {
+        splitParams[0].push(ethers.id(entry.intentId));
+        splitParams[1].push(split.recipient);
+        splitParams[2].push(split.amount);
+        splitParams[3].push(split.role);
+      }
+    }
+
+    const params = [
+      entries.map(entry => ethers.id(entry.intentId)),
+      entries.map(entry => entry.provider),
+      entries.map(entry => entry.usedAmount),
+      entries.map(entry => entry.settleTx),
+      entries.map(entry => entry.refundTx || '0x')
+    ];
+
+    const batch = { intentIds: entries.map(entry => entry.intentId), chain };
+    const receipt = await this.sendTransaction(auditContract, 'batchRecordSettlementsWithRefund', params, batch);
+
+    if (splitParams[0].length > 0) {
+      await this.sendTransaction(auditContract, 'batchRecordSplits', splitParams, batch);
+    }
+
+    return receipt.hash;
+  }
+
   /**
    * Refund intent with real blockchain transaction
    * @param {string} intentId
-   * @param {number} amount - Optional: amount to refund, default to remaining
-   * @returns {Promise<string>} Testnet refund transaction hash
+   * @param {number} amount - Optional: must equal the locked amount; use settleAndRefund to refund a remainder
+   * @param {string} chain - Chain the intent is locked on (default chain if unset)
+   * @returns {Promise<string>} Refund transaction hash (the audit record if FluxPayAudit is configured)
    */
-  async refundIntent(intentId, amount = null) {
+  async refundIntent(intentId, amount = null, chain = null) {
     try {
-      const status = await this.getIntentStatus(intentId);
-      const refundAmount = amount || status.amount;
-
-      if (this.isRealMode && this.auditContract) {
-        // Record real refund on testnet
-        const intentBytes32 = ethers.id(intentId);
-        // Simulate transaction hash for refund (in real impl this would return tokens)
-        const mockRefundTx = '0x' + crypto.randomBytes(32).toString('hex');
+      chain = this.chains.resolve(chain).name;
+      const status = await this.getIntentStatus(intentId, chain);
+      if (amount !== null && Number(amount) !== Number(status.amount)) {
+        throw new Error('Partial refunds must go through settleAndRefund');
+      }
 
-        const tx = await this.auditContract.recordRefund(
-          intentBytes32,
-          mockRefundTx // This would be real refund tx hash
-        );
+      const refundTx = await this.backend.refund(intentId, chain);
 
-        const receipt = await tx.wait();
+      const auditContract = await this.auditContractOn(chain);
+      if (auditContract) {
+        const receipt = await this.sendTransaction(auditContract, 'recordRefund', [
+          ethers.id(intentId),
+          refundTx
+        ], { intentId, chain });
         console.log(`✅ Refund recorded on testnet: ${receipt.hash}`);
 
         return receipt.hash;
-      } else {
-        // Mock refund
-        const mockHash = '0x' + crypto.randomBytes(32).toString('hex');
-        console.log(`⚠️ Mock refund: ${intentId}`);
-
-        // Record locally
-        await this.recordRefundOnChain(intentId, mockHash);
-        return mockHash;
       }
+
+      return refundTx;
     } catch (error) {
       console.error('Refund intent failed:', error);
       throw new Error(`Failed to refund intent: ${error.message}`);
@@ -270,24 +479,14 @@ class NexusAdapter {
   }
 
   /**
-   * Anchor receipt batch to Avail DA for verifiability
+   * Anchor receipt batch for verifiability (Avail DA with the nexus backend)
    * @param {Array} receipts - Array of receipt objects
    * @param {string} merkleRoot - Merkle root of receipts
    * @returns {Promise<string>} Anchor transaction hash
    */
   async anchorReceipts(receipts, merkleRoot) {
     try {
-      const result = await this.sdk.dataAvailability.anchor({
-        dataType: 'receipts',
-        merkleRoot,
-        receipts,
-        metadata: {
-          protocol: 'fluxpay',
-          version: '1.0'
-        }
-      });
-
-      return result.anchorId;
+      return await this.backend.anchor(receipts, merkleRoot);
     } catch (error) {
       console.error('Nexus anchorReceipts failed:', error);
       throw new Error(`Failed to anchor receipts: ${error.message}`);
@@ -298,16 +497,11 @@ class NexusAdapter {
    * Get user unified balance across chains
    * @param {string} userAddress
    * @param {string} token
-   * @returns {Promise<number>} Total balance
+   * @returns {Promise<number>} Total balance in token smallest units (per chain: this.balances.getBalances)
    */
   async getUnifiedBalance(userAddress, token = 'USDC') {
     try {
-      const balance = await this.sdk.balance.unified({
-        address: userAddress,
-        token
-      });
-
-      return parseInt(balance.totalAmount);
+      return await this.backend.getBalance(userAddress, token);
     } catch (error) {
       console.error('Nexus getUnifiedBalance failed:', error);
       throw new Error(`Failed to get unified balance: ${error.message}`);
@@ -325,13 +519,7 @@ class NexusAdapter {
    */
   async checkCrossChainSwap(fromChain, toChain, fromToken, toToken, amount) {
     try {
-      const swapQuote = await this.sdk.swap.getQuote({
-        fromChain,
-        toChain,
-        fromToken,
-        toToken,
-        amount: amount.toString()
-      });
+      const swapQuote = await this.backend.quoteSwap(fromChain, toChain, fromToken, toToken, amount);
 
       return {
         possible: swapQuote.success,
@@ -345,70 +533,234 @@ class NexusAdapter {
   }
 
   /**
-   * On-chain audit functions (calls to FluxPayAudit contract)
+   * Send a contract call from the gateway wallet and wait until it is mined
+   * Goes through the transaction manager of the contract's chain when the gateway signs with its own key
+   * @param {ethers.Contract} contract - Contract connected to the signer of meta.chain
+   * @param {string} method - Contract function name
+   * @param {Array} args - Function arguments
+   * @param {Object} meta - Kept with the pending transaction status (intentId, chain (default chain if unset), ...)
+   * @returns {Promise<Object>} Transaction receipt
+   */
+  async sendTransaction(contract, method, args, meta = {}) {
+    const chain = this.chains.resolve(meta.chain).name;
+    const txManager = chain === this.chain.name ? this.txManager : this.txManagers.get(chain);
+    if (txManager) {
+      return txManager.send(contract, method, args, { ...meta, chain });
+    }
+
+    const tx = await contract[method](...args);
+    return tx.wait();
+  }
+
+  /**
+   * Gateway wallet transactions not mined yet, on every connected chain
+   * @returns {Array<Object>} Statuses { id, method, intentId, chain, status, nonce, hash, hashes, replacements, fees, sentAt }
+   */
+  listPendingTransactions() {
+    return Array.from(this.txManagers.values()).flatMap(txManager => txManager.listPending());
+  }
+
+  /**
+   * Whether FluxPayAudit can be read and written on the default chain (real mode with a configured contract)
+   * @returns {boolean}
+   */
+  hasAuditContract() {
+    return Boolean(this.isRealMode && this.auditContract);
+  }
+
+  /**
+   * Intent as recorded on FluxPayAudit (used by reconciliation)
+   * @param {string} intentId
+   * @returns {Promise<Object|null>} { payer, lockedAmount, expiry, settled, refunded, usedAmount, refundedAmount }, or null if not recorded
+   */
+  async getAuditIntent(intentId) {
+    if (!this.hasAuditContract()) {
+      throw new Error('FluxPayAudit is not configured');
+    }
+
+    const [payer, lockedAmount, expiry, settled, refunded, usedAmount, refundedAmount] =
+      await this.auditContract.getIntent(ethers.id(intentId));
+    if (payer === ethers.ZeroAddress) return null;
+
+    return {
+      payer: payer.toLowerCase(),
+      lockedAmount: Number(lockedAmount),
+      expiry: Number(expiry),
+      settled,
+      refunded,
+      usedAmount: Number(usedAmount),
+      refundedAmount: Number(refundedAmount)
+    };
+  }
+
+  /**
+   * Record a missing intent on FluxPayAudit, throwing on failure (used by reconciliation repairs)
+   * @param {string} intentId
+   * @param {string} payer
+   * @param {number} lockedAmount - USDC smallest units
+   * @param {number} expiry - Unix seconds
+   * @returns {Promise<string>} Audit transaction hash
+   */
+  async recordAuditIntent(intentId, payer, lockedAmount, expiry) {
+    if (!this.hasAuditContract()) {
+      throw new Error('FluxPayAudit is not configured');
+    }
+
+    const receipt = await this.sendTransaction(this.auditContract, 'recordIntent', [ethers.id(intentId), payer, lockedAmount, expiry], { intentId });
+    return receipt.hash;
+  }
+
+  /**
+   * Record a missing full refund on FluxPayAudit, throwing on failure (used by reconciliation repairs)
+   * @param {string} intentId
+   * @param {string} refundTx - Transaction that returned the funds
+   * @returns {Promise<string>} Audit transaction hash
+   */
+  async recordAuditRefund(intentId, refundTx) {
+    if (!this.hasAuditContract()) {
+      throw new Error('FluxPayAudit is not configured');
+    }
+
+    const receipt = await this.sendTransaction(this.auditContract, 'recordRefund', [ethers.id(intentId), refundTx], { intentId });
+    return receipt.hash;
+  }
+
+  /**
+   * Verify provider is registered (calls to ProviderRegistry)
    */
-  async recordIntentOnChain(intentId, payer, amount, expiry) {
-    if (!this.contracts.audit) return; // Skip if not configured
+  async isProviderRegistered(providerAddress) {
+    if (!this.contracts.registry) return false;
 
     try {
-      const tx = await this.sdk.contract.call({
-        contractAddress: this.contracts.audit,
-        method: 'recordIntent',
-        params: [intentId, payer, amount.toString(), expiry.toString()]
-      });
-      console.log(`Audit recorded intent ${intentId}: ${tx.hash}`);
+      if (this.registryContract) {
+        return await this.registryContract.isProviderActive(providerAddress);
+      }
+
+      // Mock mode: providers are treated as registered
+      return MOCK_PROVIDER.isActive;
     } catch (error) {
-      console.error('On-chain intent recording failed:', error);
+      console.error('Provider registry check failed:', error);
+      return false;
     }
   }
 
-  async recordSettlementOnChain(intentId, provider, usedAmount, nexusTx) {
-    if (!this.contracts.audit) return;
+  /**
+   * Get provider details from ProviderRegistry
+   * @param {string} providerAddress
+   * @returns {Promise<Object|null>} { address, name, endpoint, publicKeyHash, isActive } or null if not registered
+   */
+  async getProvider(providerAddress) {
+    if (!this.contracts.registry) return null;
 
     try {
-      const tx = await this.sdk.contract.call({
-        contractAddress: this.contracts.audit,
-        method: 'recordSettlement',
-        params: [intentId, provider, usedAmount.toString(), nexusTx]
-      });
-      console.log(`Audit recorded settlement ${intentId}: ${tx.hash}`);
+      const provider = this.registryContract
+        ? await this.registryContract.providers(providerAddress)
+        : { ...MOCK_PROVIDER, endpoint: process.env.PROVIDER_URL || MOCK_PROVIDER.endpoint };
+
+      if (this.registryContract && provider.adminAddress === ethers.ZeroAddress) {
+        return null;
+      }
+
+      return {
+        address: providerAddress,
+        name: provider.name,
+        endpoint: provider.endpoint,
+        publicKeyHash: provider.publicKeyHash,
+        isActive: provider.isActive
+      };
     } catch (error) {
-      console.error('On-chain settlement recording failed:', error);
+      console.error('Provider lookup failed:', error);
+      throw new Error(`Failed to get provider: ${error.message}`);
     }
   }
 
-  async recordRefundOnChain(intentId, nexusTx) {
-    if (!this.contracts.audit) return;
+  /**
+   * Get the pricing rule registered for an endpoint (ProviderRegistry.getPricing)
+   * @param {string} endpointHash - bytes32 endpoint hash
+   * @returns {Promise<Object|null>} Rule with numeric fields in USDC smallest units, or null if unset
+   */
+  async getPricingRule(endpointHash) {
+    if (!this.registryContract) return null;
 
     try {
-      const tx = await this.sdk.contract.call({
-        contractAddress: this.contracts.audit,
-        method: 'recordRefund',
-        params: [intentId, nexusTx]
-      });
-      console.log(`Audit recorded refund ${intentId}: ${tx.hash}`);
+      const rule = await this.registryContract.getPricing(endpointHash);
+      if (rule.endpointHash === ethers.ZeroHash) return null;
+
+      return {
+        endpointHash: rule.endpointHash,
+        minBudget: Number(rule.minBudget),
+        maxBudget: Number(rule.maxBudget),
+        basePrice: Number(rule.basePrice),
+        pricePerToken: Number(rule.pricePerToken),
+        pricePerKb: Number(rule.pricePerKb),
+        slaTimeout: Number(rule.slaTimeout)
+      };
     } catch (error) {
-      console.error('On-chain refund recording failed:', error);
+      console.error('Pricing rule lookup failed:', error);
+      throw new Error(`Failed to get pricing rule: ${error.message}`);
     }
   }
 
   /**
-   * Verify provider is registered (calls to ProviderRegistry)
+   * Listen for PricingRuleSet events from ProviderRegistry
+   * @param {Function} listener - Called with the updated endpointHash
+   * @returns {Promise<Function>} Unsubscribe function
    */
-  async isProviderRegistered(providerAddress) {
-    if (!this.contracts.registry) return false;
+  async onPricingRuleSet(listener) {
+    if (!this.registryContract) return async () => {};
 
-    try {
-      const result = await this.sdk.contract.call({
-        contractAddress: this.contracts.registry,
-        method: 'providers',
-        params: [providerAddress]
+    const handler = (endpointHash) => listener(endpointHash);
+    await this.registryContract.on('PricingRuleSet', handler);
+    return () => this.registryContract.off('PricingRuleSet', handler);
+  }
+
+  /**
+   * Latest block of the connected chain
+   * @returns {Promise<number|null>} Block number, or null without an audit contract to follow
+   */
+  async getBlockNumber() {
+    if (!this.auditContract) return null;
+    return this.provider.getBlockNumber();
+  }
+
+  /**
+   * FluxPayAudit events in a block range, in chain order (read by the event indexer)
+   * @param {number} fromBlock
+   * @param {number} toBlock - Inclusive
+   * @param {Array<string>} eventNames - Events to include
+   * @returns {Promise<Array<Object>>} { name, args, blockNumber, logIndex, transactionHash, timestamp }
+   */
+  async getAuditEvents(fromBlock, toBlock, eventNames) {
+    if (!this.auditContract) return [];
+
+    const { interface: auditInterface } = this.auditContract;
+    const logs = await this.provider.getLogs({
+      address: this.contracts.audit,
+      fromBlock,
+      toBlock,
+      topics: [eventNames.map(name => auditInterface.getEvent(name).topicHash)]
+    });
+
+    const timestamps = new Map(); // blockNumber => block timestamp (seconds)
+    const events = [];
+    for (const log of logs) {
+      if (!timestamps.has(log.blockNumber)) {
+        const block = await this.provider.getBlock(log.blockNumber);
+        timestamps.set(log.blockNumber, block.timestamp);
+      }
+
+      const parsed = auditInterface.parseLog(log);
+      events.push({
+        name: parsed.name,
+        args: parsed.args.toObject(),
+        blockNumber: log.blockNumber,
+        logIndex: log.index,
+        transactionHash: log.transactionHash,
+        timestamp: timestamps.get(log.blockNumber)
       });
-      return result.isActive;
-    } catch (error) {
-      console.error('Provider registry check failed:', error);
-      return false;
     }
+
+    return events.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
   }
 
   /**
@@ -425,11 +777,33 @@ class NexusAdapter {
   }
 
   /**
-   * Cleanup expired intents (maintenance function)
+   * Refund expired intents that are still locked (maintenance function)
+   * Intents already settled or refunded on chain are reported as-is, so a retry never refunds twice
+   * @param {Array<string|Object>} intents - Intent ids (default chain), or { intentId, chain } for intents locked elsewhere
+   * @returns {Promise<Array<Object>>} { intentId, status, refundTx } or { intentId, error } per intent
    */
-  async cleanupExpiredIntents() {
-    // Could maintain a list of active intents and clean them up
-    console.log('Intent cleanup completed');
+  async cleanupExpiredIntents(intents) {
+    const results = [];
+
+    for (const intent of intents) {
+      const { intentId, chain = null } = typeof intent === 'string' ? { intentId: intent } : intent;
+      try {
+        const { status } = await this.getIntentStatus(intentId, chain);
+        if (status === 'SETTLED' || status === 'REFUNDED') {
+          results.push({ intentId, status, refundTx: null });
+          continue;
+        }
+
+        // refundIntent also records the refund on FluxPayAudit
+        const refundTx = await this.refundIntent(intentId, null, chain);
+        results.push({ intentId, status: 'REFUNDED', refundTx });
+      } catch (error) {
+        results.push({ intentId, error: error.message });
+      }
+    }
+
+    console.log(`Intent cleanup completed: ${results.filter(r => r.refundTx).length}/${intents.length} refunded`);
+    return results;
   }
 }
 
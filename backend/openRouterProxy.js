@@ -37,7 +37,7 @@ class OpenRouterProxy {
         messages: params.messages,
         max_tokens: params.max_tokens || 1000,
         temperature: params.temperature || 0.7,
-        stream: false // Streaming not supported in MVP
+        stream: false // Use streamCompletion for SSE responses
       });
 
       return {
@@ -53,6 +53,95 @@ class OpenRouterProxy {
     }
   }
 
+  /**
+   * Stream an OpenRouter completion, invoking a callback for each content delta
+   * @param {Object} params - Same request parameters as callCompletion
+   * @param {Object} options
+   * @param {Function} options.onToken - Called with (delta, fullContent) as tokens arrive
+   * @param {AbortSignal} options.signal - Aborts the upstream request (e.g. budget exhausted)
+   * @returns {Promise<Object>} { success, content, usage, model, finishReason, aborted }
+   */
+  async streamCompletion(params, { onToken, signal } = {}) {
+    let response;
+    try {
+      response = await this.client.post('/chat/completions', {
+        model: params.model,
+        messages: params.messages,
+        max_tokens: params.max_tokens || 1000,
+        temperature: params.temperature || 0.7,
+        stream: true,
+        usage: { include: true } // Final chunk carries exact token usage
+      }, {
+        responseType: 'stream',
+        signal
+      });
+    } catch (error) {
+      console.error('OpenRouter stream failed:', error.response?.data || error.message);
+      throw new Error(`AI call failed: ${error.response?.data?.error?.message || error.message}`);
+    }
+
+    const result = {
+      success: true,
+      content: '',
+      usage: null,
+      model: params.model,
+      finishReason: null,
+      aborted: false
+    };
+
+    let buffer = '';
+
+    try {
+      for await (const chunk of response.data) {
+        buffer += chunk.toString('utf8');
+
+        // SSE events are separated by newlines; keep the trailing partial line
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+
+        for (const line of lines) {
+          const trimmed = line.trim();
+          if (!trimmed.startsWith('data:')) continue; // Skip comments/keep-alives
+
+          const payload = trimmed.slice(5).trim();
+          if (payload === '[DONE]') return result;
+
+          const event = JSON.parse(payload);
+          if (event.error) {
+            throw new Error(event.error.message || 'Upstream stream error');
+          }
+
+          if (event.model) result.model = event.model;
+          if (event.usage) result.usage = event.usage;
+
+          const choice = event.choices && event.choices[0];
+          if (choice?.finish_reason) result.finishReason = choice.finish_reason;
+
+          const delta = choice?.delta?.content;
+          if (delta) {
+            result.content += delta;
+            if (onToken) onToken(delta, result.content);
+          }
+
+          // Callback may have aborted (budget used up); stop relaying further tokens
+          if (signal?.aborted) {
+            result.aborted = true;
+            return result;
+          }
+        }
+      }
+    } catch (error) {
+      if (signal?.aborted) {
+        result.aborted = true;
+        return result;
+      }
+      console.error('OpenRouter stream interrupted:', error.message);
+      throw new Error(`AI stream failed: ${error.message}`);
+    }
+
+    return result;
+  }
+
   /**
    * Verify usage amount matches OpenRouter-reported usage
    * @param {Object} apiResult - The AI API result
@@ -79,17 +168,12 @@ class OpenRouterProxy {
       throw new Error(`Unknown model pricing: ${model}`);
     }
 
-    // Calculate exact cost
-    const promptCost = (promptTokens * pricing.prompt_per_token) / 1e6; // Convert to USDC
-    const completionCost = (completionTokens * pricing.completion_per_token) / 1e6;
-    const totalCostUsdc = promptCost + completionCost;
-
-    // Convert to wei-equivalent (USDC has 6 decimals)
-    const totalCostWei = Math.round(totalCostUsdc * 1e6);
+    // Calculate exact cost in USDC base units (6 decimals)
+    const totalCostWei = this.calculateCostBaseUnits({ prompt_tokens: promptTokens, completion_tokens: completionTokens }, model);
 
     // Verify provider's claim matches our calculation
-    const claimedAmount = receipt.usedAmount;
-    const tolerance = Math.round(totalCostWei * 0.01); // 1% tolerance
+    const claimedAmount = Number(receipt.usedAmount);
+    const tolerance = Math.floor(totalCostWei / 100); // 1% tolerance
 
     if (Math.abs(claimedAmount - totalCostWei) > tolerance) {
       console.warn(`Usage verification discrepancy: claimed ${claimedAmount}, calculated ${totalCostWei}`);
@@ -301,6 +385,27 @@ class OpenRouterProxy {
     return promptCost + completionCost;
   }
 
+  /**
+   * Calculate cost for given usage and model in USDC base units, in integer math
+   * Prices are USDC per 1M tokens, so the cost is tokens × base units per 1M tokens / 1M, rounded down
+   * @param {Object} usage - Usage object from OpenRouter
+   * @param {string} model - Model name
+   * @returns {number} Cost in USDC base units
+   */
+  calculateCostBaseUnits(usage, model) {
+    const pricing = this.getModelPricing(model);
+    if (!pricing) {
+      console.warn(`Unknown model pricing for ${model}, using fallback`);
+      return 1000; // Fallback cost, 0.001 USDC
+    }
+
+    const perMillion = price => BigInt(Math.round(price * 1e6));
+    const total = BigInt(usage.prompt_tokens || 0) * perMillion(pricing.prompt_per_token) +
+      BigInt(usage.completion_tokens || 0) * perMillion(pricing.completion_per_token);
+
+    return Number(total / 1000000n);
+  }
+
   /**
    * Generate a deterministic hash for usage verification
    * @param {Object} usage - Usage object from OpenRouter
@@ -0,0 +1,152 @@
+/**
+ * @file paymentEvidence.js
+ * @description Payer-signed Payment-Evidence (EIP-712) so only the payer can redeem a locked intent
+ * The payer signs { intentId, requestFingerprint, deadline }; the gateway recovers the signer and
+ * compares it to the payer the intent was locked by. The EIP-712 domain is bound to the chain the intent is
+ * locked on and its escrow contract, so a signature is only good for one intent, request and chain
+ */
+
+const ethers = require('ethers');
+
+const MAX_DEADLINE_WINDOW = 60 * 60; // Signatures may not be valid for more than an hour
+
+// Domain of evidence for intents whose challenge named no chain
+const EVIDENCE_DOMAIN = {
+  name: 'FluxPay',
+  version: '1',
+  chainId: Number(process.env.EVIDENCE_CHAIN_ID || 11155111) // Sepolia
+};
+
+const EVIDENCE_TYPES = {
+  PaymentEvidence: [
+    { name: 'intentId', type: 'string' },
+    { name: 'requestFingerprint', type: 'bytes32' },
+    { name: 'deadline', type: 'uint256' }
+  ]
+};
+
+/**
+ * EIP-712 domain of evidence for an intent
+ * @param {Object} chain - Chain of the challenge { chainId, escrow } (see x402.describeChain), EVIDENCE_DOMAIN if unset
+ * @returns {Object} { name, version, chainId, verifyingContract } (no verifyingContract without an escrow)
+ */
+function evidenceDomain(chain = null) {
+  if (!chain) return EVIDENCE_DOMAIN;
+
+  const domain = { name: EVIDENCE_DOMAIN.name, version: EVIDENCE_DOMAIN.version, chainId: chain.chainId };
+  if (chain.escrow) {
+    domain.verifyingContract = chain.escrow;
+  }
+  return domain;
+}
+
+/**
+ * Build the EIP-712 message for a piece of evidence
+ * @param {Object} params
+ * @param {string} params.intentId
+ * @param {string} params.requestFingerprint - sha256 hex from requestFingerprint.js
+ * @param {number} params.deadline - Unix seconds after which the signature is void
+ * @returns {Object} { intentId, requestFingerprint (bytes32), deadline }
+ */
+function buildEvidenceMessage({ intentId, requestFingerprint, deadline }) {
+  return {
+    intentId,
+    requestFingerprint: requestFingerprint.startsWith('0x') ? requestFingerprint : `0x${requestFingerprint}`,
+    deadline: BigInt(deadline)
+  };
+}
+
+/**
+ * Typed data a client passes to eth_signTypedData_v4, as advertised in challenges
+ * @param {Object} params - intentId, requestFingerprint and the challenge's chain; deadline is filled in by the payer
+ * @returns {Object} { domain, types, primaryType, message }
+ */
+function evidenceTypedData({ intentId, requestFingerprint, chain = null }) {
+  return {
+    domain: evidenceDomain(chain),
+    types: EVIDENCE_TYPES,
+    primaryType: 'PaymentEvidence',
+    message: {
+      intentId,
+      requestFingerprint: `0x${requestFingerprint}`,
+      deadline: '<unix_seconds>'
+    }
+  };
+}
+
+/**
+ * Sign evidence as the payer (used by clients, agents and tests)
+ * @param {ethers.Signer} signer - Payer wallet
+ * @param {Object} params - { intentId, requestFingerprint, deadline, chain } with the challenge's chain
+ * @returns {Promise<string>} EIP-712 signature
+ */
+async function signEvidence(signer, params) {
+  return signer.signTypedData(evidenceDomain(params.chain), EVIDENCE_TYPES, buildEvidenceMessage(params));
+}
+
+/**
+ * Check that evidence is signed by the intent's payer for this request
+ * @param {Object} evidence - Parsed evidence { intentId, deadline, signature }
+ * @param {Object} expected
+ * @param {string} expected.requestFingerprint - Fingerprint of the request being paid for
+ * @param {string} expected.payer - Payer address from NexusAdapter.getIntentStatus
+ * @param {Object} expected.chain - Chain of the intent's challenge { chainId, escrow }
+ * @returns {string|null} Reason the evidence is rejected, or null if it is valid
+ */
+function checkEvidenceSignature(evidence, { requestFingerprint, payer, chain = null }) {
+  const { intentId, deadline, signature } = evidence;
+
+  if (!signature || deadline === undefined) {
+    return 'Payment evidence must be signed by the payer (deadline and signature required)';
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const deadlineSeconds = Number(deadline);
+  if (!Number.isInteger(deadlineSeconds) || deadlineSeconds < now) {
+    return 'Payment evidence signature has expired';
+  }
+
+  if (deadlineSeconds > now + MAX_DEADLINE_WINDOW) {
+    return 'Payment evidence deadline is too far in the future';
+  }
+
+  if (!ethers.isAddress(payer)) {
+    return 'Intent payer is not an address, so the evidence cannot be verified';
+  }
+
+  try {
+    const message = buildEvidenceMessage({ intentId, requestFingerprint, deadline: deadlineSeconds });
+    const signer = ethers.verifyTypedData(evidenceDomain(chain), EVIDENCE_TYPES, message, signature);
+
+    if (signer.toLowerCase() !== payer.toLowerCase()) {
+      return 'Payment evidence is not signed by the intent payer';
+    }
+  } catch (error) {
+    return `Invalid payment evidence signature: ${error.message}`;
+  }
+
+  return null;
+}
+
+/**
+ * Whether evidence for this intent has to be signed
+ * Always, except for intents without a payer address (e.g. 'demo' intents the mock chain locks by itself) when the
+ * mock settlement backend was configured on purpose; a backend that fell back to mock still requires signatures
+ * @param {Object} intentStatus - Result of NexusAdapter.getIntentStatus
+ * @param {string|null} configuredBackend - Settlement backend set in configuration (NexusAdapter.settlementBackendType)
+ * @returns {boolean}
+ */
+function requiresSignature(intentStatus, configuredBackend = null) {
+  return configuredBackend !== 'mock' || ethers.isAddress(intentStatus?.payer);
+}
+
+module.exports = {
+  EVIDENCE_DOMAIN,
+  EVIDENCE_TYPES,
+  evidenceDomain,
+  buildEvidenceMessage,
+  evidenceTypedData,
+  signEvidence,
+  checkEvidenceSignature,
+  requiresSignature
+};
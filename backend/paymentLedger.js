@@ -0,0 +1,253 @@
+/**
+ * @file paymentLedger.js
+ * @description Payments ledger built from FluxPayAudit events
+ * One entry per intent with its lock, settlement, splits and refunds, saved together with the last block
+ * the indexer has read so a restart resumes where it stopped. Kept in memory unless a file path is given
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const LEDGER_STATUS = {
+  LOCKED: 'LOCKED',
+  SETTLED: 'SETTLED',
+  REFUNDED: 'REFUNDED'
+};
+
+class PaymentLedger {
+  /**
+   * @param {Object} options
+   * @param {string} options.path - JSON file the ledger and its checkpoint are saved to (memory only if unset)
+   */
+  constructor(options = {}) {
+    this.filePath = options.path ? path.resolve(options.path) : null;
+    this.entries = new Map(); // intentHash => entry
+    this.checkpoint = -1; // Last block whose events are applied
+    this.loadedMtime = 0; // mtime of the file as last loaded or saved here
+
+    if (this.filePath) {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      this._load();
+    }
+  }
+
+  /**
+   * Apply the events of a block range and move the checkpoint to its end
+   * @param {Array<Object>} events - Audit events in chain order { name, args, blockNumber, transactionHash, timestamp, intentId }
+   * @param {number} toBlock - Last block of the range
+   */
+  apply(events, toBlock) {
+    for (const event of events) {
+      if (event.blockNumber > this.checkpoint) {
+        this._applyEvent(event);
+      }
+    }
+
+    this.checkpoint = Math.max(this.checkpoint, toBlock);
+    this._save();
+  }
+
+  /**
+   * Load the file again if another process saved it since (e.g. the serverless cron function indexing events)
+   * @returns {boolean} True if the ledger was reloaded
+   */
+  reload() {
+    if (!this.filePath || !fs.existsSync(this.filePath)) return false;
+    if (fs.statSync(this.filePath).mtimeMs === this.loadedMtime) return false;
+
+    this._load();
+    return true;
+  }
+
+  /**
+   * Ledger entry for an intent
+   * @param {string} intentHash - bytes32 intent id as recorded on FluxPayAudit
+   * @returns {Object|null}
+   */
+  get(intentHash) {
+    const entry = this.entries.get(intentHash);
+    return entry ? { ...entry, splits: [...entry.splits] } : null;
+  }
+
+  /**
+   * Every ledger entry, oldest lock first
+   * @returns {Array<Object>}
+   */
+  list() {
+    return Array.from(this.entries.values())
+      .sort((a, b) => a.lockedAt - b.lockedAt)
+      .map(entry => ({ ...entry, splits: [...entry.splits] }));
+  }
+
+  /**
+   * Intents locked by a payer, newest first
+   * @param {string} payer - Payer address
+   * @returns {Array<Object>} { intentId, intentHash, status, lockedAmount, expiry, payer, lockTx, timestamp }
+   */
+  listIntents(payer) {
+    return this._byPayer(payer).map(entry => ({
+      intentId: entry.intentId,
+      intentHash: entry.intentHash,
+      status: entry.status,
+      lockedAmount: entry.lockedAmount,
+      expiry: entry.expiry,
+      payer: entry.payer,
+      lockTx: entry.lockTx,
+      timestamp: entry.lockedAt
+    }));
+  }
+
+  /**
+   * Settlements of a payer's intents, newest first
+   * @param {string} payer - Payer address
+   * @returns {Array<Object>} { intentId, intentHash, usedAmount, provider, splits, settleTx, auditTx, timestamp }
+   */
+  listReceipts(payer) {
+    return this._byPayer(payer)
+      .filter(entry => entry.status === LEDGER_STATUS.SETTLED)
+      .map(entry => ({
+        intentId: entry.intentId,
+        intentHash: entry.intentHash,
+        usedAmount: entry.usedAmount,
+        provider: entry.provider,
+        splits: entry.splits,
+        settleTx: entry.settleTx,
+        auditTx: entry.settlementAuditTx,
+        timestamp: entry.settledAt
+      }))
+      .sort((a, b) => b.timestamp - a.timestamp);
+  }
+
+  /**
+   * Refunds to a payer, newest first: full refunds and unused remainders of settled intents
+   * @param {string} payer - Payer address
+   * @returns {Array<Object>} { intentId, intentHash, amount, reason, nexusTx, auditTx, timestamp }
+   */
+  listRefunds(payer) {
+    return this._byPayer(payer)
+      .filter(entry => entry.refundedAmount > 0)
+      .map(entry => ({
+        intentId: entry.intentId,
+        intentHash: entry.intentHash,
+        amount: entry.refundedAmount,
+        reason: entry.status === LEDGER_STATUS.SETTLED ? 'Unused remainder' : 'Intent refunded',
+        nexusTx: entry.refundTx,
+        auditTx: entry.refundAuditTx,
+        timestamp: entry.refundedAt
+      }))
+      .sort((a, b) => b.timestamp - a.timestamp);
+  }
+
+  _applyEvent({ name, args, transactionHash, timestamp, intentId }) {
+    const entry = this.entries.get(args.intentId);
+    if (entry && isRepeated(name, entry)) {
+      // FluxPayAudit rejects these, so a repeat means the chain and the ledger disagree: keep the first for reconciliation
+      entry.duplicates = [...(entry.duplicates || []), { name, transactionHash }];
+      return;
+    }
+
+    if (name === 'IntentLocked') {
+      this.entries.set(args.intentId, {
+        intentHash: args.intentId,
+        intentId: intentId || args.intentId,
+        status: LEDGER_STATUS.LOCKED,
+        payer: args.payer.toLowerCase(),
+        lockedAmount: Number(args.lockedAmount),
+        expiry: Number(args.expiry),
+        lockTx: transactionHash,
+        lockedAt: timestamp,
+        usedAmount: 0,
+        refundedAmount: 0,
+        splits: []
+      });
+      return;
+    }
+
+    if (!entry) {
+      // Locked before the indexer's start block
+      console.warn(`⚠️ Ledger skipped ${name} for unknown intent ${args.intentId}`);
+      return;
+    }
+
+    switch (name) {
+      case 'IntentSettled':
+        Object.assign(entry, {
+          status: LEDGER_STATUS.SETTLED,
+          provider: args.provider,
+          usedAmount: Number(args.usedAmount),
+          settleTx: args.nexusTx,
+          settlementAuditTx: transactionHash,
+          settledAt: timestamp
+        });
+        break;
+      case 'RemainderRefunded':
+        Object.assign(entry, {
+          refundedAmount: Number(args.refundedAmount),
+          refundTx: args.nexusTx,
+          refundAuditTx: transactionHash,
+          refundedAt: timestamp
+        });
+        break;
+      case 'IntentRefunded':
+        Object.assign(entry, {
+          status: LEDGER_STATUS.REFUNDED,
+          refundedAmount: entry.lockedAmount,
+          refundTx: args.nexusTx,
+          refundAuditTx: transactionHash,
+          refundedAt: timestamp
+        });
+        break;
+      case 'SettlementSplit':
+        entry.splits.push({ role: args.role, recipient: args.payee, amount: Number(args.amount) });
+        break;
+    }
+  }
+
+  _byPayer(payer) {
+    const address = String(payer).toLowerCase();
+    return Array.from(this.entries.values())
+      .filter(entry => entry.payer === address)
+      .sort((a, b) => b.lockedAt - a.lockedAt)
+      .map(entry => ({ ...entry, splits: [...entry.splits] }));
+  }
+
+  _load() {
+    if (!fs.existsSync(this.filePath)) return;
+
+    const { checkpoint, entries } = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    this.checkpoint = checkpoint;
+    this.entries = new Map(Object.entries(entries));
+    this.loadedMtime = fs.statSync(this.filePath).mtimeMs;
+    console.log(`📦 Loaded payments ledger from ${this.filePath} (block ${checkpoint}, ${this.entries.size} intents)`);
+  }
+
+  _save() {
+    if (!this.filePath) return;
+
+    // Write to a temp file and rename so the checkpoint never gets ahead of the saved entries
+    const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify({ checkpoint: this.checkpoint, entries: Object.fromEntries(this.entries) }, null, 2));
+    fs.renameSync(tmpPath, this.filePath);
+    this.loadedMtime = fs.statSync(this.filePath).mtimeMs;
+  }
+}
+
+// Whether an event records something the entry already has
+function isRepeated(name, entry) {
+  switch (name) {
+    case 'IntentLocked':
+      return true;
+    case 'IntentSettled':
+    case 'IntentRefunded':
+      return entry.status !== LEDGER_STATUS.LOCKED;
+    case 'RemainderRefunded':
+      return Boolean(entry.refundTx);
+    default:
+      return false;
+  }
+}
+
+module.exports = {
+  LEDGER_STATUS,
+  PaymentLedger
+};
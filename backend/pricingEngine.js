@@ -0,0 +1,161 @@
+/**
+ * @file pricingEngine.js
+ * @description Challenge budgets and settlement amounts driven by ProviderRegistry pricing rules
+ * Rules are registered per route rather than per request path: the endpointHash of a route pattern
+ * ('/api/data/*'), a provider ('/api/provider/0xabc...') or the AI chat endpoint ('/api/ai/chat'), so every
+ * sub-path of a route shares one rule and one registry lookup. Rules are cached in a bounded LRU and
+ * refreshed when PricingRuleSet events arrive
+ */
+
+const crypto = require('crypto');
+
+const DEFAULT_CACHE_TTL = 5 * 60 * 1000; // 5 minutes
+const DEFAULT_MAX_ENTRIES = 1000; // Least recently used rules are dropped past this
+
+/**
+ * Hash a pricing key the same way receipts do (sha256 of the key), as bytes32
+ * @param {string} endpoint - Route the rule is registered for, e.g. '/api/ai/chat' or '/api/data/*'
+ * @returns {string} 0x-prefixed bytes32 hash
+ */
+function endpointHash(endpoint) {
+  return '0x' + crypto.createHash('sha256').update(endpoint).digest('hex');
+}
+
+class PricingEngine {
+  /**
+   * @param {NexusAdapter} nexusAdapter - Adapter used to read the registry
+   * @param {Object} options
+   * @param {number} options.cacheTtl - How long a fetched rule is trusted without an event (ms)
+   * @param {number} options.maxEntries - Rules kept in the cache (default 1000)
+   */
+  constructor(nexusAdapter, options = {}) {
+    this.nexusAdapter = nexusAdapter;
+    this.cacheTtl = options.cacheTtl || DEFAULT_CACHE_TTL;
+    this.maxEntries = options.maxEntries || DEFAULT_MAX_ENTRIES;
+    this.cache = new Map(); // endpointHash => { rule, fetchedAt }, least recently used first
+    this.inFlight = new Map(); // endpointHash => Promise of the rule
+    this.unsubscribe = null;
+  }
+
+  /**
+   * Subscribe to PricingRuleSet events so updated rules replace cached ones
+   */
+  async watch() {
+    if (this.unsubscribe) return;
+
+    this.unsubscribe = await this.nexusAdapter.onPricingRuleSet(async (hash) => {
+      this.cache.delete(hash);
+      try {
+        await this.getRule(hash);
+        console.log(`🔄 Pricing rule refreshed for ${hash}`);
+      } catch (error) {
+        console.error('Pricing rule refresh failed:', error.message);
+      }
+    });
+  }
+
+  /**
+   * Stop listening for registry events
+   */
+  async stop() {
+    if (this.unsubscribe) {
+      await this.unsubscribe();
+      this.unsubscribe = null;
+    }
+  }
+
+  /**
+   * Get the pricing rule for an endpoint hash
+   * @param {string} hash - bytes32 endpointHash
+   * @returns {Promise<Object|null>} Rule with numeric fields, or null if none is registered
+   */
+  async getRule(hash) {
+    const cached = this.cache.get(hash);
+    if (cached && Date.now() - cached.fetchedAt < this.cacheTtl) {
+      this._remember(hash, cached);
+      return cached.rule;
+    }
+
+    // Concurrent quotes for the same route share one registry read
+    if (!this.inFlight.has(hash)) {
+      const fetching = this.nexusAdapter.getPricingRule(hash)
+        .then(rule => {
+          this._remember(hash, { rule, fetchedAt: Date.now() });
+          return rule;
+        })
+        .finally(() => this.inFlight.delete(hash));
+      this.inFlight.set(hash, fetching);
+    }
+    return this.inFlight.get(hash);
+  }
+
+  /**
+   * Quote the challenge budget and expiry for a route
+   * @param {string} pricingKey - Route the rule is registered for (route pattern, provider or AI endpoint), not the request path
+   * @param {Object} defaults - Used when no rule is registered
+   * @param {number} defaults.maxBudget - Budget in USDC smallest units
+   * @param {number} defaults.expirySeconds - Challenge lifetime
+   * @returns {Promise<Object>} { endpointHash, maxBudget, minBudget, expirySeconds, rule, source }
+   *   maxBudget is the amount the challenge asks to lock and is never below minBudget
+   */
+  async quote(pricingKey, defaults) {
+    const hash = endpointHash(pricingKey);
+
+    let rule = null;
+    try {
+      rule = await this.getRule(hash);
+    } catch (error) {
+      // Registry unavailable: keep serving with default pricing
+      console.error('Pricing rule lookup failed, using defaults:', error.message);
+    }
+
+    if (!rule) {
+      return {
+        endpointHash: hash,
+        maxBudget: defaults.maxBudget,
+        minBudget: 0,
+        expirySeconds: defaults.expirySeconds,
+        rule: null,
+        source: 'default'
+      };
+    }
+
+    // maxBudget of 0 means unlimited and falls back to the default; the lock asked for is never below minBudget
+    const maxBudget = Math.max(rule.minBudget, rule.maxBudget > 0 ? rule.maxBudget : defaults.maxBudget);
+
+    return {
+      endpointHash: hash,
+      maxBudget,
+      minBudget: rule.minBudget,
+      expirySeconds: rule.slaTimeout > 0 ? rule.slaTimeout : defaults.expirySeconds,
+      rule,
+      source: 'registry'
+    };
+  }
+
+  /**
+   * Compute the settled amount for measured usage under a rule
+   * @param {Object} rule - Pricing rule (from quote().rule)
+   * @param {Object} usage
+   * @param {number} usage.tokens - Prompt + completion tokens
+   * @param {number} usage.bytes - Response size in bytes
+   * @returns {number} Amount in USDC smallest units, capped at the rule's maxBudget
+   */
+  computeAmount(rule, { tokens = 0, bytes = 0 } = {}) {
+    const amount = rule.basePrice
+      + rule.pricePerToken * tokens
+      + rule.pricePerKb * Math.ceil(bytes / 1024);
+
+    return rule.maxBudget > 0 ? Math.min(amount, rule.maxBudget) : amount;
+  }
+
+  _remember(hash, entry) {
+    this.cache.delete(hash);
+    this.cache.set(hash, entry);
+    if (this.cache.size > this.maxEntries) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+  }
+}
+
+module.exports = { PricingEngine, endpointHash };
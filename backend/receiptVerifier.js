@@ -223,6 +223,25 @@ function signReceipt(receiptData, privateKey) {
   }
 }
 
+/**
+ * Verify a receipt signed with signReceipt
+ * @param {Object} receipt - Receipt data including its signature field
+ * @param {string} signerAddress - Address expected to have signed the receipt
+ * @returns {boolean} True if the signature recovers to signerAddress
+ */
+function verifyReceipt(receipt, signerAddress) {
+  try {
+    const { signature, ...receiptData } = receipt;
+    const signatureData = JSON.stringify(receiptData, Object.keys(receiptData).sort());
+    const recoveredAddress = ethers.verifyMessage(signatureData, signature);
+
+    return recoveredAddress.toLowerCase() === signerAddress.toLowerCase();
+  } catch (error) {
+    console.error('Receipt signature verification failed:', error.message);
+    return false;
+  }
+}
+
 /**
  * Generate unique nonce
  * @returns {string} Unique nonce
@@ -347,6 +366,7 @@ module.exports = {
   validateNonce,
   createSignedReceipt,
   signReceipt,
+  verifyReceipt,
   validateEndpointHash,
   verifyAgainstOpenRouterUsage,
   createReceiptsMerkleRoot,
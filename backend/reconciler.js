@@ -0,0 +1,296 @@
+/**
+ * @file reconciler.js
+ * @description Compares the gateway's intent records with what FluxPayAudit recorded
+ * Settled and refunded intents are checked against FluxPayAudit.getIntent, and the payments ledger (its events)
+ * is checked against the intent store. Missing audit records can be written again; amount and status
+ * mismatches and double records are reported for an operator
+ */
+
+const { INTENT_STATUS } = require('./intentStore.js');
+const { LEDGER_STATUS } = require('./paymentLedger.js');
+
+const DEFAULT_INTERVAL = 10 * 60 * 1000; // Reconcile every 10 minutes
+const DEFAULT_GRACE = 10 * 60 * 1000; // Records finished within 10 minutes may still have their audit batch in flight
+
+const DISCREPANCY = {
+  MISSING_ON_CHAIN: 'MISSING_ON_CHAIN',     // Settled or refunded by the gateway, not recorded on FluxPayAudit
+  MISSING_LOCALLY: 'MISSING_LOCALLY',       // Recorded on FluxPayAudit, unknown to the intent store
+  STATUS_MISMATCH: 'STATUS_MISMATCH',       // Settled on one side, refunded or still open on the other
+  AMOUNT_MISMATCH: 'AMOUNT_MISMATCH',       // Used, refunded or split amounts differ
+  DUPLICATE_RECORD: 'DUPLICATE_RECORD',     // Audit events repeated for an intent, or one payout recorded for several intents
+  AUDIT_STATUS_STALE: 'AUDIT_STATUS_STALE'  // Recorded on FluxPayAudit while the intent record says the audit failed
+};
+
+// Local states with a final on-chain counterpart
+const FINAL_STATUSES = {
+  [INTENT_STATUS.SETTLED]: LEDGER_STATUS.SETTLED,
+  [INTENT_STATUS.REFUNDED]: LEDGER_STATUS.REFUNDED
+};
+
+class Reconciler {
+  /**
+   * @param {Object} intentStore - Shared intent store (see intentStore.js)
+   * @param {NexusAdapter} nexusAdapter - Adapter FluxPayAudit is read and repaired through
+   * @param {PaymentLedger} paymentLedger - Ledger of indexed audit events, or null to check getIntent only
+   * @param {Object} options
+   * @param {number} options.interval - Time between runs (ms)
+   * @param {number} options.grace - How long after finishing a record is first checked (ms)
+   * @param {boolean} options.repair - Repair what can be repaired on scheduled runs
+   */
+  constructor(intentStore, nexusAdapter, paymentLedger, options = {}) {
+    this.intentStore = intentStore;
+    this.nexusAdapter = nexusAdapter;
+    this.paymentLedger = paymentLedger;
+    this.interval = options.interval || DEFAULT_INTERVAL;
+    this.grace = options.grace ?? DEFAULT_GRACE;
+    this.repair = Boolean(options.repair);
+    this.lastReport = null;
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Reconcile on an interval (does not keep the process alive)
+   */
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.run({ repair: this.repair }).catch(error => console.error('Reconciliation failed:', error.message));
+    }, this.interval);
+    this.timer.unref();
+
+    console.log(`✅ Reconciliation running every ${this.interval / 1000}s${this.repair ? ' with auto-repair' : ''}`);
+  }
+
+  /**
+   * Stop reconciling
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Run one reconciliation
+   * @param {Object} options
+   * @param {boolean} options.repair - Write missing audit records and refresh stale audit statuses
+   * @returns {Promise<Object|null>} Discrepancy report, or null if a run is already in progress
+   */
+  async run({ repair = false } = {}) {
+    if (this.running) return null;
+    this.running = true;
+
+    try {
+      const report = {
+        startedAt: Date.now(),
+        finishedAt: null,
+        chainAvailable: this.nexusAdapter.hasAuditContract(),
+        repair,
+        checked: { records: 0, ledgerEntries: 0 },
+        discrepancies: [],
+        summary: {}
+      };
+
+      if (report.chainAvailable) {
+        await this.checkRecords(report);
+        if (this.paymentLedger) {
+          this.checkLedger(report, await this.intentStore.listByStatus(Object.values(INTENT_STATUS)));
+        }
+
+        if (repair) {
+          for (const discrepancy of report.discrepancies) {
+            await this.repairDiscrepancy(discrepancy);
+          }
+        }
+      } else {
+        console.warn('⚠️ Reconciliation skipped: FluxPayAudit is not configured');
+      }
+
+      for (const { type } of report.discrepancies) {
+        report.summary[type] = (report.summary[type] || 0) + 1;
+      }
+      report.repaired = report.discrepancies.filter(discrepancy => discrepancy.repaired).length;
+      report.finishedAt = Date.now();
+
+      if (report.discrepancies.length > 0) {
+        console.warn(`⚠️ Reconciliation found ${report.discrepancies.length} discrepancies (${report.repaired} repaired)`);
+      }
+
+      this.lastReport = report;
+      return report;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Compare settled and refunded intent records with FluxPayAudit.getIntent
+   * @param {Object} report - Report being built
+   */
+  async checkRecords(report) {
+    const cutoff = Date.now() - this.grace;
+    const records = (await this.intentStore.listByStatus(Object.keys(FINAL_STATUSES)))
+      .filter(record => !record.sessionId && record.updatedAt <= cutoff); // Session calls settle with their session
+
+    const payouts = new Map(); // settlementTx => intentIds
+    for (const record of records) {
+      report.checked.records++;
+      const { intentId } = record;
+      const local = localAmounts(record);
+      const chain = await this.nexusAdapter.getAuditIntent(intentId);
+      const add = (type, detail) => report.discrepancies.push({ type, intentId, detail, local, chain });
+
+      if (record.settlementTx && record.settlementTx !== record.refundTx) {
+        payouts.set(record.settlementTx, [...(payouts.get(record.settlementTx) || []), intentId]);
+      }
+
+      const chainStatus = chain?.settled ? LEDGER_STATUS.SETTLED : chain?.refunded ? LEDGER_STATUS.REFUNDED : null;
+      if (!chainStatus) {
+        add(DISCREPANCY.MISSING_ON_CHAIN, chain
+          ? `Intent is recorded but not ${FINAL_STATUSES[record.status].toLowerCase()}`
+          : 'Intent is not recorded');
+        continue;
+      }
+
+      if (chainStatus !== FINAL_STATUSES[record.status]) {
+        add(DISCREPANCY.STATUS_MISMATCH, `Gateway says ${record.status}, FluxPayAudit says ${chainStatus}`);
+        continue;
+      }
+
+      if (record.status === INTENT_STATUS.SETTLED) {
+        if (local.usedAmount !== null && local.usedAmount !== chain.usedAmount) {
+          add(DISCREPANCY.AMOUNT_MISMATCH, `Used amount ${local.usedAmount} recorded as ${chain.usedAmount}`);
+        }
+        if (local.refundAmount !== null && local.refundAmount !== chain.refundedAmount) {
+          add(DISCREPANCY.AMOUNT_MISMATCH, `Refund ${local.refundAmount} recorded as ${chain.refundedAmount}`);
+        }
+        if (record.auditStatus === 'FAILED') {
+          add(DISCREPANCY.AUDIT_STATUS_STALE, 'Settlement is recorded but its audit batch was reported failed');
+        }
+      }
+    }
+
+    for (const [settlementTx, intentIds] of payouts) {
+      if (intentIds.length > 1) {
+        report.discrepancies.push({
+          type: DISCREPANCY.DUPLICATE_RECORD,
+          intentId: intentIds[0],
+          detail: `Payout ${settlementTx} recorded for intents ${intentIds.join(', ')}`,
+          local: { settlementTx, intentIds },
+          chain: null
+        });
+      }
+    }
+  }
+
+  /**
+   * Compare indexed audit events with the intent store
+   * @param {Object} report - Report being built
+   * @param {Array<Object>} records - Every intent record
+   */
+  checkLedger(report, records) {
+    const byId = new Map(records.map(record => [record.intentId, record]));
+    const cutoff = (Date.now() - this.grace) / 1000;
+
+    for (const entry of this.paymentLedger.list()) {
+      report.checked.ledgerEntries++;
+      const record = byId.get(entry.intentId);
+      const chain = { status: entry.status, usedAmount: entry.usedAmount, refundedAmount: entry.refundedAmount, splits: entry.splits };
+      const add = (type, detail, local = null) => report.discrepancies.push({
+        type, intentId: entry.intentId, intentHash: entry.intentHash, detail, local, chain
+      });
+
+      for (const duplicate of entry.duplicates || []) {
+        add(DISCREPANCY.DUPLICATE_RECORD, `${duplicate.name} recorded again in ${duplicate.transactionHash}`);
+      }
+
+      if (!record) {
+        add(DISCREPANCY.MISSING_LOCALLY, `Locked by ${entry.payer} in ${entry.lockTx}, no intent record`);
+        continue;
+      }
+
+      // Final records were compared with getIntent above; here only open ones the chain already finished
+      if (!FINAL_STATUSES[record.status] && entry.status !== LEDGER_STATUS.LOCKED && entry.lockedAt <= cutoff) {
+        add(DISCREPANCY.STATUS_MISMATCH, `Gateway says ${record.status}, FluxPayAudit says ${entry.status}`, localAmounts(record));
+      }
+
+      const splits = record.settlementJob?.splits;
+      if (entry.status === LEDGER_STATUS.SETTLED && splits?.length > 1) {
+        const expected = splits.reduce((sum, split) => sum + Number(split.amount), 0);
+        const recorded = entry.splits.reduce((sum, split) => sum + split.amount, 0);
+        if (entry.splits.length !== splits.length || recorded !== expected) {
+          add(DISCREPANCY.AMOUNT_MISMATCH, `Splits ${expected} in ${splits.length} payouts recorded as ${recorded} in ${entry.splits.length}`, localAmounts(record));
+        }
+      }
+    }
+  }
+
+  /**
+   * Repair a discrepancy where the gateway record is the source of truth
+   * Missing audit records are written again and stale audit statuses refreshed; anything else is left to an operator
+   * @param {Object} discrepancy - Report entry, updated with { repaired, repair | repairError }
+   */
+  async repairDiscrepancy(discrepancy) {
+    const { type, intentId, chain } = discrepancy;
+    discrepancy.repaired = false;
+
+    try {
+      if (type === DISCREPANCY.AUDIT_STATUS_STALE) {
+        await this.intentStore.update(intentId, { auditStatus: 'CONFIRMED', auditError: null, reconciledAt: Date.now() });
+        discrepancy.repair = 'Audit status set to CONFIRMED';
+        discrepancy.repaired = true;
+        return;
+      }
+
+      if (type !== DISCREPANCY.MISSING_ON_CHAIN) return;
+
+      const record = await this.intentStore.get(intentId);
+      if (!chain) {
+        await this.nexusAdapter.recordAuditIntent(intentId, record.payer, record.lockedAmount, record.expiry || 0);
+      }
+
+      if (record.status === INTENT_STATUS.REFUNDED) {
+        const auditTx = await this.nexusAdapter.recordAuditRefund(intentId, record.refundTx || '0x');
+        await this.intentStore.update(intentId, { auditStatus: 'CONFIRMED', auditTx, reconciledAt: Date.now() });
+        discrepancy.repair = `Refund recorded in ${auditTx}`;
+      } else {
+        const { usedAmount, refundAmount } = localAmounts(record);
+        const splits = record.settlementJob?.splits;
+        this.nexusAdapter.settlementQueue.enqueue({
+          intentId,
+          chain: record.chain,
+          provider: record.provider || record.settlementJob?.recipient,
+          usedAmount,
+          refundAmount,
+          settleTx: record.settlementTx,
+          refundTx: record.refundTx || null,
+          splits: splits && splits.length > 1 ? splits : null
+        });
+        await this.intentStore.update(intentId, { auditStatus: 'QUEUED', reconciledAt: Date.now() });
+        discrepancy.repair = 'Settlement queued for the next audit batch';
+      }
+      discrepancy.repaired = true;
+    } catch (error) {
+      discrepancy.repairError = error.message;
+      console.error(`⚠️ Reconciliation repair failed for intent ${intentId}: ${error.message}`);
+    }
+  }
+}
+
+// Amounts the gateway settled or refunded, null where the record does not say
+function localAmounts(record) {
+  const usedAmount = record.usedAmount ?? record.settlementJob?.amount;
+  return {
+    status: record.status,
+    usedAmount: usedAmount !== undefined ? Number(usedAmount) : null,
+    refundAmount: record.refundAmount !== undefined ? Number(record.refundAmount) : null,
+    settlementTx: record.settlementTx || null,
+    refundTx: record.refundTx || null,
+    auditStatus: record.auditStatus || null
+  };
+}
+
+module.exports = { Reconciler, DISCREPANCY };
@@ -0,0 +1,95 @@
+/**
+ * @file requestFingerprint.js
+ * @description Canonical request fingerprints that bind a 402 challenge to the request it was issued for
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Deterministic JSON serialization (object keys sorted at every level)
+ * @param {*} value
+ * @returns {string}
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * Hash a request body independent of key order and whitespace
+ * @param {*} body - Parsed request body
+ * @returns {string} sha256 hex
+ */
+function hashBody(body) {
+  const isEmpty = body === undefined || body === null ||
+    (typeof body === 'object' && !Array.isArray(body) && Object.keys(body).length === 0);
+
+  return crypto.createHash('sha256').update(isEmpty ? '' : canonicalJson(body)).digest('hex');
+}
+
+/**
+ * Canonical form of a query string: parameters sorted by name, repeated names keeping their order
+ * @param {string} query - Raw query string, with or without the leading '?'
+ * @returns {string}
+ */
+function canonicalQuery(query) {
+  const params = new URLSearchParams(query || '');
+  params.sort();
+  return params.toString();
+}
+
+/**
+ * Compute the fingerprint a challenge commits to
+ * @param {Object} params
+ * @param {string} params.method - HTTP method
+ * @param {string} params.path - Request path (without query string)
+ * @param {string} params.query - Raw query string; it is forwarded upstream, so it is paid for too
+ * @param {*} params.body - Parsed request body
+ * @param {string} params.model - Selected model, if any
+ * @returns {string} sha256 hex fingerprint
+ */
+function computeRequestFingerprint({ method, path, query = '', body, model = null }) {
+  const canonical = canonicalJson({
+    method: method.toUpperCase(),
+    path,
+    query: canonicalQuery(query),
+    bodyHash: hashBody(body),
+    model: model || null
+  });
+
+  return crypto.createHash('sha256').update(canonical).digest('hex');
+}
+
+/**
+ * Fingerprint an Express request
+ * @param {Object} req - Express request
+ * @returns {string} sha256 hex fingerprint
+ */
+function fingerprintRequest(req) {
+  return computeRequestFingerprint({
+    method: req.method,
+    path: req.path,
+    query: req.originalUrl.split('?').slice(1).join('?'),
+    body: req.body,
+    model: req.body?.model
+  });
+}
+
+module.exports = {
+  canonicalJson,
+  canonicalQuery,
+  hashBody,
+  computeRequestFingerprint,
+  fingerprintRequest
+};
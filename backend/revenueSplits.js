@@ -0,0 +1,150 @@
+/**
+ * @file revenueSplits.js
+ * @description Splits a settled amount between the provider, the gateway fee and revenue shares
+ * Fee and shares are in basis points of the used amount and rounded down; the provider receives the rest,
+ * so rounding never changes what the payer is charged
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const BPS_DENOMINATOR = 10000;
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'config', 'splits.json');
+
+const SPLIT_ROLES = {
+  PROVIDER: 'provider',
+  GATEWAY_FEE: 'gateway_fee'
+};
+
+class SplitPolicy {
+  /**
+   * @param {Object} config
+   * @param {Object} config.gatewayFee - { bps, recipient } taken from every settlement
+   * @param {Object} config.templates - templateId => { name, shares: [{ recipient, bps, role }] } for prompt/template authors
+   */
+  constructor(config = {}) {
+    this.gatewayFee = config.gatewayFee && config.gatewayFee.bps > 0 ? config.gatewayFee : null;
+    this.templates = config.templates || {};
+
+    if (this.gatewayFee) {
+      validateShares([{ ...this.gatewayFee, role: SPLIT_ROLES.GATEWAY_FEE }], 'gatewayFee');
+    }
+    for (const [templateId, template] of Object.entries(this.templates)) {
+      validateShares(template.shares || [], `Template ${templateId}`, this.feeBps);
+    }
+  }
+
+  get feeBps() {
+    return this.gatewayFee ? this.gatewayFee.bps : 0;
+  }
+
+  /**
+   * Revenue shares configured for a prompt template
+   * @param {string} templateId
+   * @returns {Array<Object>} Shares, empty for unknown templates
+   */
+  templateShares(templateId) {
+    return (templateId && this.templates[templateId]?.shares) || [];
+  }
+
+  /**
+   * Split a used amount between payees
+   * @param {number} usedAmount - Amount in USDC smallest units
+   * @param {string} provider - Provider address, receives what is left after fee and shares
+   * @param {Array<Object>} shares - Revenue shares [{ recipient, bps, role }]
+   * @returns {Array<Object>} [{ role, recipient, amount, bps }] summing to usedAmount, provider first
+   */
+  split(usedAmount, provider, shares = []) {
+    const cuts = this.gatewayFee
+      ? [{ ...this.gatewayFee, role: SPLIT_ROLES.GATEWAY_FEE }, ...shares]
+      : shares;
+
+    const totalBps = cuts.reduce((sum, cut) => sum + cut.bps, 0);
+    if (totalBps > BPS_DENOMINATOR) {
+      throw new Error(`Revenue splits exceed 100% (${totalBps} bps)`);
+    }
+
+    const splits = cuts
+      .map(cut => ({
+        role: cut.role,
+        recipient: cut.recipient,
+        amount: Math.floor(usedAmount * cut.bps / BPS_DENOMINATOR),
+        bps: cut.bps
+      }))
+      .filter(split => split.amount > 0);
+
+    const providerAmount = usedAmount - splits.reduce((sum, split) => sum + split.amount, 0);
+    return [
+      { role: SPLIT_ROLES.PROVIDER, recipient: provider, amount: providerAmount, bps: BPS_DENOMINATOR - totalBps },
+      ...splits
+    ];
+  }
+}
+
+/**
+ * Splits in the form they are signed into receipts
+ * Tuples rather than objects: receipts are serialized with a top-level key list, which drops nested keys
+ * @param {Array<Object>} splits - Result of SplitPolicy.split()
+ * @returns {Array<Array>} [[role, recipient, amount], ...]
+ */
+function toReceiptSplits(splits) {
+  return splits.map(split => [split.role, split.recipient, split.amount]);
+}
+
+/**
+ * Validate revenue shares from config
+ * @param {Array<Object>} shares - [{ recipient, bps, role }]
+ * @param {string} where - Config location for error messages
+ * @param {number} reservedBps - Basis points already taken (gateway fee)
+ */
+function validateShares(shares, where, reservedBps = 0) {
+  if (!Array.isArray(shares)) {
+    throw new Error(`${where}: splits must be an array`);
+  }
+
+  let totalBps = reservedBps;
+  shares.forEach((share, index) => {
+    if (!/^0x[0-9a-fA-F]{40}$/.test(share.recipient || '')) {
+      throw new Error(`${where}: split #${index} recipient must be an address`);
+    }
+
+    if (!Number.isInteger(share.bps) || share.bps <= 0) {
+      throw new Error(`${where}: split #${index} bps must be a positive integer`);
+    }
+
+    if (!share.role || share.role === SPLIT_ROLES.PROVIDER) {
+      throw new Error(`${where}: split #${index} needs a role other than '${SPLIT_ROLES.PROVIDER}'`);
+    }
+
+    totalBps += share.bps;
+  });
+
+  if (totalBps > BPS_DENOMINATOR) {
+    throw new Error(`${where}: splits exceed 100% (${totalBps} bps)`);
+  }
+}
+
+/**
+ * Load the split policy from a JSON config file
+ * @param {string} filePath - Defaults to FLUXPAY_SPLITS_CONFIG env, then config/splits.json
+ * @returns {SplitPolicy} Policy without fee or shares if the file does not exist
+ */
+function loadSplitPolicy(filePath = process.env.FLUXPAY_SPLITS_CONFIG || DEFAULT_CONFIG_PATH) {
+  if (!fs.existsSync(filePath)) {
+    console.warn(`⚠️ Split config not found at ${filePath}, providers receive the full used amount`);
+    return new SplitPolicy();
+  }
+
+  const policy = new SplitPolicy(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+  console.log(`✅ Loaded revenue splits from ${filePath} (gateway fee ${policy.feeBps} bps)`);
+  return policy;
+}
+
+module.exports = {
+  BPS_DENOMINATOR,
+  SPLIT_ROLES,
+  SplitPolicy,
+  toReceiptSplits,
+  validateShares,
+  loadSplitPolicy
+};
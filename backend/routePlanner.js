@@ -0,0 +1,207 @@
+/**
+ * @file routePlanner.js
+ * @description Picks the chains a payer funds an intent from, given their per-chain USDC balances
+ * The intent is locked on the provider's payout chain; funds held elsewhere are bridged there first. Routes are
+ * ranked by what the payer pays on top of the amount: gas for the lock and for each bridge transfer, plus bridge fees
+ * All amounts are USDC smallest units, gas included (estimated in USDC so routes on different chains compare)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const BPS_DENOMINATOR = 10000;
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'config', 'fees.json');
+
+// Rough testnet-era costs; FLUXPAY_FEES_CONFIG overrides them
+const DEFAULT_FEES = {
+  gas: { ethereum: 1500, polygon: 10, arbitrum: 60, avalanche: 80, base: 20 }, // One transaction on the chain
+  defaultGas: 500, // Chains without a gas estimate
+  bridge: { baseFee: 500, bps: 10 } // Every cross-chain transfer
+};
+
+class FeeModel {
+  /**
+   * @param {Object} config
+   * @param {Object} config.gas - chain name => cost of one transaction on that chain
+   * @param {number} config.defaultGas - Cost of a transaction on chains missing from gas
+   * @param {Object} config.bridge - { baseFee, bps } charged per cross-chain transfer
+   * @param {Object} config.bridges - 'from:to' => { baseFee, bps } for specific chain pairs
+   */
+  constructor(config = {}) {
+    this.gas = { ...DEFAULT_FEES.gas, ...config.gas };
+    this.defaultGas = Number.isInteger(config.defaultGas) ? config.defaultGas : DEFAULT_FEES.defaultGas;
+    this.bridge = config.bridge || DEFAULT_FEES.bridge;
+    this.bridges = config.bridges || {};
+
+    Object.entries(this.gas).forEach(([chain, cost]) => validateCost(cost, `gas.${chain}`));
+    validateBridge(this.bridge, 'bridge');
+    Object.entries(this.bridges).forEach(([pair, bridge]) => validateBridge(bridge, `bridges.${pair}`));
+  }
+
+  /**
+   * Cost of one transaction on a chain
+   * @param {string} chain - Chain registry name
+   * @returns {number}
+   */
+  gasCost(chain) {
+    return Number.isInteger(this.gas[chain]) ? this.gas[chain] : this.defaultGas;
+  }
+
+  /**
+   * Bridge fee for moving an amount between chains (nothing within a chain)
+   * @param {string} fromChain
+   * @param {string} toChain
+   * @param {number} amount - Amount arriving on toChain
+   * @returns {number}
+   */
+  bridgeFee(fromChain, toChain, amount) {
+    if (fromChain === toChain) return 0;
+
+    const { baseFee, bps } = this.bridgeRate(fromChain, toChain);
+    return baseFee + Math.ceil(amount * bps / BPS_DENOMINATOR);
+  }
+
+  /**
+   * Largest amount a balance can deliver to another chain after the bridge fee
+   * @param {string} fromChain
+   * @param {string} toChain
+   * @param {number} balance
+   * @returns {number}
+   */
+  maxTransfer(fromChain, toChain, balance) {
+    if (fromChain === toChain) return balance;
+
+    const { baseFee, bps } = this.bridgeRate(fromChain, toChain);
+    let amount = Math.floor((balance - baseFee) * BPS_DENOMINATOR / (BPS_DENOMINATOR + bps));
+    // The fee rounds up, which can push the total one unit over
+    while (amount > 0 && amount + this.bridgeFee(fromChain, toChain, amount) > balance) amount--;
+    return Math.max(amount, 0);
+  }
+
+  bridgeRate(fromChain, toChain) {
+    return this.bridges[`${fromChain}:${toChain}`] || this.bridge;
+  }
+}
+
+class RoutePlanner {
+  /**
+   * @param {ChainRegistry} chains - Chains balances and payout chains are resolved against
+   * @param {FeeModel} feeModel
+   */
+  constructor(chains, feeModel = new FeeModel()) {
+    this.chains = chains;
+    this.feeModel = feeModel;
+  }
+
+  /**
+   * Funding routes for an amount locked on the payout chain, cheapest first
+   * Every chain that covers the amount alone is a route; if none does, the cheapest combination of chains is
+   * @param {Object} breakdown - chain name => payer balance (USDC smallest units); unknown chains are ignored
+   * @param {Object} params
+   * @param {number} params.amount - Amount to lock (USDC smallest units)
+   * @param {string} params.payoutChain - Chain the intent is locked and settled on (default chain if unset)
+   * @returns {Array<Object>} { targetChain, amount, sources: [{ chain, amount, gasFee, bridgeFee }], lockGasFee, totalCost, crossChain },
+   *   empty if the balances cannot cover the amount
+   */
+  plan(breakdown, { amount, payoutChain = null }) {
+    if (!Number.isSafeInteger(amount) || amount <= 0) {
+      throw new Error(`Amount must be a positive integer in USDC smallest units: ${amount}`);
+    }
+
+    const targetChain = this.chains.resolve(payoutChain).name;
+    const balances = Object.entries(breakdown)
+      .map(([chain, balance]) => ({ chain: this.chains.get(chain)?.name, balance: Number(balance) }))
+      .filter(({ chain, balance }) => chain && balance > 0);
+
+    const routes = balances
+      .filter(({ chain, balance }) => this.feeModel.maxTransfer(chain, targetChain, balance) >= amount)
+      .map(({ chain }) => this.route(targetChain, amount, [this.source(chain, targetChain, amount)]));
+
+    if (routes.length === 0) {
+      const combined = this.combine(balances, targetChain, amount);
+      if (combined) routes.push(combined);
+    }
+
+    return routes.sort((a, b) => a.totalCost - b.totalCost);
+  }
+
+  /**
+   * Fill the amount from the cheapest chains first: the payout chain, then by fixed cost per transfer
+   */
+  combine(balances, targetChain, amount) {
+    const fixedCost = chain => chain === targetChain
+      ? -1
+      : this.feeModel.gasCost(chain) + this.feeModel.bridgeRate(chain, targetChain).baseFee;
+    const ordered = [...balances].sort((a, b) => fixedCost(a.chain) - fixedCost(b.chain));
+
+    const sources = [];
+    let remaining = amount;
+    for (const { chain, balance } of ordered) {
+      if (remaining === 0) break;
+
+      const part = Math.min(remaining, this.feeModel.maxTransfer(chain, targetChain, balance));
+      if (part <= 0) continue;
+
+      sources.push(this.source(chain, targetChain, part));
+      remaining -= part;
+    }
+
+    return remaining === 0 ? this.route(targetChain, amount, sources) : null;
+  }
+
+  source(chain, targetChain, amount) {
+    const crossChain = chain !== targetChain;
+    return {
+      chain,
+      amount,
+      gasFee: crossChain ? this.feeModel.gasCost(chain) : 0, // The bridge transfer; the lock is counted once per route
+      bridgeFee: this.feeModel.bridgeFee(chain, targetChain, amount)
+    };
+  }
+
+  route(targetChain, amount, sources) {
+    const lockGasFee = this.feeModel.gasCost(targetChain);
+    return {
+      targetChain,
+      amount,
+      sources,
+      lockGasFee,
+      totalCost: lockGasFee + sources.reduce((sum, source) => sum + source.gasFee + source.bridgeFee, 0),
+      crossChain: sources.some(source => source.chain !== targetChain)
+    };
+  }
+}
+
+function validateCost(cost, where) {
+  if (!Number.isInteger(cost) || cost < 0) {
+    throw new Error(`${where} must be a non-negative integer (USDC smallest units)`);
+  }
+}
+
+function validateBridge(bridge, where) {
+  validateCost(bridge.baseFee, `${where}.baseFee`);
+  if (!Number.isInteger(bridge.bps) || bridge.bps < 0 || bridge.bps >= BPS_DENOMINATOR) {
+    throw new Error(`${where}.bps must be an integer from 0 to ${BPS_DENOMINATOR - 1}`);
+  }
+}
+
+/**
+ * Load the bridge and gas fee model from a JSON config file
+ * @param {string} filePath - Defaults to FLUXPAY_FEES_CONFIG env, then config/fees.json
+ * @returns {FeeModel} Built-in estimates if the file does not exist
+ */
+function loadFeeModel(filePath = process.env.FLUXPAY_FEES_CONFIG || DEFAULT_CONFIG_PATH) {
+  if (!fs.existsSync(filePath)) {
+    return new FeeModel();
+  }
+
+  const feeModel = new FeeModel(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+  console.log(`✅ Loaded bridge and gas fees from ${filePath}`);
+  return feeModel;
+}
+
+module.exports = {
+  FeeModel,
+  RoutePlanner,
+  loadFeeModel
+};
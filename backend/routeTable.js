@@ -0,0 +1,252 @@
+/**
+ * @file routeTable.js
+ * @description Config-driven route table for putting upstream HTTP APIs behind x402
+ * Maps gateway path patterns to upstream URLs with per-call, per-KB or per-token pricing
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { validateShares } = require('./revenueSplits.js');
+
+const PRICING_MODES = ['per_call', 'per_kb', 'per_token'];
+const DEFAULT_TIMEOUT = 30000; // 30s, same as provider calls
+const DEFAULT_MAX_RESPONSE_BYTES = 10 * 1024 * 1024; // Upstream bodies are buffered to be metered
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'config', 'routes.json');
+
+/**
+ * A single paid upstream route
+ */
+class PaidRoute {
+  /**
+   * @param {Object} entry - Route config entry
+   * @param {string} entry.path - Gateway path pattern, e.g. '/api/data/:dataset/*'
+   * @param {string} entry.upstream - Upstream base URL
+   * @param {Object} entry.pricing - { mode: 'per_call'|'per_kb'|'per_token', price } (price in USDC smallest units)
+   * @param {number} entry.maxBudget - Budget requested in the 402 challenge (smallest units)
+   * @param {string} entry.recipient - Address receiving the settled amount
+   * @param {Array<Object>} entry.splits - Revenue shares of the settled amount [{ recipient, bps, role }]
+   * @param {string} entry.chain - Chain registry name the route settles on (default chain if unset)
+   * @param {number} entry.timeout - Upstream timeout in ms
+   * @param {number} entry.maxResponseBytes - Largest upstream body the gateway buffers (default 10 MB)
+   */
+  constructor(entry) {
+    this.path = entry.path;
+    this.upstream = entry.upstream.replace(/\/+$/, '');
+    this.pricing = entry.pricing;
+    this.maxBudget = entry.maxBudget;
+    this.recipient = entry.recipient;
+    this.splits = entry.splits || [];
+    this.chain = entry.chain || null;
+    this.timeout = entry.timeout || DEFAULT_TIMEOUT;
+    this.maxResponseBytes = entry.maxResponseBytes || DEFAULT_MAX_RESPONSE_BYTES;
+    this.name = entry.name || entry.path;
+
+    this.pattern = compilePattern(entry.path);
+  }
+
+  /**
+   * Match a request path against this route
+   * @param {string} requestPath
+   * @returns {Object|null} { params, rest } or null if no match or the path fails pathError()
+   */
+  match(requestPath) {
+    const result = this.pattern.regex.exec(requestPath);
+    if (!result || pathError(requestPath)) return null;
+
+    const params = {};
+    this.pattern.keys.forEach((key, i) => {
+      params[key] = decodeURIComponent(result[i + 1]);
+    });
+
+    const rest = this.pattern.wildcard ? result[this.pattern.keys.length + 1] || '' : '';
+    return { params, rest };
+  }
+
+  /**
+   * Build the upstream URL for a matched request
+   * @param {Object} match - Result of match()
+   * @returns {string} Always under the route's upstream prefix
+   */
+  upstreamUrl(match) {
+    const error = pathError(match.rest);
+    if (error) {
+      throw new Error(error);
+    }
+
+    const rest = match.rest ? `/${match.rest.replace(/^\/+/, '')}` : '';
+    // Only '/:name' path segments are placeholders, so host ports are left alone
+    const base = this.upstream.replace(/\/:([A-Za-z_]\w*)/g, (segment, key) => (
+      key in match.params ? `/${encodeURIComponent(match.params[key])}` : segment
+    ));
+    return base + rest;
+  }
+
+  /**
+   * Compute the amount owed for measured usage
+   * @param {Object} usage
+   * @param {number} usage.bytes - Response size in bytes
+   * @param {number} usage.tokens - Tokens reported by the upstream
+   * @returns {number} Amount in USDC smallest units, capped at maxBudget
+   */
+  computeAmount({ bytes = 0, tokens = 0 } = {}) {
+    const price = this.pricing.price;
+    let amount;
+
+    switch (this.pricing.mode) {
+      case 'per_kb':
+        amount = Math.ceil(bytes / 1024) * price;
+        break;
+      case 'per_token':
+        amount = tokens * price;
+        break;
+      default:
+        amount = price;
+    }
+
+    return Math.min(amount, this.maxBudget);
+  }
+}
+
+/**
+ * Ordered set of paid routes; the first matching entry wins
+ */
+class RouteTable {
+  constructor(routes = []) {
+    this.routes = routes.map((entry, index) => {
+      validateEntry(entry, index);
+      return new PaidRoute(entry);
+    });
+  }
+
+  /**
+   * Find the route for a request path
+   * @param {string} requestPath
+   * @returns {Object|null} { route, params, rest } or null
+   */
+  match(requestPath) {
+    for (const route of this.routes) {
+      const match = route.match(requestPath);
+      if (match) {
+        return { route, ...match };
+      }
+    }
+    return null;
+  }
+
+  get size() {
+    return this.routes.length;
+  }
+}
+
+/**
+ * Load the route table from a JSON config file
+ * @param {string} filePath - Defaults to FLUXPAY_ROUTES_CONFIG env, then config/routes.json
+ * @returns {RouteTable} Empty table if the file does not exist
+ */
+function loadRouteTable(filePath = process.env.FLUXPAY_ROUTES_CONFIG || DEFAULT_CONFIG_PATH) {
+  if (!fs.existsSync(filePath)) {
+    console.warn(`⚠️ Route config not found at ${filePath}, generic API paywall disabled`);
+    return new RouteTable();
+  }
+
+  const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const table = new RouteTable(config.routes || []);
+  console.log(`✅ Loaded ${table.size} paid API routes from ${filePath}`);
+  return table;
+}
+
+function validateEntry(entry, index) {
+  const where = `Route #${index} (${entry.path || 'no path'})`;
+
+  if (!entry.path || !entry.path.startsWith('/api/')) {
+    throw new Error(`${where}: path must start with /api/`);
+  }
+
+  if (!/^https?:\/\//.test(entry.upstream || '')) {
+    throw new Error(`${where}: upstream must be an http(s) URL`);
+  }
+
+  if (!entry.pricing || !PRICING_MODES.includes(entry.pricing.mode)) {
+    throw new Error(`${where}: pricing.mode must be one of ${PRICING_MODES.join(', ')}`);
+  }
+
+  if (!Number.isInteger(entry.pricing.price) || entry.pricing.price < 0) {
+    throw new Error(`${where}: pricing.price must be a non-negative integer (USDC smallest units)`);
+  }
+
+  if (!Number.isInteger(entry.maxBudget) || entry.maxBudget <= 0) {
+    throw new Error(`${where}: maxBudget must be a positive integer (USDC smallest units)`);
+  }
+
+  if (!/^0x[0-9a-fA-F]{40}$/.test(entry.recipient || '')) {
+    throw new Error(`${where}: recipient must be an address`);
+  }
+
+  if (entry.splits !== undefined) {
+    validateShares(entry.splits, where);
+  }
+
+  if (entry.chain !== undefined && (typeof entry.chain !== 'string' || !entry.chain)) {
+    throw new Error(`${where}: chain must be a chain registry name`);
+  }
+
+  if (entry.maxResponseBytes !== undefined && (!Number.isInteger(entry.maxResponseBytes) || entry.maxResponseBytes <= 0)) {
+    throw new Error(`${where}: maxResponseBytes must be a positive integer`);
+  }
+}
+
+/**
+ * Why a request path cannot be forwarded upstream, checked before any route is matched
+ * Paths are forwarded as they arrive, so a '.' or '..' segment, or one that decodes to them or to a slash,
+ * would resolve outside the route's upstream prefix
+ * @param {string} requestPath - Path as received, still percent-encoded
+ * @returns {string|null} Reason the path is rejected, or null if it is safe
+ */
+function pathError(requestPath) {
+  for (const segment of requestPath.split('/')) {
+    let decoded;
+    try {
+      decoded = decodeURIComponent(segment);
+    } catch (error) {
+      return 'Malformed percent-encoding in path';
+    }
+
+    if (decoded === '.' || decoded === '..' || /[/\\]/.test(decoded)) {
+      return 'Path segments must not be relative or contain encoded slashes';
+    }
+  }
+  return null;
+}
+
+// '/api/data/:dataset/*' => /^\/api\/data\/([^/]+)(?:\/(.*))?$/
+function compilePattern(pattern) {
+  const keys = [];
+  let wildcard = false;
+  let source = '';
+
+  for (const segment of pattern.split('/').filter(Boolean)) {
+    if (segment === '*') {
+      wildcard = true;
+      break;
+    }
+
+    if (segment.startsWith(':')) {
+      keys.push(segment.slice(1));
+      source += '/([^/]+)';
+    } else {
+      source += '/' + segment.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  source += wildcard ? '(?:/(.*))?' : '/?';
+  return { regex: new RegExp(`^${source}$`), keys, wildcard };
+}
+
+module.exports = {
+  DEFAULT_MAX_RESPONSE_BYTES,
+  PRICING_MODES,
+  PaidRoute,
+  RouteTable,
+  loadRouteTable,
+  pathError
+};
@@ -0,0 +1,421 @@
+/**
+ * @file sessionManager.js
+ * @description Prepaid sessions: one locked intent pays for many requests
+ * The session lives on its intent record. Every call reserves its quoted budget from the session and gets
+ * its own call record, charged with the metered amount once served or released if it fails. When the session
+ * is closed or expires, the total spent is settled through the outbox and the rest is refunded to the payer
+ */
+
+const crypto = require('crypto');
+const { INTENT_STATUS } = require('./intentStore.js');
+
+const DEFAULT_INTERVAL = 30 * 1000; // Close expired sessions every 30 seconds
+const DEFAULT_TTL = 15 * 60; // Sessions last 15 minutes unless the client asks otherwise
+const DEFAULT_MAX_TTL = 60 * 60; // and at most an hour
+const DEFAULT_LEASE = 2 * 60 * 1000; // An instance has 2 minutes to hand a closing session to the outbox
+const DEFAULT_SETTLEMENT_MARGIN = 5 * 60; // Sessions end 5 minutes before their lock expires, leaving time to settle
+
+class SessionManager {
+  /**
+   * @param {Object} intentStore - Shared intent store (see intentStore.js)
+   * @param {NexusAdapter} nexusAdapter - Adapter used to refund unused sessions
+   * @param {SettlementOutbox} settlementOutbox - Outbox that settles the total of a closed session
+   * @param {Object} options
+   * @param {number} options.interval - Time between sweeps (ms)
+   * @param {number} options.defaultTtl - Session lifetime when the client does not ask for one (seconds)
+   * @param {number} options.maxTtl - Longest session lifetime (seconds)
+   * @param {number} options.lease - How long a closing session stays claimed by one instance (ms)
+   * @param {number} options.settlementMargin - How long before its escrow lock expires a session ends (seconds)
+   */
+  constructor(intentStore, nexusAdapter, settlementOutbox, options = {}) {
+    this.intentStore = intentStore;
+    this.nexusAdapter = nexusAdapter;
+    this.settlementOutbox = settlementOutbox;
+    this.interval = options.interval || DEFAULT_INTERVAL;
+    this.defaultTtl = options.defaultTtl || DEFAULT_TTL;
+    this.maxTtl = options.maxTtl || DEFAULT_MAX_TTL;
+    this.lease = options.lease || DEFAULT_LEASE;
+    this.settlementMargin = Number.isInteger(options.settlementMargin) ? options.settlementMargin : DEFAULT_SETTLEMENT_MARGIN;
+    this.timer = null;
+    this.sweeping = false;
+  }
+
+  /**
+   * Start closing expired sessions on an interval (does not keep the process alive)
+   */
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.sweep().catch(error => console.error('Session sweep failed:', error.message));
+    }, this.interval);
+    this.timer.unref();
+
+    console.log(`✅ Session manager running every ${this.interval / 1000}s`);
+  }
+
+  /**
+   * Stop sweeping
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Open a session on a locked intent
+   * @param {string} intentId - Challenged intent the payer locked
+   * @param {Object} params
+   * @param {string} params.payer - Payer address
+   * @param {number} params.budget - Locked amount the session may spend (USDC smallest units)
+   * @param {number} params.ttlSeconds - Requested lifetime, capped at maxTtl
+   * @param {number} params.lockExpiry - When the escrow lock expires (unix seconds, from getIntentStatus)
+   * @param {Object} patch - Extra fields to store on the record (evidence, ...)
+   * @returns {Promise<Object|null>} { sessionToken, record }, or null if the intent was already used
+   */
+  async open(intentId, { payer, budget, ttlSeconds, lockExpiry }, patch = {}) {
+    const secret = crypto.randomBytes(32).toString('base64url');
+    const now = Date.now();
+    const expiresAt = this.deadline(ttlSeconds, lockExpiry, now);
+    if (expiresAt === null) {
+      throw new Error(`Intent ${intentId} lock expires too soon to open a session`);
+    }
+
+    const record = await this.intentStore.transition(intentId, [INTENT_STATUS.CHALLENGED, INTENT_STATUS.LOCKED], INTENT_STATUS.SESSION_OPEN, {
+      ...patch,
+      payer,
+      session: {
+        tokenHash: hashToken(secret),
+        budget,
+        spent: 0,
+        reserved: 0,
+        calls: 0,
+        inFlight: 0,
+        payouts: {},
+        openedAt: now
+      },
+      expiresAt
+    });
+    if (!record) return null;
+
+    console.log(`✅ Session opened on intent ${intentId} with budget ${budget}`);
+    return { sessionToken: `${intentId}.${secret}`, record };
+  }
+
+  /**
+   * Session lifetime for a requested TTL
+   * @param {number} ttlSeconds
+   * @returns {number} Seconds
+   */
+  ttl(ttlSeconds) {
+    return Math.min(this.maxTtl, parseInt(ttlSeconds) > 0 ? parseInt(ttlSeconds) : this.defaultTtl);
+  }
+
+  /**
+   * When a session opened now ends: after its TTL, but settlementMargin before the escrow lock expires so the
+   * payer cannot reclaim the lock while the session is still spending it
+   * @param {number} ttlSeconds - Requested lifetime
+   * @param {number} lockExpiry - When the escrow lock expires (unix seconds)
+   * @param {number} now - Timestamp in ms
+   * @returns {number|null} Timestamp in ms, or null if the lock expires too soon for a session
+   */
+  deadline(ttlSeconds, lockExpiry, now = Date.now()) {
+    const expiresAt = Math.min(now + this.ttl(ttlSeconds) * 1000, (Number(lockExpiry) - this.settlementMargin) * 1000);
+    return expiresAt > now ? expiresAt : null;
+  }
+
+  /**
+   * Find the session a token belongs to
+   * @param {string} sessionToken - Token returned by open()
+   * @returns {Promise<Object|null>} Session record (any state), or null if the token is invalid
+   */
+  async authenticate(sessionToken) {
+    const separator = String(sessionToken || '').lastIndexOf('.');
+    if (separator <= 0) return null;
+
+    const sessionId = sessionToken.slice(0, separator);
+    const record = await this.intentStore.get(sessionId);
+    if (!record?.session) return null;
+
+    const given = Buffer.from(hashToken(sessionToken.slice(separator + 1)));
+    const expected = Buffer.from(record.session.tokenHash);
+    return crypto.timingSafeEqual(given, expected) ? record : null;
+  }
+
+  /**
+   * Reserve the quoted budget of a call from an open session
+   * @param {string} sessionId
+   * @param {number} amount - Most the call may cost (USDC smallest units)
+   * @param {Object} call - Fields for the call record { endpoint, pricing, slaSeconds }
+   * @returns {Promise<Object|null>} Call record in DRAWING, or null if the session is not open or too low
+   */
+  async reserve(sessionId, amount, { endpoint, pricing, slaSeconds }) {
+    let sequence;
+    const session = await this.intentStore.modify(sessionId, INTENT_STATUS.SESSION_OPEN, record => {
+      const { session } = record;
+      if (record.expiresAt <= Date.now() || remaining(session) < amount) {
+        return null;
+      }
+
+      sequence = session.calls + 1;
+      return {
+        session: { ...session, reserved: session.reserved + amount, calls: sequence, inFlight: session.inFlight + 1 }
+      };
+    });
+    if (!session) return null;
+
+    return this.intentStore.put(`${sessionId}/call/${sequence}`, {
+      status: INTENT_STATUS.DRAWING,
+      sessionId,
+      sequence,
+      payer: session.payer,
+      endpoint,
+      pricing,
+      lockedAmount: amount,
+      expiresAt: Date.now() + slaSeconds * 1000 // Released by the sweep if the call never finishes
+    });
+  }
+
+  /**
+   * Session call record
+   * @param {string} callId
+   * @returns {Promise<Object|null>} Call record, or null if callId is not a session call
+   */
+  async getCall(callId) {
+    const record = await this.intentStore.get(callId);
+    return record?.sessionId ? record : null;
+  }
+
+  /**
+   * Charge a served call to its session
+   * @param {string} callId - Call in DRAWING
+   * @param {Object} job - Settlement job { recipient, amount, splits, ... } as the outbox takes it
+   * @param {Object} patch - Extra fields to store on the call record (usage, route, ...)
+   * @returns {Promise<Object>} Call record in DRAWN, with `session` the session totals after the charge
+   */
+  async charge(callId, job, patch = {}) {
+    const call = await this.getCall(callId);
+    if (Number(job.amount) > call.lockedAmount) {
+      throw new Error('Usage exceeds the amount reserved for the call');
+    }
+
+    const drawn = await this.intentStore.transition(callId, INTENT_STATUS.DRAWING, INTENT_STATUS.DRAWN, {
+      ...patch,
+      settlementJob: job,
+      usedAmount: Number(job.amount),
+      drawnAt: Date.now(),
+      expiresAt: null
+    });
+    if (!drawn) {
+      // Released by the sweep as stale: the call is no longer charged
+      return this.intentStore.get(callId);
+    }
+
+    const splits = job.splits || [{ role: 'provider', recipient: job.recipient, amount: job.amount }];
+    const session = await this.finishCall(call, record => {
+      const payouts = { ...record.session.payouts };
+      for (const split of splits) {
+        const key = `${split.role}|${split.recipient}`;
+        payouts[key] = (payouts[key] || 0) + Number(split.amount);
+      }
+      return { spent: record.session.spent + Number(job.amount), payouts };
+    });
+
+    return { ...drawn, session: summarize(session) };
+  }
+
+  /**
+   * Return the reservation of a failed call to its session
+   * @param {string} callId - Call in DRAWING
+   * @param {string} reason - Why the call failed
+   * @returns {Promise<Object|null>} Call record in RELEASED, or null if it was already charged or released
+   */
+  async release(callId, reason) {
+    const released = await this.intentStore.transition(callId, INTENT_STATUS.DRAWING, INTENT_STATUS.RELEASED, {
+      releaseReason: reason,
+      releasedAt: Date.now(),
+      expiresAt: null
+    });
+    if (!released) return null;
+
+    await this.finishCall(released, () => ({}));
+    return released;
+  }
+
+  /**
+   * Take a finished call off its session's reservations
+   * @param {Object} call - Call record
+   * @param {Function} fn - (session record) => extra session fields
+   * @returns {Promise<Object|null>} Updated session record
+   */
+  async finishCall(call, fn) {
+    const session = await this.intentStore.modify(
+      call.sessionId,
+      [INTENT_STATUS.SESSION_OPEN, INTENT_STATUS.SESSION_CLOSING],
+      record => ({
+        session: {
+          ...record.session,
+          ...fn(record),
+          reserved: Math.max(0, record.session.reserved - call.lockedAmount),
+          inFlight: Math.max(0, record.session.inFlight - 1)
+        }
+      })
+    );
+
+    // The last call of a closed session triggers its settlement
+    if (session?.status === INTENT_STATUS.SESSION_CLOSING && session.session.inFlight === 0) {
+      await this.settle(call.sessionId);
+    }
+    return session;
+  }
+
+  /**
+   * Close a session: no new calls, settle once in-flight calls finish
+   * @param {string} sessionId
+   * @param {string} reason - 'closed' by the client or 'expired'
+   * @returns {Promise<Object|null>} Session record after closing, or null if it was not open
+   */
+  async close(sessionId, reason = 'closed') {
+    const closing = await this.intentStore.transition(sessionId, INTENT_STATUS.SESSION_OPEN, INTENT_STATUS.SESSION_CLOSING, {
+      closeReason: reason,
+      closedAt: Date.now(),
+      expiresAt: Date.now() + this.lease // Settled by the sweep if in-flight calls never report back
+    });
+    if (!closing) return null;
+
+    console.log(`🔄 Session ${sessionId} ${reason}, spent ${closing.session.spent} of ${closing.session.budget}`);
+    if (closing.session.inFlight === 0) {
+      return this.settle(sessionId);
+    }
+    return closing;
+  }
+
+  /**
+   * Settle the total spent by a closing session and refund the rest
+   * @param {string} sessionId - Session in SESSION_CLOSING
+   * @param {Object} options
+   * @param {boolean} options.force - Settle even if calls are still counted in flight (their reservations are dropped)
+   * @returns {Promise<Object|null>} Session record after settlement, or null if another instance claimed it
+   */
+  async settle(sessionId, { force = false } = {}) {
+    const claimed = await this.intentStore.modify(sessionId, INTENT_STATUS.SESSION_CLOSING, record => {
+      if (record.session.inFlight > 0 && !force) return null;
+
+      const patch = { session: { ...record.session, reserved: 0, inFlight: 0 }, expiresAt: Date.now() + this.lease };
+      return record.session.spent > 0
+        ? { ...patch, status: INTENT_STATUS.PROCESSING }
+        : { ...patch, status: INTENT_STATUS.REFUNDING, refundFrom: INTENT_STATUS.LOCKED };
+    });
+    if (!claimed) return null;
+
+    if (claimed.status === INTENT_STATUS.REFUNDING) {
+      return this.refund(claimed);
+    }
+
+    const splits = Object.entries(claimed.session.payouts)
+      .map(([key, amount]) => {
+        const [role, recipient] = key.split('|');
+        return { role, recipient, amount };
+      })
+      .sort((a, b) => (a.role === 'provider' ? 0 : 1) - (b.role === 'provider' ? 0 : 1) || b.amount - a.amount);
+
+    // The payout and remainder refund are retried and dead-lettered like any served request
+    return this.settlementOutbox.enqueue(sessionId, {
+      recipient: splits[0].recipient,
+      amount: claimed.session.spent,
+      targetChain: claimed.chain || null, // The chain the session intent is locked on
+      targetToken: 'USDC',
+      splits
+    });
+  }
+
+  /**
+   * Refund a session that spent nothing
+   * @param {Object} record - Session record in REFUNDING
+   * @returns {Promise<Object>} Updated record
+   */
+  async refund(record) {
+    const { intentId } = record;
+
+    try {
+      const refundTx = await this.nexusAdapter.refundIntent(intentId, null, record.chain);
+      return await this.intentStore.transition(intentId, INTENT_STATUS.REFUNDING, INTENT_STATUS.REFUNDED, {
+        refundTx,
+        refundReason: 'Session closed unused',
+        refundedAt: Date.now(),
+        expiresAt: null
+      });
+    } catch (error) {
+      console.error(`⚠️ Session refund failed for ${intentId}: ${error.message}`);
+      // Hand it to the SLA watchdog as an overdue lock, which retries the refund
+      return this.intentStore.transition(intentId, INTENT_STATUS.REFUNDING, INTENT_STATUS.LOCKED, { expiresAt: Date.now() });
+    }
+  }
+
+  /**
+   * Run one pass: release abandoned calls, close expired sessions, settle closed ones stuck on lost calls
+   * @returns {Promise<Object>} { expired, released, settled } counts
+   */
+  async sweep() {
+    const counts = { expired: 0, released: 0, settled: 0 };
+    if (this.sweeping) return counts;
+
+    this.sweeping = true;
+    try {
+      const now = Date.now();
+
+      const staleCalls = await this.intentStore.listExpiring(now, { statuses: [INTENT_STATUS.DRAWING] });
+      for (const call of staleCalls) {
+        if (await this.release(call.intentId, 'Call did not finish within its SLA')) counts.released++;
+      }
+
+      const expired = await this.intentStore.listExpiring(now, { statuses: [INTENT_STATUS.SESSION_OPEN] });
+      for (const record of expired) {
+        if (await this.close(record.intentId, 'expired')) counts.expired++;
+      }
+
+      // Calls reserved by an instance that died before writing them are never released; give up on them
+      const stuck = await this.intentStore.listExpiring(now, { statuses: [INTENT_STATUS.SESSION_CLOSING] });
+      const drawing = await this.intentStore.listByStatus([INTENT_STATUS.DRAWING]);
+      for (const record of stuck) {
+        if (drawing.some(call => call.sessionId === record.intentId)) continue;
+        if (await this.settle(record.intentId, { force: true })) counts.settled++;
+      }
+
+      return counts;
+    } finally {
+      this.sweeping = false;
+    }
+  }
+}
+
+/**
+ * Public view of a session
+ * @param {Object} record - Session record
+ * @returns {Object} { sessionId, status, budget, spent, reserved, remaining, calls, expiresAt }
+ */
+function summarize(record) {
+  const { session } = record;
+  return {
+    sessionId: record.intentId,
+    status: record.status,
+    budget: session.budget,
+    spent: session.spent,
+    reserved: session.reserved,
+    remaining: remaining(session),
+    calls: session.calls,
+    expiresAt: record.status === INTENT_STATUS.SESSION_OPEN ? record.expiresAt : null
+  };
+}
+
+function remaining(session) {
+  return session.budget - session.spent - session.reserved;
+}
+
+function hashToken(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+module.exports = { SessionManager, summarize };
@@ -0,0 +1,367 @@
+/**
+ * @file settlementBackend.js
+ * @description Backends that move intent funds for NexusAdapter: direct EVM contracts, Avail Nexus, or the in-memory mock chain
+ * Every backend locks, reports, settles and refunds intents the same way, so the adapter and the gateways never
+ * branch on the mode. Recording on FluxPayAudit stays in NexusAdapter and is the same whichever backend holds the funds
+ */
+
+const ethers = require('ethers');
+const { MockChain } = require('./mockChain.js');
+const { BALANCE_STATUS } = require('./balanceService.js');
+
+const SETTLEMENT_BACKENDS = ['evm', 'nexus', 'mock'];
+
+// FluxPayEscrow.Status
+const ESCROW_STATUS = ['NONE', 'LOCKED', 'SETTLED', 'REFUNDED'];
+
+/**
+ * Interface every settlement backend implements
+ */
+class SettlementBackend {
+  /**
+   * @param {string} name - One of SETTLEMENT_BACKENDS
+   */
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Lock the payer's funds for an intent
+   * @param {string} intentId
+   * @param {string} payer - Payer wallet address
+   * @param {string} token - Token symbol (USDC)
+   * @param {number} amount - Amount in token smallest units
+   * @param {number} expiry - Expiry timestamp in seconds
+   * @param {string} chain - Chain registry name of the chain the funds are locked on
+   * @returns {Promise<string|null>} Lock transaction hash, or null if the backend holds no funds
+   */
+  async createIntent(intentId, payer, token, amount, expiry, chain) {
+    throw new Error(`${this.name} settlement backend does not implement createIntent`);
+  }
+
+  /**
+   * Current state of an intent
+   * @param {string} intentId
+   * @param {string} chain - Chain registry name of the chain the intent is locked on
+   * @returns {Promise<Object>} { status: 'PENDING'|'LOCKED'|'EXPIRED'|'SETTLED'|'REFUNDED', amount, expiry, payer, usedAmount, refundedAmount }
+   */
+  async getIntentStatus(intentId, chain) {
+    throw new Error(`${this.name} settlement backend does not implement getIntentStatus`);
+  }
+
+  /**
+   * Pay out a locked intent and return the remainder to the payer
+   * @param {string} intentId
+   * @param {Array<Object>} payouts - [{ recipient, amount }], provider first
+   * @param {Object} options
+   * @param {number} options.refundAmount - Unused remainder going back to the payer
+   * @param {string} options.targetChain - Chain registry name of the chain the intent is settled on
+   * @param {string} options.targetToken
+   * @returns {Promise<Object>} { settleTx, refundTx } (refundTx is null if nothing is left)
+   */
+  async settle(intentId, payouts, options = {}) {
+    throw new Error(`${this.name} settlement backend does not implement settle`);
+  }
+
+  /**
+   * Return the full locked amount to the payer
+   * @param {string} intentId
+   * @param {string} chain - Chain registry name of the chain the intent is locked on
+   * @returns {Promise<string>} Refund transaction hash
+   */
+  async refund(intentId, chain) {
+    throw new Error(`${this.name} settlement backend does not implement refund`);
+  }
+
+  /**
+   * Anchor a batch of receipts where they can be verified later
+   * @param {Array<Object>} receipts
+   * @param {string} merkleRoot - Merkle root of the receipts
+   * @returns {Promise<string>} Anchor id
+   */
+  async anchor(receipts, merkleRoot) {
+    throw new Error(`${this.name} settlement backend does not support receipt anchoring`);
+  }
+
+  /**
+   * Balance a payer can lock intents from
+   * @param {string} address
+   * @param {string} token
+   * @returns {Promise<number>} Balance in token smallest units
+   */
+  async getBalance(address, token) {
+    throw new Error(`${this.name} settlement backend does not support balance queries`);
+  }
+
+  /**
+   * Quote a cross-chain swap
+   * @returns {Promise<Object>} { success, gasEstimate, route }
+   */
+  async quoteSwap(fromChain, toChain, fromToken, toToken, amount) {
+    throw new Error(`${this.name} settlement backend does not support swaps`);
+  }
+
+  /**
+   * Audit record for a settlement batch when no FluxPayAudit contract is configured
+   * @param {Array<Object>} entries - Queued settlements
+   * @returns {Promise<string|null>} Record id, or null if the backend keeps no record of its own
+   */
+  async recordSettlements(entries) {
+    return null;
+  }
+}
+
+/**
+ * Direct calls to FluxPayEscrow from the gateway wallet, which holds the funds of every intent
+ * Each intent lives on one chain, using the contracts the chain registry lists for it; a chain without an escrow
+ * contract cannot take intents, since no funds would move and there would be no transaction to report
+ */
+class EvmSettlementBackend extends SettlementBackend {
+  /**
+   * @param {NexusAdapter} nexusAdapter - Contracts and the gateway wallet come from the adapter's connection to each chain
+   */
+  constructor(nexusAdapter) {
+    super('evm');
+    this.nexusAdapter = nexusAdapter;
+  }
+
+  async createIntent(intentId, payer, token, amount, expiry, chain) {
+    const { escrowContract } = await this._contracts(chain);
+    const receipt = await this.nexusAdapter.sendTransaction(escrowContract, 'lock', [ethers.id(intentId), payer, amount, expiry], { intentId, chain });
+    console.log(`✅ Intent ${intentId} funds locked in escrow: ${receipt.hash}`);
+    return receipt.hash;
+  }
+
+  async getIntentStatus(intentId, chain) {
+    // Escrow holds the funds, so its state is authoritative
+    const { escrowContract } = await this._contracts(chain);
+    const [payer, lockedAmount, expiry, escrowStatus, usedAmount, refundedAmount] =
+      await escrowContract.getEscrow(ethers.id(intentId));
+
+    let status = ESCROW_STATUS[Number(escrowStatus)];
+    if (status === 'NONE') status = 'PENDING';
+    else if (status === 'LOCKED' && Date.now() / 1000 > parseInt(expiry)) status = 'EXPIRED';
+
+    return { status, amount: lockedAmount, expiry: parseInt(expiry), payer, usedAmount, refundedAmount };
+  }
+
+  async settle(intentId, payouts, { refundAmount = 0, targetChain: chain } = {}) {
+    const { escrowContract } = await this._contracts(chain);
+
+    // One escrow transaction pays the provider (and any other payees) and returns the remainder
+    const receipt = payouts.length > 1
+      ? await this.nexusAdapter.sendTransaction(escrowContract, 'settleSplit', [
+        ethers.id(intentId),
+        payouts.map(payout => payout.recipient),
+        payouts.map(payout => payout.amount)
+      ], { intentId, chain })
+      : await this.nexusAdapter.sendTransaction(escrowContract, 'settle', [ethers.id(intentId), payouts[0].recipient, payouts[0].amount], { intentId, chain });
+    console.log(`✅ Escrow settled for intent ${intentId} on ${chain} across ${payouts.length} payee(s): ${receipt.hash}`);
+
+    return { settleTx: receipt.hash, refundTx: refundAmount > 0 ? receipt.hash : null };
+  }
+
+  async refund(intentId, chain) {
+    const { escrowContract } = await this._contracts(chain);
+
+    const receipt = await this.nexusAdapter.sendTransaction(escrowContract, 'refund', [ethers.id(intentId)], { intentId, chain });
+    console.log(`✅ Escrow refunded for intent ${intentId}: ${receipt.hash}`);
+    return receipt.hash;
+  }
+
+  async getBalance(address, token) {
+    // Chains that do not answer are left out of the total rather than counted as zero
+    const { total, chains } = await this.nexusAdapter.balances.getBalances(address, token);
+    if (!Object.values(chains).some(chain => chain.status === BALANCE_STATUS.OK)) {
+      throw new Error(`No chain reported a ${token} balance for ${address}`);
+    }
+    return Number(total);
+  }
+
+  async _contracts(chain) {
+    const { chain: entry, escrowContract } = await this.nexusAdapter.connection(chain);
+    if (!escrowContract) {
+      throw new Error(`The evm settlement backend needs an escrow contract on ${entry.name} and a gateway key`);
+    }
+    return { escrowContract };
+  }
+}
+
+/**
+ * Avail Nexus intents through a Nexus SDK client ({ intent, dataAvailability, balance, swap })
+ */
+class NexusSettlementBackend extends SettlementBackend {
+  /**
+   * @param {Object} sdk - Nexus SDK client
+   */
+  constructor(sdk) {
+    super('nexus');
+    if (!sdk) {
+      throw new Error('The nexus settlement backend needs a Nexus SDK client (config.nexusSdk)');
+    }
+    this.sdk = sdk;
+  }
+
+  async createIntent(intentId, payer, token, amount, expiry, chain) {
+    const result = await this.sdk.intent.create({ intentId, payer, token, amount: amount.toString(), expiry, chain });
+    return result.transactionHash;
+  }
+
+  async getIntentStatus(intentId, chain) {
+    const intent = await this.sdk.intent.status({ intentId });
+
+    let status = intent.state;
+    if (status === 'LOCKED' && Date.now() / 1000 > parseInt(intent.expiry)) status = 'EXPIRED';
+
+    return {
+      status,
+      amount: parseInt(intent.lockedAmount),
+      expiry: parseInt(intent.expiry),
+      payer: intent.payerAddress,
+      usedAmount: parseInt(intent.usedAmount) || 0,
+      refundedAmount: parseInt(intent.refundedAmount) || 0
+    };
+  }
+
+  async settle(intentId, payouts, { refundAmount = 0, targetChain, targetToken = 'USDC' } = {}) {
+    // Nexus settles one recipient per call, so the provider's transaction identifies the settlement
+    const hashes = [];
+    for (const payout of payouts) {
+      const result = await this.sdk.intent.settle({
+        intentId,
+        recipient: payout.recipient,
+        amount: payout.amount.toString(),
+        targetChain,
+        targetToken
+      });
+      hashes.push(result.transactionHash);
+    }
+
+    const refund = refundAmount > 0
+      ? await this.sdk.intent.refund({ intentId, amount: refundAmount.toString() })
+      : null;
+
+    return { settleTx: hashes[0], refundTx: refund ? refund.transactionHash : null };
+  }
+
+  async refund(intentId, chain) {
+    const result = await this.sdk.intent.refund({ intentId });
+    return result.transactionHash;
+  }
+
+  async anchor(receipts, merkleRoot) {
+    const result = await this.sdk.dataAvailability.anchor({
+      dataType: 'receipts',
+      merkleRoot,
+      receipts,
+      metadata: {
+        protocol: 'fluxpay',
+        version: '1.0'
+      }
+    });
+
+    return result.anchorId;
+  }
+
+  async getBalance(address, token) {
+    const balance = await this.sdk.balance.unified({ address, token });
+    return parseInt(balance.totalAmount);
+  }
+
+  async quoteSwap(fromChain, toChain, fromToken, toToken, amount) {
+    return this.sdk.swap.getQuote({ fromChain, toChain, fromToken, toToken, amount: amount.toString() });
+  }
+}
+
+/**
+ * In-memory mock chain (see mockChain.js) for development and offline tests
+ * One mock chain stands in for every chain of the registry
+ */
+class MockSettlementBackend extends SettlementBackend {
+  /**
+   * @param {MockChain} mockChain
+   */
+  constructor(mockChain) {
+    super('mock');
+    this.mockChain = mockChain;
+  }
+
+  async createIntent(intentId, payer, token, amount, expiry, chain) {
+    const lockTx = this.mockChain.lock(intentId, payer, amount, expiry);
+    console.log(`⚠️ Mock intent created: ${intentId} -> ${lockTx}`);
+    return lockTx;
+  }
+
+  async getIntentStatus(intentId, chain) {
+    // Intents the mock chain has not seen are locked for 0.1 USDC by payer 'demo', expiring in 5 min
+    return this.mockChain.getIntentStatus(intentId);
+  }
+
+  async settle(intentId, payouts, { refundAmount = 0 } = {}) {
+    // The mock chain pays out and returns the remainder in one transaction, like escrow
+    const settleTx = this.mockChain.settle(intentId, payouts);
+    console.log(`⚠️ Mock settlement: ${intentId} -> ${payouts.map(payout => payout.recipient).join(', ')}, refund ${refundAmount}`);
+    return { settleTx, refundTx: refundAmount > 0 ? settleTx : null };
+  }
+
+  async refund(intentId, chain) {
+    const refundTx = this.mockChain.refund(intentId);
+    console.log(`⚠️ Mock refund: ${intentId}`);
+    return refundTx;
+  }
+
+  async anchor(receipts, merkleRoot) {
+    return 'mock_anchor_' + Math.random().toString(36).substr(2, 9);
+  }
+
+  async getBalance(address, token) {
+    return this.mockChain.balanceOf(address);
+  }
+
+  async quoteSwap(fromChain, toChain, fromToken, toToken, amount) {
+    return { success: true, gasEstimate: '50000', route: 'direct' };
+  }
+
+  async recordSettlements(entries) {
+    return this.mockChain.recordBatch(entries);
+  }
+}
+
+/**
+ * Create the settlement backend selected by configuration
+ * @param {NexusAdapter} nexusAdapter - Adapter the backend serves (the evm backend uses its contracts and gateway wallet)
+ * @param {Object} options
+ * @param {string} options.type - 'evm', 'nexus' or 'mock' (default: SETTLEMENT_BACKEND env, then 'evm' when a gateway
+ *   key and an escrow contract are configured, else 'mock')
+ * @param {Object} options.nexusSdk - Nexus SDK client for the nexus backend
+ * @param {MockChain} options.mockChain - Mock chain for the mock backend (default: a new one, MOCK_CHAIN_FAILURES injects failures)
+ * @returns {SettlementBackend}
+ */
+function createSettlementBackend(nexusAdapter, options = {}) {
+  const type = options.type || process.env.SETTLEMENT_BACKEND || defaultType(nexusAdapter);
+
+  switch (type) {
+    case 'evm':
+      return new EvmSettlementBackend(nexusAdapter);
+    case 'nexus':
+      return new NexusSettlementBackend(options.nexusSdk);
+    case 'mock':
+      return new MockSettlementBackend(options.mockChain || new MockChain({ failures: process.env.MOCK_CHAIN_FAILURES }));
+    default:
+      throw new Error(`Unknown settlement backend: ${type}, expected one of ${SETTLEMENT_BACKENDS.join(', ')}`);
+  }
+}
+
+function defaultType(nexusAdapter) {
+  const hasKey = Boolean(process.env.PRIVATE_KEY || process.env.GATEWAY_PRIVATE_KEY);
+  return hasKey && nexusAdapter.contracts.escrow ? 'evm' : 'mock';
+}
+
+module.exports = {
+  SETTLEMENT_BACKENDS,
+  SettlementBackend,
+  EvmSettlementBackend,
+  NexusSettlementBackend,
+  MockSettlementBackend,
+  createSettlementBackend
+};
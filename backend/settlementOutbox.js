@@ -0,0 +1,323 @@
+/**
+ * @file settlementOutbox.js
+ * @description Durable outbox for settlement jobs of requests that were already served
+ * A job lives on its intent record, so it survives restarts with a file store. Failed settlements are
+ * retried with exponential backoff; jobs that keep failing are dead-lettered for an operator to resolve,
+ * and only an operator refunds the payer for a request that was delivered
+ */
+
+const crypto = require('crypto');
+const { INTENT_STATUS } = require('./intentStore.js');
+
+const DEFAULT_INTERVAL = 15 * 1000; // Look for due retries every 15 seconds
+const DEFAULT_LEASE = 2 * 60 * 1000; // An instance has 2 minutes to finish a settlement it claimed
+const DEFAULT_MAX_ATTEMPTS = 6;
+const DEFAULT_BASE_DELAY = 5 * 1000; // 5s, 10s, 20s, 40s, 80s between attempts
+const DEFAULT_MAX_DELAY = 10 * 60 * 1000;
+
+// Settlement errors retrying cannot fix
+const PERMANENT_ERRORS = ['Insufficient locked amount'];
+
+const RESOLUTIONS = ['retry', 'refund', 'settled'];
+
+class SettlementOutbox {
+  /**
+   * @param {Object} intentStore - Shared intent store (see intentStore.js)
+   * @param {NexusAdapter} nexusAdapter - Adapter used to settle and refund intents
+   * @param {Object} options
+   * @param {number} options.interval - Time between sweeps (ms)
+   * @param {number} options.lease - How long a claimed job stays with one instance (ms)
+   * @param {number} options.maxAttempts - Attempts before a job is dead-lettered
+   * @param {number} options.baseDelay - Delay before the first retry, doubled on every attempt (ms)
+   * @param {number} options.maxDelay - Longest delay between attempts (ms)
+   */
+  constructor(intentStore, nexusAdapter, options = {}) {
+    this.intentStore = intentStore;
+    this.nexusAdapter = nexusAdapter;
+    this.interval = options.interval || DEFAULT_INTERVAL;
+    this.lease = options.lease || DEFAULT_LEASE;
+    this.maxAttempts = options.maxAttempts || DEFAULT_MAX_ATTEMPTS;
+    this.baseDelay = options.baseDelay || DEFAULT_BASE_DELAY;
+    this.maxDelay = options.maxDelay || DEFAULT_MAX_DELAY;
+    this.instanceId = crypto.randomUUID();
+    this.timer = null;
+    this.sweeping = false;
+  }
+
+  /**
+   * Start retrying due jobs on an interval (does not keep the process alive)
+   */
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.sweep().catch(error => console.error('Settlement outbox sweep failed:', error.message));
+    }, this.interval);
+    this.timer.unref();
+
+    console.log(`✅ Settlement outbox running every ${this.interval / 1000}s`);
+  }
+
+  /**
+   * Stop retrying
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Add a settlement job for a served request and make the first attempt
+   * @param {string} intentId - Intent in PROCESSING
+   * @param {Object} job - settleAndRefund() params { recipient, amount, targetChain, targetToken }
+   * @param {Object} patch - Extra fields to store on the intent record (usage, route, ...)
+   * @returns {Promise<Object>} Intent record after the attempt: SETTLED, SETTLEMENT_PENDING or DEAD_LETTER
+   */
+  async enqueue(intentId, job, patch = {}) {
+    const queued = await this.intentStore.transition(intentId, INTENT_STATUS.PROCESSING, INTENT_STATUS.SETTLING, {
+      ...patch,
+      settlementJob: { ...job, intentId },
+      settlementAttempts: 0,
+      settlementClaimedBy: this.instanceId,
+      expiresAt: Date.now() + this.lease
+    });
+    if (!queued) {
+      throw new Error(`Intent ${intentId} is not being processed`);
+    }
+
+    return this.attempt(queued);
+  }
+
+  /**
+   * Add a settlement job whose first attempt could not be made (e.g. it failed before it reached the outbox),
+   * to be retried by the next sweep after the first backoff delay
+   * @param {string} intentId - Intent in PROCESSING
+   * @param {Object} job - settleAndRefund() params { recipient, amount, targetChain, targetToken }
+   * @param {string} reason - Why the settlement is deferred
+   * @param {Object} patch - Extra fields to store on the intent record
+   * @returns {Promise<Object|null>} Intent record in SETTLEMENT_PENDING, or null if the intent was not being processed
+   */
+  async defer(intentId, job, reason, patch = {}) {
+    const deferred = await this.intentStore.transition(intentId, INTENT_STATUS.PROCESSING, INTENT_STATUS.SETTLEMENT_PENDING, {
+      ...patch,
+      settlementJob: { ...job, intentId },
+      settlementAttempts: 0,
+      lastSettlementError: reason,
+      expiresAt: Date.now() + this.backoff(1)
+    });
+    if (deferred) {
+      console.error(`⚠️ Settlement for intent ${intentId} deferred to the outbox: ${reason}`);
+    }
+    return deferred;
+  }
+
+  /**
+   * Run one pass: release abandoned claims, then retry jobs that are due
+   * @returns {Promise<Object>} { settled, retried, deadLettered, released } counts
+   */
+  async sweep() {
+    const counts = { settled: 0, retried: 0, deadLettered: 0, released: 0 };
+    if (this.sweeping) return counts;
+
+    this.sweeping = true;
+    try {
+      const now = Date.now();
+      counts.released = await this.releaseStaleClaims(now);
+
+      const due = await this.intentStore.listExpiring(now, { statuses: [INTENT_STATUS.SETTLEMENT_PENDING] });
+      for (const record of due) {
+        const claimed = await this.intentStore.transition(
+          record.intentId,
+          INTENT_STATUS.SETTLEMENT_PENDING,
+          INTENT_STATUS.SETTLING,
+          { settlementClaimedBy: this.instanceId, expiresAt: now + this.lease }
+        );
+        if (!claimed) continue;
+
+        const result = await this.attempt(claimed);
+        if (result.status === INTENT_STATUS.SETTLED) counts.settled++;
+        else if (result.status === INTENT_STATUS.DEAD_LETTER) counts.deadLettered++;
+        else counts.retried++;
+      }
+
+      return counts;
+    } finally {
+      this.sweeping = false;
+    }
+  }
+
+  /**
+   * Settle a claimed job and record the outcome
+   * @param {Object} record - Intent record in SETTLING
+   * @returns {Promise<Object>} Updated intent record
+   */
+  async attempt(record) {
+    const { intentId, settlementJob: job } = record;
+    const attempts = (record.settlementAttempts || 0) + 1;
+
+    try {
+      // A previous attempt may have settled before this instance recorded it
+      const onChain = await this.nexusAdapter.getIntentStatus(intentId, job.targetChain);
+      if (onChain.status === 'SETTLED' || onChain.status === 'REFUNDED') {
+        return this.finish(intentId, onChain.status, { settlementAttempts: attempts });
+      }
+
+      const { settlementTx, refundTx, refundAmount } = await this.nexusAdapter.settleAndRefund(job);
+
+      return this.finish(intentId, INTENT_STATUS.SETTLED, {
+        usedAmount: job.amount,
+        refundAmount,
+        provider: job.recipient,
+        settlementTx,
+        refundTx,
+        settlementAttempts: attempts,
+        settledAt: Date.now()
+      });
+    } catch (error) {
+      const permanent = PERMANENT_ERRORS.some(message => error.message.includes(message));
+      const giveUp = permanent || attempts >= this.maxAttempts;
+      console.error(`⚠️ Settlement failed for intent ${intentId} (attempt ${attempts}): ${error.message}`);
+
+      if (giveUp) {
+        console.error(`⚠️ Settlement for intent ${intentId} moved to dead letter`);
+        return this.finish(intentId, INTENT_STATUS.DEAD_LETTER, {
+          settlementAttempts: attempts,
+          lastSettlementError: error.message,
+          deadLetteredAt: Date.now()
+        });
+      }
+
+      return this.finish(intentId, INTENT_STATUS.SETTLEMENT_PENDING, {
+        settlementAttempts: attempts,
+        lastSettlementError: error.message,
+        expiresAt: Date.now() + this.backoff(attempts)
+      });
+    }
+  }
+
+  /**
+   * Delay before the next attempt
+   * @param {number} attempts - Attempts made so far
+   * @returns {number} Delay in ms
+   */
+  backoff(attempts) {
+    return Math.min(this.maxDelay, this.baseDelay * 2 ** (attempts - 1));
+  }
+
+  /**
+   * Dead-lettered settlement jobs, oldest first
+   * @returns {Promise<Array<Object>>}
+   */
+  async listDeadLetters() {
+    return this.intentStore.listByStatus([INTENT_STATUS.DEAD_LETTER]);
+  }
+
+  /**
+   * Resolve a dead-lettered job by hand
+   * @param {string} intentId
+   * @param {Object} resolution
+   * @param {string} resolution.action - 'retry' (settle again), 'refund' (refund the payer) or 'settled' (paid out of band)
+   * @param {string} resolution.settlementTx - Transaction of the out-of-band payout (action 'settled')
+   * @param {string} resolution.note - Operator note kept on the record
+   * @returns {Promise<Object>} Updated intent record
+   */
+  async resolve(intentId, { action, settlementTx, note = null }) {
+    if (!RESOLUTIONS.includes(action)) {
+      throw new Error(`Unknown resolution: ${action}`);
+    }
+
+    if (action === 'settled' && !settlementTx) {
+      throw new Error('settlementTx is required to mark a settlement as done');
+    }
+
+    const resolution = { action, note, resolvedAt: Date.now() };
+    const claims = {
+      retry: [INTENT_STATUS.SETTLING, { settlementAttempts: 0, settlementClaimedBy: this.instanceId, expiresAt: Date.now() + this.lease }],
+      // refundFrom lets the SLA watchdog hand a stale refund claim back to the dead letter
+      refund: [INTENT_STATUS.REFUNDING, { refundFrom: INTENT_STATUS.DEAD_LETTER, refundClaimedBy: this.instanceId, expiresAt: Date.now() + this.lease }],
+      settled: [INTENT_STATUS.SETTLED, { settlementTx, settledAt: Date.now(), expiresAt: null }]
+    };
+    const [next, patch] = claims[action];
+
+    const claimed = await this.intentStore.transition(intentId, INTENT_STATUS.DEAD_LETTER, next, { ...patch, resolution });
+    if (!claimed) {
+      throw new Error(`Intent ${intentId} is not in dead letter`);
+    }
+
+    if (action === 'retry') {
+      return this.attempt(claimed);
+    }
+
+    if (action === 'refund') {
+      return this.refund(claimed);
+    }
+
+    return claimed;
+  }
+
+  /**
+   * Refund the payer for a job an operator gave up on
+   * @param {Object} record - Intent record in REFUNDING
+   * @returns {Promise<Object>} Updated intent record
+   */
+  async refund(record) {
+    const { intentId } = record;
+
+    try {
+      const refundTx = await this.nexusAdapter.refundIntent(intentId, null, record.chain);
+      return this.finish(intentId, INTENT_STATUS.REFUNDED, {
+        refundTx,
+        refundReason: 'Settlement could not be completed',
+        refundedAt: Date.now()
+      }, INTENT_STATUS.REFUNDING);
+    } catch (error) {
+      console.error(`⚠️ Manual refund failed for intent ${intentId}: ${error.message}`);
+      await this.finish(intentId, INTENT_STATUS.DEAD_LETTER, { lastRefundError: error.message }, INTENT_STATUS.REFUNDING);
+      throw new Error(`Failed to refund intent: ${error.message}`);
+    }
+  }
+
+  /**
+   * Move a claimed job to its next state
+   * @param {string} intentId
+   * @param {string} status - Next state
+   * @param {Object} patch - Fields to merge
+   * @param {string} fromStatus - State the job was claimed in
+   * @returns {Promise<Object>} Updated intent record
+   */
+  async finish(intentId, status, patch, fromStatus = INTENT_STATUS.SETTLING) {
+    const updated = await this.intentStore.transition(intentId, fromStatus, status, {
+      expiresAt: null,
+      settlementClaimedBy: null,
+      ...patch
+    });
+
+    // Claim lost to an instance that found it stale: report the record as it is now
+    return updated || this.intentStore.get(intentId);
+  }
+
+  /**
+   * Return jobs claimed by an instance that died before finishing them
+   * @param {number} now - Timestamp in ms
+   * @returns {Promise<number>} Number of claims released
+   */
+  async releaseStaleClaims(now) {
+    const stale = await this.intentStore.listExpiring(now, { statuses: [INTENT_STATUS.SETTLING] });
+    let released = 0;
+
+    for (const record of stale) {
+      // attempt() checks the on-chain status first, so a job that did settle is not paid twice
+      const updated = await this.intentStore.transition(record.intentId, INTENT_STATUS.SETTLING, INTENT_STATUS.SETTLEMENT_PENDING, {
+        settlementClaimedBy: null,
+        expiresAt: now
+      });
+      if (updated) released++;
+    }
+
+    return released;
+  }
+}
+
+module.exports = { SettlementOutbox };
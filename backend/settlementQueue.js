@@ -0,0 +1,233 @@
+/**
+ * @file settlementQueue.js
+ * @description Collects settlement audit records and writes them to FluxPayAudit in batches
+ * A batch is flushed when it reaches maxBatchSize or when its oldest entry is maxAge old, so paid
+ * requests return as soon as their settlement is queued instead of waiting for a transaction per call
+ * A batch only holds settlements of one chain, since each chain's FluxPayAudit records its own
+ * A batch that fails is split in half and each half submitted on its own, so one entry the contract rejects cannot
+ * hold back the others; a single entry that fails is retried with exponential backoff before it is marked FAILED
+ */
+
+const EventEmitter = require('events');
+
+const DEFAULT_MAX_BATCH_SIZE = 20;
+const DEFAULT_MAX_AGE = 5 * 1000; // Flush at least every 5 seconds while entries are waiting
+const STATUS_RETENTION = 60 * 60 * 1000; // Keep finished statuses queryable for an hour
+const DEFAULT_MAX_ATTEMPTS = 5; // Submissions of one entry before it is marked FAILED
+const DEFAULT_RETRY_DELAY = 10 * 1000; // First retry after 10s, doubling each time
+const MAX_RETRY_DELAY = 10 * 60 * 1000;
+
+const SETTLEMENT_STATUS = {
+  QUEUED: 'QUEUED',
+  SUBMITTED: 'SUBMITTED',
+  CONFIRMED: 'CONFIRMED',
+  FAILED: 'FAILED'
+};
+
+/**
+ * Emits 'queued' (entry) when a settlement is first queued, so it can be persisted and restore()d after a restart,
+ * then 'confirmed' ({ ...entry, auditTx }) or 'failed' ({ ...entry, error }) once per settlement
+ */
+class SettlementQueue extends EventEmitter {
+  /**
+   * @param {Function} submitBatch - async (entries) => audit transaction hash for the whole batch
+   * @param {Object} options
+   * @param {number} options.maxBatchSize - Settlements per audit transaction
+   * @param {number} options.maxAge - Longest a settlement waits before its batch is flushed (ms)
+   * @param {number} options.maxAttempts - Submissions of one entry before it is marked FAILED
+   * @param {number} options.retryDelay - Delay before the first retry of a failed entry, doubled on each retry (ms)
+   */
+  constructor(submitBatch, options = {}) {
+    super();
+    this.submitBatch = submitBatch;
+    this.maxBatchSize = options.maxBatchSize || DEFAULT_MAX_BATCH_SIZE;
+    this.maxAge = options.maxAge || DEFAULT_MAX_AGE;
+    this.maxAttempts = options.maxAttempts || DEFAULT_MAX_ATTEMPTS;
+    this.retryDelay = options.retryDelay || DEFAULT_RETRY_DELAY;
+    this.pending = [];
+    this.statuses = new Map(); // intentId => { status, queuedAt, attempts, auditTx, error, finishedAt }
+    this.timer = null;
+    this.flushing = null;
+  }
+
+  /**
+   * Queue a settlement for the next batch
+   * @param {Object} entry - { intentId, chain, provider, usedAmount, refundAmount, settleTx, refundTx }
+   * @returns {Object} { intentId, status: 'QUEUED', queuedAt }
+   */
+  enqueue(entry) {
+    const queued = this.add(entry);
+    this.emit('queued', queued);
+    return { intentId: entry.intentId, status: SETTLEMENT_STATUS.QUEUED, queuedAt: queued.queuedAt };
+  }
+
+  /**
+   * Queue settlements persisted from a previous run (see the 'queued' event)
+   * @param {Array<Object>} entries - Entries as emitted by 'queued'
+   * @returns {number} Entries queued; those already queued here are skipped
+   */
+  restore(entries) {
+    let restored = 0;
+    for (const entry of entries) {
+      const current = this.statuses.get(entry.intentId);
+      if (current && current.status !== SETTLEMENT_STATUS.FAILED) continue;
+
+      this.add({ ...entry, attempts: 0, retryAt: 0 });
+      restored++;
+    }
+    return restored;
+  }
+
+  add(entry) {
+    const current = this.statuses.get(entry.intentId);
+    if (current && current.status !== SETTLEMENT_STATUS.FAILED) {
+      throw new Error(`Settlement already ${current.status.toLowerCase()} for intent ${entry.intentId}`);
+    }
+
+    const queued = { ...entry, queuedAt: Date.now() };
+    this.pending.push(queued);
+    this.statuses.set(entry.intentId, { status: SETTLEMENT_STATUS.QUEUED, queuedAt: queued.queuedAt });
+
+    if (this.due(Date.now()).length >= this.maxBatchSize) {
+      this.flush().catch(error => console.error('Settlement batch flush failed:', error.message));
+    } else {
+      this.schedule();
+    }
+
+    return queued;
+  }
+
+  /**
+   * Status of a queued settlement
+   * @param {string} intentId
+   * @returns {Object|null} { status, queuedAt, auditTx, error, finishedAt }
+   */
+  getStatus(intentId) {
+    return this.statuses.get(intentId) || null;
+  }
+
+  /**
+   * Arm the timer for the next entry that falls due: the oldest waiting entry, or the next retry
+   * (does not keep the process alive)
+   */
+  schedule() {
+    if (this.timer || this.pending.length === 0) return;
+
+    const next = Math.min(...this.pending.map(entry => Math.max(entry.queuedAt + this.maxAge, entry.retryAt || 0)));
+    const wait = Math.max(0, next - Date.now());
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.flush().catch(error => console.error('Settlement batch flush failed:', error.message));
+    }, wait);
+    this.timer.unref();
+  }
+
+  /**
+   * Submit waiting settlements, one batch at a time so audit transactions never race for a nonce
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    while (this.flushing) {
+      await this.flushing;
+    }
+    if (this.due(Date.now()).length === 0) return;
+
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    this.flushing = this.submitPending();
+    try {
+      await this.flushing;
+    } finally {
+      this.flushing = null;
+      this.schedule();
+    }
+  }
+
+  /**
+   * Submit everything that is waiting, e.g. before shutdown; entries backing off after a failure stay queued
+   * @returns {Promise<void>}
+   */
+  async drain() {
+    await this.flush();
+  }
+
+  async submitPending() {
+    while (this.due(Date.now()).length > 0) {
+      const batch = this.takeBatch(Date.now());
+      batch.forEach(entry => this.setStatus(entry.intentId, { status: SETTLEMENT_STATUS.SUBMITTED }));
+      await this.submit(batch);
+    }
+
+    this.pruneStatuses(Date.now());
+  }
+
+  async submit(batch) {
+    try {
+      const auditTx = await this.submitBatch(batch);
+      console.log(`📦 Settlement batch of ${batch.length} recorded${auditTx ? `: ${auditTx}` : ''}`);
+
+      for (const entry of batch) {
+        this.setStatus(entry.intentId, { status: SETTLEMENT_STATUS.CONFIRMED, auditTx, error: null, finishedAt: Date.now() });
+        this.emit('confirmed', { ...entry, auditTx });
+      }
+    } catch (error) {
+      console.error(`⚠️ Settlement batch of ${batch.length} failed: ${error.message}`);
+
+      if (batch.length > 1) {
+        const middle = Math.ceil(batch.length / 2);
+        await this.submit(batch.slice(0, middle));
+        await this.submit(batch.slice(middle));
+        return;
+      }
+
+      this.retryOrFail(batch[0], error);
+    }
+  }
+
+  retryOrFail(entry, error) {
+    const attempts = (entry.attempts || 0) + 1;
+    if (attempts >= this.maxAttempts) {
+      this.setStatus(entry.intentId, { status: SETTLEMENT_STATUS.FAILED, attempts, error: error.message, finishedAt: Date.now() });
+      this.emit('failed', { ...entry, attempts, error: error.message });
+      return;
+    }
+
+    const retryAt = Date.now() + Math.min(MAX_RETRY_DELAY, this.retryDelay * 2 ** (attempts - 1));
+    this.pending.push({ ...entry, attempts, retryAt });
+    this.setStatus(entry.intentId, { status: SETTLEMENT_STATUS.QUEUED, attempts, error: error.message, retryAt });
+  }
+
+  // Entries that may be submitted now: everything not backing off after a failure
+  due(now) {
+    return this.pending.filter(entry => !entry.retryAt || entry.retryAt <= now);
+  }
+
+  // Oldest due settlement and up to maxBatchSize - 1 more due on its chain
+  takeBatch(now) {
+    const chain = this.due(now)[0].chain;
+    const batch = [];
+    this.pending = this.pending.filter(entry => {
+      if (batch.length >= this.maxBatchSize || entry.chain !== chain || (entry.retryAt && entry.retryAt > now)) return true;
+      batch.push(entry);
+      return false;
+    });
+    return batch;
+  }
+
+  setStatus(intentId, patch) {
+    this.statuses.set(intentId, { ...this.statuses.get(intentId), ...patch });
+  }
+
+  pruneStatuses(now) {
+    for (const [intentId, status] of this.statuses) {
+      if (status.finishedAt && now - status.finishedAt > STATUS_RETENTION) {
+        this.statuses.delete(intentId);
+      }
+    }
+  }
+}
+
+module.exports = { SettlementQueue, SETTLEMENT_STATUS };
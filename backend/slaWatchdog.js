@@ -0,0 +1,225 @@
+/**
+ * @file slaWatchdog.js
+ * @description Background scheduler that expires stale challenges and refunds intents past their SLA deadline
+ * Runs on an interval in the long-running gateway; serverless deployments call sweep() from a cron route instead
+ * Every state change is a compare-and-set on the shared intent store, so several gateway instances can
+ * run the watchdog against the same store without refunding an intent twice
+ */
+
+const crypto = require('crypto');
+const { INTENT_STATUS } = require('./intentStore.js');
+
+const DEFAULT_INTERVAL = 30 * 1000; // Sweep every 30 seconds
+const DEFAULT_LEASE = 5 * 60 * 1000; // An instance has 5 minutes to finish a refund it claimed
+const DEFAULT_MAX_ATTEMPTS = 5; // Refunds failing this often are marked FAILED for manual review
+const DEFAULT_PROCESSING_GRACE = 60 * 1000; // A handler past its SLA deadline may still be settling what it served
+
+class SlaWatchdog {
+  /**
+   * @param {Object} intentStore - Shared intent store (see intentStore.js)
+   * @param {NexusAdapter} nexusAdapter - Adapter used to refund intents
+   * @param {Object} options
+   * @param {number} options.interval - Time between sweeps (ms)
+   * @param {number} options.lease - How long a claimed refund stays with one instance (ms)
+   * @param {number} options.maxAttempts - Refund attempts before an intent is marked FAILED
+   * @param {number} options.processingGrace - How long past its SLA deadline an intent being served is left alone (ms)
+   */
+  constructor(intentStore, nexusAdapter, options = {}) {
+    this.intentStore = intentStore;
+    this.nexusAdapter = nexusAdapter;
+    this.interval = options.interval || DEFAULT_INTERVAL;
+    this.lease = options.lease || DEFAULT_LEASE;
+    this.maxAttempts = options.maxAttempts || DEFAULT_MAX_ATTEMPTS;
+    this.processingGrace = Number.isInteger(options.processingGrace) ? options.processingGrace : DEFAULT_PROCESSING_GRACE;
+    this.instanceId = crypto.randomUUID();
+    this.timer = null;
+    this.sweeping = false;
+  }
+
+  /**
+   * Start sweeping on an interval (does not keep the process alive)
+   */
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.sweep().catch(error => console.error('SLA watchdog sweep failed:', error.message));
+    }, this.interval);
+    this.timer.unref();
+
+    console.log(`✅ SLA watchdog running every ${this.interval / 1000}s`);
+  }
+
+  /**
+   * Stop sweeping
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Run one pass over the store
+   * @returns {Promise<Object>} { expired, refunded, released } counts
+   */
+  async sweep() {
+    if (this.sweeping) {
+      return { expired: 0, refunded: 0, released: 0 };
+    }
+
+    this.sweeping = true;
+    try {
+      const now = Date.now();
+      const released = await this.releaseStaleClaims(now);
+      const expired = await this.expireChallenges(now);
+      const refunded = await this.refundOverdue(now);
+      return { expired, refunded, released };
+    } finally {
+      this.sweeping = false;
+    }
+  }
+
+  /**
+   * Expire challenges nobody paid for. A payer may have locked funds and never redeemed them, so the intent is
+   * checked on the chain it was challenged on first: locked intents are handed to refundOverdue, which runs
+   * next in the same sweep, and intents settled or refunded elsewhere take their on-chain status
+   * @param {number} now - Timestamp in ms
+   * @returns {Promise<number>} Number of intents expired
+   */
+  async expireChallenges(now) {
+    const stale = await this.intentStore.listExpiring(now, { statuses: [INTENT_STATUS.CHALLENGED] });
+    let expired = 0;
+
+    for (const record of stale) {
+      const { intentId } = record;
+      let status;
+      try {
+        ({ status } = await this.nexusAdapter.getIntentStatus(intentId, record.chain));
+      } catch (error) {
+        // Left CHALLENGED for the next sweep rather than dropping funds that may be locked
+        console.error(`⚠️ Could not check expired challenge ${intentId} on chain: ${error.message}`);
+        continue;
+      }
+
+      if (status === 'LOCKED' || status === 'EXPIRED') {
+        await this.intentStore.transition(intentId, INTENT_STATUS.CHALLENGED, INTENT_STATUS.LOCKED, {
+          refundReason: 'Locked but never redeemed',
+          expiresAt: now
+        });
+      } else if (status === 'SETTLED' || status === 'REFUNDED') {
+        await this.intentStore.transition(intentId, INTENT_STATUS.CHALLENGED, status, { expiresAt: null });
+      } else {
+        const updated = await this.intentStore.transition(intentId, INTENT_STATUS.CHALLENGED, INTENT_STATUS.EXPIRED, {
+          expiredAt: now
+        });
+        if (updated) expired++;
+      }
+    }
+
+    return expired;
+  }
+
+  /**
+   * Refund intents that were locked or being served but missed their deadline. An intent being served only
+   * counts as overdue processingGrace after its deadline, so a slow handler can still hand its settlement to the
+   * outbox instead of racing a refund of the whole lock
+   * @param {number} now - Timestamp in ms
+   * @returns {Promise<number>} Number of intents refunded
+   */
+  async refundOverdue(now) {
+    const overdue = [
+      ...await this.intentStore.listExpiring(now, { statuses: [INTENT_STATUS.LOCKED] }),
+      ...await this.intentStore.listExpiring(now - this.processingGrace, { statuses: [INTENT_STATUS.PROCESSING] })
+    ];
+    let refunded = 0;
+
+    for (const record of overdue) {
+      // Claim the refund; another instance that got here first makes this return null
+      const claimed = await this.intentStore.transition(record.intentId, record.status, INTENT_STATUS.REFUNDING, {
+        refundFrom: record.status,
+        refundClaimedBy: this.instanceId,
+        expiresAt: now + this.lease
+      });
+      if (!claimed) continue;
+
+      if (await this.refund(claimed)) refunded++;
+    }
+
+    return refunded;
+  }
+
+  /**
+   * Refund a claimed intent and record the outcome
+   * @param {Object} record - Intent record in REFUNDING
+   * @returns {Promise<boolean>} True if the intent ended up REFUNDED
+   */
+  async refund(record) {
+    const { intentId } = record;
+    const [result] = await this.nexusAdapter.cleanupExpiredIntents([{ intentId, chain: record.chain }]);
+
+    if (result.refundTx) {
+      const refundReason = record.refundReason || 'SLA timeout';
+      console.log(`🔄 ${refundReason} refund for intent ${intentId}: ${result.refundTx}`);
+      await this.intentStore.transition(intentId, INTENT_STATUS.REFUNDING, INTENT_STATUS.REFUNDED, {
+        refundTx: result.refundTx,
+        refundReason,
+        refundedAt: Date.now(),
+        expiresAt: null
+      });
+      return true;
+    }
+
+    if (result.status) {
+      // Settled or refunded on chain while we were not looking: adopt the on-chain state
+      await this.intentStore.transition(intentId, INTENT_STATUS.REFUNDING, result.status, {
+        refundReason: result.status === 'REFUNDED' ? record.refundReason || 'SLA timeout' : undefined,
+        expiresAt: null
+      });
+      return result.status === 'REFUNDED';
+    }
+
+    // Refund failed: hand the intent back for the next sweep, or give up after maxAttempts
+    const attempts = (record.refundAttempts || 0) + 1;
+    const giveUp = attempts >= this.maxAttempts;
+    console.error(`⚠️ SLA refund failed for intent ${intentId} (attempt ${attempts}): ${result.error}`);
+
+    await this.intentStore.transition(
+      intentId,
+      INTENT_STATUS.REFUNDING,
+      giveUp ? INTENT_STATUS.FAILED : record.refundFrom,
+      {
+        refundAttempts: attempts,
+        lastRefundError: result.error,
+        expiresAt: giveUp ? null : Date.now() + this.interval
+      }
+    );
+    return false;
+  }
+
+  /**
+   * Return refunds claimed by an instance that died before finishing them
+   * @param {number} now - Timestamp in ms
+   * @returns {Promise<number>} Number of claims released
+   */
+  async releaseStaleClaims(now) {
+    const stale = await this.intentStore.listExpiring(now, { statuses: [INTENT_STATUS.REFUNDING] });
+    let released = 0;
+
+    for (const record of stale) {
+      // refundOverdue picks it up again; cleanupExpiredIntents will not refund it twice
+      const updated = await this.intentStore.transition(
+        record.intentId,
+        INTENT_STATUS.REFUNDING,
+        record.refundFrom || INTENT_STATUS.PROCESSING,
+        { refundClaimedBy: null }
+      );
+      if (updated) released++;
+    }
+
+    return released;
+  }
+}
+
+module.exports = { SlaWatchdog };
@@ -0,0 +1,308 @@
+/**
+ * @file txManager.js
+ * @description Sends the gateway wallet's transactions with locally assigned nonces
+ * Broadcasts go out one at a time in nonce order, so concurrent requests never reuse a nonce. A transaction
+ * still unmined after `stuckAfter` is sent again with the same nonce and higher fees, replacing the original
+ */
+
+const EventEmitter = require('events');
+const crypto = require('crypto');
+
+const DEFAULT_INTERVAL = 3 * 1000; // Check pending transactions every 3 seconds
+const DEFAULT_STUCK_AFTER = 45 * 1000; // Replace a transaction unmined for 45 seconds
+const DEFAULT_FEE_BUMP = 25; // Percent added to fees per replacement (nodes require at least 10)
+const DEFAULT_MAX_REPLACEMENTS = 5; // Then the transaction is reported stuck and left to an operator
+const STATUS_RETENTION = 60 * 60 * 1000; // Keep finished statuses queryable for an hour
+
+const TX_STATUS = {
+  PENDING: 'PENDING',
+  CONFIRMED: 'CONFIRMED',
+  FAILED: 'FAILED'
+};
+
+/**
+ * Emits 'sent', 'replaced', 'stuck', 'confirmed' and 'failed' with the transaction status
+ */
+class TransactionManager extends EventEmitter {
+  /**
+   * @param {ethers.Wallet} signer - Gateway wallet, connected to a provider
+   * @param {Object} options
+   * @param {number} options.interval - Time between checks of pending transactions (ms)
+   * @param {number} options.stuckAfter - How long a transaction may stay unmined before it is replaced (ms)
+   * @param {number} options.feeBump - Percent added to fees per replacement
+   * @param {number} options.maxReplacements - Replacements before a transaction is reported stuck
+   */
+  constructor(signer, options = {}) {
+    super();
+    this.signer = signer;
+    this.interval = options.interval || DEFAULT_INTERVAL;
+    this.stuckAfter = options.stuckAfter || DEFAULT_STUCK_AFTER;
+    this.feeBump = Math.max(options.feeBump || DEFAULT_FEE_BUMP, 10);
+    this.maxReplacements = options.maxReplacements ?? DEFAULT_MAX_REPLACEMENTS;
+    this.nonce = null; // Next nonce to assign, read from the chain when unknown
+    this.sending = Promise.resolve(); // Broadcasts are chained so nonces go out in order
+    this.transactions = new Map(); // id => { status, nonce, hashes, fees, request, ... }
+    this.waiters = new Map(); // id => { resolve, reject } of send()
+    this.timer = null;
+    this.checking = false;
+  }
+
+  /**
+   * Send a contract call from the gateway wallet and wait for it to be mined
+   * @param {ethers.Contract} contract
+   * @param {string} method - Contract function name
+   * @param {Array} args - Function arguments
+   * @param {Object} meta - Fields kept with the status (intentId, ...)
+   * @returns {Promise<Object>} Receipt of the mined transaction (the replacement, if it was replaced)
+   */
+  async send(contract, method, args = [], meta = {}) {
+    const request = await contract.getFunction(method).populateTransaction(...args);
+    // Estimating first surfaces reverts before a nonce is used
+    request.gasLimit = await this.signer.estimateGas(request);
+
+    const id = crypto.randomUUID();
+    const mined = new Promise((resolve, reject) => this.waiters.set(id, { resolve, reject }));
+
+    const broadcast = this.sending.then(() => this.broadcast(id, request, { ...meta, method }));
+    this.sending = broadcast.catch(() => {});
+    await broadcast;
+
+    this.schedule();
+    return mined;
+  }
+
+  /**
+   * Status of a transaction
+   * @param {string} id
+   * @returns {Object|null} { id, method, status, nonce, hash, hashes, replacements, fees, sentAt, finishedAt, error, ... }
+   */
+  getStatus(id) {
+    const transaction = this.transactions.get(id);
+    if (!transaction) return null;
+
+    const { request, fees, ...status } = transaction;
+    return {
+      ...status,
+      hashes: [...status.hashes],
+      fees: Object.fromEntries(Object.entries(fees).map(([key, value]) => [key, value.toString()]))
+    };
+  }
+
+  /**
+   * Transactions not mined yet, lowest nonce first
+   * @returns {Array<Object>} Statuses
+   */
+  listPending() {
+    return Array.from(this.transactions.values())
+      .filter(transaction => transaction.status === TX_STATUS.PENDING)
+      .sort((a, b) => a.nonce - b.nonce)
+      .map(transaction => this.getStatus(transaction.id));
+  }
+
+  /**
+   * Stop checking pending transactions
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Assign the next nonce and broadcast (called one at a time)
+   */
+  async broadcast(id, request, meta) {
+    try {
+      if (this.nonce === null) {
+        this.nonce = await this.signer.getNonce('pending');
+      }
+
+      const fees = await this.currentFees();
+      const response = await this.signer.sendTransaction({ ...request, nonce: this.nonce, ...fees });
+      const now = Date.now();
+
+      this.transactions.set(id, {
+        ...meta,
+        id,
+        status: TX_STATUS.PENDING,
+        nonce: this.nonce,
+        hash: response.hash,
+        hashes: [response.hash],
+        replacements: 0,
+        fees,
+        request,
+        sentAt: now,
+        lastSentAt: now
+      });
+      this.nonce++;
+      this.emit('sent', this.getStatus(id));
+    } catch (error) {
+      // The failed broadcast may or may not have used the nonce: read it from the chain again
+      this.nonce = null;
+      this.waiters.delete(id);
+      throw error;
+    }
+  }
+
+  /**
+   * Check pending transactions while there are any (keeps the process alive until they are mined)
+   */
+  schedule() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.check().catch(error => console.error('Transaction check failed:', error.message));
+    }, this.interval);
+  }
+
+  /**
+   * Settle mined transactions and replace stuck ones
+   */
+  async check() {
+    if (this.checking) return;
+    this.checking = true;
+
+    try {
+      const now = Date.now();
+      for (const transaction of this.transactions.values()) {
+        if (transaction.status !== TX_STATUS.PENDING) {
+          if (now - transaction.finishedAt > STATUS_RETENTION) {
+            this.transactions.delete(transaction.id);
+          }
+          continue;
+        }
+
+        const receipt = await this.findReceipt(transaction);
+        if (receipt) {
+          this.finish(transaction, receipt);
+        } else if (now - transaction.lastSentAt >= this.stuckAfter) {
+          await this.replace(transaction);
+        }
+      }
+
+      if (!Array.from(this.transactions.values()).some(transaction => transaction.status === TX_STATUS.PENDING)) {
+        this.stop();
+      }
+    } finally {
+      this.checking = false;
+    }
+  }
+
+  /**
+   * Receipt of whichever broadcast of a transaction was mined
+   * @param {Object} transaction
+   * @returns {Promise<Object|null>}
+   */
+  async findReceipt(transaction) {
+    for (const hash of transaction.hashes) {
+      const receipt = await this.signer.provider.getTransactionReceipt(hash);
+      if (receipt) return receipt;
+    }
+    return null;
+  }
+
+  /**
+   * Send a stuck transaction again with the same nonce and higher fees
+   * @param {Object} transaction
+   */
+  async replace(transaction) {
+    if (transaction.replacements >= this.maxReplacements) {
+      if (!transaction.stuck) {
+        transaction.stuck = true;
+        console.warn(`⚠️ Transaction ${transaction.method} (nonce ${transaction.nonce}) still unmined after ${transaction.replacements} replacements`);
+        this.emit('stuck', this.getStatus(transaction.id));
+      }
+      return;
+    }
+
+    const fees = await this.currentFees(transaction.fees);
+    try {
+      const response = await this.signer.sendTransaction({ ...transaction.request, nonce: transaction.nonce, ...fees });
+      Object.assign(transaction, {
+        hash: response.hash,
+        hashes: [...transaction.hashes, response.hash],
+        replacements: transaction.replacements + 1,
+        fees,
+        lastSentAt: Date.now()
+      });
+
+      console.log(`🔄 Replaced transaction ${transaction.method} (nonce ${transaction.nonce}) with ${response.hash}`);
+      this.emit('replaced', this.getStatus(transaction.id));
+    } catch (error) {
+      if (error.code !== 'NONCE_EXPIRED') {
+        console.error(`⚠️ Replacing transaction ${transaction.method} (nonce ${transaction.nonce}) failed: ${error.message}`);
+        return;
+      }
+
+      // The nonce was mined meanwhile: one of ours, or a transaction sent from this wallet elsewhere
+      const receipt = await this.findReceipt(transaction);
+      if (receipt) {
+        this.finish(transaction, receipt);
+      } else {
+        this.fail(transaction, new Error(`Nonce ${transaction.nonce} was used by another transaction`));
+        this.nonce = null;
+      }
+    }
+  }
+
+  /**
+   * Fees for a broadcast: the network's current fees, and for a replacement at least feeBump percent above the last
+   * @param {Object} previous - Fees of the broadcast being replaced
+   * @returns {Promise<Object>} { maxFeePerGas, maxPriorityFeePerGas } or { gasPrice }
+   */
+  async currentFees(previous = null) {
+    const feeData = await this.signer.provider.getFeeData();
+    const bumped = (current, last) => {
+      if (!last) return current;
+      const minimum = (last * BigInt(100 + this.feeBump) + 99n) / 100n; // Rounded up so small fees still rise
+      return current > minimum ? current : minimum;
+    };
+
+    if (feeData.maxFeePerGas) {
+      return {
+        maxFeePerGas: bumped(feeData.maxFeePerGas, previous?.maxFeePerGas),
+        maxPriorityFeePerGas: bumped(feeData.maxPriorityFeePerGas, previous?.maxPriorityFeePerGas)
+      };
+    }
+
+    return { gasPrice: bumped(feeData.gasPrice, previous?.gasPrice) };
+  }
+
+  finish(transaction, receipt) {
+    if (receipt.status !== 1) {
+      this.fail(transaction, new Error(`Transaction ${receipt.hash} reverted`), receipt);
+      return;
+    }
+
+    Object.assign(transaction, {
+      status: TX_STATUS.CONFIRMED,
+      hash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+      finishedAt: Date.now()
+    });
+    this.emit('confirmed', this.getStatus(transaction.id));
+
+    this.waiters.get(transaction.id)?.resolve(receipt);
+    this.waiters.delete(transaction.id);
+  }
+
+  fail(transaction, error, receipt = null) {
+    Object.assign(transaction, {
+      status: TX_STATUS.FAILED,
+      hash: receipt?.hash || transaction.hash,
+      blockNumber: receipt?.blockNumber || null,
+      error: error.message,
+      finishedAt: Date.now()
+    });
+    this.emit('failed', this.getStatus(transaction.id));
+
+    this.waiters.get(transaction.id)?.reject(error);
+    this.waiters.delete(transaction.id);
+  }
+}
+
+module.exports = {
+  TX_STATUS,
+  TransactionManager
+};
@@ -0,0 +1,331 @@
+/**
+ * @file x402.js
+ * @description Shared x402 protocol module: challenges, payment evidence and USDC amounts
+ * Every endpoint builds its 402 through here so clients see one format. All amounts on the wire are
+ * integer USDC base units (6 decimals) encoded as strings; formatAmount() is for display only
+ */
+
+const { ethers } = require('ethers');
+const { evidenceTypedData } = require('./paymentEvidence.js');
+
+const X402_VERSION = 1;
+const X402_MEDIA_TYPE = 'application/x402+json';
+const SCHEME = 'fluxpay-intent'; // Payment is an Avail Nexus intent lock, settled after metering
+const NETWORK = process.env.X402_NETWORK || 'sepolia';
+const ASSET = process.env.X402_ASSET || 'USDC';
+const TOKEN = 'USDC';
+const ESCROW = process.env.FLUXPAY_ESCROW_CONTRACT || null; // Payers approve this contract for maxAmountRequired
+const USDC_DECIMALS = 6;
+
+/**
+ * Convert a decimal USDC amount to integer base units without floating point rounding
+ * @param {string|number} value - e.g. '0.05' or 0.05
+ * @returns {number} e.g. 50000
+ */
+function toBaseUnits(value) {
+  const match = /^(\d+)(?:\.(\d+))?$/.exec(String(value).trim());
+  if (!match) {
+    throw new Error(`Invalid USDC amount: ${value}`);
+  }
+
+  const [, whole, fraction = ''] = match;
+  if (fraction.length > USDC_DECIMALS) {
+    throw new Error(`USDC amount has more than ${USDC_DECIMALS} decimals: ${value}`);
+  }
+
+  return Number(BigInt(whole) * 10n ** BigInt(USDC_DECIMALS) + BigInt(fraction.padEnd(USDC_DECIMALS, '0')));
+}
+
+/**
+ * Wire form of an amount: integer USDC base units as a decimal string
+ * @param {number|string|bigint} baseUnits - e.g. 50000
+ * @returns {string} e.g. '50000'; throws for fractional amounts, which never belong on the wire
+ */
+function encodeAmount(baseUnits) {
+  return BigInt(baseUnits).toString();
+}
+
+/**
+ * Format integer base units as a decimal USDC string, for display only
+ * @param {number|string|bigint} baseUnits - e.g. 50000
+ * @returns {string} e.g. '0.050000'
+ */
+function formatAmount(baseUnits) {
+  const value = BigInt(baseUnits);
+  const sign = value < 0n ? '-' : '';
+  const abs = value < 0n ? -value : value;
+  const unit = 10n ** BigInt(USDC_DECIMALS);
+
+  return `${sign}${abs / unit}.${(abs % unit).toString().padStart(USDC_DECIMALS, '0')}`;
+}
+
+/**
+ * Whether the client speaks x402 rather than the legacy FluxPay format
+ * @param {Object} req - Express request
+ * @returns {boolean}
+ */
+function wantsX402(req) {
+  if (req.headers['x-payment']) return true;
+  return (req.headers.accept || '').toLowerCase().includes(X402_MEDIA_TYPE);
+}
+
+/**
+ * Base64-encode a JSON header value
+ * @param {Object} value
+ * @returns {string}
+ */
+function encodeHeader(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64');
+}
+
+/**
+ * Decode a base64 JSON header value
+ * @param {string} value
+ * @returns {Object|null} null if the value is not base64 JSON
+ */
+function decodeHeader(value) {
+  try {
+    return JSON.parse(Buffer.from(value, 'base64').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Chain an intent is locked on, as challenges carry it and payment evidence is signed for it
+ * @param {Object} chain - Chain registry entry
+ * @returns {Object} { name, network, chainId, escrow }
+ */
+function describeChain(chain) {
+  return { name: chain.name, network: chain.network, chainId: chain.chainId, escrow: chain.contracts.escrow || null };
+}
+
+/**
+ * How the payer funds an intent: on a chain with a FluxPayEscrow deployment they approve the escrow and lock
+ * the intent themselves, otherwise they create it through the Nexus SDK
+ * @param {Object} params
+ * @param {string} params.intentId
+ * @param {string} params.amount - Budget in USDC base units
+ * @param {number} params.expiresAt - Unix seconds
+ * @param {Object} params.lockChain - Result of describeChain(), if any
+ * @returns {Object} { payWith, instructions }
+ */
+function lockInstructions({ intentId, amount, expiresAt, lockChain }) {
+  if (lockChain && lockChain.escrow) {
+    return {
+      payWith: 'fluxpay:escrow-lock',
+      instructions: {
+        sdk: 'fluxpay-escrow',
+        method: 'FluxPayEscrow.lock',
+        approve: { token: TOKEN, spender: lockChain.escrow, amount },
+        params: {
+          escrow: lockChain.escrow,
+          intentId: ethers.id(intentId), // bytes32 key the escrow and audit contracts use
+          payer: '<user_wallet>',
+          amount,
+          expiry: expiresAt
+        }
+      }
+    };
+  }
+
+  return {
+    payWith: 'fluxpay:nexus-createIntent',
+    instructions: {
+      sdk: 'avail-nexus',
+      method: 'intent.create',
+      params: {
+        intentId,
+        payer: '<user_wallet>',
+        token: TOKEN,
+        amount,
+        expiry: expiresAt
+      }
+    }
+  };
+}
+
+/**
+ * Build the FluxPay JSON challenge
+ * @param {Object} params
+ * @param {string} params.intentId - Intent the payer must lock funds under
+ * @param {number} params.maxBudget - Budget in USDC base units
+ * @param {number} params.expirySeconds - Challenge lifetime
+ * @param {string} params.requestFingerprint - Request the challenge is bound to, if any
+ * @param {Object} params.fundingRoute - Suggested funding route (see routePlanner.js), if the payer is known
+ * @param {Object} params.chain - Chain registry entry the intent must be locked on (X402_NETWORK and the env escrow if unset)
+ * @returns {Object}
+ */
+function buildChallenge({ intentId, maxBudget, expirySeconds, requestFingerprint = null, fundingRoute = null, chain = null }) {
+  if (!Number.isSafeInteger(Number(maxBudget)) || Number(maxBudget) <= 0) {
+    throw new Error(`maxBudget must be a positive integer in USDC base units: ${maxBudget}`);
+  }
+
+  const amount = String(maxBudget);
+  const expiresAt = Math.floor(Date.now() / 1000) + expirySeconds;
+  const lockChain = chain ? describeChain(chain) : null;
+
+  return {
+    challengeType: 'x402',
+    x402Version: X402_VERSION,
+    intentId,
+    maxBudget: amount,
+    token: TOKEN,
+    decimals: USDC_DECIMALS,
+    expiresAt,
+    requestFingerprint,
+    fundingRoute,
+    chain: lockChain,
+    ...lockInstructions({ intentId, amount, expiresAt, lockChain }),
+    retryWith: {
+      header: 'Payment-Evidence',
+      value: { intentId, nexusTx: '<transaction_hash>', deadline: '<unix_seconds>', signature: '<payer_eip712_signature>' },
+      eip712: requestFingerprint ? evidenceTypedData({ intentId, requestFingerprint, chain: lockChain }) : null
+    }
+  };
+}
+
+/**
+ * Build the x402 payment requirements for a challenge
+ * @param {Object} challenge - Result of buildChallenge()
+ * @param {Object} params
+ * @param {string} params.resource - URL of the paid resource
+ * @param {string} params.payTo - Address the settled amount goes to
+ * @param {string} params.description - Human-readable description
+ * @returns {Object}
+ */
+function buildPaymentRequirements(challenge, { resource, payTo, description = 'FluxPay metered API access' }) {
+  return {
+    scheme: SCHEME,
+    network: challenge.chain?.network || NETWORK,
+    maxAmountRequired: challenge.maxBudget,
+    resource,
+    description,
+    mimeType: 'application/json',
+    payTo,
+    maxTimeoutSeconds: Math.max(0, challenge.expiresAt - Math.floor(Date.now() / 1000)),
+    asset: ASSET,
+    extra: {
+      intentId: challenge.intentId,
+      requestFingerprint: challenge.requestFingerprint,
+      sdk: challenge.instructions.sdk,
+      method: challenge.instructions.method,
+      escrow: challenge.chain ? challenge.chain.escrow : ESCROW,
+      fundingRoute: challenge.fundingRoute || null
+    }
+  };
+}
+
+/**
+ * Send a challenge as a 402 in the format the client asked for
+ * The PAYMENT-REQUIRED header is always set so x402 clients can pay even a legacy-format response
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} challenge - Result of buildChallenge(), already stored by the caller
+ * @param {Object} params - buildPaymentRequirements() params (payTo, description)
+ */
+function sendChallenge(req, res, challenge, { payTo, description } = {}) {
+  const requirements = buildPaymentRequirements(challenge, {
+    resource: `${req.protocol || 'https'}://${req.headers.host}${req.originalUrl || req.url}`,
+    payTo,
+    description
+  });
+
+  const body = {
+    x402Version: X402_VERSION,
+    error: 'X-PAYMENT header is required',
+    accepts: [requirements]
+  };
+
+  res.setHeader('PAYMENT-REQUIRED', encodeHeader(body));
+
+  if (wantsX402(req)) {
+    res.setHeader('Content-Type', `${X402_MEDIA_TYPE}; charset=utf-8`);
+    return res.status(402).send(JSON.stringify(body));
+  }
+
+  return res.status(402).json(challenge);
+}
+
+/**
+ * Read payment evidence from either X-PAYMENT or the legacy Payment-Evidence header
+ * @param {Object} req - Express request
+ * @returns {Object} { format: 'x402'|'legacy', evidence } where evidence is {} if malformed
+ */
+function parsePaymentHeader(req) {
+  const xPayment = req.headers['x-payment'];
+
+  if (xPayment) {
+    const payment = decodeHeader(xPayment);
+    const valid = payment && payment.x402Version === X402_VERSION && payment.scheme === SCHEME;
+    return {
+      format: 'x402',
+      evidence: valid ? {
+        intentId: payment.payload?.intentId,
+        nexusTx: payment.payload?.nexusTx,
+        deadline: payment.payload?.deadline,
+        signature: payment.payload?.signature
+      } : {}
+    };
+  }
+
+  try {
+    return { format: 'legacy', evidence: JSON.parse(req.headers['payment-evidence'] || '{}') || {} };
+  } catch (error) {
+    return { format: 'legacy', evidence: {} };
+  }
+}
+
+/**
+ * Whether the request carries payment evidence in either format
+ * @param {Object} req - Express request
+ * @returns {boolean}
+ */
+function hasPayment(req) {
+  return Boolean(req.headers['payment-evidence'] || req.headers['x-payment']);
+}
+
+/**
+ * Encode the X-PAYMENT-RESPONSE header for a paid request
+ * success is only true once the settlement transaction landed; a settlement the outbox is still retrying, or a
+ * session call paid when its session settles, reports its status with success false and no transaction
+ * @param {Object} params
+ * @param {string} params.intentId
+ * @param {string} params.status - Intent status after settling (SETTLED, SETTLING, SETTLEMENT_PENDING, DRAWN, ...)
+ * @param {string} params.transaction - Settlement transaction hash, if settled
+ * @param {string} params.payer - Payer address
+ * @param {Object} params.chain - Chain registry entry the intent settles on (X402_NETWORK if unset)
+ * @returns {string}
+ */
+function encodePaymentResponse({ intentId, status, transaction, payer, chain = null }) {
+  const success = status === 'SETTLED' && Boolean(transaction);
+  return encodeHeader({
+    success,
+    status,
+    ...(success ? {} : { errorReason: 'settlement_pending' }),
+    transaction: transaction || null,
+    network: chain?.network || NETWORK,
+    payer: payer || null,
+    intentId
+  });
+}
+
+module.exports = {
+  X402_VERSION,
+  X402_MEDIA_TYPE,
+  SCHEME,
+  USDC_DECIMALS,
+  toBaseUnits,
+  encodeAmount,
+  formatAmount,
+  describeChain,
+  wantsX402,
+  encodeHeader,
+  decodeHeader,
+  buildChallenge,
+  buildPaymentRequirements,
+  sendChallenge,
+  parsePaymentHeader,
+  hasPayment,
+  encodePaymentResponse
+};
@@ -17,16 +17,25 @@ contract FluxPayAudit is AccessControl {
         uint256 expiry;
         bool settled;
         bool refunded;
+        uint256 usedAmount;
+        uint256 refundedAmount;
     }
 
     mapping(bytes32 => Intent) public intents;
 
+    // Sum of the revenue splits recorded for a settled intent
+    mapping(bytes32 => uint256) public splitTotals;
+
     event IntentLocked(bytes32 indexed intentId,address indexed payer,uint256 lockedAmount,uint256 expiry);
 
     event IntentSettled(bytes32 indexed intentId,address indexed provider,uint256 usedAmount,bytes nexusTx);
 
     event IntentRefunded(bytes32 indexed intentId,bytes nexusTx);
 
+    event RemainderRefunded(bytes32 indexed intentId,address indexed payer,uint256 refundedAmount,bytes nexusTx);
+
+    event SettlementSplit(bytes32 indexed intentId,address indexed payee,uint256 amount,string role);
+
     constructor() {
         _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
     }
@@ -46,7 +55,7 @@ contract FluxPayAudit is AccessControl {
     function recordIntent(bytes32 intentId,address payer,uint256 lockedAmount,uint256 expiry) external onlyGateway {
         require(intents[intentId].payer == address(0), "Intent already exists");
 
-        intents[intentId] = Intent({payer: payer,lockedAmount: lockedAmount,expiry: expiry,settled: false,refunded: false});
+        intents[intentId] = Intent({payer: payer,lockedAmount: lockedAmount,expiry: expiry,settled: false,refunded: false,usedAmount: 0,refundedAmount: 0});
 
         emit IntentLocked(intentId, payer, lockedAmount, expiry);
     }
@@ -64,10 +73,34 @@ contract FluxPayAudit is AccessControl {
         require(usedAmount <= intents[intentId].lockedAmount, "Used more than locked");
         
         intents[intentId].settled = true;
+        intents[intentId].usedAmount = usedAmount;
 
         emit IntentSettled(intentId, provider, usedAmount, nexusTx);
     }
 
+    /**
+     * Records a partial settlement and the refund of the unused remainder in one call
+     *  intentId The settled intent
+     *  provider Provider receiving payment
+     *  usedAmount Amount transferred to the provider
+     *  settleTx Transaction hash/ID of the provider payout
+     *  refundTx Transaction hash/ID of the remainder refund (ignored when nothing is left)
+     */
+    function recordSettlementWithRefund(bytes32 intentId,address provider,uint256 usedAmount,bytes calldata settleTx,bytes calldata refundTx) public onlyGateway {
+        Intent storage intent = intents[intentId];
+        require(intent.payer != address(0), "Unknown intent");
+
+        recordSettlement(intentId, provider, usedAmount, settleTx);
+
+        uint256 remainder = intent.lockedAmount - usedAmount;
+        if (remainder > 0) {
+            intent.refunded = true;
+            intent.refundedAmount = remainder;
+
+            emit RemainderRefunded(intentId, intent.payer, remainder, refundTx);
+        }
+    }
+
     /**
      * Records a refund, called after Nexus.refund confirms
      *  intentId The refunded intent
@@ -78,6 +111,7 @@ contract FluxPayAudit is AccessControl {
         require(!intents[intentId].refunded, "Already refunded");
 
         intents[intentId].refunded = true;
+        intents[intentId].refundedAmount = intents[intentId].lockedAmount;
 
         emit IntentRefunded(intentId, nexusTx);
     }
@@ -98,6 +132,49 @@ contract FluxPayAudit is AccessControl {
         }
     }
 
+    /**
+     * Batch record settlements with remainder refunds, used by the gateway settlement queue
+     */
+    function batchRecordSettlementsWithRefund(bytes32[] calldata intentIds,address[] calldata providers,uint256[] calldata usedAmounts,bytes[] calldata settleTxs,bytes[] calldata refundTxs) external onlyGateway {
+        require(
+            intentIds.length == providers.length &&
+            providers.length == usedAmounts.length &&
+            usedAmounts.length == settleTxs.length &&
+            settleTxs.length == refundTxs.length,
+            "Array lengths mismatch"
+        );
+
+        for (uint256 i = 0; i < intentIds.length; i++) {
+            recordSettlementWithRefund(intentIds[i], providers[i], usedAmounts[i], settleTxs[i], refundTxs[i]);
+        }
+    }
+
+    /**
+     * Records how settled amounts were split between payees (provider, gateway fee, revenue shares)
+     * Arrays are flat: one entry per payee, intents repeat for each of their splits
+     *  intentIds Settled intent of each split
+     *  payees Address paid by each split
+     *  amounts Amount paid to each payee
+     *  roles Why the payee was paid, e.g. "provider", "gateway_fee", "template_author"
+     */
+    function batchRecordSplits(bytes32[] calldata intentIds,address[] calldata payees,uint256[] calldata amounts,string[] calldata roles) external onlyGateway {
+        require(
+            intentIds.length == payees.length &&
+            payees.length == amounts.length &&
+            amounts.length == roles.length,
+            "Array lengths mismatch"
+        );
+
+        for (uint256 i = 0; i < intentIds.length; i++) {
+            require(intents[intentIds[i]].settled, "Intent not settled");
+            require(splitTotals[intentIds[i]] + amounts[i] <= intents[intentIds[i]].usedAmount, "Splits exceed used amount");
+
+            splitTotals[intentIds[i]] += amounts[i];
+
+            emit SettlementSplit(intentIds[i], payees[i], amounts[i], roles[i]);
+        }
+    }
+
     /**
      * Check if intent is expired
      */
@@ -108,14 +185,16 @@ contract FluxPayAudit is AccessControl {
     /**
      * Get intent details
      */
-    function getIntent(bytes32 intentId) external view returns (address payer,uint256 lockedAmount,uint256 expiry,bool settled,bool refunded) {
+    function getIntent(bytes32 intentId) external view returns (address payer,uint256 lockedAmount,uint256 expiry,bool settled,bool refunded,uint256 usedAmount,uint256 refundedAmount) {
         Intent memory intent = intents[intentId];
         return (
             intent.payer,
             intent.lockedAmount,
             intent.expiry,
             intent.settled,
-            intent.refunded
+            intent.refunded,
+            intent.usedAmount,
+            intent.refundedAmount
         );
     }
 }
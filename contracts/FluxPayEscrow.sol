@@ -0,0 +1,173 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+
+/**
+ *FluxPayEscrow
+ * Holds USDC for payment intents. Payers lock their own intents (or the gateway locks for them against
+ * their allowance), the gateway pays the provider what was used on settlement and returns the remainder.
+ * Payers can take their funds back themselves once an unsettled intent has expired.
+ */
+contract FluxPayEscrow is AccessControl {
+    using SafeERC20 for IERC20;
+
+    bytes32 public constant GATEWAY_ROLE = keccak256("GATEWAY_ROLE");
+
+    enum Status { None, Locked, Settled, Refunded }
+
+    struct Escrow {
+        address payer;
+        uint256 amount;
+        uint256 expiry;
+        Status status;
+        address provider;
+        uint256 usedAmount;
+        uint256 refundedAmount;
+    }
+
+    IERC20 public immutable token;
+
+    mapping(bytes32 => Escrow) public escrows;
+
+    event Locked(bytes32 indexed intentId,address indexed payer,uint256 amount,uint256 expiry);
+
+    event Settled(bytes32 indexed intentId,address indexed provider,uint256 usedAmount,uint256 refundedAmount);
+
+    event Refunded(bytes32 indexed intentId,address indexed payer,uint256 amount);
+
+    event Payout(bytes32 indexed intentId,address indexed payee,uint256 amount);
+
+    constructor(address tokenAddress) {
+        require(tokenAddress != address(0), "Invalid token");
+        token = IERC20(tokenAddress);
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+    }
+
+    modifier onlyGateway() {
+        require(hasRole(GATEWAY_ROLE, msg.sender), "Only gateway can call");
+        _;
+    }
+
+    /**
+     * Lock funds for an intent, pulled from the payer (payer must approve this contract first)
+     * Called by the payer for their own intent, or by the gateway
+     *  intentId Unique intent identifier
+     *  payer Address the funds are pulled from
+     *  amount Amount in token smallest units
+     *  expiry Timestamp after which the payer may reclaim an unsettled intent
+     */
+    function lock(bytes32 intentId,address payer,uint256 amount,uint256 expiry) external {
+        require(msg.sender == payer || hasRole(GATEWAY_ROLE, msg.sender), "Only payer or gateway can lock");
+        require(escrows[intentId].status == Status.None, "Intent already exists");
+        require(payer != address(0), "Invalid payer");
+        require(amount > 0, "Amount must be positive");
+        require(expiry > block.timestamp, "Expiry in the past");
+
+        escrows[intentId] = Escrow({payer: payer,amount: amount,expiry: expiry,status: Status.Locked,provider: address(0),usedAmount: 0,refundedAmount: 0});
+
+        token.safeTransferFrom(payer, address(this), amount);
+
+        emit Locked(intentId, payer, amount, expiry);
+    }
+
+    /**
+     * Pay the provider for what was used and return the remainder to the payer
+     *  intentId The settled intent
+     *  provider Provider receiving payment
+     *  usedAmount Amount paid to the provider
+     */
+    function settle(bytes32 intentId,address provider,uint256 usedAmount) external onlyGateway {
+        Escrow storage escrow = escrows[intentId];
+        require(escrow.status == Status.Locked, "Intent not locked");
+        require(provider != address(0), "Invalid provider");
+        require(usedAmount <= escrow.amount, "Used more than locked");
+
+        uint256 remainder = escrow.amount - usedAmount;
+        escrow.status = Status.Settled;
+        escrow.provider = provider;
+        escrow.usedAmount = usedAmount;
+        escrow.refundedAmount = remainder;
+
+        if (usedAmount > 0) {
+            token.safeTransfer(provider, usedAmount);
+        }
+        if (remainder > 0) {
+            token.safeTransfer(escrow.payer, remainder);
+        }
+
+        emit Settled(intentId, provider, usedAmount, remainder);
+    }
+
+    /**
+     * Split the used amount between several payees and return the remainder to the payer
+     *  intentId The settled intent
+     *  payees Addresses paid; the first is recorded as the provider
+     *  amounts Amount paid to each payee
+     */
+    function settleSplit(bytes32 intentId,address[] calldata payees,uint256[] calldata amounts) external onlyGateway {
+        Escrow storage escrow = escrows[intentId];
+        require(escrow.status == Status.Locked, "Intent not locked");
+        require(payees.length > 0 && payees.length == amounts.length, "Array lengths mismatch");
+
+        uint256 usedAmount = 0;
+        for (uint256 i = 0; i < payees.length; i++) {
+            require(payees[i] != address(0), "Invalid provider");
+            usedAmount += amounts[i];
+        }
+        require(usedAmount <= escrow.amount, "Used more than locked");
+
+        uint256 remainder = escrow.amount - usedAmount;
+        escrow.status = Status.Settled;
+        escrow.provider = payees[0];
+        escrow.usedAmount = usedAmount;
+        escrow.refundedAmount = remainder;
+
+        for (uint256 i = 0; i < payees.length; i++) {
+            if (amounts[i] > 0) {
+                token.safeTransfer(payees[i], amounts[i]);
+                emit Payout(intentId, payees[i], amounts[i]);
+            }
+        }
+        if (remainder > 0) {
+            token.safeTransfer(escrow.payer, remainder);
+        }
+
+        emit Settled(intentId, payees[0], usedAmount, remainder);
+    }
+
+    /**
+     * Return the full locked amount to the payer
+     * The gateway can refund at any time; anyone can trigger it after expiry
+     *  intentId The refunded intent
+     */
+    function refund(bytes32 intentId) external {
+        Escrow storage escrow = escrows[intentId];
+        require(escrow.status == Status.Locked, "Intent not locked");
+        require(hasRole(GATEWAY_ROLE, msg.sender) || block.timestamp > escrow.expiry, "Intent not expired");
+
+        escrow.status = Status.Refunded;
+        escrow.refundedAmount = escrow.amount;
+
+        token.safeTransfer(escrow.payer, escrow.amount);
+
+        emit Refunded(intentId, escrow.payer, escrow.amount);
+    }
+
+    /**
+     * Get escrow details
+     */
+    function getEscrow(bytes32 intentId) external view returns (address payer,uint256 amount,uint256 expiry,Status status,uint256 usedAmount,uint256 refundedAmount) {
+        Escrow memory escrow = escrows[intentId];
+        return (
+            escrow.payer,
+            escrow.amount,
+            escrow.expiry,
+            escrow.status,
+            escrow.usedAmount,
+            escrow.refundedAmount
+        );
+    }
+}
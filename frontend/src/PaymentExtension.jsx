@@ -1,5 +1,8 @@
 import React, { useState } from 'react';
 
+// Challenge amounts are integer USDC base units (6 decimals)
+const formatUsdc = (baseUnits) => (Number(baseUnits) / 1e6).toFixed(6);
+
 /**
  * FluxPay Payment Extension - Razorpay-like Integration Dashboard
  * Allows external platforms to integrate FluxPay's micropayment system
@@ -35,7 +38,7 @@ const PaymentExtension = ({ testMode = false }) => {
           const mockChallenge = {
             challengeType: 'x402',
             intentId: `fluxpay:test-${Math.random().toString(36).substr(2, 9)}`,
-            maxBudget: '0.05',
+            maxBudget: '50000', // USDC base units
             token: 'USDC',
             expiresAt: Math.floor(Date.now() / 1000) + (5 * 60),
             instructions: {
@@ -44,7 +47,7 @@ const PaymentExtension = ({ testMode = false }) => {
               params: {
                 intentId: `fluxpay:test-${Math.random().toString(36).substr(2, 9)}`,
                 token: 'USDC',
-                amount: '0.05',
+                amount: '50000',
                 expiry: Math.floor(Date.now() / 1000) + (5 * 60)
               }
             }
@@ -55,7 +58,7 @@ const PaymentExtension = ({ testMode = false }) => {
             challenge: mockChallenge,
             message: `🎯 **HTTP 402 Payment Required!** 
 
-Your AI request needs **${mockChallenge.maxBudget} USDC** to proceed. **TEST MODE ENABLED**: This demonstrates the micropayment flow without real API calls.
+Your AI request needs **${formatUsdc(mockChallenge.maxBudget)} USDC** to proceed. **TEST MODE ENABLED**: This demonstrates the micropayment flow without real API calls.
 
 **What happens next in a real implementation:**
 
@@ -98,7 +101,7 @@ Your AI request needs **${mockChallenge.maxBudget} USDC** to proceed. **TEST MOD
           challenge,
           message: `🎯 **HTTP 402 Payment Required!**
 
-Your AI request needs **${challenge.maxBudget} USDC** to proceed. This demonstrates the micropayment flow where APIs return payment challenges instead of service responses.
+Your AI request needs **${formatUsdc(challenge.maxBudget)} USDC** to proceed. This demonstrates the micropayment flow where APIs return payment challenges instead of service responses.
 
 **What happens next in a real implementation:**
 
@@ -145,7 +148,7 @@ Your AI request needs **${challenge.maxBudget} USDC** to proceed. This demonstra
 <script>
   const fluxpay = new FluxPay({
     key_id: '${apiKey}',
-    amount: ${checkoutConfig.amount}00000, // Amount in smallest units (${checkoutConfig.currency})
+    amount: ${checkoutConfig.amount}, // Amount in smallest units (${checkoutConfig.currency})
     currency: '${checkoutConfig.currency}',
     name: '${checkoutConfig.name}',
     description: '${checkoutConfig.description}',
@@ -211,7 +214,7 @@ app.all('/api/your-endpoint', async (req, res) => {
       const challenge = {
         challengeType: 'x402',
         intentId,
-        maxBudget: \`\${priceEstimate.max}00000\`, // USDC wei-equivalent
+        maxBudget: String(Math.round(priceEstimate.max * 1e6)), // USDC base units (6 decimals)
         token: 'USDC',
         expiresAt: Math.floor(Date.now() / 1000) + (5 * 60),
         payWith: 'fluxpay:nexus-createIntent',
@@ -223,7 +226,7 @@ app.all('/api/your-endpoint', async (req, res) => {
             intentId,
             payer: '<user_wallet>',
             token: 'USDC',
-            amount: \`\${priceEstimate.max}00000\`,
+            amount: String(Math.round(priceEstimate.max * 1e6)),
             expiry: Math.floor(Date.now() / 1000) + (5 * 60)
           }
         }
@@ -344,7 +347,7 @@ const handlePayment = async () => {
   try {
     // Create intent
     const intent = await fluxpay.payments.createIntent({
-      amount: ${checkoutConfig.amount}00000,
+      amount: ${checkoutConfig.amount},
       currency: '${checkoutConfig.currency}',
       description: '${checkoutConfig.description}',
       apiEndpoint: '${checkoutConfig.apiEndpoint}',
@@ -370,7 +373,7 @@ const handlePayment = async () => {
 // For API-first integrations
 const createIntent = async () => {
   const intent = await fluxpay.payments.createIntent({
-    amount: ${checkoutConfig.amount}00000,
+    amount: ${checkoutConfig.amount},
     currency: '${checkoutConfig.currency}',
     description: '${checkoutConfig.description}',
     apiEndpoint: '${checkoutConfig.apiEndpoint}'
@@ -3,6 +3,9 @@ import { WalletConnect } from './WalletConnect.jsx';
 import { useWeb3 } from './wallet.js';
 import PaymentExtension from './PaymentExtension.jsx';
 
+// Challenge amounts are integer USDC base units (6 decimals)
+const formatUsdc = (baseUnits) => (Number(baseUnits) / 1e6).toFixed(6);
+
 const Dashboard = () => {
   const [activeView, setActiveView] = useState('dashboard');
   const [paymentResult, setPaymentResult] = useState(null);
@@ -14,6 +17,8 @@ const Dashboard = () => {
   const [balanceLoading, setBalanceLoading] = useState(false);
   const [selectedToken, setSelectedToken] = useState('USDC');
   const [testMode, setTestMode] = useState(false);
+  // Supported chains, replaced by the gateway's chain registry once loaded
+  const [supportedChains, setSupportedChains] = useState(['ethereum', 'polygon', 'arbitrum', 'avalanche']);
   const { isConnected, account } = useWeb3();
 
   // Available tokens
@@ -23,10 +28,15 @@ const Dashboard = () => {
     { symbol: 'ETH', name: 'Ethereum', decimals: 18 },
   ];
 
-  // Supported chains
-  const supportedChains = [
-    'ethereum', 'polygon', 'arbitrum', 'avalanche'
-  ];
+  // Load the chains the gateway settles on
+  useEffect(() => {
+    fetch('/api/chains')
+      .then(response => (response.ok ? response.json() : null))
+      .then(data => {
+        if (data?.chains?.length) setSupportedChains(data.chains.map(chain => chain.name));
+      })
+      .catch(error => console.error('Error fetching chains:', error));
+  }, []);
 
   // Fetch balance when connected (or in test mode)
   useEffect(() => {
@@ -149,7 +159,7 @@ const Dashboard = () => {
           const mockChallenge = {
             challengeType: 'x402',
             intentId: `fluxpay:test-${Math.random().toString(36).substr(2, 9)}`,
-            maxBudget: '0.05',
+            maxBudget: '50000', // USDC base units
             token: 'USDC',
             expiresAt: Math.floor(Date.now() / 1000) + (5 * 60),
             instructions: {
@@ -158,7 +168,7 @@ const Dashboard = () => {
               params: {
                 intentId: `fluxpay:test-${Math.random().toString(36).substr(2, 9)}`,
                 token: 'USDC',
-                amount: '0.05',
+                amount: '50000',
                 expiry: Math.floor(Date.now() / 1000) + (5 * 60)
               }
             }
@@ -167,7 +177,7 @@ const Dashboard = () => {
           setAiResult({
             step: 'challenge-received',
             challenge: mockChallenge,
-            message: `🎯 Payment Required! Max budget: ${mockChallenge.maxBudget} USDC, Expires: ${
+            message: `🎯 Payment Required! Max budget: ${formatUsdc(mockChallenge.maxBudget)} USDC, Expires: ${
               new Date(mockChallenge.expiresAt * 1000).toLocaleTimeString()
             }\n\n**TEST MODE ENABLED**: This simulates a real HTTP 402 response!`,
 
@@ -211,7 +221,7 @@ const Dashboard = () => {
         setAiResult({
           step: 'challenge-received',
           challenge,
-          message: `🎯 Payment Required! Max budget: ${challenge.maxBudget} USDC, Expires: ${
+          message: `🎯 Payment Required! Max budget: ${formatUsdc(challenge.maxBudget)} USDC, Expires: ${
             new Date(challenge.expiresAt * 1000).toLocaleTimeString()
           }`,
 
@@ -511,14 +521,18 @@ const Dashboard = () => {
                   gap: '1rem',
                   marginTop: '1rem'
                 }}>
-                  {Object.entries(balance.breakdown).map(([chain, amount]) => (
-                    <div key={chain} style={{
+                  {/* Chains that did not answer show as unavailable rather than 0 */}
+                  {Object.entries(balance.chains || balance.breakdown).map(([chain, state]) => (
+                    <div key={chain} title={state.error} style={{
                       backgroundColor: '#f8f9fa',
                       padding: '0.5rem',
                       borderRadius: '4px',
                       border: '1px solid #dee2e6'
                     }}>
-                      <strong style={{ textTransform: 'capitalize' }}>{chain}:</strong> {amount} {selectedToken}
+                      <strong style={{ textTransform: 'capitalize' }}>{chain}:</strong>{' '}
+                      {typeof state === 'string' ? `${state} ${selectedToken}` :
+                       state.status === 'ok' ? `${state.balance} ${selectedToken}` :
+                       state.status === 'unsupported' ? 'not supported' : 'unavailable'}
                     </div>
                   ))}
                 </div>
@@ -1,5 +1,22 @@
 require("@nomicfoundation/hardhat-toolbox");
 require("dotenv").config();
+const { loadChainRegistry } = require("./backend/chainRegistry");
+
+// Testnets the gateway settles on, from the chain registry (backend/chainRegistry.js, FLUXPAY_CHAINS_CONFIG)
+const LOCAL_NETWORKS = ["hardhat", "localhost"];
+const registryNetworks = Object.fromEntries(
+  loadChainRegistry()
+    .list()
+    .filter((chain) => !LOCAL_NETWORKS.includes(chain.network) && chain.rpcUrls.length > 0)
+    .map((chain) => [
+      chain.network,
+      {
+        url: chain.rpcUrls[0],
+        accounts: process.env.PRIVATE_KEY ? [process.env.PRIVATE_KEY] : [],
+        chainId: chain.chainId,
+      },
+    ])
+);
 
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
@@ -22,31 +39,12 @@ module.exports = {
       chainId: 1337,
     },
     // Testnets
-    sepolia: {
-      url: process.env.SEPOLIA_RPC_URL || "https://rpc.sepolia.org",
-      accounts: process.env.PRIVATE_KEY ? [process.env.PRIVATE_KEY] : [],
-      chainId: 11155111,
-    },
+    ...registryNetworks,
     goerli: {
       url: process.env.GOERLI_RPC_URL || "https://rpc.goerli.org",
       accounts: process.env.PRIVATE_KEY ? [process.env.PRIVATE_KEY] : [],
       chainId: 5,
     },
-    "arbitrum-goerli": {
-      url: process.env.ARBITRUM_GOERLI_RPC_URL || "https://goerli-rollup.arbitrum.io/rpc",
-      accounts: process.env.PRIVATE_KEY ? [process.env.PRIVATE_KEY] : [],
-      chainId: 421613,
-    },
-    "polygon-mumbai": {
-      url: process.env.POLYGON_MUMBAI_RPC_URL || "https://rpc-mumbai.maticvigil.com",
-      accounts: process.env.PRIVATE_KEY ? [process.env.PRIVATE_KEY] : [],
-      chainId: 80001,
-    },
-    "base-sepolia": {
-      url: process.env.BASE_SEPOLIA_RPC_URL || "https://sepolia.base.org",
-      accounts: process.env.PRIVATE_KEY ? [process.env.PRIVATE_KEY] : [],
-      chainId: 84532,
-    },
     // Mainnets (use with caution)
     mainnet: {
       url: process.env.MAINNET_RPC_URL || "https://mainnet.infura.io/v3/" + process.env.INFURA_PROJECT_ID,
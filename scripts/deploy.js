@@ -14,6 +14,7 @@ async function main() {
   const audit = await FluxPayAudit.deploy();
   await audit.waitForDeployment();
   const auditAddress = await audit.getAddress();
+  const auditBlock = (await audit.deploymentTransaction().wait()).blockNumber;
   console.log("FluxPayAudit deployed to:", auditAddress);
 
   // Deploy ProviderRegistry contract
@@ -24,7 +25,29 @@ async function main() {
   const registryAddress = await registry.getAddress();
   console.log("ProviderRegistry deployed to:", registryAddress);
 
-  // Authorize the deployer as gateway in both contracts
+  // Local networks get a mock USDC; testnets use the real token
+  let tokenAddress = process.env.USDC_TOKEN_ADDRESS;
+  if (network.name === "hardhat" || network.name === "localhost") {
+    console.log("Deploying MockUSDC...");
+    const MockUSDC = await ethers.getContractFactory("MockUSDC");
+    const usdc = await MockUSDC.deploy();
+    await usdc.waitForDeployment();
+    tokenAddress = await usdc.getAddress();
+    console.log("MockUSDC deployed to:", tokenAddress);
+  }
+  if (!tokenAddress) {
+    throw new Error("USDC_TOKEN_ADDRESS is required to deploy FluxPayEscrow on " + network.name);
+  }
+
+  // Deploy FluxPayEscrow contract
+  console.log("Deploying FluxPayEscrow...");
+  const FluxPayEscrow = await ethers.getContractFactory("FluxPayEscrow");
+  const escrow = await FluxPayEscrow.deploy(tokenAddress);
+  await escrow.waitForDeployment();
+  const escrowAddress = await escrow.getAddress();
+  console.log("FluxPayEscrow deployed to:", escrowAddress);
+
+  // Authorize the deployer as gateway in all contracts
   console.log("Setting up contract permissions...");
   const GATEWAY_ROLE = ethers.keccak256(ethers.toUtf8Bytes("GATEWAY_ROLE"));
 
@@ -36,14 +59,22 @@ async function main() {
   await audit.grantRole(GATEWAY_ROLE, deployer.address);
   console.log("Authorized deployer as gateway in FluxPayAudit");
 
+  await escrow.grantRole(GATEWAY_ROLE, deployer.address);
+  console.log("Authorized deployer as gateway in FluxPayEscrow");
+
   console.log("\nDeployment completed successfully!");
   console.log("==================================================");
   console.log("FluxPayAudit:", auditAddress);
   console.log("ProviderRegistry:", registryAddress);
+  console.log("FluxPayEscrow:", escrowAddress);
+  console.log("USDC:", tokenAddress);
   console.log("==================================================");
   console.log("Update your .env file with these contract addresses:");
   console.log(`FLUXPAY_AUDIT_CONTRACT=${auditAddress}`);
   console.log(`PROVIDER_REGISTRY_CONTRACT=${registryAddress}`);
+  console.log(`FLUXPAY_ESCROW_CONTRACT=${escrowAddress}`);
+  console.log(`USDC_TOKEN_ADDRESS=${tokenAddress}`);
+  console.log(`AUDIT_START_BLOCK=${auditBlock}`);
   console.log("==================================================");
 
   // Save deployment info for verification
@@ -51,6 +82,8 @@ async function main() {
     network: network.name,
     auditContract: auditAddress,
     registryContract: registryAddress,
+    escrowContract: escrowAddress,
+    token: tokenAddress,
     deployer: await deployer.getAddress(),
     timestamp: new Date().toISOString(),
     blockNumber: await deployer.provider.getBlockNumber(),
@@ -74,11 +107,18 @@ async function main() {
         constructorArguments: [],
       });
       console.log("ProviderRegistry verified on Etherscan");
+
+      await hre.run("verify:verify", {
+        address: escrowAddress,
+        constructorArguments: [tokenAddress],
+      });
+      console.log("FluxPayEscrow verified on Etherscan");
     } catch (error) {
       console.log("Contract verification failed:", error.message);
       console.log("You can manually verify later with:");
       console.log(`npx hardhat verify --network ${network.name} ${auditAddress}`);
       console.log(`npx hardhat verify --network ${network.name} ${registryAddress}`);
+      console.log(`npx hardhat verify --network ${network.name} ${escrowAddress} ${tokenAddress}`);
     }
   }
 }
@@ -0,0 +1,49 @@
+/**
+ * Reconcile gateway intent records with FluxPayAudit and print the discrepancy report
+ * Usage: node scripts/reconcile.js [--repair]
+ * Reads the same INTENT_STORE / PAYMENT_LEDGER_PATH as the gateway, so run it against a file store
+ */
+require("dotenv").config();
+const { NexusAdapter } = require("../backend/nexusAdapter.js");
+const { createIntentStore } = require("../backend/intentStore.js");
+const { PaymentLedger } = require("../backend/paymentLedger.js");
+const { EventIndexer } = require("../backend/eventIndexer.js");
+const { Reconciler } = require("../backend/reconciler.js");
+
+async function main() {
+  const repair = process.argv.includes("--repair");
+
+  const nexusAdapter = new NexusAdapter();
+  await nexusAdapter.initialize();
+
+  const intentStore = createIntentStore();
+  const paymentLedger = process.env.PAYMENT_LEDGER_PATH ? new PaymentLedger({ path: process.env.PAYMENT_LEDGER_PATH }) : null;
+
+  // Repaired settlements report back like the gateway's own audit batches
+  nexusAdapter.settlementQueue.on("confirmed", ({ intentId, auditTx }) => intentStore.update(intentId, { auditStatus: "CONFIRMED", auditTx }));
+  nexusAdapter.settlementQueue.on("failed", ({ intentId, error }) => intentStore.update(intentId, { auditStatus: "FAILED", auditError: error }));
+
+  if (paymentLedger) {
+    // Catch the ledger up with the chain before comparing
+    await new EventIndexer(nexusAdapter, paymentLedger, intentStore, {
+      confirmations: parseInt(process.env.EVENT_INDEXER_CONFIRMATIONS),
+      startBlock: parseInt(process.env.AUDIT_START_BLOCK)
+    }).poll();
+  }
+
+  const reconciler = new Reconciler(intentStore, nexusAdapter, paymentLedger);
+  const report = await reconciler.run({ repair });
+  await nexusAdapter.settlementQueue.flush();
+
+  console.log(JSON.stringify(report, null, 2));
+
+  // Non-zero exit while anything needs an operator
+  return report.discrepancies.every(discrepancy => discrepancy.repaired) ? 0 : 2;
+}
+
+main()
+  .then((code) => process.exit(code))
+  .catch((error) => {
+    console.error("Reconciliation failed:", error);
+    process.exit(1);
+  });
@@ -0,0 +1,86 @@
+const { expect } = require("chai");
+const ethers = require("ethers");
+const { ChainRegistry } = require("../backend/chainRegistry");
+const { BalanceService } = require("../backend/balanceService");
+
+describe("Balance service", function () {
+  const payer = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+  const other = "0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC";
+  const usdc = "0x036CbD53842c5426634e7929541eC2318f3dCF7e";
+  const multicallAddress = "0xcA11bde05977b3631167028862bE2a173976CA11";
+
+  const erc20 = new ethers.Interface(["function balanceOf(address) view returns (uint256)"]);
+  const multicall3 = new ethers.Interface([
+    "function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)"
+  ]);
+
+  // Answers balanceOf with 1000 USDC per address, directly or through Multicall3
+  function fakeProvider({ multicall = true } = {}) {
+    const balanceOf = () => erc20.encodeFunctionResult("balanceOf", [1000000000n]);
+    return {
+      calls: [],
+      async call({ to, data }) {
+        this.calls.push(to);
+        if (to !== multicallAddress) return balanceOf(data);
+        if (!multicall) throw new Error("missing revert data");
+
+        const [reads] = multicall3.decodeFunctionData("aggregate3", data);
+        return multicall3.encodeFunctionResult("aggregate3", [reads.map(read => [true, balanceOf(read.callData)])]);
+      }
+    };
+  }
+
+  function registry() {
+    return new ChainRegistry({
+      ethereum: { chainId: 11155111, tokens: { USDC: usdc } },
+      base: { chainId: 84532, tokens: { USDC: usdc } },
+      polygon: { chainId: 80001, tokens: {} }
+    });
+  }
+
+  it("Should batch concurrent reads into one multicall per chain and cache them", async function () {
+    const providers = { ethereum: fakeProvider(), base: fakeProvider() };
+    const service = new BalanceService(registry(), async chain => providers[chain.name]);
+
+    const [first] = await Promise.all([service.getBalances(payer), service.getBalances(other)]);
+    await service.getBalances(payer);
+
+    expect(first.total).to.equal("2000000000");
+    expect(first.chains.polygon.status).to.equal("unsupported");
+    expect(first.complete).to.equal(true);
+    expect(providers.ethereum.calls).to.deep.equal([multicallAddress]);
+    expect(providers.base.calls).to.deep.equal([multicallAddress]);
+  });
+
+  it("Should report a chain that does not answer in time as an error, not a zero, until its retry delay passes", async function () {
+    const hanging = { calls: 0, call() { this.calls++; return new Promise(() => {}); } };
+    const providers = { ethereum: fakeProvider(), base: hanging };
+    const service = new BalanceService(registry(), async chain => providers[chain.name], { timeout: 50 });
+
+    const balances = await service.getBalances(payer);
+
+    expect(balances.total).to.equal("1000000000");
+    expect(balances.chains.ethereum).to.deep.equal({ status: "ok", balance: "1000000000" });
+    expect(balances.chains.base.status).to.equal("error");
+    expect(balances.chains.base.error).to.match(/did not answer within 50ms/);
+    expect(balances.complete).to.equal(false);
+
+    // Other addresses get the error at once rather than waiting out the timeout again
+    expect((await service.getChainBalance("base", other)).status).to.equal("error");
+    expect(hanging.calls).to.equal(1);
+  });
+
+  it("Should fall back to direct calls where Multicall3 fails", async function () {
+    const provider = fakeProvider({ multicall: false });
+    const service = new BalanceService(registry(), async () => provider, { ttl: 0 });
+
+    const [balance] = await Promise.all([
+      service.getChainBalance("base", payer),
+      service.getChainBalance("base", other)
+    ]);
+    await Promise.all([service.getChainBalance("base", payer), service.getChainBalance("base", other)]);
+
+    expect(balance).to.deep.equal({ status: "ok", balance: "1000000000" });
+    expect(provider.calls).to.deep.equal([multicallAddress, usdc, usdc, usdc, usdc]);
+  });
+});
@@ -0,0 +1,129 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ChainRegistry, loadChainRegistry } = require("../backend/chainRegistry");
+const { NexusAdapter } = require("../backend/nexusAdapter");
+const { MemoryIntentStore, INTENT_STATUS } = require("../backend/intentStore");
+const { SettlementOutbox } = require("../backend/settlementOutbox");
+const { SlaWatchdog } = require("../backend/slaWatchdog");
+
+describe("Chain registry", function () {
+  const provider = "0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC";
+
+  it("Should find chains by name, network or chain id", function () {
+    const chains = new ChainRegistry();
+
+    expect(chains.resolve().name).to.equal("ethereum");
+    expect(chains.resolve("sepolia").name).to.equal("ethereum");
+    expect(chains.resolve(84532).name).to.equal("base");
+    expect(chains.tokenAddress("base", "USDC")).to.equal("0x036CbD53842c5426634e7929541eC2318f3dCF7e");
+    expect(() => chains.resolve("solana")).to.throw("Unknown chain");
+    expect(chains.describe()[0]).to.not.have.property("rpcUrls");
+  });
+
+  it("Should merge the config file over the built-in chains", function () {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "chains-")), "chains.json");
+    fs.writeFileSync(file, JSON.stringify({
+      defaultChain: "base",
+      chains: {
+        base: { rpcUrls: ["http://base.example"], contracts: { escrow: provider } },
+        localhost: { chainId: 1337, rpcUrls: ["http://127.0.0.1:8545"], confirmations: 0 }
+      }
+    }));
+
+    const chains = loadChainRegistry(file);
+
+    expect(chains.defaultChain).to.equal("base");
+    expect(chains.resolve().rpcUrls[0]).to.equal("http://base.example");
+    expect(chains.resolve().contracts.escrow).to.equal(provider);
+    expect(chains.resolve(1337).confirmations).to.equal(0);
+  });
+
+  it("Should settle on the escrow of the target chain", async function () {
+    const calls = [];
+    const escrowContract = {
+      getEscrow: async () => [provider, 10000n, BigInt(Math.floor(Date.now() / 1000) + 300), 1n, 0n, 0n],
+      settle: async (intentHash, recipient, amount) => {
+        calls.push(["settle", recipient, amount]);
+        return { wait: async () => ({ hash: "0xbase" }) };
+      }
+    };
+
+    const adapter = new NexusAdapter({ settlementBackend: "evm" });
+    adapter.isRealMode = true;
+    adapter.connections.set("base", Promise.resolve({ chain: adapter.chains.resolve("base"), escrowContract }));
+
+    const result = await adapter.settleAndRefund({ intentId: "base-intent", recipient: provider, amount: 4000, targetChain: "base" });
+    await adapter.settlementQueue.drain();
+
+    expect(calls).to.deep.equal([["settle", provider, 4000]]);
+    expect(result.settlementTx).to.equal("0xbase");
+    expect(adapter.settlementQueue.getStatus("base-intent").status).to.equal("CONFIRMED");
+  });
+
+  it("Should lock, check, settle and refund an intent on the chain it was challenged on", async function () {
+    const calls = [];
+    const escrows = new Map();
+    const sent = (hash) => ({ wait: async () => ({ hash }) });
+    const escrowContract = {
+      lock: async (intentHash, payer, amount, expiry) => {
+        calls.push("lock");
+        escrows.set(intentHash, [payer, BigInt(amount), BigInt(expiry), 1n, 0n, 0n]);
+        return sent("0xlock");
+      },
+      getEscrow: async (intentHash) => escrows.get(intentHash) || [provider, 0n, 0n, 0n, 0n, 0n],
+      settle: async (intentHash, recipient, amount) => {
+        calls.push(["settle", recipient, amount]);
+        escrows.get(intentHash)[3] = 2n;
+        return sent("0xsettle");
+      },
+      refund: async (intentHash) => {
+        calls.push("refund");
+        escrows.get(intentHash)[3] = 3n;
+        return sent("0xrefund");
+      }
+    };
+
+    // The default chain has no contracts, so any call that falls back to it fails
+    const adapter = new NexusAdapter({ settlementBackend: "evm" });
+    adapter.isRealMode = true;
+    adapter.connections.set("ethereum", Promise.resolve({ chain: adapter.chains.resolve("ethereum") }));
+    adapter.connections.set("base", Promise.resolve({ chain: adapter.chains.resolve("base"), escrowContract }));
+
+    const store = new MemoryIntentStore();
+    const expiry = Math.floor(Date.now() / 1000) + 300;
+    for (const intentId of ["served", "overdue"]) {
+      await adapter.createIntent(intentId, provider, "USDC", 10000, expiry, "base");
+    }
+    await store.put("served", { intentId: "served", status: INTENT_STATUS.PROCESSING, chain: "base", expiresAt: Date.now() + 60000 });
+    await store.put("overdue", { intentId: "overdue", status: INTENT_STATUS.PROCESSING, chain: "base", expiresAt: Date.now() - 1 });
+
+    expect((await adapter.getIntentStatus("served", "base")).status).to.equal("LOCKED");
+
+    const settled = await new SettlementOutbox(store, adapter).enqueue("served", { recipient: provider, amount: 4000, targetChain: "base" });
+    await adapter.settlementQueue.drain();
+    const { refunded } = await new SlaWatchdog(store, adapter, { processingGrace: 0 }).sweep();
+
+    expect(settled.status).to.equal(INTENT_STATUS.SETTLED);
+    expect(refunded).to.equal(1);
+    expect((await store.get("overdue")).status).to.equal(INTENT_STATUS.REFUNDED);
+    expect(calls).to.deep.equal(["lock", "lock", ["settle", provider, 4000], "refund"]);
+  });
+
+  it("Should batch settlements of one chain at a time", async function () {
+    const adapter = new NexusAdapter({ settlementBackend: "mock" });
+    const batches = [];
+    adapter.settlementQueue.submitBatch = async (entries) => {
+      batches.push(entries.map(entry => entry.chain));
+      return "0xaudit";
+    };
+
+    for (const [intentId, targetChain] of [["a", "ethereum"], ["b", "base"], ["c", "sepolia"]]) {
+      await adapter.settleAndRefund({ intentId, recipient: provider, amount: 1000, targetChain });
+    }
+    await adapter.settlementQueue.drain();
+
+    expect(batches).to.deep.equal([["ethereum", "ethereum"], ["base"]]);
+  });
+});
@@ -129,6 +129,7 @@ describe("FluxPayAudit", function () {
 
       const intent = await fluxPayAudit.getIntent(intentId);
       expect(intent.refunded).to.equal(true);
+      expect(intent.refundedAmount).to.equal(lockedAmount);
     });
 
     it("Should prevent refunding settled intent", async function () {
@@ -149,6 +150,74 @@ describe("FluxPayAudit", function () {
     });
   });
 
+  describe("recordSettlementWithRefund", function () {
+    const intentId = ethers.keccak256(ethers.toUtf8Bytes("test-partial-settlement"));
+    const lockedAmount = ethers.parseEther("2");
+    const expiry = Math.floor(Date.now() / 1000) + 3600;
+    const usedAmount = ethers.parseEther("0.5");
+    const settleTx = ethers.toUtf8Bytes("test-settle-tx");
+    const refundTx = ethers.toUtf8Bytes("test-remainder-tx");
+
+    beforeEach(async function () {
+      await fluxPayAudit.connect(gateway).recordIntent(intentId, payer.address, lockedAmount, expiry);
+    });
+
+    it("Should record settlement and remainder refund together", async function () {
+      await expect(fluxPayAudit.connect(gateway).recordSettlementWithRefund(intentId, provider.address, usedAmount, settleTx, refundTx))
+        .to.emit(fluxPayAudit, "IntentSettled")
+        .withArgs(intentId, provider.address, usedAmount, settleTx)
+        .and.to.emit(fluxPayAudit, "RemainderRefunded")
+        .withArgs(intentId, payer.address, lockedAmount - usedAmount, refundTx);
+
+      const intent = await fluxPayAudit.getIntent(intentId);
+      expect(intent.settled).to.equal(true);
+      expect(intent.refunded).to.equal(true);
+      expect(intent.usedAmount).to.equal(usedAmount);
+      expect(intent.refundedAmount).to.equal(lockedAmount - usedAmount);
+    });
+
+    it("Should not refund when the full amount is used", async function () {
+      const tx = await fluxPayAudit.connect(gateway).recordSettlementWithRefund(intentId, provider.address, lockedAmount, settleTx, "0x");
+      await expect(tx).to.emit(fluxPayAudit, "IntentSettled");
+      await expect(tx).not.to.emit(fluxPayAudit, "RemainderRefunded");
+
+      const intent = await fluxPayAudit.getIntent(intentId);
+      expect(intent.settled).to.equal(true);
+      expect(intent.refunded).to.equal(false);
+      expect(intent.refundedAmount).to.equal(0);
+    });
+
+    it("Should prevent settling twice", async function () {
+      await fluxPayAudit.connect(gateway).recordSettlementWithRefund(intentId, provider.address, usedAmount, settleTx, refundTx);
+
+      await expect(
+        fluxPayAudit.connect(gateway).recordSettlementWithRefund(intentId, provider.address, usedAmount, settleTx, refundTx)
+      ).to.be.revertedWith("Already settled");
+    });
+
+    it("Should prevent settling with amount greater than locked", async function () {
+      const excessiveAmount = ethers.parseEther("3");
+
+      await expect(
+        fluxPayAudit.connect(gateway).recordSettlementWithRefund(intentId, provider.address, excessiveAmount, settleTx, refundTx)
+      ).to.be.revertedWith("Used more than locked");
+    });
+
+    it("Should prevent settling an unknown intent", async function () {
+      const unknownId = ethers.keccak256(ethers.toUtf8Bytes("unknown-intent"));
+
+      await expect(
+        fluxPayAudit.connect(gateway).recordSettlementWithRefund(unknownId, provider.address, 0, settleTx, refundTx)
+      ).to.be.revertedWith("Unknown intent");
+    });
+
+    it("Should prevent unauthorized settlement", async function () {
+      await expect(
+        fluxPayAudit.connect(payer).recordSettlementWithRefund(intentId, provider.address, usedAmount, settleTx, refundTx)
+      ).to.be.revertedWith("Only gateway can call");
+    });
+  });
+
   describe("batchRecordSettlements", function () {
     let intentIds, lockedAmount, expiry, providers, usedAmounts, nexusTxs;
 
@@ -193,6 +262,92 @@ describe("FluxPayAudit", function () {
         fluxPayAudit.connect(payer).batchRecordSettlements(intentIds, providers, usedAmounts, nexusTxs)
       ).to.be.revertedWith("Only gateway can call");
     });
+
+    it("Should batch record settlements with remainder refunds", async function () {
+      const refundTxs = [ethers.toUtf8Bytes("refund1"), ethers.toUtf8Bytes("refund2")];
+
+      await expect(fluxPayAudit.connect(gateway).batchRecordSettlementsWithRefund(intentIds, providers, usedAmounts, nexusTxs, refundTxs))
+        .to.emit(fluxPayAudit, "RemainderRefunded")
+        .withArgs(intentIds[1], payer.address, lockedAmount - usedAmounts[1], refundTxs[1]);
+
+      for (let i = 0; i < intentIds.length; i++) {
+        const intent = await fluxPayAudit.getIntent(intentIds[i]);
+        expect(intent.settled).to.equal(true);
+        expect(intent.usedAmount).to.equal(usedAmounts[i]);
+        expect(intent.refundedAmount).to.equal(lockedAmount - usedAmounts[i]);
+      }
+    });
+
+    it("Should revert the whole refund batch if one settlement is invalid", async function () {
+      const refundTxs = [ethers.toUtf8Bytes("refund1"), ethers.toUtf8Bytes("refund2")];
+      await fluxPayAudit.connect(gateway).recordSettlement(intentIds[1], provider.address, usedAmounts[1], nexusTxs[1]);
+
+      await expect(
+        fluxPayAudit.connect(gateway).batchRecordSettlementsWithRefund(intentIds, providers, usedAmounts, nexusTxs, refundTxs)
+      ).to.be.revertedWith("Already settled");
+
+      const intent = await fluxPayAudit.getIntent(intentIds[0]);
+      expect(intent.settled).to.equal(false);
+    });
+
+    it("Should revert refund batch on array length mismatch", async function () {
+      await expect(
+        fluxPayAudit.connect(gateway).batchRecordSettlementsWithRefund(intentIds, providers, usedAmounts, nexusTxs, [])
+      ).to.be.revertedWith("Array lengths mismatch");
+    });
+  });
+
+  describe("batchRecordSplits", function () {
+    const intentId = ethers.keccak256(ethers.toUtf8Bytes("split-intent"));
+    const lockedAmount = 50000n;
+    const usedAmount = 20000n;
+    const expiry = Math.floor(Date.now() / 1000) + 3600;
+    let feeRecipient;
+
+    beforeEach(async function () {
+      feeRecipient = owner;
+      await fluxPayAudit.connect(gateway).recordIntent(intentId, payer.address, lockedAmount, expiry);
+    });
+
+    it("Should record each split of a settled intent", async function () {
+      await fluxPayAudit.connect(gateway).recordSettlementWithRefund(intentId, provider.address, usedAmount, "0x1234", "0x5678");
+
+      const tx = await fluxPayAudit.connect(gateway).batchRecordSplits(
+        [intentId, intentId],
+        [provider.address, feeRecipient.address],
+        [19980n, 20n],
+        ["provider", "gateway_fee"]
+      );
+
+      await expect(tx).to.emit(fluxPayAudit, "SettlementSplit").withArgs(intentId, provider.address, 19980n, "provider");
+      await expect(tx).to.emit(fluxPayAudit, "SettlementSplit").withArgs(intentId, feeRecipient.address, 20n, "gateway_fee");
+      expect(await fluxPayAudit.splitTotals(intentId)).to.equal(usedAmount);
+    });
+
+    it("Should prevent splits of an unsettled intent", async function () {
+      await expect(
+        fluxPayAudit.connect(gateway).batchRecordSplits([intentId], [provider.address], [usedAmount], ["provider"])
+      ).to.be.revertedWith("Intent not settled");
+    });
+
+    it("Should prevent splits beyond the used amount", async function () {
+      await fluxPayAudit.connect(gateway).recordSettlementWithRefund(intentId, provider.address, usedAmount, "0x1234", "0x5678");
+
+      await expect(
+        fluxPayAudit.connect(gateway).batchRecordSplits(
+          [intentId, intentId],
+          [provider.address, feeRecipient.address],
+          [usedAmount, 1n],
+          ["provider", "gateway_fee"]
+        )
+      ).to.be.revertedWith("Splits exceed used amount");
+    });
+
+    it("Should prevent unauthorized split recording", async function () {
+      await expect(
+        fluxPayAudit.connect(payer).batchRecordSplits([intentId], [payer.address], [1n], ["provider"])
+      ).to.be.revertedWith("Only gateway can call");
+    });
   });
 
   describe("View functions", function () {
@@ -0,0 +1,265 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { NexusAdapter } = require("../backend/nexusAdapter");
+
+describe("FluxPayEscrow", function () {
+  let escrow, usdc;
+  let owner, gateway, payer, provider, stranger;
+  const GATEWAY_ROLE = ethers.keccak256(ethers.toUtf8Bytes("GATEWAY_ROLE"));
+  const intentId = ethers.keccak256(ethers.toUtf8Bytes("escrow-intent"));
+  const lockedAmount = 50000n; // 0.05 USDC
+  let expiry;
+
+  beforeEach(async function () {
+    [owner, gateway, payer, provider, stranger] = await ethers.getSigners();
+
+    const MockUSDC = await ethers.getContractFactory("MockUSDC");
+    usdc = await MockUSDC.deploy();
+    await usdc.waitForDeployment();
+
+    const FluxPayEscrow = await ethers.getContractFactory("FluxPayEscrow");
+    escrow = await FluxPayEscrow.deploy(await usdc.getAddress());
+    await escrow.waitForDeployment();
+
+    await escrow.grantRole(GATEWAY_ROLE, gateway.address);
+
+    // Payer holds 1 USDC and approves the escrow
+    await usdc.mint(payer.address, 1000000n);
+    await usdc.connect(payer).approve(await escrow.getAddress(), 1000000n);
+
+    expiry = (await ethers.provider.getBlock("latest")).timestamp + 3600;
+  });
+
+  describe("lock", function () {
+    it("Should pull the locked amount from the payer", async function () {
+      await expect(escrow.connect(gateway).lock(intentId, payer.address, lockedAmount, expiry))
+        .to.emit(escrow, "Locked")
+        .withArgs(intentId, payer.address, lockedAmount, expiry);
+
+      expect(await usdc.balanceOf(await escrow.getAddress())).to.equal(lockedAmount);
+      expect(await usdc.balanceOf(payer.address)).to.equal(1000000n - lockedAmount);
+
+      const locked = await escrow.getEscrow(intentId);
+      expect(locked.payer).to.equal(payer.address);
+      expect(locked.amount).to.equal(lockedAmount);
+      expect(locked.status).to.equal(1); // Locked
+    });
+
+    it("Should prevent locking the same intent twice", async function () {
+      await escrow.connect(gateway).lock(intentId, payer.address, lockedAmount, expiry);
+
+      await expect(
+        escrow.connect(gateway).lock(intentId, payer.address, lockedAmount, expiry)
+      ).to.be.revertedWith("Intent already exists");
+    });
+
+    it("Should let the payer lock their own intent", async function () {
+      await expect(escrow.connect(payer).lock(intentId, payer.address, lockedAmount, expiry))
+        .to.emit(escrow, "Locked")
+        .withArgs(intentId, payer.address, lockedAmount, expiry);
+
+      expect(await usdc.balanceOf(await escrow.getAddress())).to.equal(lockedAmount);
+    });
+
+    it("Should prevent unauthorized locking", async function () {
+      await expect(
+        escrow.connect(stranger).lock(intentId, payer.address, lockedAmount, expiry)
+      ).to.be.revertedWith("Only payer or gateway can lock");
+    });
+
+    it("Should fail without an allowance", async function () {
+      await usdc.connect(payer).approve(await escrow.getAddress(), 0);
+
+      await expect(
+        escrow.connect(gateway).lock(intentId, payer.address, lockedAmount, expiry)
+      ).to.be.reverted;
+    });
+  });
+
+  describe("settle", function () {
+    beforeEach(async function () {
+      await escrow.connect(gateway).lock(intentId, payer.address, lockedAmount, expiry);
+    });
+
+    it("Should pay the provider and return the remainder", async function () {
+      const usedAmount = 7500n;
+
+      await expect(escrow.connect(gateway).settle(intentId, provider.address, usedAmount))
+        .to.emit(escrow, "Settled")
+        .withArgs(intentId, provider.address, usedAmount, lockedAmount - usedAmount);
+
+      expect(await usdc.balanceOf(provider.address)).to.equal(usedAmount);
+      expect(await usdc.balanceOf(payer.address)).to.equal(1000000n - usedAmount);
+      expect(await usdc.balanceOf(await escrow.getAddress())).to.equal(0);
+
+      const settled = await escrow.getEscrow(intentId);
+      expect(settled.status).to.equal(2); // Settled
+      expect(settled.usedAmount).to.equal(usedAmount);
+      expect(settled.refundedAmount).to.equal(lockedAmount - usedAmount);
+    });
+
+    it("Should prevent settling more than was locked", async function () {
+      await expect(
+        escrow.connect(gateway).settle(intentId, provider.address, lockedAmount + 1n)
+      ).to.be.revertedWith("Used more than locked");
+    });
+
+    it("Should prevent settling twice", async function () {
+      await escrow.connect(gateway).settle(intentId, provider.address, 7500n);
+
+      await expect(
+        escrow.connect(gateway).settle(intentId, provider.address, 7500n)
+      ).to.be.revertedWith("Intent not locked");
+    });
+
+    it("Should prevent unauthorized settlement", async function () {
+      await expect(
+        escrow.connect(stranger).settle(intentId, stranger.address, lockedAmount)
+      ).to.be.revertedWith("Only gateway can call");
+    });
+  });
+
+  describe("settleSplit", function () {
+    beforeEach(async function () {
+      await escrow.connect(gateway).lock(intentId, payer.address, lockedAmount, expiry);
+    });
+
+    it("Should pay every payee and return the remainder", async function () {
+      const tx = await escrow.connect(gateway).settleSplit(intentId, [provider.address, owner.address], [19980n, 20n]);
+
+      await expect(tx).to.emit(escrow, "Payout").withArgs(intentId, owner.address, 20n);
+      await expect(tx).to.emit(escrow, "Settled").withArgs(intentId, provider.address, 20000n, lockedAmount - 20000n);
+
+      expect(await usdc.balanceOf(provider.address)).to.equal(19980n);
+      expect(await usdc.balanceOf(owner.address)).to.equal(20n);
+      expect(await usdc.balanceOf(payer.address)).to.equal(1000000n - 20000n);
+      expect(await usdc.balanceOf(await escrow.getAddress())).to.equal(0);
+    });
+
+    it("Should prevent splits beyond the locked amount", async function () {
+      await expect(
+        escrow.connect(gateway).settleSplit(intentId, [provider.address, owner.address], [lockedAmount, 1n])
+      ).to.be.revertedWith("Used more than locked");
+    });
+
+    it("Should revert on array length mismatch", async function () {
+      await expect(
+        escrow.connect(gateway).settleSplit(intentId, [provider.address], [1n, 2n])
+      ).to.be.revertedWith("Array lengths mismatch");
+    });
+  });
+
+  describe("refund", function () {
+    beforeEach(async function () {
+      await escrow.connect(gateway).lock(intentId, payer.address, lockedAmount, expiry);
+    });
+
+    it("Should let the gateway refund before expiry", async function () {
+      await expect(escrow.connect(gateway).refund(intentId))
+        .to.emit(escrow, "Refunded")
+        .withArgs(intentId, payer.address, lockedAmount);
+
+      expect(await usdc.balanceOf(payer.address)).to.equal(1000000n);
+      expect((await escrow.getEscrow(intentId)).status).to.equal(3); // Refunded
+    });
+
+    it("Should let anyone refund the payer after expiry", async function () {
+      await expect(escrow.connect(payer).refund(intentId)).to.be.revertedWith("Intent not expired");
+
+      await ethers.provider.send("evm_increaseTime", [3601]);
+      await ethers.provider.send("evm_mine", []);
+
+      await escrow.connect(stranger).refund(intentId);
+      expect(await usdc.balanceOf(payer.address)).to.equal(1000000n);
+    });
+
+    it("Should prevent refunding a settled intent", async function () {
+      await escrow.connect(gateway).settle(intentId, provider.address, 7500n);
+
+      await expect(escrow.connect(gateway).refund(intentId)).to.be.revertedWith("Intent not locked");
+    });
+  });
+
+  describe("NexusAdapter escrow flow", function () {
+    let adapter, audit;
+
+    beforeEach(async function () {
+      const FluxPayAudit = await ethers.getContractFactory("FluxPayAudit");
+      audit = await FluxPayAudit.deploy();
+      await audit.waitForDeployment();
+      await audit.grantRole(GATEWAY_ROLE, gateway.address);
+
+      // Drive the deployed contracts with the gateway signer
+      adapter = new NexusAdapter({ settlementBackend: "evm" });
+      adapter.isRealMode = true;
+      adapter.initialized = true;
+      adapter.escrowContract = escrow.connect(gateway);
+      adapter.auditContract = audit.connect(gateway);
+    });
+
+    it("Should move USDC from payer to provider and record it on FluxPayAudit", async function () {
+      const lockTx = await adapter.createIntent("adapter-intent", payer.address, "USDC", lockedAmount, expiry);
+      expect(await usdc.balanceOf(await escrow.getAddress())).to.equal(lockedAmount);
+
+      const status = await adapter.getIntentStatus("adapter-intent");
+      expect(status.status).to.equal("LOCKED");
+      expect(status.amount).to.equal(lockedAmount);
+
+      const result = await adapter.settleAndRefund({
+        intentId: "adapter-intent",
+        recipient: provider.address,
+        amount: 7500,
+        targetChain: "ethereum"
+      });
+      await adapter.settlementQueue.drain();
+
+      expect(lockTx).to.match(/^0x[0-9a-f]{64}$/);
+      expect(result.refundAmount).to.equal(42500);
+      expect(result.refundTx).to.equal(result.settlementTx);
+      expect((await ethers.provider.getTransactionReceipt(result.settlementTx)).status).to.equal(1);
+
+      expect(await usdc.balanceOf(provider.address)).to.equal(7500n);
+      expect(await usdc.balanceOf(payer.address)).to.equal(1000000n - 7500n);
+      expect((await adapter.getIntentStatus("adapter-intent")).status).to.equal("SETTLED");
+
+      const recorded = await audit.getIntent(ethers.id("adapter-intent"));
+      expect(recorded.settled).to.equal(true);
+      expect(recorded.refundedAmount).to.equal(42500n);
+    });
+
+    it("Should record a payer-locked intent on FluxPayAudit so its settlement can be recorded", async function () {
+      await escrow.connect(payer).lock(ethers.id("payer-locked"), payer.address, lockedAmount, expiry);
+
+      const status = await adapter.getIntentStatus("payer-locked");
+      expect(status.status).to.equal("LOCKED");
+
+      const recordTx = await adapter.recordLockedIntent("payer-locked", status);
+      expect(recordTx).to.match(/^0x[0-9a-f]{64}$/);
+      expect(await adapter.recordLockedIntent("payer-locked", status)).to.equal(null); // Already recorded
+
+      await adapter.settleAndRefund({
+        intentId: "payer-locked",
+        recipient: provider.address,
+        amount: 7500,
+        targetChain: "ethereum"
+      });
+      await adapter.settlementQueue.drain();
+
+      const recorded = await audit.getIntent(ethers.id("payer-locked"));
+      expect(recorded.payer).to.equal(payer.address);
+      expect(recorded.settled).to.equal(true);
+      expect(recorded.refundedAmount).to.equal(42500n);
+    });
+
+    it("Should refund the full amount from escrow", async function () {
+      await adapter.createIntent("adapter-refund", payer.address, "USDC", lockedAmount, expiry);
+
+      const refundTx = await adapter.refundIntent("adapter-refund");
+
+      expect(refundTx).to.match(/^0x[0-9a-f]{64}$/);
+      expect(await usdc.balanceOf(payer.address)).to.equal(1000000n);
+      expect((await adapter.getIntentStatus("adapter-refund")).status).to.equal("REFUNDED");
+      expect((await audit.getIntent(ethers.id("adapter-refund"))).refunded).to.equal(true);
+    });
+  });
+});
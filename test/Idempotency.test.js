@@ -0,0 +1,72 @@
+const { expect } = require("chai");
+const { EventEmitter } = require("events");
+const { IdempotencyManager } = require("../backend/idempotency");
+const { INTENT_STATUS, MemoryIntentStore } = require("../backend/intentStore");
+
+// Just enough of an Express response for the manager
+function fakeResponse() {
+  const res = new EventEmitter();
+  res.statusCode = 200;
+  res.headers = {};
+  res.headersSent = false;
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.set = (name, value) => { res.headers[name.toLowerCase()] = value; return res; };
+  res.get = (name) => res.headers[name.toLowerCase()];
+  res.send = (body) => { res.headersSent = true; res.body = body; return res; };
+  res.json = (body) => res.set("Content-Type", "application/json").send(JSON.stringify(body));
+  return res;
+}
+
+describe("Idempotency", function () {
+  const key = "retry-1";
+  let store, idempotency;
+
+  beforeEach(async function () {
+    store = new MemoryIntentStore();
+    idempotency = new IdempotencyManager(store, { maxBodyBytes: 64, waitTimeout: 500 });
+    await store.put("intent-1", { intentId: "intent-1", status: INTENT_STATUS.PROCESSING, idempotencyKey: key });
+  });
+
+  it("Should replay the stored response of the first request", async function () {
+    const first = fakeResponse();
+    idempotency.begin("intent-1", key, first);
+    first.set("X-PAYMENT-RESPONSE", "eyJzdWNjZXNzIjp0cnVlfQ==").json({ ok: 1 });
+
+    const retry = fakeResponse();
+    idempotency.replay(retry, await idempotency.waitForResponse("intent-1", key));
+
+    expect(retry.statusCode).to.equal(200);
+    expect(retry.body).to.equal('{"ok":1}');
+    expect(retry.get("Idempotent-Replayed")).to.equal("true");
+    expect(retry.get("X-PAYMENT-RESPONSE")).to.equal("eyJzdWNjZXNzIjp0cnVlfQ==");
+  });
+
+  it("Should keep only the size and hash of a large body and refuse to replay it", async function () {
+    const first = fakeResponse();
+    idempotency.begin("intent-1", key, first);
+    first.json({ data: "x".repeat(100) });
+
+    const stored = await idempotency.waitForResponse("intent-1", key);
+    expect(stored).to.not.have.property("body");
+    expect(stored.bodyBytes).to.equal(first.body.length);
+
+    const retry = fakeResponse();
+    idempotency.replay(retry, stored);
+    expect(retry.statusCode).to.equal(409);
+    expect(JSON.parse(retry.body).bodySha256).to.equal(stored.bodySha256);
+  });
+
+  it("Should answer a retried stream with 409 once the stream ends", async function () {
+    const first = fakeResponse();
+    idempotency.begin("intent-1", key, first);
+    first.headersSent = true; // Streams write their events directly
+    const waiting = idempotency.waitForResponse("intent-1", key);
+    first.emit("close");
+
+    const retry = fakeResponse();
+    idempotency.replay(retry, await waiting);
+
+    expect(retry.statusCode).to.equal(409);
+    expect(JSON.parse(retry.body).error).to.include("Streamed responses");
+  });
+});
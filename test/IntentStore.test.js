@@ -0,0 +1,103 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { INTENT_STATUS, MemoryIntentStore, FileIntentStore } = require("../backend/intentStore");
+
+describe("Intent store", function () {
+  const payer = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+
+  function storePath() {
+    return path.join(fs.mkdtempSync(path.join(os.tmpdir(), "intents-")), "intents.jsonl");
+  }
+
+  it("Should share records between file stores through the journal", async function () {
+    const file = storePath();
+    const first = new FileIntentStore(file);
+    const second = new FileIntentStore(file);
+
+    await first.put("intent-1", { status: INTENT_STATUS.CHALLENGED, payer, expiresAt: Date.now() + 60000 });
+    const locked = await second.transition("intent-1", INTENT_STATUS.CHALLENGED, INTENT_STATUS.LOCKED);
+    await first.delete("missing");
+
+    expect(locked.payer).to.equal(payer.toLowerCase());
+    expect((await first.get("intent-1")).status).to.equal(INTENT_STATUS.LOCKED);
+    expect(await first.transition("intent-1", INTENT_STATUS.CHALLENGED, INTENT_STATUS.LOCKED)).to.equal(null);
+
+    // Each change appends only the records it touched
+    expect(fs.readFileSync(file, "utf8").trim().split("\n").length).to.equal(3);
+    expect((await new FileIntentStore(file).get("intent-1")).history.length).to.equal(1);
+  });
+
+  it("Should compact the journal and skip a line cut off by a crash", async function () {
+    const file = storePath();
+    const store = new FileIntentStore(file);
+
+    for (let i = 0; i < 1000; i++) {
+      await store.update("intent-1", { i }) || await store.put("intent-1", { status: INTENT_STATUS.LOCKED, i });
+    }
+    fs.appendFileSync(file, '{"id":"intent-2","rec');
+
+    const reader = new FileIntentStore(file);
+    expect((await reader.get("intent-1")).i).to.equal(999);
+    expect(fs.readFileSync(file, "utf8").split("\n").length).to.be.lessThan(10);
+
+    await reader.put("intent-3", { status: INTENT_STATUS.LOCKED });
+    expect((await new FileIntentStore(file).listByStatus([INTENT_STATUS.LOCKED])).map(record => record.intentId))
+      .to.deep.equal(["intent-1", "intent-3"]);
+  });
+
+  it("Should not remove a lock another process took over", async function () {
+    const store = new FileIntentStore(storePath());
+
+    await store._withLock(async () => {
+      fs.writeFileSync(store.lockPath, "other-process");
+    });
+
+    expect(fs.readFileSync(store.lockPath, "utf8")).to.equal("other-process");
+  });
+
+  it("Should let only one of several stores sharing a file break a stale lock", async function () {
+    const file = storePath();
+    const stores = [1, 2, 3, 4].map(() => new FileIntentStore(file));
+    fs.writeFileSync(stores[0].lockPath, "crashed-process");
+    const stale = new Date(Date.now() - 60000);
+    fs.utimesSync(stores[0].lockPath, stale, stale);
+
+    // A slow shared disk: every store sees the stale lock before the first removal lands, and the others land after
+    const { rm } = fs.promises;
+    let removals = 0;
+    fs.promises.rm = (target, ...args) => new Promise(resolve => setTimeout(resolve, 20 * ++removals))
+      .then(() => rm(target, ...args));
+
+    let holders = 0;
+    let maxHolders = 0;
+    try {
+      await Promise.all(stores.map(store => store._withLock(async () => {
+        maxHolders = Math.max(maxHolders, ++holders);
+        await new Promise(resolve => setTimeout(resolve, 50));
+        holders--;
+      })));
+    } finally {
+      fs.promises.rm = rm;
+    }
+
+    expect(maxHolders).to.equal(1);
+    expect(fs.existsSync(stores[0].lockPath)).to.equal(false);
+  });
+
+  it("Should evict expired and abandoned records after the retention period", async function () {
+    const store = new MemoryIntentStore({ retention: 1000 });
+    const now = Date.now();
+
+    await store.put("abandoned", { status: INTENT_STATUS.CHALLENGED, expiresAt: now });
+    await store.put("waiting", { status: INTENT_STATUS.CHALLENGED, expiresAt: now - 500 });
+    await store.put("expired", { status: INTENT_STATUS.EXPIRED });
+    await store.put("settled", { status: INTENT_STATUS.SETTLED, expiresAt: now - 2000 });
+    store.records.get("abandoned").expiresAt = now - 2000;
+    store.records.get("expired").updatedAt = now - 2000;
+
+    expect(await store.evict(now)).to.equal(2);
+    expect(Array.from(store.records.keys())).to.deep.equal(["waiting", "settled"]);
+  });
+});
@@ -0,0 +1,128 @@
+const { expect } = require("chai");
+const { MockChain } = require("../backend/mockChain");
+const { NexusAdapter } = require("../backend/nexusAdapter");
+const { INTENT_STATUS, MemoryIntentStore } = require("../backend/intentStore");
+const { SlaWatchdog } = require("../backend/slaWatchdog");
+
+describe("MockChain", function () {
+  const payer = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+  const provider = "0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC";
+  let mockChain, adapter, expiry;
+
+  // Resolves to the rejection message, fails the test if the promise resolves
+  async function rejection(promise) {
+    try {
+      await promise;
+    } catch (error) {
+      return error.message;
+    }
+    throw new Error("Expected a rejection");
+  }
+
+  beforeEach(function () {
+    mockChain = new MockChain({ initialBalance: 1000000, autoLock: false });
+    adapter = new NexusAdapter({ settlementBackend: "mock", mockChain });
+    expiry = mockChain.now() + 300;
+  });
+
+  it("Should lock, settle and return the remainder to the payer", async function () {
+    await adapter.createIntent("intent-1", payer, "USDC", 100000, expiry);
+    expect(mockChain.balanceOf(payer)).to.equal(900000);
+
+    const status = await adapter.getIntentStatus("intent-1");
+    expect(status).to.include({ status: "LOCKED", amount: 100000, payer });
+
+    await adapter.settleIntent({ intentId: "intent-1", recipient: provider, amount: 60000, targetChain: "sepolia" });
+
+    expect(await adapter.getIntentStatus("intent-1")).to.include({ status: "SETTLED", usedAmount: 60000, refundedAmount: 40000 });
+    expect(mockChain.balanceOf(payer)).to.equal(940000);
+    expect(mockChain.balanceOf(provider)).to.equal(1060000);
+  });
+
+  it("Should reject a second settlement", async function () {
+    await adapter.createIntent("intent-1", payer, "USDC", 100000, expiry);
+    await adapter.settleIntent({ intentId: "intent-1", recipient: provider, amount: 60000, targetChain: "sepolia" });
+
+    expect(await rejection(adapter.settleIntent({ intentId: "intent-1", recipient: provider, amount: 60000, targetChain: "sepolia" })))
+      .to.include("Already settled");
+    expect(mockChain.balanceOf(provider)).to.equal(1060000);
+  });
+
+  it("Should report expired intents and still let the gateway refund them", async function () {
+    await adapter.createIntent("intent-1", payer, "USDC", 100000, expiry);
+    mockChain.advanceTime(301);
+
+    expect((await adapter.getIntentStatus("intent-1")).status).to.equal("EXPIRED");
+
+    await adapter.refundIntent("intent-1");
+    expect((await adapter.getIntentStatus("intent-1")).status).to.equal("REFUNDED");
+    expect(mockChain.balanceOf(payer)).to.equal(1000000);
+  });
+
+  it("Should refund expired challenges the payer locked but never redeemed", async function () {
+    const store = new MemoryIntentStore();
+    for (const intentId of ["unpaid", "locked"]) {
+      await store.put(intentId, { intentId, status: INTENT_STATUS.CHALLENGED, chain: "sepolia", expiresAt: Date.now() - 1 });
+    }
+    await adapter.createIntent("locked", payer, "USDC", 100000, expiry);
+
+    const { expired, refunded } = await new SlaWatchdog(store, adapter).sweep();
+
+    expect(expired).to.equal(1);
+    expect(refunded).to.equal(1);
+    expect((await store.get("unpaid")).status).to.equal(INTENT_STATUS.EXPIRED);
+    expect(await store.get("locked")).to.include({ status: INTENT_STATUS.REFUNDED, refundReason: "Locked but never redeemed" });
+    expect(mockChain.balanceOf(payer)).to.equal(1000000);
+  });
+
+  it("Should reject locks the payer cannot fund", async function () {
+    expect(await rejection(adapter.createIntent("intent-1", payer, "USDC", 1000001, expiry))).to.include("Insufficient balance");
+    expect((await adapter.getIntentStatus("intent-1")).status).to.equal("PENDING");
+  });
+
+  it("Should enforce the refund rules of FluxPayAudit", async function () {
+    await adapter.createIntent("settled", payer, "USDC", 100000, expiry);
+    await adapter.settleIntent({ intentId: "settled", recipient: provider, amount: 100000, targetChain: "sepolia" });
+    expect(await rejection(adapter.refundIntent("settled"))).to.include("Cannot refund settled intent");
+
+    await adapter.createIntent("refunded", payer, "USDC", 100000, expiry);
+    await adapter.refundIntent("refunded");
+    expect(await rejection(adapter.refundIntent("refunded"))).to.include("Already refunded");
+    expect(await rejection(adapter.settleIntent({ intentId: "refunded", recipient: provider, amount: 1, targetChain: "sepolia" })))
+      .to.include("Already refunded");
+  });
+
+  it("Should reject settlements above the locked amount", async function () {
+    await adapter.createIntent("intent-1", payer, "USDC", 100000, expiry);
+    expect(mockChain.settle.bind(mockChain, "intent-1", [{ recipient: provider, amount: 100001 }])).to.throw("Used more than locked");
+  });
+
+  it("Should fail injected calls and then recover", async function () {
+    await adapter.createIntent("intent-1", payer, "USDC", 100000, expiry);
+    mockChain.failNext("settle", { times: 2, message: "nonce too low" });
+
+    for (let i = 0; i < 2; i++) {
+      expect(await rejection(adapter.settleIntent({ intentId: "intent-1", recipient: provider, amount: 50000, targetChain: "sepolia" })))
+        .to.include("nonce too low");
+    }
+    expect((await adapter.getIntentStatus("intent-1")).status).to.equal("LOCKED");
+
+    await adapter.settleIntent({ intentId: "intent-1", recipient: provider, amount: 50000, targetChain: "sepolia" });
+    expect((await adapter.getIntentStatus("intent-1")).status).to.equal("SETTLED");
+  });
+
+  it("Should read injected failures from a MOCK_CHAIN_FAILURES spec", function () {
+    const chain = new MockChain({ failures: "refund:2, getIntentStatus" });
+
+    expect(() => chain.getIntentStatus("intent-1")).to.throw("Mock chain getIntentStatus failure");
+    expect(() => chain.refund("intent-1")).to.throw("Mock chain refund failure");
+    expect(() => chain.refund("intent-1")).to.throw("Mock chain refund failure");
+    expect(chain.refund("intent-1")).to.match(/^0x[0-9a-f]{64}$/);
+  });
+
+  it("Should lock a demo intent for unseen intent ids when autoLock is on", function () {
+    const chain = new MockChain();
+
+    expect(chain.getIntentStatus("unseen")).to.include({ status: "LOCKED", amount: 100000, payer: "demo" });
+  });
+});
@@ -0,0 +1,62 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const { signEvidence, checkEvidenceSignature, requiresSignature } = require("../backend/paymentEvidence");
+
+describe("Payment evidence", function () {
+  const payer = ethers.Wallet.createRandom();
+  const chain = { chainId: 84532, escrow: "0x5FbDB2315678afecb367f032d93F642f64180aa3" };
+  const requestFingerprint = "ab".repeat(32);
+  const intentId = "intent-1";
+  const inMinutes = minutes => Math.floor(Date.now() / 1000) + minutes * 60;
+
+  async function evidence(overrides = {}) {
+    const params = { intentId, requestFingerprint, deadline: inMinutes(5), chain, ...overrides };
+    return { intentId, deadline: params.deadline, signature: await signEvidence(overrides.signer || payer, params) };
+  }
+
+  it("Should accept evidence signed by the payer for this intent, request and chain", async function () {
+    expect(checkEvidenceSignature(await evidence(), { requestFingerprint, payer: payer.address, chain })).to.be.null;
+  });
+
+  it("Should reject evidence signed by anyone else", async function () {
+    const signed = await evidence({ signer: ethers.Wallet.createRandom() });
+
+    expect(checkEvidenceSignature(signed, { requestFingerprint, payer: payer.address, chain }))
+      .to.equal("Payment evidence is not signed by the intent payer");
+  });
+
+  it("Should reject unsigned, expired and long-lived evidence", async function () {
+    const expected = { requestFingerprint, payer: payer.address, chain };
+
+    expect(checkEvidenceSignature({ intentId }, expected)).to.include("must be signed by the payer");
+    expect(checkEvidenceSignature(await evidence({ deadline: inMinutes(-1) }), expected))
+      .to.equal("Payment evidence signature has expired");
+    expect(checkEvidenceSignature(await evidence({ deadline: inMinutes(120) }), expected))
+      .to.equal("Payment evidence deadline is too far in the future");
+  });
+
+  it("Should not replay a signature for another intent, request, chain or escrow", async function () {
+    const signed = await evidence();
+    const expected = { requestFingerprint, payer: payer.address, chain };
+
+    expect(checkEvidenceSignature({ ...signed, intentId: "intent-2" }, expected))
+      .to.equal("Payment evidence is not signed by the intent payer");
+    expect(checkEvidenceSignature(signed, { ...expected, requestFingerprint: "cd".repeat(32) }))
+      .to.equal("Payment evidence is not signed by the intent payer");
+    expect(checkEvidenceSignature(signed, { ...expected, chain: { ...chain, chainId: 11155111 } }))
+      .to.equal("Payment evidence is not signed by the intent payer");
+    expect(checkEvidenceSignature(signed, { ...expected, chain: { ...chain, escrow: ethers.Wallet.createRandom().address } }))
+      .to.equal("Payment evidence is not signed by the intent payer");
+  });
+
+  it("Should require a signature unless the mock backend is configured and the payer is not an address", async function () {
+    expect(requiresSignature({ payer: payer.address }, "mock")).to.be.true;
+    expect(requiresSignature({ payer: "demo" }, "evm")).to.be.true;
+    expect(requiresSignature({ payer: "demo" }, null)).to.be.true;
+    expect(requiresSignature({}, null)).to.be.true;
+    expect(requiresSignature({ payer: "demo" }, "mock")).to.be.false;
+
+    expect(checkEvidenceSignature(await evidence(), { requestFingerprint, payer: "demo", chain }))
+      .to.equal("Intent payer is not an address, so the evidence cannot be verified");
+  });
+});
@@ -0,0 +1,45 @@
+const { expect } = require("chai");
+const { PricingEngine, endpointHash } = require("../backend/pricingEngine");
+
+describe("Pricing engine", function () {
+  const defaults = { maxBudget: 10000, expirySeconds: 120 };
+  const rule = { minBudget: 20000, maxBudget: 0, basePrice: 500, pricePerToken: 0, pricePerKb: 0, slaTimeout: 60 };
+  let lookups, engine;
+
+  beforeEach(function () {
+    lookups = [];
+    const registry = { [endpointHash("/api/data/*")]: rule };
+    engine = new PricingEngine({
+      getPricingRule: async (hash) => {
+        lookups.push(hash);
+        return registry[hash] || null;
+      }
+    }, { maxEntries: 2 });
+  });
+
+  it("Should look a route's rule up once for concurrent quotes", async function () {
+    const quotes = await Promise.all([engine.quote("/api/data/*", defaults), engine.quote("/api/data/*", defaults)]);
+    await engine.quote("/api/data/*", defaults);
+
+    expect(lookups.length).to.equal(1);
+    expect(quotes[1].source).to.equal("registry");
+  });
+
+  it("Should keep the cache within maxEntries, dropping the least recently used rule", async function () {
+    for (const key of ["/api/a/*", "/api/b/*", "/api/a/*", "/api/c/*", "/api/a/*", "/api/b/*"]) {
+      await engine.quote(key, defaults);
+    }
+
+    expect(engine.cache.size).to.equal(2);
+    expect(lookups.map(hash => [endpointHash("/api/a/*"), endpointHash("/api/b/*"), endpointHash("/api/c/*")].indexOf(hash)))
+      .to.deep.equal([0, 1, 2, 1]);
+  });
+
+  it("Should never ask to lock less than the rule's minBudget", async function () {
+    const quote = await engine.quote("/api/data/*", defaults);
+
+    expect(quote.minBudget).to.equal(20000);
+    expect(quote.maxBudget).to.equal(20000);
+    expect((await engine.quote("/api/other/*", defaults)).maxBudget).to.equal(10000);
+  });
+});
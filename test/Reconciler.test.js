@@ -0,0 +1,144 @@
+const { expect } = require("chai");
+const { INTENT_STATUS, MemoryIntentStore } = require("../backend/intentStore");
+const { LEDGER_STATUS } = require("../backend/paymentLedger");
+const { Reconciler, DISCREPANCY } = require("../backend/reconciler");
+
+describe("Reconciler", function () {
+  const payer = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+  const provider = "0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC";
+  let store, audit, adapter, calls, ledgerEntries, ledger;
+
+  beforeEach(function () {
+    store = new MemoryIntentStore();
+    audit = new Map(); // intentId => FluxPayAudit.getIntent result
+    calls = [];
+    adapter = {
+      hasAuditContract: () => true,
+      getAuditIntent: async (intentId) => audit.get(intentId) || null,
+      recordAuditIntent: async (intentId) => { calls.push(["recordIntent", intentId]); return "0xintent"; },
+      recordAuditRefund: async (intentId) => { calls.push(["recordRefund", intentId]); return "0xrefund"; },
+      settlementQueue: { enqueue: (entry) => calls.push(["enqueue", entry.intentId, entry.usedAmount]) }
+    };
+    ledgerEntries = [];
+    ledger = { list: () => ledgerEntries };
+  });
+
+  async function settled(intentId, fields = {}) {
+    await store.put(intentId, {
+      intentId, status: INTENT_STATUS.SETTLED, payer, usedAmount: 40000, refundAmount: 60000,
+      settlementTx: `0xsettle-${intentId}`, ...fields
+    });
+  }
+
+  function recorded(intentId, fields = {}) {
+    audit.set(intentId, { payer, lockedAmount: 100000, settled: true, refunded: false, usedAmount: 40000, refundedAmount: 60000, ...fields });
+  }
+
+  function found(report) {
+    return report.discrepancies.map(({ type, intentId }) => `${type} ${intentId}`).sort();
+  }
+
+  it("Should find no discrepancies when FluxPayAudit matches the intent store", async function () {
+    await settled("matching");
+    recorded("matching");
+
+    const report = await new Reconciler(store, adapter, null, { grace: 0 }).run();
+
+    expect(report.checked.records).to.equal(1);
+    expect(report.discrepancies).to.deep.equal([]);
+  });
+
+  it("Should report settlements that drifted from FluxPayAudit", async function () {
+    await settled("missing");
+    await settled("refunded-on-chain");
+    recorded("refunded-on-chain", { settled: false, refunded: true });
+    await settled("amounts");
+    recorded("amounts", { usedAmount: 45000, refundedAmount: 55000 });
+    await settled("audit-failed", { auditStatus: "FAILED" });
+    recorded("audit-failed");
+    await settled("double-a", { settlementTx: "0xshared" });
+    await settled("double-b", { settlementTx: "0xshared" });
+    recorded("double-a");
+    recorded("double-b");
+
+    const report = await new Reconciler(store, adapter, null, { grace: 0 }).run();
+
+    expect(found(report)).to.deep.equal([
+      `${DISCREPANCY.AMOUNT_MISMATCH} amounts`,
+      `${DISCREPANCY.AMOUNT_MISMATCH} amounts`,
+      `${DISCREPANCY.AUDIT_STATUS_STALE} audit-failed`,
+      `${DISCREPANCY.DUPLICATE_RECORD} double-a`,
+      `${DISCREPANCY.MISSING_ON_CHAIN} missing`,
+      `${DISCREPANCY.STATUS_MISMATCH} refunded-on-chain`
+    ]);
+    expect(report.summary).to.include({ [DISCREPANCY.AMOUNT_MISMATCH]: 2, [DISCREPANCY.MISSING_ON_CHAIN]: 1 });
+  });
+
+  it("Should leave records finished within the grace period to their audit batch", async function () {
+    await settled("recent");
+
+    const report = await new Reconciler(store, adapter, null, { grace: 60000 }).run();
+
+    expect(report.checked.records).to.equal(0);
+    expect(report.discrepancies).to.deep.equal([]);
+  });
+
+  it("Should report ledger events the intent store does not agree with", async function () {
+    await store.put("open", { intentId: "open", status: INTENT_STATUS.LOCKED, payer });
+    await settled("split", { settlementJob: { splits: [{ amount: "30000" }, { amount: "10000" }] } });
+    recorded("split");
+    const lockedAt = Math.floor(Date.now() / 1000) - 60;
+    ledgerEntries.push(
+      { intentId: "unknown", status: LEDGER_STATUS.LOCKED, payer, lockTx: "0xlock", lockedAt, splits: [] },
+      { intentId: "open", status: LEDGER_STATUS.REFUNDED, lockedAt, splits: [] },
+      {
+        intentId: "split", status: LEDGER_STATUS.SETTLED, lockedAt, splits: [{ amount: 30000 }],
+        duplicates: [{ name: "IntentSettled", transactionHash: "0xagain" }]
+      }
+    );
+
+    const report = await new Reconciler(store, adapter, ledger, { grace: 0 }).run();
+
+    expect(report.checked.ledgerEntries).to.equal(3);
+    expect(found(report)).to.deep.equal([
+      `${DISCREPANCY.AMOUNT_MISMATCH} split`,
+      `${DISCREPANCY.DUPLICATE_RECORD} split`,
+      `${DISCREPANCY.MISSING_LOCALLY} unknown`,
+      `${DISCREPANCY.STATUS_MISMATCH} open`
+    ]);
+  });
+
+  it("Should repair missing audit records and stale audit statuses, and leave the rest to an operator", async function () {
+    await settled("missing-settlement");
+    await store.put("missing-refund", { intentId: "missing-refund", status: INTENT_STATUS.REFUNDED, payer, refundTx: "0xr" });
+    await settled("audit-failed", { auditStatus: "FAILED" });
+    recorded("audit-failed");
+    await settled("amounts");
+    recorded("amounts", { usedAmount: 1 });
+
+    const report = await new Reconciler(store, adapter, null, { grace: 0 }).run({ repair: true });
+
+    expect(report.repaired).to.equal(3);
+    expect(calls).to.deep.equal([
+      ["recordIntent", "missing-settlement"],
+      ["enqueue", "missing-settlement", 40000],
+      ["recordIntent", "missing-refund"],
+      ["recordRefund", "missing-refund"]
+    ]);
+    expect((await store.get("missing-settlement")).auditStatus).to.equal("QUEUED");
+    expect(await store.get("missing-refund")).to.include({ auditStatus: "CONFIRMED", auditTx: "0xrefund" });
+    expect((await store.get("audit-failed")).auditStatus).to.equal("CONFIRMED");
+    expect(report.discrepancies.find(({ type }) => type === DISCREPANCY.AMOUNT_MISMATCH).repaired).to.equal(false);
+  });
+
+  it("Should skip reconciliation without FluxPayAudit", async function () {
+    await settled("missing");
+    adapter.hasAuditContract = () => false;
+
+    const report = await new Reconciler(store, adapter, ledger, { grace: 0 }).run({ repair: true });
+
+    expect(report.chainAvailable).to.equal(false);
+    expect(report.discrepancies).to.deep.equal([]);
+    expect(calls).to.deep.equal([]);
+  });
+});
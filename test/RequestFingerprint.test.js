@@ -0,0 +1,32 @@
+const { expect } = require("chai");
+const { fingerprintRequest } = require("../backend/requestFingerprint");
+
+describe("Request fingerprint", function () {
+  const request = (originalUrl, body = {}) => ({
+    method: "GET",
+    path: originalUrl.split("?")[0],
+    originalUrl,
+    body
+  });
+
+  it("Should match a retry of the same request whatever its query order", function () {
+    const challenged = fingerprintRequest(request("/api/data/weather?city=berlin&days=3&days=4"));
+
+    expect(fingerprintRequest(request("/api/data/weather?days=3&city=berlin&days=4"))).to.equal(challenged);
+  });
+
+  it("Should reject a retry with another query", function () {
+    const challenged = fingerprintRequest(request("/api/data/weather?city=berlin"));
+
+    for (const retry of [
+      "/api/data/weather",
+      "/api/data/weather?city=paris",
+      "/api/data/weather?city=berlin&days=30",
+      "/api/data/weather?city=berlin&city=paris"
+    ]) {
+      expect(fingerprintRequest(request(retry))).to.not.equal(challenged);
+    }
+    expect(fingerprintRequest(request("/api/data/weather?days=4&days=3")))
+      .to.not.equal(fingerprintRequest(request("/api/data/weather?days=3&days=4")));
+  });
+});
@@ -0,0 +1,42 @@
+const { expect } = require("chai");
+const { ChainRegistry } = require("../backend/chainRegistry");
+const { FeeModel, RoutePlanner } = require("../backend/routePlanner");
+
+describe("Route planner", function () {
+  const feeModel = new FeeModel({
+    gas: { ethereum: 1500, polygon: 10, base: 20 },
+    bridge: { baseFee: 500, bps: 10 },
+    bridges: { "ethereum:base": { baseFee: 100, bps: 0 } }
+  });
+  const planner = new RoutePlanner(new ChainRegistry(), feeModel);
+
+  it("Should rank single-chain routes by total cost", function () {
+    const routes = planner.plan({ ethereum: 100000, polygon: 100000, base: 100000 }, { amount: 50000, payoutChain: "base" });
+
+    expect(routes.map(route => route.sources[0].chain)).to.deep.equal(["base", "polygon", "ethereum"]);
+    expect(routes[0]).to.include({ totalCost: 20, crossChain: false });
+    expect(routes[1].sources[0]).to.deep.equal({ chain: "polygon", amount: 50000, gasFee: 10, bridgeFee: 550 });
+    expect(routes[2].totalCost).to.equal(20 + 1500 + 100);
+  });
+
+  it("Should find no route when the known chains cannot cover the amount and its bridge fees", function () {
+    const routes = planner.plan({ polygon: 25000, base: 25000, solana: 1000000 }, { amount: 50000, payoutChain: "sepolia" });
+
+    expect(routes).to.deep.equal([]);
+  });
+
+  it("Should combine chains when none covers the amount alone", function () {
+    const [route] = planner.plan({ polygon: 30000, base: 30000 }, { amount: 50000, payoutChain: "base" });
+
+    expect(route.sources.map(source => [source.chain, source.amount])).to.deep.equal([["base", 30000], ["polygon", 20000]]);
+    expect(route.totalCost).to.equal(20 + 10 + 520);
+  });
+
+  it("Should never plan a transfer the balance cannot pay for", function () {
+    for (const balance of [501, 1000, 12345, 999999]) {
+      const amount = feeModel.maxTransfer("polygon", "base", balance);
+      expect(amount + feeModel.bridgeFee("polygon", "base", amount) <= balance).to.equal(true);
+      expect(amount + 1 + feeModel.bridgeFee("polygon", "base", amount + 1) > balance).to.equal(true);
+    }
+  });
+});
@@ -0,0 +1,39 @@
+const { expect } = require("chai");
+const { RouteTable, pathError } = require("../backend/routeTable");
+
+describe("Route table", function () {
+  const recipient = "0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC";
+  const table = new RouteTable([{
+    path: "/api/data/:dataset/*",
+    upstream: "http://data.internal/v1/:dataset",
+    pricing: { mode: "per_call", price: 100 },
+    maxBudget: 1000,
+    recipient
+  }]);
+
+  it("Should forward the wildcard under the upstream prefix", function () {
+    const matched = table.match("/api/data/weather/today/berlin");
+
+    expect(matched.route.upstreamUrl(matched)).to.equal("http://data.internal/v1/weather/today/berlin");
+  });
+
+  it("Should reject paths that leave the upstream prefix", function () {
+    for (const path of [
+      "/api/data/weather/../../admin",
+      "/api/data/weather/%2e%2e/%2E%2E/admin",
+      "/api/data/weather/..%2f..%2fadmin",
+      "/api/data/%2e%2e/admin",
+      "/api/data/weather/./today"
+    ]) {
+      expect(pathError(path)).to.not.equal(null);
+      expect(table.match(path)).to.equal(null);
+    }
+    expect(() => table.routes[0].upstreamUrl({ params: { dataset: "weather" }, rest: "../admin" })).to.throw("must not be relative");
+  });
+
+  it("Should reject malformed percent-encoding instead of throwing", function () {
+    expect(pathError("/api/data/%E0/today")).to.equal("Malformed percent-encoding in path");
+    expect(table.match("/api/data/%E0/today")).to.equal(null);
+    expect(pathError("/api/data/weather%20report/today")).to.equal(null);
+  });
+});
@@ -0,0 +1,127 @@
+const { expect } = require("chai");
+const { MockChain } = require("../backend/mockChain");
+const { NexusAdapter } = require("../backend/nexusAdapter");
+const { INTENT_STATUS, MemoryIntentStore } = require("../backend/intentStore");
+const { SettlementOutbox } = require("../backend/settlementOutbox");
+const { SessionManager, summarize } = require("../backend/sessionManager");
+
+describe("SessionManager", function () {
+  const payer = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+  const provider = "0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC";
+  const call = { endpoint: "/api/ai/chat", pricing: null, slaSeconds: 30 };
+  let mockChain, adapter, store, sessions, lockExpiry;
+
+  beforeEach(async function () {
+    mockChain = new MockChain({ initialBalance: 1000000, autoLock: false });
+    adapter = new NexusAdapter({ settlementBackend: "mock", mockChain });
+    store = new MemoryIntentStore();
+    sessions = new SessionManager(store, adapter, new SettlementOutbox(store, adapter), { settlementMargin: 300 });
+
+    lockExpiry = Math.floor(Date.now() / 1000) + 2 * 60 * 60;
+    await adapter.createIntent("session-1", payer, "USDC", 100000, lockExpiry);
+    await store.put("session-1", { intentId: "session-1", status: INTENT_STATUS.CHALLENGED, chain: "sepolia", mode: "session" });
+  });
+
+  async function open(params = {}) {
+    return sessions.open("session-1", { payer, budget: 100000, ttlSeconds: 600, lockExpiry, ...params });
+  }
+
+  async function draw(sessionId, amount, usedAmount) {
+    const reserved = await sessions.reserve(sessionId, amount, call);
+    return sessions.charge(reserved.intentId, { recipient: provider, amount: usedAmount, targetChain: "sepolia" });
+  }
+
+  it("Should open a session with a token only its holder can use", async function () {
+    const { sessionToken, record } = await open();
+
+    expect(record.status).to.equal(INTENT_STATUS.SESSION_OPEN);
+    expect(summarize(record)).to.include({ budget: 100000, spent: 0, remaining: 100000, calls: 0 });
+    expect((await sessions.authenticate(sessionToken)).intentId).to.equal("session-1");
+    expect(await sessions.authenticate(`session-1.${"x".repeat(43)}`)).to.equal(null);
+    expect(await open()).to.equal(null); // Intent already used
+  });
+
+  it("Should end the session before its escrow lock expires", async function () {
+    lockExpiry = Math.floor(Date.now() / 1000) + 900;
+
+    const { record } = await open({ ttlSeconds: 3600 });
+
+    expect(record.expiresAt).to.be.at.most((lockExpiry - 300) * 1000);
+    expect(record.expiresAt).to.be.above(Date.now() + 500 * 1000);
+  });
+
+  it("Should refuse to open a session on a lock about to expire", async function () {
+    lockExpiry = Math.floor(Date.now() / 1000) + 200;
+
+    let message;
+    await open().catch(error => { message = error.message; });
+
+    expect(message).to.include("lock expires too soon");
+    expect((await store.get("session-1")).status).to.equal(INTENT_STATUS.CHALLENGED);
+  });
+
+  it("Should draw the metered amount of each call from the session", async function () {
+    await open();
+
+    const first = await draw("session-1", 30000, 20000);
+    const second = await draw("session-1", 30000, 25000);
+
+    expect(first.status).to.equal(INTENT_STATUS.DRAWN);
+    expect(second.session).to.include({ spent: 45000, reserved: 0, remaining: 55000, calls: 2 });
+  });
+
+  it("Should return the reservation of a failed call", async function () {
+    await open();
+    const reserved = await sessions.reserve("session-1", 30000, call);
+
+    await sessions.release(reserved.intentId, "Provider timed out");
+
+    expect((await store.get(reserved.intentId)).status).to.equal(INTENT_STATUS.RELEASED);
+    expect(summarize(await store.get("session-1"))).to.include({ reserved: 0, remaining: 100000 });
+  });
+
+  it("Should refuse calls once the budget is exhausted", async function () {
+    await open();
+    await draw("session-1", 60000, 60000);
+
+    expect(await sessions.reserve("session-1", 50000, call)).to.equal(null);
+    expect(await sessions.reserve("session-1", 40000, call)).to.include({ status: INTENT_STATUS.DRAWING });
+    expect(await sessions.charge("session-1/call/2", { recipient: provider, amount: 40001 }).catch(error => error.message))
+      .to.equal("Usage exceeds the amount reserved for the call");
+  });
+
+  it("Should settle what was spent and refund the rest when closed", async function () {
+    await open();
+    await draw("session-1", 30000, 20000);
+
+    const closed = await sessions.close("session-1");
+    await adapter.settlementQueue.drain();
+
+    expect(closed.status).to.equal(INTENT_STATUS.SETTLED);
+    expect(mockChain.balanceOf(provider)).to.equal(1000000 + 20000);
+    expect(mockChain.balanceOf(payer)).to.equal(1000000 - 20000);
+    expect(await sessions.close("session-1")).to.equal(null);
+  });
+
+  it("Should settle a closed session once its last call finishes", async function () {
+    await open();
+    const reserved = await sessions.reserve("session-1", 30000, call);
+
+    expect((await sessions.close("session-1")).status).to.equal(INTENT_STATUS.SESSION_CLOSING);
+    await sessions.charge(reserved.intentId, { recipient: provider, amount: 10000, targetChain: "sepolia" });
+
+    expect((await store.get("session-1")).status).to.equal(INTENT_STATUS.SETTLED);
+  });
+
+  it("Should refund an expired session that spent nothing", async function () {
+    await open();
+    await store.update("session-1", { expiresAt: Date.now() - 1 });
+
+    const { expired } = await sessions.sweep();
+
+    expect(expired).to.equal(1);
+    expect(await store.get("session-1")).to.include({ status: INTENT_STATUS.REFUNDED, closeReason: "expired" });
+    expect(mockChain.balanceOf(payer)).to.equal(1000000);
+    expect(await sessions.reserve("session-1", 1000, call)).to.equal(null);
+  });
+});
@@ -0,0 +1,85 @@
+const { expect } = require("chai");
+const { NexusAdapter } = require("../backend/nexusAdapter");
+const { MockChain } = require("../backend/mockChain");
+
+describe("Settlement backends", function () {
+  const provider = "0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC";
+  const fee = "0x90F79bf6EB2c4f870365E785982E1f101E93b906";
+
+  it("Should pick the backend from configuration", function () {
+    expect(new NexusAdapter({ settlementBackend: "mock" }).backend.name).to.equal("mock");
+    expect(new NexusAdapter({ settlementBackend: "evm" }).backend.name).to.equal("evm");
+    expect(() => new NexusAdapter({ settlementBackend: "nexus" })).to.throw("needs a Nexus SDK client");
+    expect(() => new NexusAdapter({ settlementBackend: "solana" })).to.throw("Unknown settlement backend");
+  });
+
+  it("Should settle split payouts and the remainder through a Nexus SDK client", async function () {
+    const calls = [];
+    const nexusSdk = {
+      intent: {
+        status: async () => ({ state: "LOCKED", lockedAmount: "10000", expiry: Math.floor(Date.now() / 1000) + 300, payerAddress: provider }),
+        settle: async (params) => {
+          calls.push(["settle", params.recipient, params.amount]);
+          return { transactionHash: `0xsettle${calls.length}` };
+        },
+        refund: async (params) => {
+          calls.push(["refund", params.amount]);
+          return { transactionHash: "0xrefund" };
+        }
+      }
+    };
+    const adapter = new NexusAdapter({ settlementBackend: "nexus", nexusSdk });
+
+    const result = await adapter.settleAndRefund({
+      intentId: "nexus-intent",
+      recipient: provider,
+      amount: 7500,
+      targetChain: "base",
+      splits: [
+        { role: "provider", recipient: provider, amount: 7000 },
+        { role: "gateway_fee", recipient: fee, amount: 500 }
+      ]
+    });
+    await adapter.settlementQueue.drain();
+
+    expect(calls).to.deep.equal([["settle", provider, "7000"], ["settle", fee, "500"], ["refund", "2500"]]);
+    expect(result.settlementTx).to.equal("0xsettle1");
+    expect(result.refundTx).to.equal("0xrefund");
+  });
+
+  it("Should refuse to run the evm backend without an escrow contract", async function () {
+    const adapter = new NexusAdapter({ settlementBackend: "evm" });
+    adapter.connect = async (chain) => ({ chain, auditContract: {} });
+
+    let startError = null;
+    try {
+      await adapter.initialize();
+    } catch (error) {
+      startError = error;
+    }
+    expect(startError.message).to.include("needs FluxPayEscrow");
+
+    // Without escrow nothing moved, so there is no transaction hash to report
+    let settleError = null;
+    try {
+      await adapter.settleAndRefund({ intentId: "no-escrow", recipient: provider, amount: 4000 });
+    } catch (error) {
+      settleError = error;
+    }
+    expect(settleError.message).to.include("needs an escrow contract");
+  });
+
+  it("Should run the same adapter calls on the mock backend", async function () {
+    const mockChain = new MockChain({ autoLock: false });
+    const adapter = new NexusAdapter({ settlementBackend: "mock", mockChain });
+    const expiry = mockChain.now() + 300;
+
+    await adapter.createIntent("mock-intent", provider, "USDC", 10000, expiry);
+    const result = await adapter.settleAndRefund({ intentId: "mock-intent", recipient: fee, amount: 4000, targetChain: "base" });
+    await adapter.settlementQueue.drain();
+
+    expect(result.refundTx).to.equal(result.settlementTx);
+    expect((await adapter.getIntentStatus("mock-intent")).status).to.equal("SETTLED");
+    expect(await adapter.getUnifiedBalance(provider)).to.equal(mockChain.initialBalance - 4000);
+  });
+});
@@ -0,0 +1,139 @@
+const { expect } = require("chai");
+const { MockChain } = require("../backend/mockChain");
+const { NexusAdapter } = require("../backend/nexusAdapter");
+const { INTENT_STATUS, MemoryIntentStore } = require("../backend/intentStore");
+const { SettlementOutbox } = require("../backend/settlementOutbox");
+
+describe("SettlementOutbox", function () {
+  const payer = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+  const provider = "0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC";
+  const job = { recipient: provider, amount: 40000, targetChain: "sepolia" };
+  let mockChain, adapter, store, outbox;
+
+  beforeEach(async function () {
+    mockChain = new MockChain({ initialBalance: 1000000, autoLock: false });
+    adapter = new NexusAdapter({ settlementBackend: "mock", mockChain });
+    store = new MemoryIntentStore();
+    outbox = new SettlementOutbox(store, adapter, { maxAttempts: 3, baseDelay: 1000 });
+
+    await adapter.createIntent("served", payer, "USDC", 100000, mockChain.now() + 300);
+    await store.put("served", { intentId: "served", status: INTENT_STATUS.PROCESSING, chain: "sepolia" });
+  });
+
+  // Make a pending job due now, as if its backoff delay had passed
+  async function due(intentId) {
+    await store.update(intentId, { expiresAt: Date.now() - 1 });
+  }
+
+  it("Should settle a served request and refund the rest of the lock", async function () {
+    const settled = await outbox.enqueue("served", job, { usage: { total_tokens: 100 } });
+
+    expect(settled).to.include({ status: INTENT_STATUS.SETTLED, usedAmount: 40000, settlementAttempts: 1 });
+    expect(settled.usage.total_tokens).to.equal(100);
+    expect(mockChain.balanceOf(provider)).to.equal(1000000 + 40000);
+    expect(mockChain.balanceOf(payer)).to.equal(1000000 - 40000);
+    expect(await outbox.enqueue("served", job).catch(error => error.message)).to.include("is not being processed");
+  });
+
+  it("Should retry a failed settlement after a growing backoff delay", async function () {
+    mockChain.failNext("settle", { times: 2, message: "nonce too low" });
+
+    const before = Date.now();
+    const pending = await outbox.enqueue("served", job);
+    expect(pending).to.include({ status: INTENT_STATUS.SETTLEMENT_PENDING, settlementAttempts: 1 });
+    expect(pending.lastSettlementError).to.include("nonce too low");
+    expect(pending.expiresAt).to.be.within(before + 1000, Date.now() + 1000);
+
+    // Not due yet
+    expect(await outbox.sweep()).to.include({ settled: 0, retried: 0 });
+
+    await due("served");
+    const retried = Date.now();
+    expect(await outbox.sweep()).to.include({ retried: 1 });
+    expect((await store.get("served")).expiresAt).to.be.within(retried + 2000, Date.now() + 2000);
+
+    await due("served");
+    expect(await outbox.sweep()).to.include({ settled: 1 });
+    expect(await store.get("served")).to.include({ status: INTENT_STATUS.SETTLED, settlementAttempts: 3 });
+    expect(mockChain.balanceOf(provider)).to.equal(1000000 + 40000);
+  });
+
+  it("Should cap the backoff delay", function () {
+    const capped = new SettlementOutbox(store, adapter, { baseDelay: 1000, maxDelay: 5000 });
+
+    expect([1, 2, 3, 4, 10].map(attempts => capped.backoff(attempts))).to.deep.equal([1000, 2000, 4000, 5000, 5000]);
+  });
+
+  it("Should dead-letter a job after maxAttempts and let an operator retry it", async function () {
+    mockChain.failNext("settle", { times: 3 });
+
+    await outbox.enqueue("served", job);
+    for (let i = 0; i < 2; i++) {
+      await due("served");
+      await outbox.sweep();
+    }
+
+    expect(await store.get("served")).to.include({ status: INTENT_STATUS.DEAD_LETTER, settlementAttempts: 3 });
+    expect((await outbox.listDeadLetters()).map(record => record.intentId)).to.deep.equal(["served"]);
+
+    const resolved = await outbox.resolve("served", { action: "retry", note: "RPC back up" });
+    expect(resolved.status).to.equal(INTENT_STATUS.SETTLED);
+    expect(resolved.resolution).to.include({ action: "retry", note: "RPC back up" });
+  });
+
+  it("Should dead-letter a job retrying cannot fix on its first failure", async function () {
+    const settled = await outbox.enqueue("served", { ...job, amount: 200000 });
+
+    expect(settled).to.include({ status: INTENT_STATUS.DEAD_LETTER, settlementAttempts: 1 });
+    expect(settled.lastSettlementError).to.include("Insufficient locked amount");
+  });
+
+  it("Should refund the payer of a dead-lettered job an operator gives up on", async function () {
+    mockChain.failNext("settle", { times: 3 });
+    outbox.maxAttempts = 1;
+    await outbox.enqueue("served", job);
+
+    const refunded = await outbox.resolve("served", { action: "refund" });
+
+    expect(refunded.status).to.equal(INTENT_STATUS.REFUNDED);
+    expect(mockChain.balanceOf(payer)).to.equal(1000000);
+    expect(await outbox.resolve("served", { action: "settled" }).catch(error => error.message))
+      .to.equal("settlementTx is required to mark a settlement as done");
+  });
+
+  it("Should take over jobs claimed by an instance that stopped, without paying twice", async function () {
+    // An instance claimed two jobs and stopped; it had settled the first on chain before recording it
+    await adapter.createIntent("unsettled", payer, "USDC", 100000, mockChain.now() + 300);
+    const claim = { settlementAttempts: 0, settlementClaimedBy: "stopped-instance", expiresAt: Date.now() - 1 };
+    for (const intentId of ["served", "unsettled"]) {
+      await store.put(intentId, { intentId, status: INTENT_STATUS.SETTLING, chain: "sepolia", settlementJob: { ...job, intentId }, ...claim });
+    }
+    await adapter.settleAndRefund({ ...job, intentId: "served" });
+
+    const counts = await new SettlementOutbox(store, adapter).sweep();
+
+    expect(counts).to.include({ released: 2, settled: 2 });
+    expect((await store.get("served")).status).to.equal(INTENT_STATUS.SETTLED);
+    expect((await store.get("unsettled")).status).to.equal(INTENT_STATUS.SETTLED);
+    expect(mockChain.balanceOf(provider)).to.equal(1000000 + 2 * 40000);
+  });
+
+  it("Should defer a settlement that could not be attempted to the next sweep", async function () {
+    const before = Date.now();
+    const deferred = await outbox.defer("served", job, "signer unavailable", { result: "served" });
+
+    expect(deferred).to.include({
+      status: INTENT_STATUS.SETTLEMENT_PENDING,
+      settlementAttempts: 0,
+      lastSettlementError: "signer unavailable",
+      result: "served"
+    });
+    expect(deferred.settlementJob.intentId).to.equal("served");
+    expect(deferred.expiresAt).to.be.within(before + 1000, Date.now() + 1000);
+    expect(await outbox.defer("served", job, "again")).to.equal(null);
+
+    await due("served");
+    expect(await outbox.sweep()).to.include({ settled: 1 });
+    expect(await store.get("served")).to.include({ status: INTENT_STATUS.SETTLED, settlementAttempts: 1 });
+  });
+});
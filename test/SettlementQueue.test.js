@@ -0,0 +1,64 @@
+const { expect } = require("chai");
+const { SettlementQueue } = require("../backend/settlementQueue");
+
+describe("Settlement queue", function () {
+  const entry = (intentId) => ({ intentId, chain: "base", provider: "0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC", usedAmount: 1000 });
+  const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+  it("Should record the rest of a batch when one entry is rejected", async function () {
+    const submitted = [];
+    const queue = new SettlementQueue(async (batch) => {
+      submitted.push(batch.map(queued => queued.intentId));
+      if (batch.some(queued => queued.intentId === "bad")) throw new Error("execution reverted");
+      return `0xaudit${submitted.length}`;
+    }, { maxAttempts: 1 });
+    const failed = [];
+    queue.on("failed", ({ intentId }) => failed.push(intentId));
+
+    for (const intentId of ["a", "b", "bad", "c"]) queue.enqueue(entry(intentId));
+    await queue.drain();
+
+    expect(submitted).to.deep.equal([["a", "b", "bad", "c"], ["a", "b"], ["bad", "c"], ["bad"], ["c"]]);
+    expect(failed).to.deep.equal(["bad"]);
+    for (const intentId of ["a", "b", "c"]) {
+      expect(queue.getStatus(intentId).status).to.equal("CONFIRMED");
+    }
+  });
+
+  it("Should retry a failed entry with backoff", async function () {
+    let calls = 0;
+    const queue = new SettlementQueue(async () => {
+      calls++;
+      if (calls < 3) throw new Error("nonce too low");
+      return "0xaudit";
+    }, { retryDelay: 20, maxAge: 1 });
+
+    queue.enqueue(entry("retried"));
+    await queue.drain();
+    expect(queue.getStatus("retried").status).to.equal("QUEUED");
+    expect(queue.getStatus("retried").attempts).to.equal(1);
+
+    await wait(150);
+    expect(calls).to.equal(3);
+    expect(queue.getStatus("retried").status).to.equal("CONFIRMED");
+  });
+
+  it("Should queue persisted entries again after a restart", async function () {
+    const persisted = [];
+    const stopped = new SettlementQueue(async () => { throw new Error("RPC unavailable"); }, { retryDelay: 60000 });
+    stopped.on("queued", (queued) => persisted.push(queued));
+    stopped.enqueue(entry("survivor"));
+    await stopped.drain();
+
+    const recorded = [];
+    const restarted = new SettlementQueue(async (batch) => {
+      recorded.push(...batch.map(queued => queued.intentId));
+      return "0xaudit";
+    });
+    expect(restarted.restore(persisted)).to.equal(1);
+    await restarted.drain();
+
+    expect(recorded).to.deep.equal(["survivor"]);
+    expect(restarted.getStatus("survivor").status).to.equal("CONFIRMED");
+  });
+});
@@ -0,0 +1,144 @@
+const { expect } = require("chai");
+const { MockChain } = require("../backend/mockChain");
+const { NexusAdapter } = require("../backend/nexusAdapter");
+const { INTENT_STATUS, MemoryIntentStore } = require("../backend/intentStore");
+const { SlaWatchdog } = require("../backend/slaWatchdog");
+const { CronJobs } = require("../backend/cronJobs");
+const { PaymentLedger } = require("../backend/paymentLedger");
+const cronRoute = require("../api/cron/sla-watchdog");
+
+describe("SlaWatchdog", function () {
+  const payer = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+  let mockChain, adapter, store, expiry;
+
+  beforeEach(async function () {
+    mockChain = new MockChain({ initialBalance: 1000000, autoLock: false });
+    adapter = new NexusAdapter({ settlementBackend: "mock", mockChain });
+    store = new MemoryIntentStore();
+    expiry = mockChain.now() + 300;
+  });
+
+  async function lockedIntent(intentId, status, expiresAt) {
+    await adapter.createIntent(intentId, payer, "USDC", 100000, expiry);
+    await store.put(intentId, { intentId, status, chain: "sepolia", expiresAt });
+  }
+
+  it("Should refund a locked intent past its deadline", async function () {
+    await lockedIntent("late", INTENT_STATUS.LOCKED, Date.now() - 1);
+    await lockedIntent("on-time", INTENT_STATUS.LOCKED, Date.now() + 60000);
+
+    const { refunded } = await new SlaWatchdog(store, adapter).sweep();
+
+    expect(refunded).to.equal(1);
+    expect(await store.get("late")).to.include({ status: INTENT_STATUS.REFUNDED, refundReason: "SLA timeout" });
+    expect((await store.get("on-time")).status).to.equal(INTENT_STATUS.LOCKED);
+    expect(mockChain.balanceOf(payer)).to.equal(900000);
+  });
+
+  it("Should give a request being served a grace period past its deadline", async function () {
+    await lockedIntent("slow", INTENT_STATUS.PROCESSING, Date.now() - 1000);
+    const watchdog = new SlaWatchdog(store, adapter, { processingGrace: 60000 });
+
+    expect((await watchdog.sweep()).refunded).to.equal(0);
+    expect((await store.get("slow")).status).to.equal(INTENT_STATUS.PROCESSING);
+
+    await store.update("slow", { expiresAt: Date.now() - 60001 });
+    expect((await watchdog.sweep()).refunded).to.equal(1);
+    expect((await store.get("slow")).status).to.equal(INTENT_STATUS.REFUNDED);
+  });
+
+  it("Should refund an intent only once when several watchdogs share the store", async function () {
+    await lockedIntent("shared", INTENT_STATUS.LOCKED, Date.now() - 1);
+
+    const results = await Promise.all([
+      new SlaWatchdog(store, adapter).sweep(),
+      new SlaWatchdog(store, adapter).sweep()
+    ]);
+
+    expect(results.map(result => result.refunded).sort()).to.deep.equal([0, 1]);
+    expect(mockChain.balanceOf(payer)).to.equal(1000000);
+  });
+
+  it("Should adopt the on-chain status of an intent settled elsewhere", async function () {
+    await lockedIntent("settled", INTENT_STATUS.LOCKED, Date.now() - 1);
+    await adapter.settleIntent({ intentId: "settled", recipient: payer, amount: 1000, targetChain: "sepolia" });
+
+    const { refunded } = await new SlaWatchdog(store, adapter).sweep();
+
+    expect(refunded).to.equal(0);
+    expect((await store.get("settled")).status).to.equal(INTENT_STATUS.SETTLED);
+  });
+
+  it("Should retry a failed refund and mark the intent FAILED after maxAttempts", async function () {
+    await store.put("stuck", { intentId: "stuck", status: INTENT_STATUS.LOCKED, expiresAt: Date.now() - 1 });
+    const failingAdapter = {
+      cleanupExpiredIntents: async (intents) => intents.map(({ intentId }) => ({ intentId, error: "RPC down" }))
+    };
+    const watchdog = new SlaWatchdog(store, failingAdapter, { maxAttempts: 2, interval: 1 });
+
+    await watchdog.sweep();
+    expect(await store.get("stuck")).to.include({ status: INTENT_STATUS.LOCKED, refundAttempts: 1, lastRefundError: "RPC down" });
+
+    await store.update("stuck", { expiresAt: Date.now() - 1 });
+    await watchdog.sweep();
+    expect(await store.get("stuck")).to.include({ status: INTENT_STATUS.FAILED, refundAttempts: 2 });
+  });
+
+  it("Should release refunds claimed by an instance that died", async function () {
+    await lockedIntent("abandoned", INTENT_STATUS.REFUNDING, Date.now() - 1);
+    await store.update("abandoned", { refundFrom: INTENT_STATUS.LOCKED, refundClaimedBy: "dead-instance" });
+
+    const { released, refunded } = await new SlaWatchdog(store, adapter).sweep();
+
+    expect(released).to.equal(1);
+    expect(refunded).to.equal(1);
+    expect((await store.get("abandoned")).status).to.equal(INTENT_STATUS.REFUNDED);
+  });
+
+  it("Should run every background job in one cron pass", async function () {
+    await lockedIntent("late", INTENT_STATUS.LOCKED, Date.now() - 1);
+    const jobs = new CronJobs(store, adapter, { paymentLedger: new PaymentLedger() });
+
+    const result = await jobs.run();
+
+    expect(result.sla).to.include({ refunded: 1 });
+    expect(result.settlements).to.include({ settled: 0, retried: 0 });
+    expect(result.audit).to.equal(0);
+    expect((await store.get("late")).status).to.equal(INTENT_STATUS.REFUNDED);
+  });
+
+  describe("cron function", function () {
+    const env = { ...process.env };
+
+    function call(headers = {}) {
+      const res = {
+        statusCode: 200,
+        status(code) { this.statusCode = code; return this; },
+        json(body) { this.body = body; return this; }
+      };
+      return cronRoute({ method: "GET", headers }, res).then(() => res);
+    }
+
+    afterEach(function () {
+      process.env = { ...env };
+    });
+
+    it("Should refuse to run without CRON_SECRET", async function () {
+      delete process.env.CRON_SECRET;
+      expect((await call()).statusCode).to.equal(503);
+    });
+
+    it("Should reject calls without the cron secret", async function () {
+      process.env.CRON_SECRET = "cron-secret";
+      expect((await call({ authorization: "Bearer wrong" })).statusCode).to.equal(401);
+    });
+
+    it("Should refuse to sweep a per-instance memory store", async function () {
+      process.env.CRON_SECRET = "cron-secret";
+      process.env.INTENT_STORE = "memory";
+      const res = await call({ authorization: "Bearer cron-secret" });
+      expect(res.statusCode).to.equal(503);
+      expect(res.body.error).to.include("shared intent store");
+    });
+  });
+});
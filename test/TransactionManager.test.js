@@ -0,0 +1,70 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { TransactionManager } = require("../backend/txManager");
+
+describe("TransactionManager", function () {
+  let audit, gateway, payer, provider, txManager;
+  const GATEWAY_ROLE = ethers.keccak256(ethers.toUtf8Bytes("GATEWAY_ROLE"));
+  const expiry = Math.floor(Date.now() / 1000) + 3600;
+
+  beforeEach(async function () {
+    [, gateway, payer, provider] = await ethers.getSigners();
+
+    const FluxPayAudit = await ethers.getContractFactory("FluxPayAudit");
+    audit = await FluxPayAudit.deploy();
+    await audit.waitForDeployment();
+    await audit.grantRole(GATEWAY_ROLE, gateway.address);
+    audit = audit.connect(gateway);
+
+    txManager = new TransactionManager(gateway, { interval: 50, stuckAfter: 200 });
+  });
+
+  afterEach(async function () {
+    txManager.stop();
+    await network.provider.send("evm_setAutomine", [true]);
+  });
+
+  it("Should give concurrent transactions consecutive nonces", async function () {
+    const firstNonce = await gateway.getNonce("pending");
+    const intentIds = ["a", "b", "c", "d"].map(id => ethers.id(id));
+
+    const receipts = await Promise.all(intentIds.map(intentId =>
+      txManager.send(audit, "recordIntent", [intentId, payer.address, 1000, expiry], { intentId })
+    ));
+
+    // Nonces are taken in the order gas estimates come back, so only the set is fixed
+    const nonces = await Promise.all(receipts.map(async receipt => (await ethers.provider.getTransaction(receipt.hash)).nonce));
+    expect(nonces.sort((a, b) => a - b)).to.deep.equal([firstNonce, firstNonce + 1, firstNonce + 2, firstNonce + 3]);
+    for (const intentId of intentIds) {
+      expect((await audit.getIntent(intentId)).payer).to.equal(payer.address);
+    }
+    expect(txManager.listPending()).to.have.length(0);
+  });
+
+  it("Should replace a stuck transaction with higher fees", async function () {
+    await network.provider.send("evm_setAutomine", [false]);
+    const replaced = new Promise(resolve => txManager.once("replaced", resolve));
+
+    const mined = txManager.send(audit, "recordIntent", [ethers.id("stuck"), payer.address, 1000, expiry]);
+    const status = await replaced;
+    expect(status.hashes).to.have.length(2);
+    expect(txManager.listPending()[0].replacements).to.equal(1);
+
+    await network.provider.send("evm_mine");
+    const receipt = await mined;
+
+    expect(status.hashes).to.include(receipt.hash);
+    expect((await audit.getIntent(ethers.id("stuck"))).payer).to.equal(payer.address);
+  });
+
+  it("Should not use a nonce for a call that reverts", async function () {
+    const nonce = await gateway.getNonce("pending");
+
+    await expect(
+      txManager.send(audit, "recordSettlement", [ethers.id("unknown"), provider.address, 1000, "0x"])
+    ).to.be.revertedWith("Used more than locked");
+    await txManager.send(audit, "recordIntent", [ethers.id("after-revert"), payer.address, 1000, expiry]);
+
+    expect(await gateway.getNonce("latest")).to.equal(nonce + 1);
+  });
+});
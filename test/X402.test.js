@@ -0,0 +1,95 @@
+const { expect } = require("chai");
+const x402 = require("../backend/x402");
+
+describe("x402", function () {
+  const payer = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+
+  function paymentHeader(value) {
+    return { headers: { "x-payment": typeof value === "string" ? value : x402.encodeHeader(value) } };
+  }
+
+  describe("toBaseUnits", function () {
+    it("Should convert decimal USDC amounts without rounding", function () {
+      expect(x402.toBaseUnits("0.05")).to.equal(50000);
+      expect(x402.toBaseUnits(0.1)).to.equal(100000);
+      expect(x402.toBaseUnits("12")).to.equal(12000000);
+      expect(x402.toBaseUnits(" 1.000001 ")).to.equal(1000001);
+      expect(x402.toBaseUnits("0")).to.equal(0);
+    });
+
+    it("Should reject amounts that are not plain USDC decimals", function () {
+      for (const value of ["", "-1", "1e-3", "0x10", "1.", ".5", "abc", null]) {
+        expect(() => x402.toBaseUnits(value), String(value)).to.throw("Invalid USDC amount");
+      }
+      expect(() => x402.toBaseUnits("0.0000001")).to.throw("more than 6 decimals");
+    });
+  });
+
+  describe("parsePaymentHeader", function () {
+    const payment = {
+      x402Version: x402.X402_VERSION,
+      scheme: x402.SCHEME,
+      payload: { intentId: "intent-1", nexusTx: "0x1", deadline: 1700000000, signature: "0xsig" }
+    };
+
+    it("Should read evidence from a valid X-PAYMENT header", function () {
+      expect(x402.parsePaymentHeader(paymentHeader(payment))).to.deep.equal({ format: "x402", evidence: payment.payload });
+    });
+
+    it("Should return empty evidence for a malformed X-PAYMENT header", function () {
+      for (const header of [
+        paymentHeader("not base64 json"),
+        paymentHeader(Buffer.from("{ truncated").toString("base64")),
+        paymentHeader("bnVsbA=="), // null
+        paymentHeader({ ...payment, x402Version: 99 }),
+        paymentHeader({ ...payment, scheme: "exact" })
+      ]) {
+        expect(x402.parsePaymentHeader(header)).to.deep.equal({ format: "x402", evidence: {} });
+      }
+
+      expect(x402.parsePaymentHeader(paymentHeader({ x402Version: x402.X402_VERSION, scheme: x402.SCHEME })).evidence)
+        .to.deep.equal({ intentId: undefined, nexusTx: undefined, deadline: undefined, signature: undefined });
+    });
+
+    it("Should return empty evidence for a malformed legacy header", function () {
+      for (const value of ["{ not json", "null", undefined]) {
+        expect(x402.parsePaymentHeader({ headers: { "payment-evidence": value } })).to.deep.equal({ format: "legacy", evidence: {} });
+      }
+      expect(x402.parsePaymentHeader({ headers: { "payment-evidence": '{"intentId":"intent-1"}' } }).evidence.intentId)
+        .to.equal("intent-1");
+    });
+  });
+
+  describe("encodePaymentResponse", function () {
+    it("Should report success once the settlement transaction landed", function () {
+      const response = x402.decodeHeader(x402.encodePaymentResponse({
+        intentId: "intent-1", status: "SETTLED", transaction: "0xsettle", payer
+      }));
+
+      expect(response).to.deep.equal({
+        success: true,
+        status: "SETTLED",
+        transaction: "0xsettle",
+        network: process.env.X402_NETWORK || "sepolia",
+        payer,
+        intentId: "intent-1"
+      });
+    });
+
+    it("Should report a settlement still pending without a transaction", function () {
+      for (const [status, transaction] of [["SETTLEMENT_PENDING", undefined], ["SETTLING", undefined], ["DRAWN", undefined], ["SETTLED", null]]) {
+        const response = x402.decodeHeader(x402.encodePaymentResponse({ intentId: "intent-1", status, transaction, payer: null }));
+
+        expect(response, status).to.include({ success: false, status, errorReason: "settlement_pending", transaction: null, payer: null });
+      }
+    });
+
+    it("Should report the network of the chain the intent settled on", function () {
+      const response = x402.decodeHeader(x402.encodePaymentResponse({
+        intentId: "intent-1", status: "SETTLED", transaction: "0xsettle", payer, chain: { name: "base", network: "base-sepolia" }
+      }));
+
+      expect(response.network).to.equal("base-sepolia");
+    });
+  });
+});